@@ -0,0 +1,85 @@
+/**
+ * Load a bundled historical dataset for the command-line runners
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DataProcessor = require('../../src/data/data-processor.js');
+const VortexMath = require('../../src/core/vortex-math.js');
+
+const DATA_FILES = {
+    bitcoin: 'btc-historical-data.json',
+    solana: 'sol-historical-data.json'
+};
+
+/**
+ * Processed daily data for an asset, optionally limited to a date range
+ * @param {string} asset - 'bitcoin' or 'solana'
+ * @param {string} start - Optional first date (YYYY-MM-DD)
+ * @param {string} end - Optional last date (YYYY-MM-DD)
+ * @param {string|Object} rootSource - Optional digital-root source (default whole dollars)
+ * @param {number} base - Optional number base for the digital roots (default 10)
+ * @returns {Array} Daily data with digital roots
+ */
+function loadDataset(asset, start, end, rootSource, base) {
+    const fileName = DATA_FILES[asset];
+    if (!fileName) {
+        throw new Error(`Unknown asset: ${asset}. Available: ${Object.keys(DATA_FILES).join(', ')}`);
+    }
+
+    const raw = require(path.join(__dirname, '..', '..', 'src', 'data', fileName));
+    const { dailyData } = DataProcessor.processRawData(raw, { rootSource, base });
+    const startTime = start ? new Date(start).getTime() : -Infinity;
+    const endTime = end ? new Date(end).getTime() : Infinity;
+    return dailyData.filter(d => d.timestamp >= startTime && d.timestamp <= endTime);
+}
+
+/**
+ * Risk-free rate from a command-line value
+ * @param {string} value - Annual percent (e.g. "4.5") or a path to a rate file
+ *   shaped like src/data/risk-free-rates.json ({ label, note, rates: [{ date, rate }] })
+ * @returns {number|Object} Constant rate or the loaded rate series
+ */
+function loadRiskFreeRate(value) {
+    if (value !== '' && !isNaN(Number(value))) return Number(value);
+
+    const file = path.resolve(value);
+    if (!fs.existsSync(file)) throw new Error(`Risk-free rate file not found: ${value}`);
+    const series = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(series.rates) || series.rates.length === 0) {
+        throw new Error(`Risk-free rate file has no rates array: ${value}`);
+    }
+    return series;
+}
+
+/**
+ * Signal rules from a command-line value
+ * @param {string} value - Built-in rule set name (e.g. "vortex"), a .json rule set
+ *   from RuleLanguage.parse(), or a text file of rules
+ * @returns {string|Object} Rule text, rule set or name for the strategy's rules config
+ */
+function loadRules(value) {
+    const file = path.resolve(value);
+    if (!fs.existsSync(file)) return value;
+    const text = fs.readFileSync(file, 'utf8');
+    return path.extname(file) === '.json' ? JSON.parse(text) : text;
+}
+
+/**
+ * Root source from a command-line value
+ * @param {string} value - Source name, with an optional parameter after a colon:
+ *   "cents", "significant:5" (digits) or "log-price:200" (buckets per unit)
+ * @returns {Object} Normalized root source
+ */
+function parseRootSource(value) {
+    const [source, parameter] = value.split(':');
+    const setting = { source };
+    if (parameter !== undefined) {
+        if (source === 'significant') setting.digits = Number(parameter);
+        else if (source === 'log-price') setting.logBuckets = Number(parameter);
+        else throw new Error(`Root source ${source} takes no parameter`);
+    }
+    return VortexMath.normalizeRootSource(setting);
+}
+
+module.exports = { loadDataset, loadRiskFreeRate, loadRules, parseRootSource, DATA_FILES };
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Sweep vortex buy/sell/hold roots and filter toggles from the command line
+ *
+ * Usage:
+ *   node scripts/optimize.js --asset bitcoin --objective sharpeRatio \
+ *     --start 2020-01-01 --end 2024-12-31 --top 20 [--holds 9] [--root-source cents] [--base 12] [--json]
+ */
+
+const { loadDataset, parseRootSource } = require('./lib/load-dataset.js');
+const ParameterOptimizer = require('../src/backtest/parameter-optimizer.js');
+
+function parseRoots(value) {
+    return value.split(',').map(Number);
+}
+
+function parseArgs(argv) {
+    const options = { asset: 'bitcoin', objective: 'totalReturn', capital: 10000, top: 20, base: 10, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        if (arg === '--asset') options.asset = next();
+        else if (arg === '--objective') options.objective = next();
+        else if (arg === '--start') options.start = next();
+        else if (arg === '--root-source') options.rootSource = parseRootSource(next());
+        else if (arg === '--base') options.base = Number(next());
+        else if (arg === '--end') options.end = next();
+        else if (arg === '--capital') options.capital = Number(next());
+        else if (arg === '--top') options.top = Number(next());
+        else if (arg === '--buys') options.buySignals = parseRoots(next());
+        else if (arg === '--sells') options.sellSignals = parseRoots(next());
+        else if (arg === '--holds') options.holdSignals = parseRoots(next());
+        else if (arg === '--json') options.json = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const priceData = loadDataset(options.asset, options.start, options.end, options.rootSource, options.base);
+    if (priceData.length === 0) throw new Error('No data available for the selected date range');
+
+    const sweep = ParameterOptimizer.run(priceData, {
+        objective: options.objective,
+        initialCapital: options.capital,
+        baseConfig: { base: options.base },
+        buySignals: options.buySignals,
+        sellSignals: options.sellSignals,
+        holdSignals: options.holdSignals,
+        onProgress: (done, total) => {
+            if (!options.json && (done % 250 === 0 || done === total)) process.stderr.write(`\r  ${done}/${total} combinations`);
+        }
+    });
+
+    const top = sweep.results.slice(0, options.top);
+    if (options.json) {
+        console.log(JSON.stringify({ objective: sweep.objective, runs: sweep.runs, results: top }, null, 2));
+        return;
+    }
+
+    console.log(`\n\n🔍 Top ${top.length} of ${sweep.runs} by ${ParameterOptimizer.objectives[sweep.objective]} (${options.asset}, ${priceData[0].date} to ${priceData[priceData.length - 1].date})`);
+    console.log('  Rank  Buy Sell Hold Tesla Seq   Return%   Sharpe  Sortino   Calmar   MaxDD%  Trades');
+    top.forEach(row => {
+        const p = row.params;
+        console.log(
+            `  ${String(row.rank).padStart(4)}  ${String(p.buySignal).padStart(3)} ${String(p.sellSignal).padStart(4)} ${String(p.holdSignal).padStart(4)}` +
+            ` ${(p.useTeslaFilter ? 'on' : 'off').padStart(5)} ${(p.useSequenceFilter ? 'on' : 'off').padStart(4)}` +
+            ` ${row.totalReturn.toFixed(1).padStart(9)} ${row.sharpeRatio.toFixed(2).padStart(8)} ${row.sortinoRatio.toFixed(2).padStart(8)}` +
+            ` ${row.calmarRatio.toFixed(2).padStart(8)} ${row.maxDrawdown.toFixed(1).padStart(8)} ${String(row.totalTrades).padStart(7)}`
+        );
+    });
+    console.log('\n⚠️  The best of many combinations is an in-sample result; expect it to overstate live performance.');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Run a backtest from the command line with any registered strategy
+ *
+ * Usage:
+ *   node scripts/run-backtest.js --strategy ma-crossover --asset bitcoin \
+ *     --start 2020-01-01 --end 2024-12-31 --capital 10000 \
+ *     --set fastPeriod=10 --set executionTiming=next-open [--json]
+ *   node scripts/run-backtest.js --set orderType=limit --set timeInForce=gtc
+ *   node scripts/run-backtest.js --asset solana --root-source cents   (or significant:5, log-price:200)
+ *   node scripts/run-backtest.js --base 12   (digital roots in base 12: roots 1-11, doubling cycle of 10)
+ *   node scripts/run-backtest.js --pattern 1,2,4:rotations --pattern 3,*,9 --set patternWindow=3
+ *     (vortex buys and sells only after one of the patterns completes)
+ *   node scripts/run-backtest.js --rules my-rules.txt   (or a .json rule set, or --rules vortex)
+ *   node scripts/run-backtest.js --risk-free src/data/risk-free-rates.json
+ *   node scripts/run-backtest.js --risk-free 4.5 --periods-per-year 365
+ *   node scripts/run-backtest.js --portfolio bitcoin=0.6,solana=0.4 \
+ *     --rebalance periodic --rebalance-every 30 [--rebalance-threshold 5]
+ *   node scripts/run-backtest.js --list
+ */
+
+const { loadDataset, loadRiskFreeRate, loadRules, parseRootSource } = require('./lib/load-dataset.js');
+const StrategyRegistry = require('../src/strategies/strategy-registry.js');
+const DrawdownAnalyzer = require('../src/analysis/drawdown-analyzer.js');
+const PortfolioBacktest = require('../src/backtest/portfolio-backtest.js');
+
+function parseValue(value) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === 'null') return null;
+    if (value !== '' && !isNaN(Number(value))) return Number(value);
+    return value;
+}
+
+function parseWeights(value) {
+    const weights = {};
+    value.split(',').forEach(entry => {
+        const [asset, weight] = entry.split('=');
+        weights[asset] = weight === undefined ? 1 : Number(weight);
+    });
+    return weights;
+}
+
+function describeRootSource(rootSource = { source: 'dollars' }) {
+    if (rootSource.source === 'significant') return `first ${rootSource.digits} significant digits`;
+    if (rootSource.source === 'log-price') return `log-price buckets (${rootSource.logBuckets} per unit)`;
+    return rootSource.source;
+}
+
+function parseArgs(argv) {
+    const options = { strategy: 'vortex', asset: 'bitcoin', capital: 10000, config: {}, json: false, list: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        if (arg === '--strategy') options.strategy = next();
+        else if (arg === '--asset') options.asset = next();
+        else if (arg === '--start') options.start = next();
+        else if (arg === '--root-source') options.rootSource = parseRootSource(next());
+        else if (arg === '--base') options.config.base = Number(next());
+        else if (arg === '--rules') options.config.rules = loadRules(next());
+        else if (arg === '--pattern') options.config.patterns = (options.config.patterns || []).concat(next());
+        else if (arg === '--end') options.end = next();
+        else if (arg === '--capital') options.capital = Number(next());
+        else if (arg === '--risk-free') options.config.riskFreeRate = loadRiskFreeRate(next());
+        else if (arg === '--periods-per-year') options.config.periodsPerYear = Number(next());
+        else if (arg === '--portfolio') options.portfolio = parseWeights(next());
+        else if (arg === '--rebalance') options.rebalance = next();
+        else if (arg === '--rebalance-every') options.rebalanceEvery = Number(next());
+        else if (arg === '--rebalance-threshold') options.rebalanceThreshold = Number(next());
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--list') options.list = true;
+        else if (arg === '--set') {
+            const [key, ...rest] = next().split('=');
+            options.config[key] = parseValue(rest.join('='));
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.list) {
+        StrategyRegistry.list().forEach(info => {
+            console.log(`${info.name.padEnd(14)} ${info.description}`);
+        });
+        return;
+    }
+
+    if (options.portfolio) {
+        runPortfolio(options);
+        return;
+    }
+
+    const priceData = loadDataset(options.asset, options.start, options.end, options.rootSource, options.config.base);
+    if (priceData.length === 0) throw new Error('No data available for the selected date range');
+
+    const strategy = StrategyRegistry.create(options.strategy, options.config);
+    const results = strategy.backtest(priceData, options.capital);
+    const { performance } = results;
+    const assumptions = strategy.describeAssumptions(results.dailyPortfolio);
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            strategy: strategy.describe(),
+            asset: options.asset,
+            period: { start: priceData[0].date, end: priceData[priceData.length - 1].date, bars: priceData.length },
+            initialCapital: options.capital,
+            finalCapital: results.finalCapital,
+            rootSource: options.rootSource || { source: 'dollars' },
+            base: options.config.base || 10,
+            assumptions: assumptions,
+            performance: performance
+        }, null, 2));
+        return;
+    }
+
+    console.log(`\n📈 ${strategy.describe().label} on ${options.asset}`);
+    console.log(`  - Period: ${priceData[0].date} to ${priceData[priceData.length - 1].date} (${priceData.length} bars)`);
+    console.log(`  - Digital roots: ${describeRootSource(options.rootSource)} in base ${options.config.base || 10}`);
+    console.log(`  - Final capital: $${results.finalCapital.toFixed(2)} from $${options.capital.toFixed(2)}`);
+    console.log(`  - Total return: ${performance.totalReturn.toFixed(2)}%`);
+    console.log(`  - Trades: ${performance.totalTrades} (win rate ${performance.winRate.toFixed(1)}%)`);
+    const filledOrders = results.orders.filter(order => order.filled > 0).length;
+    const expiredExits = results.orders.filter(order => order.intent === 'EXIT' && order.status === 'expired').length;
+    console.log(`  - Orders: ${filledOrders} of ${results.orders.length} filled (${strategy.config.orderType || 'market'})` +
+        (expiredExits > 0 ? `; ${expiredExits} exits expired unfilled${strategy.config.expiredExitsToMarket ? ' and went to market' : ', position held'}` : ''));
+    console.log(`  - Max drawdown: ${performance.maxDrawdown.toFixed(2)}%`);
+    const { longest } = DrawdownAnalyzer.analyze(results.dailyPortfolio);
+    if (longest) {
+        console.log(`  - Longest drawdown: ${longest.durationDays} days from ${longest.peakDate} (${longest.recovered ? `recovered ${longest.recoveryDate}` : 'unrecovered'})`);
+    }
+    console.log(`  - Sharpe ratio: ${performance.sharpeRatio.toFixed(2)}, Sortino ${performance.sortinoRatio.toFixed(2)}`);
+    console.log(`    (${assumptions.periodsPerYear} periods/year ${assumptions.periodsPerYearSource}; risk-free ${assumptions.riskFreeRate.toFixed(2)}% avg, ${assumptions.riskFreeRateSource})`);
+    console.log(`  - CAGR: ${performance.cagr === null ? 'n/a' : performance.cagr.toFixed(2) + '%'} (Calmar ${performance.calmarRatio.toFixed(2)}, Ulcer ${performance.ulcerIndex.toFixed(2)})`);
+    console.log(`  - Exposure: ${performance.exposure.toFixed(1)}% of bars, turnover ${performance.turnover.toFixed(1)}x per year`);
+    console.log(`  - vs buy & hold: alpha ${performance.alpha.toFixed(2)}%, beta ${performance.beta.toFixed(2)}, correlation ${performance.correlation.toFixed(2)}`);
+    console.log(`  - Costs: $${(performance.fees + performance.slippage).toFixed(2)} fees and slippage`);
+}
+
+function runPortfolio(options) {
+    const datasets = {};
+    Object.keys(options.portfolio).forEach(asset => {
+        datasets[asset] = loadDataset(asset, options.start, options.end, options.rootSource, options.config.base);
+    });
+
+    const results = PortfolioBacktest.run(datasets, {
+        strategy: options.strategy,
+        strategyConfig: options.config,
+        weights: options.portfolio,
+        rebalance: options.rebalance,
+        rebalanceEvery: options.rebalanceEvery,
+        rebalanceThreshold: options.rebalanceThreshold,
+        initialCapital: options.capital
+    });
+    const { performance } = results;
+
+    if (options.json) {
+        const assets = {};
+        Object.entries(results.assets).forEach(([asset, report]) => {
+            const { signals, trades, ...summary } = report;
+            assets[asset] = summary;
+        });
+        console.log(JSON.stringify({
+            strategy: options.strategy,
+            initialCapital: options.capital,
+            finalCapital: results.finalCapital,
+            performance: performance,
+            assets: assets,
+            rebalances: results.rebalances.length
+        }, null, 2));
+        return;
+    }
+
+    const { dailyPortfolio } = results;
+    console.log(`\n📈 ${options.strategy} portfolio (${results.rebalances.length} rebalances, ${options.rebalance || 'none'})`);
+    console.log(`  - Period: ${dailyPortfolio[0].date} to ${dailyPortfolio[dailyPortfolio.length - 1].date} (${dailyPortfolio.length} bars)`);
+    console.log(`  - Final capital: $${results.finalCapital.toFixed(2)} from $${options.capital.toFixed(2)}`);
+    console.log(`  - Total return: ${performance.totalReturn.toFixed(2)}% (CAGR ${performance.cagr === null ? 'n/a' : performance.cagr.toFixed(2) + '%'})`);
+    console.log(`  - Max drawdown: ${performance.maxDrawdown.toFixed(2)}%, Sharpe ${performance.sharpeRatio.toFixed(2)}, Sortino ${performance.sortinoRatio.toFixed(2)}`);
+    console.log(`  - Rebalancing costs: $${performance.rebalanceCosts.toFixed(2)}`);
+    Object.entries(results.assets).forEach(([asset, report]) => {
+        console.log(`  - ${asset}: weight ${(report.weight * 100).toFixed(0)}% from ${report.start}, contributed ${report.contribution.toFixed(2)}% ` +
+            `(${report.totalTrades} trades, ${report.standaloneReturn.toFixed(2)}% standalone)`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
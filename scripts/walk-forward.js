@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Walk-forward validation of the vortex strategy from the command line
+ *
+ * Usage:
+ *   node scripts/walk-forward.js --asset bitcoin --mode rolling \
+ *     --in-sample 365 --out-of-sample 90 --objective sharpeRatio [--root-source cents] [--base 12] [--json]
+ */
+
+const { loadDataset, parseRootSource } = require('./lib/load-dataset.js');
+const WalkForward = require('../src/backtest/walk-forward.js');
+
+function parseArgs(argv) {
+    const options = { asset: 'bitcoin', mode: 'rolling', inSampleSize: 365, outOfSampleSize: 90, objective: 'sharpeRatio', capital: 10000, base: 10, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        if (arg === '--asset') options.asset = next();
+        else if (arg === '--mode') options.mode = next();
+        else if (arg === '--in-sample') options.inSampleSize = Number(next());
+        else if (arg === '--out-of-sample') options.outOfSampleSize = Number(next());
+        else if (arg === '--step') options.step = Number(next());
+        else if (arg === '--objective') options.objective = next();
+        else if (arg === '--start') options.start = next();
+        else if (arg === '--root-source') options.rootSource = parseRootSource(next());
+        else if (arg === '--base') options.base = Number(next());
+        else if (arg === '--end') options.end = next();
+        else if (arg === '--capital') options.capital = Number(next());
+        else if (arg === '--json') options.json = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+const formatRatio = value => (value === null ? '   n/a' : value.toFixed(2).padStart(6));
+// Annualized returns are null for a -100% fold or a window with no elapsed days
+const formatReturn = (value, digits, unit = '') => (value === null ? 'n/a' : value.toFixed(digits) + unit);
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const priceData = loadDataset(options.asset, options.start, options.end, options.rootSource, options.base);
+
+    const report = WalkForward.run(priceData, {
+        mode: options.mode,
+        inSampleSize: options.inSampleSize,
+        outOfSampleSize: options.outOfSampleSize,
+        step: options.step,
+        objective: options.objective,
+        baseConfig: { base: options.base },
+        initialCapital: options.capital
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify({ summary: report.summary, folds: report.folds }, null, 2));
+        return;
+    }
+
+    const { summary } = report;
+    console.log(`\n🚶 Walk-forward (${summary.mode}, ${options.inSampleSize}/${options.outOfSampleSize} bars, ${options.objective}) on ${options.asset}`);
+    console.log('  Fold  Out-of-sample window        Buy Sell Tesla Seq   IS ann%  OOS ann%  OOS ret%  Efficiency');
+    report.folds.forEach(fold => {
+        const p = fold.params;
+        console.log(
+            `  ${String(fold.fold).padStart(4)}  ${fold.outOfSample.start} to ${fold.outOfSample.end}` +
+            `  ${String(p.buySignal).padStart(3)} ${String(p.sellSignal).padStart(4)} ${(p.useTeslaFilter ? 'on' : 'off').padStart(5)} ${(p.useSequenceFilter ? 'on' : 'off').padStart(4)}` +
+            ` ${formatReturn(fold.inSample.annualizedReturn, 1).padStart(9)} ${formatReturn(fold.outOfSample.annualizedReturn, 1).padStart(9)}` +
+            ` ${fold.outOfSample.totalReturn.toFixed(1).padStart(9)}      ${formatRatio(fold.efficiency)}`
+        );
+    });
+
+    console.log('\n📊 Stitched out-of-sample result:');
+    console.log(`  - Final capital: $${summary.finalCapital.toFixed(2)} (${summary.outOfSampleReturn.toFixed(2)}%, ${formatReturn(summary.outOfSampleAnnualizedReturn, 2, '%')} annualized)`);
+    console.log(`  - Mean in-sample annualized return: ${formatReturn(summary.meanInSampleAnnualizedReturn, 2, '%')}`);
+    console.log(`  - Walk-forward efficiency: ${formatRatio(summary.overallEfficiency).trim()} overall, ${formatRatio(summary.meanEfficiency).trim()} mean per fold`);
+    console.log(`  - Profitable folds: ${summary.profitableFolds} of ${summary.folds}; ${summary.distinctParameterSets} distinct parameter sets chosen`);
+    console.log(`  - Max drawdown: ${summary.maxDrawdown.toFixed(2)}%`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
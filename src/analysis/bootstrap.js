@@ -0,0 +1,148 @@
+/**
+ * Block Bootstrap Confidence Intervals
+ * Resamples daily returns and trade results in contiguous blocks (so
+ * volatility clustering and streaks survive resampling) and reports
+ * percentile intervals for each performance metric
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var PM = null;
+var RNG = null;
+if (typeof module !== 'undefined' && module.exports) {
+    PM = require('./performance-metrics.js');
+    RNG = require('../core/random.js');
+} else if (typeof window !== 'undefined') {
+    if (window.PerformanceMetrics && !PM) {
+        PM = window.PerformanceMetrics;
+    }
+    if (window.SeededRandom && !RNG) {
+        RNG = window.SeededRandom;
+    }
+}
+
+class Bootstrap {
+
+    /**
+     * Circular moving-block resample of a series
+     * @param {Array} values - Series to resample
+     * @param {number} blockSize - Length of each contiguous block
+     * @param {Object} random - SeededRandom instance
+     * @returns {Array} Resampled series of the same length
+     */
+    static blockResample(values, blockSize, random) {
+        const n = values.length;
+        const sample = [];
+        while (sample.length < n) {
+            const start = random.nextInt(0, n - 1);
+            for (let k = 0; k < blockSize && sample.length < n; k++) {
+                sample.push(values[(start + k) % n]);
+            }
+        }
+        return sample;
+    }
+
+    /**
+     * Default block length: the cube root of the series length
+     * @param {number} length - Series length
+     * @returns {number} Block size, at least 1
+     */
+    static defaultBlockSize(length) {
+        return Math.max(1, Math.round(Math.cbrt(length)));
+    }
+
+    /**
+     * Percentile interval of a metric over bootstrap samples
+     * @param {number} estimate - Point estimate from the original data
+     * @param {Array<number>} samples - Metric value for each resample
+     * @param {number} level - Confidence level, e.g. 0.95
+     * @returns {Object} { estimate, lower, upper }
+     */
+    static interval(estimate, samples, level) {
+        const finite = samples.filter(v => isFinite(v)).sort((a, b) => a - b);
+        if (finite.length === 0) return { estimate: estimate, lower: null, upper: null };
+
+        const tail = (1 - level) / 2;
+        const at = q => {
+            const position = (finite.length - 1) * q;
+            const lower = Math.floor(position);
+            return finite[lower] + (finite[Math.ceil(position)] - finite[lower]) * (position - lower);
+        };
+        return { estimate: estimate, lower: at(tail), upper: at(1 - tail) };
+    }
+
+    /**
+     * Confidence intervals for the backtest performance metrics
+     * Return-based metrics resample daily returns; trade-based metrics
+     * resample the closed trades
+     * @param {Array<Object>} dailyPortfolio - Daily points with portfolioValue
+     * @param {Array<Object>} trades - Closed trades with profit and profitPercent
+     * @param {Object} options - Bootstrap options
+     * @param {number} options.level - Confidence level (default 0.95)
+     * @param {number} options.samples - Number of resamples (default 1000)
+     * @param {number} options.blockSize - Daily block length (default cube root of the series)
+     * @param {number} options.tradeBlockSize - Trade block length (default cube root of the trade count)
+     * @param {number} options.seed - RNG seed (default 42)
+     * @param {number} options.periodsPerYear - Annualization factor for Sharpe/Sortino (default 252)
+     * @param {number|Array<number>} options.riskFree - Per-period risk-free return for Sharpe (default 0)
+     * @param {number|Array<number>} options.mar - Per-period minimum acceptable return for Sortino (default 0)
+     * @returns {Object} Interval per metric plus the settings used
+     */
+    static confidenceIntervals(dailyPortfolio, trades, options = {}) {
+        const level = options.level || 0.95;
+        const samples = options.samples || 1000;
+        const periodsPerYear = options.periodsPerYear || 252;
+        const random = new RNG(options.seed ?? 42);
+
+        const returns = PM.periodReturns(dailyPortfolio);
+        // Benchmark rates are resampled together with the returns they belong to
+        const overRiskFree = PM.excessReturns(returns, options.riskFree || 0);
+        const overMar = PM.excessReturns(returns, options.mar || 0);
+        const indices = returns.map((_, i) => i);
+        const blockSize = options.blockSize || this.defaultBlockSize(returns.length);
+        const tradeBlockSize = options.tradeBlockSize || this.defaultBlockSize(trades.length);
+
+        const draws = { totalReturn: [], maxDrawdown: [], sharpeRatio: [], sortinoRatio: [], winRate: [], profitFactor: [], avgWin: [], avgLoss: [] };
+        for (let i = 0; i < samples; i++) {
+            if (returns.length > 1) {
+                const resampled = this.blockResample(indices, blockSize, random);
+                draws.totalReturn.push(PM.totalReturn(resampled.map(i => returns[i])));
+                draws.maxDrawdown.push(PM.maxDrawdown(resampled.map(i => returns[i])));
+                draws.sharpeRatio.push(PM.sharpeRatio(resampled.map(i => overRiskFree[i]), periodsPerYear));
+                draws.sortinoRatio.push(PM.sortinoRatio(resampled.map(i => overMar[i]), periodsPerYear));
+            }
+            if (trades.length > 1) {
+                const resampled = this.blockResample(trades, tradeBlockSize, random);
+                const { avgWin, avgLoss } = PM.averageWinLoss(resampled);
+                draws.winRate.push(PM.winRate(resampled));
+                draws.profitFactor.push(PM.profitFactor(resampled));
+                draws.avgWin.push(avgWin);
+                draws.avgLoss.push(avgLoss);
+            }
+        }
+
+        const { avgWin, avgLoss } = PM.averageWinLoss(trades);
+        return {
+            level: level,
+            samples: samples,
+            periodsPerYear: periodsPerYear,
+            blockSize: blockSize,
+            tradeBlockSize: tradeBlockSize,
+            tradeCount: trades.length,
+            totalReturn: this.interval(PM.totalReturn(returns), draws.totalReturn, level),
+            maxDrawdown: this.interval(PM.maxDrawdown(returns), draws.maxDrawdown, level),
+            sharpeRatio: this.interval(PM.sharpeRatio(overRiskFree, periodsPerYear), draws.sharpeRatio, level),
+            sortinoRatio: this.interval(PM.sortinoRatio(overMar, periodsPerYear), draws.sortinoRatio, level),
+            winRate: this.interval(PM.winRate(trades), draws.winRate, level),
+            profitFactor: this.interval(PM.profitFactor(trades), draws.profitFactor, level),
+            avgWin: this.interval(avgWin, draws.avgWin, level),
+            avgLoss: this.interval(avgLoss, draws.avgLoss, level)
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Bootstrap;
+} else if (typeof window !== 'undefined') {
+    window.Bootstrap = Bootstrap;
+}
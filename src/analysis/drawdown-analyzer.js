@@ -0,0 +1,127 @@
+/**
+ * Drawdown Analyzer
+ * Splits an equity curve into drawdown episodes (peak, trough, recovery)
+ * so depth and time under water can be judged per episode rather than
+ * from the single worst point
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+class DrawdownAnalyzer {
+
+    /**
+     * Underwater curve: percentage below the running peak at every point
+     * @param {Array<Object>} dailyPortfolio - Points with date and portfolioValue
+     * @returns {Array<Object>} { date, drawdown } with drawdown <= 0 in percent
+     */
+    static underwater(dailyPortfolio) {
+        let peak = -Infinity;
+        return dailyPortfolio.map(point => {
+            peak = Math.max(peak, point.portfolioValue);
+            return {
+                date: point.date,
+                drawdown: peak > 0 ? ((point.portfolioValue - peak) / peak) * 100 : 0
+            };
+        });
+    }
+
+    /**
+     * Every drawdown episode, in chronological order
+     * An episode starts at the last peak before equity falls, bottoms at the
+     * lowest point before a new high, and ends when the peak is regained.
+     * @param {Array<Object>} dailyPortfolio - Points with date and portfolioValue
+     * @returns {Array<Object>} Episodes with peak/trough/recovery dates, depth and lengths in days
+     */
+    static episodes(dailyPortfolio) {
+        const episodes = [];
+        let peakIndex = 0;
+        let current = null;
+
+        dailyPortfolio.forEach((point, i) => {
+            const peakValue = dailyPortfolio[peakIndex].portfolioValue;
+            if (point.portfolioValue >= peakValue) {
+                if (current) {
+                    episodes.push(this.buildEpisode(dailyPortfolio, current, i));
+                    current = null;
+                }
+                peakIndex = i;
+                return;
+            }
+
+            if (!current) current = { peakIndex: peakIndex, troughIndex: i };
+            if (point.portfolioValue < dailyPortfolio[current.troughIndex].portfolioValue) {
+                current.troughIndex = i;
+            }
+        });
+
+        if (current) episodes.push(this.buildEpisode(dailyPortfolio, current, null));
+        return episodes;
+    }
+
+    /**
+     * Describe one episode
+     * @param {Array<Object>} dailyPortfolio - Equity curve
+     * @param {Object} indices - { peakIndex, troughIndex }
+     * @param {number|null} recoveryIndex - Index where the peak was regained, null if never
+     * @returns {Object} Episode summary
+     */
+    static buildEpisode(dailyPortfolio, indices, recoveryIndex) {
+        const peak = dailyPortfolio[indices.peakIndex];
+        const trough = dailyPortfolio[indices.troughIndex];
+        const end = dailyPortfolio[recoveryIndex === null ? dailyPortfolio.length - 1 : recoveryIndex];
+        const recovered = recoveryIndex !== null;
+
+        return {
+            peakDate: peak.date,
+            peakValue: peak.portfolioValue,
+            troughDate: trough.date,
+            troughValue: trough.portfolioValue,
+            recoveryDate: recovered ? end.date : 'unrecovered',
+            recovered: recovered,
+            depth: ((peak.portfolioValue - trough.portfolioValue) / peak.portfolioValue) * 100,
+            declineDays: this.daysBetween(peak.date, trough.date),
+            recoveryDays: recovered ? this.daysBetween(trough.date, end.date) : null,
+            // Unrecovered episodes are measured to the last point
+            durationDays: this.daysBetween(peak.date, end.date)
+        };
+    }
+
+    /**
+     * Calendar days between two dates
+     * @param {string} start - Start date
+     * @param {string} end - End date
+     * @returns {number} Whole days
+     */
+    static daysBetween(start, end) {
+        return Math.round((new Date(end) - new Date(start)) / DAY_MS);
+    }
+
+    /**
+     * Full drawdown report for an equity curve
+     * @param {Array<Object>} dailyPortfolio - Points with date and portfolioValue
+     * @param {Object} options - { top: number of worst episodes to list (default 5) }
+     * @returns {Object} { episodes, worst, longest, timeUnderWater, underwater }
+     */
+    static analyze(dailyPortfolio, options = {}) {
+        const top = options.top || 5;
+        const episodes = this.episodes(dailyPortfolio);
+        const underwater = this.underwater(dailyPortfolio);
+        const barsUnderWater = underwater.filter(point => point.drawdown < 0).length;
+
+        return {
+            count: episodes.length,
+            episodes: episodes,
+            worst: episodes.slice().sort((a, b) => b.depth - a.depth).slice(0, top),
+            longest: episodes.reduce((longest, e) => (!longest || e.durationDays > longest.durationDays ? e : longest), null),
+            timeUnderWater: underwater.length > 0 ? (barsUnderWater / underwater.length) * 100 : 0,
+            underwater: underwater
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawdownAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.DrawdownAnalyzer = DrawdownAnalyzer;
+}
@@ -0,0 +1,157 @@
+/**
+ * Forward-Return Event Study by Digital Root
+ * Treats every bar with a given digital root (or in the Tesla or doubling
+ * group) as an event and measures the asset's return over the following
+ * 1, 3, 7 and 30 bars. Each event set is compared with the unconditional
+ * forward returns of all bars: a t-statistic on the excess mean, and a
+ * permutation p-value from random bar sets of the same size.
+ *
+ * Returns over horizons longer than one bar overlap, which inflates the
+ * t-statistic; the permutation test draws from the same overlapping returns
+ * and is the better guide.
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var VM = null;
+var RNG = null;
+if (typeof module !== 'undefined' && module.exports) {
+    VM = require('../core/vortex-math.js');
+    RNG = require('../core/random.js');
+} else if (typeof window !== 'undefined') {
+    if (window.VortexMath && !VM) {
+        VM = window.VortexMath;
+    }
+    if (window.SeededRandom && !RNG) {
+        RNG = window.SeededRandom;
+    }
+}
+
+class EventStudy {
+
+    /**
+     * Percent return from each bar to the bar `horizon` later
+     * @param {Array<number>} prices - Prices in time order
+     * @param {number} horizon - Bars ahead
+     * @returns {Array<number|null>} Forward return per bar, null where the horizon runs past the data
+     */
+    static forwardReturns(prices, horizon) {
+        return prices.map((price, i) => (i + horizon < prices.length && price > 0
+            ? (prices[i + horizon] / price - 1) * 100
+            : null));
+    }
+
+    /**
+     * Distribution summary of a set of forward returns
+     * @param {Array<number>} returns - Forward returns (%)
+     * @param {number} baselineMean - Mean the t-statistic is measured from (default 0)
+     * @returns {Object} { count, mean, median, hitRate, standardDeviation, tStatistic }
+     */
+    static summarize(returns, baselineMean = 0) {
+        const count = returns.length;
+        if (count === 0) {
+            return { count: 0, mean: null, median: null, hitRate: null, standardDeviation: null, tStatistic: null };
+        }
+
+        const mean = returns.reduce((sum, r) => sum + r, 0) / count;
+        const sorted = returns.slice().sort((a, b) => a - b);
+        const middle = Math.floor(count / 2);
+        const median = count % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+        const variance = count > 1 ? returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (count - 1) : 0;
+        const standardDeviation = Math.sqrt(variance);
+
+        return {
+            count: count,
+            mean: mean,
+            median: median,
+            hitRate: (returns.filter(r => r > 0).length / count) * 100,
+            standardDeviation: standardDeviation,
+            tStatistic: count > 1 && standardDeviation > 0 ? (mean - baselineMean) / (standardDeviation / Math.sqrt(count)) : null
+        };
+    }
+
+    /**
+     * Two-sided permutation p-value for an event set's mean
+     * Draws random sets of the same size from all bars and counts how often
+     * their mean is at least as far from the pool's mean as the observed one.
+     * @param {Array<number>} pool - Forward returns of every bar
+     * @param {number} count - Event set size
+     * @param {number} observedMean - Mean of the event set
+     * @param {number} permutations - Random sets to draw
+     * @param {Object} random - SeededRandom instance
+     * @returns {number|null} p-value, or null without permutations or events
+     */
+    static permutationPValue(pool, count, observedMean, permutations, random) {
+        if (!(permutations > 0) || count === 0 || count > pool.length) return null;
+
+        const poolMean = pool.reduce((sum, r) => sum + r, 0) / pool.length;
+        const observedGap = Math.abs(observedMean - poolMean) - 1e-12;
+        const working = pool.slice();
+        let extreme = 0;
+
+        for (let p = 0; p < permutations; p++) {
+            // Partial Fisher-Yates: the first `count` entries become a random subset
+            let sum = 0;
+            for (let i = 0; i < count; i++) {
+                const j = random.nextInt(i, working.length - 1);
+                [working[i], working[j]] = [working[j], working[i]];
+                sum += working[i];
+            }
+            if (Math.abs(sum / count - poolMean) >= observedGap) extreme++;
+        }
+        return (extreme + 1) / (permutations + 1);
+    }
+
+    /**
+     * Run the event study over daily data
+     * @param {Array<Object>} dailyData - Bars with price and digitalRoot (processed data or dailyPortfolio)
+     * @param {Object} options - Study options
+     * @param {Array<number>} options.horizons - Forward horizons in bars (default [1, 3, 7, 30])
+     * @param {number} options.permutations - Random sets per p-value (default 1000, 0 to skip)
+     * @param {number} options.seed - RNG seed so p-values are reproducible (default 42)
+     * @param {number} options.base - Number base of the roots (default the records' rootBase, else 10)
+     * @returns {Object} { horizons, base, permutations, baseline, roots, groups } where baseline[h]
+     *   summarizes every bar, and roots[root][h] and groups.tesla/doubling[h] add excessMean and pValue
+     */
+    static run(dailyData, options = {}) {
+        const horizons = options.horizons || [1, 3, 7, 30];
+        const permutations = options.permutations ?? 1000;
+        const base = options.base ?? dailyData[0]?.rootBase ?? 10;
+        const engine = VM.baseEngine(base);
+        const random = new RNG(options.seed ?? 42);
+        const prices = dailyData.map(d => d.price);
+
+        const eventSets = {};
+        engine.roots.forEach(root => { eventSets[root] = d => d.digitalRoot === root; });
+        eventSets.tesla = d => engine.isTeslaNumber(d.digitalRoot);
+        eventSets.doubling = d => engine.isInDoublingSequence(d.digitalRoot);
+
+        const study = { horizons: horizons, base: base, permutations: permutations, baseline: {}, roots: {}, groups: { tesla: {}, doubling: {} } };
+        engine.roots.forEach(root => { study.roots[root] = {}; });
+
+        horizons.forEach(horizon => {
+            const forward = this.forwardReturns(prices, horizon);
+            const pool = forward.filter(r => r !== null);
+            const baseline = this.summarize(pool);
+            study.baseline[horizon] = baseline;
+
+            Object.entries(eventSets).forEach(([name, isEvent]) => {
+                const returns = forward.filter((r, i) => r !== null && isEvent(dailyData[i]));
+                const summary = this.summarize(returns, baseline.mean ?? 0);
+                summary.excessMean = summary.mean === null ? null : summary.mean - baseline.mean;
+                summary.pValue = this.permutationPValue(pool, returns.length, summary.mean, permutations, random);
+
+                const target = name === 'tesla' || name === 'doubling' ? study.groups[name] : study.roots[name];
+                target[horizon] = summary;
+            });
+        });
+
+        return study;
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventStudy;
+} else if (typeof window !== 'undefined') {
+    window.EventStudy = EventStudy;
+}
@@ -0,0 +1,213 @@
+/**
+ * Markov Chain Analysis of Digital Roots
+ * Asks whether tomorrow's digital root depends on today's: builds the
+ * first-order (and optionally second-order) transition matrix, tests it
+ * against uniform next-day roots with a chi-square test, and reports the
+ * chain's stationary distribution and entropy rate. Independent, uniformly
+ * distributed roots give p-values spread evenly over [0, 1] and an entropy
+ * rate close to log2 of the number of roots.
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var VM = null;
+var STAT = null;
+if (typeof module !== 'undefined' && module.exports) {
+    VM = require('../core/vortex-math.js');
+    STAT = require('../core/statistics.js');
+} else if (typeof window !== 'undefined') {
+    if (window.VortexMath && !VM) {
+        VM = window.VortexMath;
+    }
+    if (window.Statistics && !STAT) {
+        STAT = window.Statistics;
+    }
+}
+
+class MarkovAnalysis {
+
+    /**
+     * Count transitions from each context (the previous `order` roots) to the next root
+     * Transitions touching a root outside the states (0 from a zero price or
+     * return) are skipped.
+     * @param {Array<number>} roots - Digital roots in time order
+     * @param {Array<number>} states - Possible roots (1-9 in base 10)
+     * @param {number} order - Context length, 1 or 2 (default 1)
+     * @returns {Object} { contexts, counts[context][state], transitions, skipped }
+     */
+    static transitionCounts(roots, states, order = 1) {
+        const contexts = order === 1
+            ? states.map(s => [s])
+            : states.flatMap(a => states.map(b => [a, b]));
+        const contextIndex = new Map(contexts.map((context, i) => [context.join(','), i]));
+        const counts = contexts.map(() => states.map(() => 0));
+        let transitions = 0;
+        let skipped = 0;
+
+        for (let t = order; t < roots.length; t++) {
+            const row = contextIndex.get(roots.slice(t - order, t).join(','));
+            const column = states.indexOf(roots[t]);
+            if (row === undefined || column === -1) {
+                skipped++;
+                continue;
+            }
+            counts[row][column]++;
+            transitions++;
+        }
+
+        return { contexts, counts, transitions, skipped };
+    }
+
+    /**
+     * Row-normalize transition counts into probabilities
+     * @param {Array<Array<number>>} counts - Transition counts
+     * @returns {Array<Array<number|null>>} Probabilities, with null rows for contexts never seen
+     */
+    static probabilities(counts) {
+        return counts.map(row => {
+            const total = row.reduce((sum, count) => sum + count, 0);
+            return total > 0 ? row.map(count => count / total) : row.map(() => null);
+        });
+    }
+
+    /**
+     * Chi-square test of the transition counts
+     *   uniform  - every next root equally likely whatever came before (default)
+     *   marginal - next root independent of the context, at its observed frequency
+     * The chi-square approximation needs roughly 5 expected counts per cell;
+     * minimumExpected shows how far a sparse (e.g. second-order) table falls short.
+     * @param {Array<Array<number>>} counts - Transition counts
+     * @param {string} expectation - 'uniform' or 'marginal'
+     * @returns {Object} { statistic, degreesOfFreedom, pValue, expectation, minimumExpected }
+     */
+    static independenceTest(counts, expectation = 'uniform') {
+        if (expectation !== 'uniform' && expectation !== 'marginal') {
+            throw new Error(`Unknown expectation: ${expectation}. Available: uniform, marginal`);
+        }
+        const rowTotals = counts.map(row => row.reduce((sum, count) => sum + count, 0));
+        const columnTotals = counts[0].map((_, j) => counts.reduce((sum, row) => sum + row[j], 0));
+        const total = rowTotals.reduce((sum, count) => sum + count, 0);
+        const rows = rowTotals.filter(count => count > 0).length;
+        const columns = columnTotals.filter(count => count > 0).length;
+
+        const observed = [];
+        const expected = [];
+        counts.forEach((row, i) => {
+            if (rowTotals[i] === 0) return;
+            row.forEach((count, j) => {
+                observed.push(count);
+                expected.push(expectation === 'uniform'
+                    ? rowTotals[i] / row.length
+                    : (rowTotals[i] * columnTotals[j]) / total);
+            });
+        });
+
+        const degreesOfFreedom = expectation === 'uniform'
+            ? rows * (counts[0].length - 1)
+            : Math.max(0, (rows - 1) * (columns - 1));
+        return {
+            ...STAT.chiSquare(observed, expected, degreesOfFreedom),
+            expectation: expectation,
+            minimumExpected: expected.length > 0 ? Math.min(...expected) : 0
+        };
+    }
+
+    /**
+     * Stationary distribution of a first-order chain
+     * Power iteration on the lazy chain (I + P) / 2, which has the same
+     * stationary distribution but converges for periodic chains too. Rows
+     * never observed are treated as uniform.
+     * @param {Array<Array<number|null>>} probabilities - Transition probabilities
+     * @returns {Array<number>} Long-run probability of each state
+     */
+    static stationaryDistribution(probabilities) {
+        const size = probabilities.length;
+        const matrix = probabilities.map(row => (row[0] === null ? row.map(() => 1 / size) : row));
+        let distribution = matrix.map(() => 1 / size);
+
+        for (let iteration = 0; iteration < 10000; iteration++) {
+            const next = distribution.map(p => p / 2);
+            distribution.forEach((p, i) => {
+                matrix[i].forEach((q, j) => { next[j] += (p * q) / 2; });
+            });
+            const change = next.reduce((sum, p, i) => sum + Math.abs(p - distribution[i]), 0);
+            distribution = next;
+            if (change < 1e-12) break;
+        }
+        return distribution;
+    }
+
+    /**
+     * Entropy rate: expected entropy of the next root given its context
+     * @param {Array<Array<number|null>>} probabilities - Transition probabilities
+     * @param {Array<number>} weights - Probability of each context
+     * @returns {number} Bits per step
+     */
+    static entropyRate(probabilities, weights) {
+        let rate = 0;
+        probabilities.forEach((row, i) => {
+            if (row[0] === null || !(weights[i] > 0)) return;
+            row.forEach(p => {
+                if (p > 0) rate -= weights[i] * p * Math.log2(p);
+            });
+        });
+        return rate;
+    }
+
+    /**
+     * Full transition analysis of processed daily data
+     * @param {Array<Object>} dailyData - Records with digitalRoot (DataProcessor output)
+     * @param {Object} options - Analysis options
+     * @param {number} options.base - Number base of the roots (default the records' rootBase, else 10)
+     * @param {boolean} options.secondOrder - Also analyze pairs of days (default false)
+     * @param {string} options.expectation - Chi-square expectation, 'uniform' or 'marginal' (default 'uniform')
+     * @returns {Object} { base, states, counts, probabilities, transitions, skipped, independence,
+     *   stationary, entropyRate, maxEntropyRate, secondOrder }
+     */
+    static analyze(dailyData, options = {}) {
+        const base = options.base ?? dailyData[0]?.rootBase ?? 10;
+        const expectation = options.expectation || 'uniform';
+        const states = VM.baseEngine(base).roots;
+        const roots = dailyData.map(d => d.digitalRoot);
+
+        const first = this.transitionCounts(roots, states, 1);
+        const probabilities = this.probabilities(first.counts);
+        const stationary = this.stationaryDistribution(probabilities);
+
+        let secondOrder = null;
+        if (options.secondOrder) {
+            const second = this.transitionCounts(roots, states, 2);
+            const pairProbabilities = this.probabilities(second.counts);
+            // Context weights are the observed pair frequencies
+            const weights = second.counts.map(row => row.reduce((sum, count) => sum + count, 0) / (second.transitions || 1));
+            secondOrder = {
+                contexts: second.contexts,
+                counts: second.counts,
+                probabilities: pairProbabilities,
+                transitions: second.transitions,
+                independence: this.independenceTest(second.counts, expectation),
+                entropyRate: this.entropyRate(pairProbabilities, weights)
+            };
+        }
+
+        return {
+            base: base,
+            states: states,
+            counts: first.counts,
+            probabilities: probabilities,
+            transitions: first.transitions,
+            skipped: first.skipped,
+            independence: this.independenceTest(first.counts, expectation),
+            stationary: stationary,
+            entropyRate: this.entropyRate(probabilities, stationary),
+            maxEntropyRate: Math.log2(states.length),
+            secondOrder: secondOrder
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkovAnalysis;
+} else if (typeof window !== 'undefined') {
+    window.MarkovAnalysis = MarkovAnalysis;
+}
@@ -0,0 +1,245 @@
+/**
+ * Monte Carlo Random-Entry Baseline
+ * Replays a strategy's trade count, holding periods and long/short mix at
+ * random entry points, then ranks the strategy's return and Sharpe ratio
+ * within the simulated distribution
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var BS = null;
+var RNG = null;
+if (typeof module !== 'undefined' && module.exports) {
+    BS = require('../strategies/base-strategy.js');
+    RNG = require('../core/random.js');
+} else if (typeof window !== 'undefined') {
+    if (window.BaseStrategy && !BS) {
+        BS = window.BaseStrategy;
+    }
+    if (window.SeededRandom && !RNG) {
+        RNG = window.SeededRandom;
+    }
+}
+
+/**
+ * Strategy that opens and closes positions on a precomputed bar schedule
+ */
+class ScheduledEntryStrategy extends BS {
+
+    constructor(schedule, config = {}) {
+        super(config);
+        this.entries = new Map(schedule.map(trade => [trade.entry, trade.side]));
+        this.exits = new Map(schedule.map(trade => [trade.exit, trade.side]));
+    }
+
+    describe() {
+        return {
+            name: 'scheduled-entry',
+            label: 'Random entry baseline',
+            description: `${this.entries.size} randomly placed trades`,
+            parameters: {}
+        };
+    }
+
+    onBar(dataPoint, index, priceData) {
+        if (this.exits.has(index)) {
+            return { action: this.exits.get(index) === 'SHORT' ? 'BUY' : 'SELL', reasoning: 'Scheduled random exit' };
+        }
+        if (this.entries.has(index)) {
+            return { action: this.entries.get(index) === 'SHORT' ? 'SELL' : 'BUY', reasoning: 'Scheduled random entry' };
+        }
+        return { action: 'HOLD', reasoning: 'No scheduled trade' };
+    }
+}
+
+class MonteCarloBaseline {
+
+    /**
+     * Run the random-entry baseline for a completed backtest
+     * @param {Array} priceData - Price series the strategy was backtested on
+     * @param {Object} strategy - Strategy instance after backtest() (config and tradeHistory are used)
+     * @param {Object} observed - Backtest results with performance.totalReturn and performance.sharpeRatio
+     * @param {Object} options - Simulation options
+     * @param {number} options.simulations - Number of random runs (default 500)
+     * @param {number} options.seed - RNG seed (default 42)
+     * @param {number} options.initialCapital - Starting capital (default 10000)
+     * @returns {Object} Distribution summaries, percentiles and empirical p-values
+     */
+    static run(priceData, strategy, observed, options = {}) {
+        const simulation = this.start(priceData, strategy, options);
+        this.simulate(simulation, simulation.simulations);
+        return this.summarize(simulation, observed);
+    }
+
+    /**
+     * Set up a baseline that can be simulated in batches (see run() for the options)
+     * Callers that must stay responsive, like the UI, call simulate() a batch at a
+     * time and yield in between; the result matches run() with the same seed.
+     * @param {Array} priceData - Price series the strategy was backtested on
+     * @param {Object} strategy - Strategy instance after backtest()
+     * @param {Object} options - Simulation options
+     * @returns {Object} Simulation state for simulate() and summarize()
+     */
+    static start(priceData, strategy, options = {}) {
+        return {
+            priceData: priceData,
+            simulations: options.simulations || 500,
+            seed: options.seed ?? 42,
+            initialCapital: options.initialCapital || 10000,
+            random: new RNG(options.seed ?? 42),
+            template: this.tradeTemplate(strategy.tradeHistory),
+            config: this.baselineConfig(strategy.config),
+            returns: [],
+            sharpeRatios: []
+        };
+    }
+
+    /**
+     * Run up to `count` more random backtests
+     * @param {Object} simulation - State from start()
+     * @param {number} count - Runs to add, capped at the configured total
+     * @returns {number} Runs completed so far
+     */
+    static simulate(simulation, count) {
+        const target = Math.min(simulation.simulations, simulation.returns.length + count);
+        while (simulation.returns.length < target) {
+            const schedule = this.randomSchedule(simulation.template, simulation.priceData.length, simulation.random);
+            const baseline = new ScheduledEntryStrategy(schedule, simulation.config);
+            const { performance } = baseline.backtest(simulation.priceData, simulation.initialCapital);
+            simulation.returns.push(performance.totalReturn);
+            simulation.sharpeRatios.push(performance.sharpeRatio);
+        }
+        return simulation.returns.length;
+    }
+
+    /**
+     * Rank the observed backtest within the completed runs
+     * @param {Object} simulation - State from start() after simulate()
+     * @param {Object} observed - Backtest results with performance.totalReturn and performance.sharpeRatio
+     * @returns {Object} Distribution summaries, percentiles and empirical p-values
+     */
+    static summarize(simulation, observed) {
+        return {
+            simulations: simulation.returns.length,
+            seed: simulation.seed,
+            tradeCount: simulation.template.length,
+            totalReturn: this.rank(observed.performance.totalReturn, simulation.returns),
+            sharpeRatio: this.rank(observed.performance.sharpeRatio, simulation.sharpeRatios),
+            distribution: {
+                totalReturn: simulation.returns,
+                sharpeRatio: simulation.sharpeRatios
+            }
+        };
+    }
+
+    /**
+     * Holding period (in bars) and side of each closed trade
+     * @param {Array} trades - Closed trades with entryIndex and exitIndex
+     * @returns {Array<Object>} { bars, side } per trade
+     */
+    static tradeTemplate(trades) {
+        return trades
+            .filter(t => t.entryIndex !== undefined && t.exitIndex !== undefined)
+            .map(t => ({ bars: Math.max(1, t.exitIndex - t.entryIndex), side: t.side || 'LONG' }));
+    }
+
+    /**
+     * Strategy config for the baseline: same costs, sizing and timing, but
+     * no rules that would change the replayed holding periods
+     * @param {Object} config - Config of the strategy under test
+     * @returns {Object} Baseline config
+     */
+    static baselineConfig(config) {
+        return {
+            ...config,
+            minimumHoldPeriod: 0,
+            maximumHoldPeriod: null,
+            cooldownPeriod: 0,
+            stopLossPercent: null,
+            takeProfitPercent: null,
+            trailingStopPercent: null,
+            atrStopMultiplier: null,
+            flipPosition: false
+        };
+    }
+
+    /**
+     * Place shuffled trades at uniformly random, non-overlapping positions
+     * Trades are separated by at least one bar; if they cannot all fit,
+     * the longest are dropped until they do
+     * @param {Array<Object>} template - { bars, side } per trade
+     * @param {number} length - Number of bars in the series
+     * @param {Object} random - SeededRandom instance
+     * @returns {Array<Object>} { entry, exit, side } bar indices in time order
+     */
+    static randomSchedule(template, length, random) {
+        const trades = template.slice();
+        for (let i = trades.length - 1; i > 0; i--) {
+            const j = random.nextInt(0, i);
+            [trades[i], trades[j]] = [trades[j], trades[i]];
+        }
+
+        const needed = () => trades.reduce((sum, t) => sum + t.bars, 0) + Math.max(0, trades.length - 1);
+        while (trades.length > 0 && needed() > length - 1) {
+            const longest = trades.reduce((max, t, i) => (t.bars > trades[max].bars ? i : max), 0);
+            trades.splice(longest, 1);
+        }
+
+        const slack = length - 1 - needed();
+        const offsets = trades.map(() => random.nextInt(0, slack)).sort((a, b) => a - b);
+
+        let cursor = 0;
+        return trades.map((trade, i) => {
+            const entry = cursor + offsets[i];
+            const exit = entry + trade.bars;
+            cursor += trade.bars + 1;
+            return { entry: entry, exit: exit, side: trade.side };
+        });
+    }
+
+    /**
+     * Position of an observed value within a simulated distribution
+     * @param {number} observed - Value achieved by the strategy
+     * @param {Array<number>} samples - Simulated values
+     * @returns {Object} { observed, mean, median, p5, p95, percentile, pValue }
+     */
+    static rank(observed, samples) {
+        const sorted = samples.slice().sort((a, b) => a - b);
+        const below = sorted.filter(v => v < observed).length;
+        const ties = sorted.filter(v => v === observed).length;
+        const atLeast = sorted.length - below;
+
+        return {
+            observed: observed,
+            mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+            median: this.quantile(sorted, 0.5),
+            p5: this.quantile(sorted, 0.05),
+            p95: this.quantile(sorted, 0.95),
+            percentile: ((below + ties / 2) / sorted.length) * 100,
+            // One-sided: chance a random strategy does at least as well
+            pValue: (atLeast + 1) / (sorted.length + 1)
+        };
+    }
+
+    /**
+     * Linear-interpolated quantile of a sorted array
+     * @param {Array<number>} sorted - Ascending values
+     * @param {number} q - Quantile in [0, 1]
+     * @returns {number} Quantile value
+     */
+    static quantile(sorted, q) {
+        if (sorted.length === 0) return 0;
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+}
+
+MonteCarloBaseline.ScheduledEntryStrategy = ScheduledEntryStrategy;
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarloBaseline;
+} else if (typeof window !== 'undefined') {
+    window.MonteCarloBaseline = MonteCarloBaseline;
+}
@@ -0,0 +1,327 @@
+/**
+ * Performance Metrics
+ * Pure metric functions shared by the backtest engine and the resampling
+ * analyses, so a bootstrap interval is computed exactly like its point estimate
+ */
+
+class PerformanceMetrics {
+
+    /**
+     * Period-over-period returns of a portfolio value series
+     * @param {Array<Object>} dailyPortfolio - Points with portfolioValue
+     * @returns {Array<number>} Simple returns, one fewer than the points
+     */
+    static periodReturns(dailyPortfolio) {
+        return dailyPortfolio.slice(1).map((day, i) => {
+            const previous = dailyPortfolio[i].portfolioValue;
+            // A wiped-out account earns nothing rather than dividing by zero
+            return previous > 0 ? (day.portfolioValue - previous) / previous : 0;
+        });
+    }
+
+    /**
+     * Period-over-period returns of the underlying asset (buy-and-hold benchmark)
+     * @param {Array<Object>} series - Points with price
+     * @returns {Array<number>} Simple price returns, empty when prices are missing
+     */
+    static priceReturns(series) {
+        if (series.some(point => !point.price)) return [];
+        return series.slice(1).map((point, i) => (point.price - series[i].price) / series[i].price);
+    }
+
+    /**
+     * Mean of a series
+     * @param {Array<number>} values - Input values
+     * @returns {number} Mean, 0 for an empty series
+     */
+    static mean(values) {
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    }
+
+    /**
+     * Subtract a benchmark rate from each period return
+     * @param {Array<number>} returns - Period returns
+     * @param {number|Array<number>} rate - Per-period rate, constant or one per return
+     * @returns {Array<number>} Excess returns
+     */
+    static excessReturns(returns, rate = 0) {
+        return returns.map((r, i) => r - (Array.isArray(rate) ? rate[i] || 0 : rate));
+    }
+
+    /**
+     * Annualized Sharpe ratio of returns in excess of the risk-free rate
+     * (population standard deviation)
+     * @param {Array<number>} returns - Period returns
+     * @param {number} periodsPerYear - Annualization factor
+     * @param {number|Array<number>} riskFree - Per-period risk-free return, constant or one per return
+     * @returns {number} Sharpe ratio, 0 without variation
+     */
+    static sharpeRatio(returns, periodsPerYear = 252, riskFree = 0) {
+        const excess = this.excessReturns(returns, riskFree);
+        const avg = this.mean(excess);
+        const stdDev = Math.sqrt(this.mean(excess.map(r => Math.pow(r - avg, 2))));
+        return stdDev > 0 ? (avg / stdDev) * Math.sqrt(periodsPerYear) : 0;
+    }
+
+    /**
+     * Annualized Sortino ratio; only returns below the target count as risk
+     * @param {Array<number>} returns - Period returns
+     * @param {number} periodsPerYear - Annualization factor
+     * @param {number|Array<number>} target - Minimum acceptable return per period, constant or one per return
+     * @returns {number} Sortino ratio, 0 without downside
+     */
+    static sortinoRatio(returns, periodsPerYear = 252, target = 0) {
+        const excess = this.excessReturns(returns, target);
+        const downside = excess.filter(r => r < 0);
+        const downsideDeviation = downside.length > 0
+            ? Math.sqrt(this.mean(downside.map(r => r * r)))
+            : 0;
+        return downsideDeviation > 0 ? (this.mean(excess) / downsideDeviation) * Math.sqrt(periodsPerYear) : 0;
+    }
+
+    /**
+     * Bars per year implied by a dated series' bar interval
+     * Uses the median gap between bars so a few missing days do not skew it.
+     * Daily bars that never fall on a weekend follow the 252-day trading
+     * calendar; otherwise the year is 365.25 days of bars (365 for daily crypto).
+     * @param {Array<Object>} series - Points with a date
+     * @param {number} fallback - Used when the series has no usable dates
+     * @returns {number} Periods per year
+     */
+    static detectPeriodsPerYear(series, fallback = 252) {
+        if (!series || series.length < 2 || !series[0].date) return fallback;
+
+        const times = series.map(point => new Date(point.date).getTime());
+        const gaps = times.slice(1).map((time, i) => (time - times[i]) / (1000 * 60 * 60 * 24)).sort((a, b) => a - b);
+        const medianDays = gaps[Math.floor(gaps.length / 2)];
+        if (!isFinite(medianDays) || medianDays <= 0) return fallback;
+
+        const tradesWeekends = times.some(time => [0, 6].includes(new Date(time).getUTCDay()));
+        if (Math.round(medianDays) === 1 && !tradesWeekends) return 252;
+        return Math.round(365.25 / medianDays);
+    }
+
+    /**
+     * Annual rate in effect over each interval of a series
+     * A rate series is a step function: each entry applies from its date
+     * until the next one, and the first entry also covers earlier dates.
+     * @param {Array<Object>} series - Points with a date
+     * @param {number|Array<Object>|Object} rate - Annual percent: a constant,
+     *        [{ date, rate }], or { rates: [{ date, rate }] } as loaded from a rate file
+     * @returns {Array<number>} Annual percent per interval, one fewer than the points
+     */
+    static annualRates(series, rate = 0) {
+        const intervals = Math.max(0, series.length - 1);
+        const table = Array.isArray(rate) ? rate : rate && rate.rates;
+        if (!table || table.length === 0) return new Array(intervals).fill(Number(rate) || 0);
+
+        const sorted = table.slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+        let cursor = 0;
+        return series.slice(0, intervals).map(point => {
+            const time = new Date(point.date).getTime();
+            while (cursor + 1 < sorted.length && new Date(sorted[cursor + 1].date).getTime() <= time) cursor++;
+            return sorted[cursor].rate;
+        });
+    }
+
+    /**
+     * Convert an annual percent rate to a compounded per-period return
+     * @param {number} annualPercent - Annual rate in percent
+     * @param {number} periodsPerYear - Periods per year
+     * @returns {number} Per-period return as a fraction
+     */
+    static ratePerPeriod(annualPercent, periodsPerYear) {
+        return Math.pow(1 + annualPercent / 100, 1 / periodsPerYear) - 1;
+    }
+
+    /**
+     * Compounded total return of a return series
+     * @param {Array<number>} returns - Period returns
+     * @returns {number} Total return in percent
+     */
+    static totalReturn(returns) {
+        return (returns.reduce((value, r) => value * (1 + r), 1) - 1) * 100;
+    }
+
+    /**
+     * Largest peak-to-trough fall of the equity path implied by a return series
+     * @param {Array<number>} returns - Period returns
+     * @returns {number} Maximum drawdown in percent
+     */
+    static maxDrawdown(returns) {
+        let value = 1;
+        let peak = 1;
+        let maxDrawdown = 0;
+        returns.forEach(r => {
+            value *= 1 + r;
+            peak = Math.max(peak, value);
+            maxDrawdown = Math.max(maxDrawdown, ((peak - value) / peak) * 100);
+        });
+        return maxDrawdown;
+    }
+
+    /**
+     * Calendar days between the first and last dated points of a series
+     * @param {Array<Object>} series - Points with a date
+     * @returns {number} Elapsed days, 0 when undated or shorter than two points
+     */
+    static elapsedDays(series) {
+        if (!series || series.length < 2 || !series[0].date) return 0;
+        const days = (new Date(series[series.length - 1].date) - new Date(series[0].date)) / (1000 * 60 * 60 * 24);
+        return isFinite(days) && days > 0 ? days : 0;
+    }
+
+    /**
+     * Compound annual growth rate
+     * @param {number} totalReturn - Total return in percent
+     * @param {number} days - Calendar days the return was earned over
+     * @returns {number|null} Annualized return in percent, null for a period under one day
+     */
+    static annualizedReturn(totalReturn, days) {
+        if (!days || days < 1) return null;
+        const growth = 1 + totalReturn / 100;
+        return growth > 0 ? (Math.pow(growth, 365.25 / days) - 1) * 100 : -100;
+    }
+
+    /**
+     * Calmar ratio: annualized return over maximum drawdown
+     * @param {number|null} annualReturn - CAGR in percent
+     * @param {number} maxDrawdown - Maximum drawdown in percent
+     * @returns {number} Calmar ratio, 0 without a drawdown or a defined CAGR
+     */
+    static calmarRatio(annualReturn, maxDrawdown) {
+        return annualReturn === null || !maxDrawdown ? 0 : annualReturn / maxDrawdown;
+    }
+
+    /**
+     * Ulcer index: root mean square of percentage drawdowns from the running peak
+     * @param {Array<number>} values - Portfolio values
+     * @returns {number} Ulcer index in percent
+     */
+    static ulcerIndex(values) {
+        if (values.length === 0) return 0;
+        let peak = values[0];
+        const squared = values.map(value => {
+            peak = Math.max(peak, value);
+            return Math.pow(((peak - value) / peak) * 100, 2);
+        });
+        return Math.sqrt(this.mean(squared));
+    }
+
+    /**
+     * Tail ratio: size of the 95th percentile return over the size of the 5th percentile return
+     * @param {Array<number>} returns - Period returns
+     * @returns {number} Tail ratio, 0 when the left tail is flat
+     */
+    static tailRatio(returns) {
+        if (returns.length === 0) return 0;
+        const sorted = returns.slice().sort((a, b) => a - b);
+        const at = q => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+        const leftTail = Math.abs(at(0.05));
+        return leftTail > 0 ? Math.abs(at(0.95)) / leftTail : 0;
+    }
+
+    /**
+     * Beta, correlation and annualized Jensen's alpha of strategy returns
+     * against benchmark returns, both in excess of the risk-free rate
+     * @param {Array<number>} returns - Strategy period returns
+     * @param {Array<number>} benchmarkReturns - Benchmark period returns, same length
+     * @param {number} periodsPerYear - Annualization factor for alpha
+     * @param {number|Array<number>} riskFree - Per-period risk-free return, constant or one per return
+     * @returns {Object} { alpha (percent per year), beta, correlation }
+     */
+    static regression(returns, benchmarkReturns, periodsPerYear = 252, riskFree = 0) {
+        const n = Math.min(returns.length, benchmarkReturns.length);
+        if (n < 2) return { alpha: 0, beta: 0, correlation: 0 };
+
+        const strategy = this.excessReturns(returns.slice(0, n), riskFree);
+        const benchmark = this.excessReturns(benchmarkReturns.slice(0, n), riskFree);
+        const strategyMean = this.mean(strategy);
+        const benchmarkMean = this.mean(benchmark);
+
+        let covariance = 0;
+        let benchmarkVariance = 0;
+        let strategyVariance = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (strategy[i] - strategyMean) * (benchmark[i] - benchmarkMean);
+            benchmarkVariance += Math.pow(benchmark[i] - benchmarkMean, 2);
+            strategyVariance += Math.pow(strategy[i] - strategyMean, 2);
+        }
+
+        const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : 0;
+        const correlation = benchmarkVariance > 0 && strategyVariance > 0
+            ? covariance / Math.sqrt(benchmarkVariance * strategyVariance)
+            : 0;
+        return {
+            alpha: (strategyMean - beta * benchmarkMean) * periodsPerYear * 100,
+            beta: beta,
+            correlation: correlation
+        };
+    }
+
+    /**
+     * Share of bars spent holding a position
+     * @param {Array<Object>} dailyPortfolio - Points with position ('CASH' when flat)
+     * @returns {number} Exposure in percent
+     */
+    static exposure(dailyPortfolio) {
+        if (dailyPortfolio.length === 0) return 0;
+        const invested = dailyPortfolio.filter(d => d.position && d.position !== 'CASH').length;
+        return (invested / dailyPortfolio.length) * 100;
+    }
+
+    /**
+     * Annual turnover: traded notional (entries plus exits) per year as a
+     * multiple of average equity
+     * @param {Array<Object>} trades - Closed trades with capital and exitCapital
+     * @param {Array<number>} values - Portfolio values
+     * @param {number} days - Calendar days covered
+     * @returns {number} Turnover multiple per year
+     */
+    static turnover(trades, values, days) {
+        const averageEquity = this.mean(values);
+        if (averageEquity <= 0 || !days) return 0;
+        const traded = trades.reduce((sum, t) => sum + (t.capital || 0) + (t.exitCapital || 0), 0);
+        return (traded / averageEquity) * (365.25 / days);
+    }
+
+    /**
+     * Share of trades with a positive profit
+     * @param {Array<Object>} trades - Closed trades with profit
+     * @returns {number} Win rate in percent
+     */
+    static winRate(trades) {
+        return trades.length > 0 ? (trades.filter(t => t.profit > 0).length / trades.length) * 100 : 0;
+    }
+
+    /**
+     * Average winning and losing trade, in percent of committed capital
+     * @param {Array<Object>} trades - Closed trades with profit and profitPercent
+     * @returns {Object} { avgWin, avgLoss } with avgLoss as a positive number
+     */
+    static averageWinLoss(trades) {
+        const wins = trades.filter(t => t.profit > 0);
+        const losses = trades.filter(t => t.profit < 0);
+        return {
+            avgWin: this.mean(wins.map(t => t.profitPercent)),
+            avgLoss: this.mean(losses.map(t => Math.abs(t.profitPercent)))
+        };
+    }
+
+    /**
+     * Average win over average loss
+     * @param {Array<Object>} trades - Closed trades with profit and profitPercent
+     * @returns {number} Ratio; Infinity with wins and no losses, 0 with neither
+     */
+    static profitFactor(trades) {
+        const { avgWin, avgLoss } = this.averageWinLoss(trades);
+        return avgLoss > 0 ? avgWin / avgLoss : avgWin > 0 ? Infinity : 0;
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PerformanceMetrics;
+} else if (typeof window !== 'undefined') {
+    window.PerformanceMetrics = PerformanceMetrics;
+}
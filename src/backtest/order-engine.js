@@ -0,0 +1,223 @@
+/**
+ * Order Engine for the Vortex Backtester
+ * Holds working orders and fills them bar by bar against each bar's
+ * open/high/low/close range. Supports market, limit, stop and stop-limit
+ * orders with good-till-cancelled or day time in force, and partial fills
+ * for limits the bar only just traded through.
+ *
+ * Bars without high/low (close-only data) are treated as a range spanning
+ * the open and the close, so a limit either trades through fully or not at all.
+ */
+
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop-limit'];
+
+class OrderEngine {
+
+    constructor(config = {}) {
+        this.config = {
+            partialFills: true,  // Fill limits in proportion to how far the bar traded through them
+            ...config
+        };
+        this.reset();
+    }
+
+    /**
+     * Drop every order and restart ids
+     */
+    reset() {
+        this.orders = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Submit an order
+     * @param {Object} order - Order request
+     * @param {string} order.side - 'BUY' or 'SELL'
+     * @param {string} order.type - 'market', 'limit', 'stop' or 'stop-limit' (default 'market')
+     * @param {number} order.limitPrice - Limit price (limit and stop-limit)
+     * @param {number} order.stopPrice - Trigger price (stop and stop-limit)
+     * @param {string} order.timeInForce - 'gtc' or 'day' (default 'gtc'); day orders expire after their first active bar
+     * @param {number} order.activeFrom - First bar index the order can fill on
+     * @param {string} order.fillAt - Market fill reference, 'close' or 'open' (default 'close')
+     * @param {number} order.quantity - Amount to fill (default 1, the whole intended trade)
+     * @returns {Object} The working order, including its id
+     */
+    submit(order) {
+        const type = order.type || 'market';
+        if (!ORDER_TYPES.includes(type)) {
+            throw new Error(`Unknown order type: ${type}. Available: ${ORDER_TYPES.join(', ')}`);
+        }
+        if (order.side !== 'BUY' && order.side !== 'SELL') {
+            throw new Error(`Order side must be BUY or SELL, got ${order.side}`);
+        }
+        if ((type === 'limit' || type === 'stop-limit') && !(order.limitPrice > 0)) {
+            throw new Error(`A ${type} order needs a positive limitPrice`);
+        }
+        if ((type === 'stop' || type === 'stop-limit') && !(order.stopPrice > 0)) {
+            throw new Error(`A ${type} order needs a positive stopPrice`);
+        }
+
+        const working = {
+            timeInForce: 'gtc',
+            fillAt: 'close',
+            quantity: 1,
+            activeFrom: 0,
+            ...order,
+            id: this.nextId++,
+            type: type,
+            filled: 0,
+            triggered: type !== 'stop' && type !== 'stop-limit',
+            status: 'open',
+            fills: []
+        };
+        this.orders.push(working);
+        return working;
+    }
+
+    /**
+     * Cancel a working order by id
+     * @param {number} id - Order id
+     * @returns {boolean} True when an open order was cancelled
+     */
+    cancel(id) {
+        const order = this.orders.find(o => o.id === id && o.status === 'open');
+        if (!order) return false;
+        order.status = 'cancelled';
+        return true;
+    }
+
+    /**
+     * Cancel every open order matching a predicate
+     * @param {Function} predicate - (order) => boolean (default all)
+     * @returns {number} Number of orders cancelled
+     */
+    cancelWhere(predicate = () => true) {
+        const matching = this.open(predicate);
+        matching.forEach(order => { order.status = 'cancelled'; });
+        return matching.length;
+    }
+
+    /**
+     * Open orders, optionally filtered
+     * @param {Function} predicate - (order) => boolean (default all)
+     * @returns {Array<Object>} Open orders in submission order
+     */
+    open(predicate = () => true) {
+        return this.orders.filter(o => o.status === 'open' && predicate(o));
+    }
+
+    /**
+     * Open/high/low/close of a bar, falling back to the close-only price
+     * @param {Object} bar - Price bar ({price} or {open, high, low, close})
+     * @returns {Object} { open, high, low, close }
+     */
+    static range(bar) {
+        const close = bar.close ?? bar.price;
+        const open = bar.open ?? close;
+        return {
+            open: open,
+            high: bar.high ?? Math.max(open, close),
+            low: bar.low ?? Math.min(open, close),
+            close: close
+        };
+    }
+
+    /**
+     * Evaluate one order against one bar without changing it
+     * @param {Object} order - Working order
+     * @param {Object} bar - Price bar
+     * @returns {Object|null} { price, fraction, triggered, liquidity } or null when nothing fills
+     */
+    evaluate(order, bar) {
+        const { open, high, low, close } = OrderEngine.range(bar);
+        const isBuy = order.side === 'BUY';
+
+        if (order.type === 'market') {
+            // Market orders take whatever liquidity side the account is configured for
+            return { price: order.fillAt === 'open' ? open : close, fraction: 1, triggered: true, liquidity: null };
+        }
+
+        // Stops trigger when the bar trades through them; a gap fills at the (worse) open
+        let triggered = order.triggered;
+        let triggerPrice = null;
+        if (!triggered) {
+            const crossed = isBuy ? high >= order.stopPrice : low <= order.stopPrice;
+            if (!crossed) return null;
+            triggered = true;
+            triggerPrice = isBuy ? Math.max(open, order.stopPrice) : Math.min(open, order.stopPrice);
+        }
+
+        if (order.type === 'stop') {
+            return { price: triggerPrice ?? open, fraction: 1, triggered: true, liquidity: 'taker' };
+        }
+
+        // Limit (or a triggered stop-limit): only at the limit or better
+        const limit = order.limitPrice;
+        const reached = isBuy ? low < limit || open <= limit : high > limit || open >= limit;
+        if (!reached) return triggered !== order.triggered ? { price: null, fraction: 0, triggered: true } : null;
+
+        // A stop-limit triggered inside its limit fills at the trigger price like a stop
+        if (triggerPrice !== null && (isBuy ? triggerPrice <= limit : triggerPrice >= limit)) {
+            return { price: triggerPrice, fraction: 1, triggered: true, liquidity: 'taker' };
+        }
+
+        // Gapping through the limit fills everything at the better open
+        if (isBuy ? open <= limit : open >= limit) {
+            return { price: open, fraction: 1, triggered: true, liquidity: 'maker' };
+        }
+
+        const span = high - low;
+        const depth = isBuy ? limit - low : high - limit;
+        const fraction = this.config.partialFills && span > 0 ? Math.min(1, depth / span) : 1;
+        return { price: limit, fraction: fraction, triggered: true, liquidity: 'maker' };
+    }
+
+    /**
+     * Fill working orders against a bar
+     * Each order is evaluated at most once per bar, so calling this again
+     * after new submissions only fills the new orders.
+     * @param {Object} bar - Price bar
+     * @param {number} index - Bar index
+     * @param {Function} onFill - Optional (fill) => boolean called as each order fills;
+     *   returning false rejects the fill and leaves the order working
+     * @returns {Array<Object>} Accepted fills: { order, price, quantity, fraction, liquidity, complete, index }
+     */
+    process(bar, index, onFill = null) {
+        const fills = [];
+
+        this.open(o => o.activeFrom <= index && o.lastProcessed !== index).forEach(order => {
+            // An earlier fill on this bar may have cancelled it
+            if (order.status !== 'open') return;
+            order.lastProcessed = index;
+            const result = this.evaluate(order, bar);
+            if (result) order.triggered = result.triggered;
+
+            if (result && result.fraction > 0) {
+                const quantity = (order.quantity - order.filled) * result.fraction;
+                const complete = order.filled + quantity >= order.quantity - 1e-12;
+                const fill = { order, price: result.price, quantity, fraction: quantity / order.quantity, liquidity: result.liquidity, complete, index };
+
+                if (!onFill || onFill(fill) !== false) {
+                    order.filled += quantity;
+                    if (complete) order.status = 'filled';
+                    order.fills.push({ index, price: result.price, quantity });
+                    fills.push(fill);
+                }
+            }
+
+            // Day orders get one bar to work
+            if (order.status === 'open' && order.timeInForce === 'day') {
+                order.status = order.filled > 0 ? 'partially-filled' : 'expired';
+            }
+        });
+
+        return fills;
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderEngine;
+} else if (typeof window !== 'undefined') {
+    window.OrderEngine = OrderEngine;
+}
@@ -0,0 +1,173 @@
+/**
+ * Parameter Optimizer for the Vortex Strategy
+ * Sweeps buy/sell/hold digital roots crossed with the Tesla and doubling
+ * sequence filters, and ranks every combination by a chosen objective
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var VS = null;
+var VM = null;
+if (typeof module !== 'undefined' && module.exports) {
+    VS = require('../strategies/vortex-strategy.js');
+    VM = require('../core/vortex-math.js');
+} else if (typeof window !== 'undefined') {
+    if (window.VortexStrategy && !VS) {
+        VS = window.VortexStrategy;
+    }
+    if (window.VortexMath && !VM) {
+        VM = window.VortexMath;
+    }
+}
+
+class ParameterOptimizer {
+
+    /**
+     * Every parameter combination in the sweep
+     * @param {Object} options - Sweep ranges
+     * @param {number} options.base - Number base whose roots are swept (default 10)
+     * @param {Array<number>} options.buySignals - Buy roots (default 1-9, or 1..b-1 in base b)
+     * @param {Array<number>} options.sellSignals - Sell roots (default every root)
+     * @param {Array<number>} options.holdSignals - Hold roots (default every root)
+     * @param {Array<boolean>} options.teslaFilter - Tesla filter settings (default both)
+     * @param {Array<boolean>} options.sequenceFilter - Sequence filter settings (default both)
+     * @returns {Array<Object>} Strategy parameter sets
+     */
+    static combinations(options = {}) {
+        const allRoots = VM.baseEngine(options.base ?? 10).roots;
+        const combos = [];
+        (options.buySignals || allRoots).forEach(buySignal => {
+            (options.sellSignals || allRoots).forEach(sellSignal => {
+                (options.holdSignals || allRoots).forEach(holdSignal => {
+                    (options.teslaFilter || [true, false]).forEach(useTeslaFilter => {
+                        (options.sequenceFilter || [true, false]).forEach(useSequenceFilter => {
+                            combos.push({ buySignal, sellSignal, holdSignal, useTeslaFilter, useSequenceFilter });
+                        });
+                    });
+                });
+            });
+        });
+        return combos;
+    }
+
+    /**
+     * Backtest one parameter combination
+     * Signal rules in baseConfig are dropped: they would replace the swept roots
+     * and filters, making every combination the same strategy.
+     * @param {Array} priceData - Price series with digital roots
+     * @param {Object} params - Root and filter parameters
+     * @param {Object} baseConfig - Shared strategy config (costs, sizing, exits)
+     * @param {number} initialCapital - Starting capital
+     * @returns {Object} Parameters with the objective metrics
+     */
+    static evaluate(priceData, params, baseConfig = {}, initialCapital = 10000) {
+        const strategy = new VS({ ...baseConfig, ...params, rules: null });
+        const results = strategy.backtest(priceData, initialCapital);
+        const performance = results.performance;
+
+        return {
+            params: params,
+            totalReturn: performance.totalReturn,
+            sharpeRatio: performance.sharpeRatio,
+            sortinoRatio: performance.sortinoRatio,
+            calmarRatio: performance.calmarRatio,
+            maxDrawdown: performance.maxDrawdown,
+            totalTrades: performance.totalTrades,
+            winRate: performance.winRate,
+            finalCapital: results.finalCapital
+        };
+    }
+
+    /**
+     * Run the full sweep
+     * @param {Array} priceData - Price series with digital roots
+     * @param {Object} options - Sweep ranges (see combinations) plus:
+     * @param {string} options.objective - 'totalReturn', 'sharpeRatio', 'sortinoRatio' or 'calmarRatio'
+     * @param {Object} options.baseConfig - Shared strategy config; its number base also sets the swept roots
+     * @param {number} options.initialCapital - Starting capital
+     * @param {Function} options.onProgress - Optional (done, total) callback
+     * @returns {Object} { objective, runs, results (ranked), best }
+     */
+    static run(priceData, options = {}) {
+        const objective = options.objective || 'totalReturn';
+        this.validateObjective(objective);
+
+        const combos = this.combinations({ base: options.baseConfig?.base, ...options });
+        const rows = combos.map((params, i) => {
+            const row = this.evaluate(priceData, params, options.baseConfig, options.initialCapital);
+            if (options.onProgress) options.onProgress(i + 1, combos.length);
+            return row;
+        });
+
+        const results = this.rank(rows, objective);
+        return {
+            objective: objective,
+            runs: results.length,
+            results: results,
+            best: results[0] || null
+        };
+    }
+
+    /**
+     * Sort rows best-first by the objective and number them
+     * @param {Array<Object>} rows - Evaluated combinations
+     * @param {string} objective - Metric to rank by
+     * @returns {Array<Object>} Rows with a 1-based rank, best first
+     */
+    static rank(rows, objective) {
+        this.validateObjective(objective);
+        const score = row => (Number.isNaN(row[objective]) ? -Infinity : row[objective]);
+        return rows
+            .slice()
+            .sort((a, b) => score(b) - score(a) || b.totalReturn - a.totalReturn)
+            .map((row, i) => ({ rank: i + 1, ...row }));
+    }
+
+    /**
+     * Best objective value for each buy/sell root pair, taken over the
+     * hold roots and filter settings
+     * @param {Array<Object>} rows - Evaluated combinations
+     * @param {string} objective - Metric to map
+     * @returns {Object} { buySignals, sellSignals, values[buyIndex][sellIndex] } with null for untested pairs
+     */
+    static heatmap(rows, objective) {
+        this.validateObjective(objective);
+        const buySignals = [...new Set(rows.map(r => r.params.buySignal))].sort((a, b) => a - b);
+        const sellSignals = [...new Set(rows.map(r => r.params.sellSignal))].sort((a, b) => a - b);
+        const values = buySignals.map(() => sellSignals.map(() => null));
+
+        rows.forEach(row => {
+            const b = buySignals.indexOf(row.params.buySignal);
+            const s = sellSignals.indexOf(row.params.sellSignal);
+            if (values[b][s] === null || row[objective] > values[b][s]) values[b][s] = row[objective];
+        });
+
+        return { buySignals, sellSignals, values };
+    }
+
+    /**
+     * Throw for objectives the optimizer cannot rank by
+     * @param {string} objective - Requested objective
+     */
+    static validateObjective(objective) {
+        if (!this.objectives[objective]) {
+            throw new Error(`Unknown objective: ${objective}. Available: ${Object.keys(this.objectives).join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Objectives the optimizer can rank by, with display labels
+ */
+ParameterOptimizer.objectives = {
+    totalReturn: 'Total return',
+    sharpeRatio: 'Sharpe ratio',
+    sortinoRatio: 'Sortino ratio',
+    calmarRatio: 'Calmar ratio'
+};
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParameterOptimizer;
+} else if (typeof window !== 'undefined') {
+    window.ParameterOptimizer = ParameterOptimizer;
+}
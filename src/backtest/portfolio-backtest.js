@@ -0,0 +1,292 @@
+/**
+ * Multi-Asset Portfolio Backtest
+ * Runs a strategy on each asset's own digital-root signals and combines the
+ * results into one capital pool. Each asset is a sleeve that compounds at its
+ * strategy's bar-by-bar return; rebalancing moves capital between sleeves back
+ * to the target weights. Calendars are aligned by date, so an asset with a
+ * later history (SOL from 2021) joins the pool when its data begins.
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var SR = null;
+var PM = null;
+if (typeof module !== 'undefined' && module.exports) {
+    SR = require('../strategies/strategy-registry.js');
+    PM = require('../analysis/performance-metrics.js');
+} else if (typeof window !== 'undefined') {
+    if (window.StrategyRegistry && !SR) {
+        SR = window.StrategyRegistry;
+    }
+    if (window.PerformanceMetrics && !PM) {
+        PM = window.PerformanceMetrics;
+    }
+}
+
+class PortfolioBacktest {
+
+    /**
+     * Normalize allocation weights over the given assets
+     * @param {Array<string>} assets - Asset names
+     * @param {Object} weights - Optional { asset: weight }; missing weights default to equal
+     * @returns {Object} Weights summing to 1
+     */
+    static normalizeWeights(assets, weights = {}) {
+        const raw = {};
+        assets.forEach(asset => {
+            const weight = weights[asset] ?? 1 / assets.length;
+            if (!isFinite(weight) || weight < 0) throw new Error(`Invalid weight for ${asset}: ${weights[asset]}`);
+            raw[asset] = weight;
+        });
+
+        const total = assets.reduce((sum, asset) => sum + raw[asset], 0);
+        if (total <= 0) throw new Error('Portfolio weights must sum to more than zero');
+        assets.forEach(asset => { raw[asset] /= total; });
+        return raw;
+    }
+
+    /**
+     * Sorted union of every asset's dates
+     * @param {Object} datasets - { asset: priceData }
+     * @returns {Array<string>} Dates in order
+     */
+    static calendar(datasets) {
+        const dates = new Set();
+        Object.values(datasets).forEach(data => data.forEach(d => dates.add(d.date)));
+        return Array.from(dates).sort((a, b) => new Date(a) - new Date(b));
+    }
+
+    /**
+     * Target weights over the assets that have started trading, rescaled to sum to 1
+     * @param {Object} weights - Normalized weights for all assets
+     * @param {Array<string>} active - Assets with data so far
+     * @returns {Object} { asset: weight } for the active assets
+     */
+    static activeTargets(weights, active) {
+        const total = active.reduce((sum, asset) => sum + weights[asset], 0);
+        const targets = {};
+        active.forEach(asset => { targets[asset] = total > 0 ? weights[asset] / total : 1 / active.length; });
+        return targets;
+    }
+
+    /**
+     * Whether the sleeves should be rebalanced on this bar
+     * @param {Object} state - { lastRebalanceDate, weights (current), targets }
+     * @param {string} date - Current date
+     * @param {Object} options - Rebalancing options
+     * @returns {boolean} True when a rebalance is due
+     */
+    static rebalanceDue(state, date, options) {
+        if (options.rebalance === 'periodic') {
+            const days = (new Date(date) - new Date(state.lastRebalanceDate)) / (1000 * 60 * 60 * 24);
+            return days >= options.rebalanceEvery;
+        }
+        if (options.rebalance === 'threshold') {
+            return Object.keys(state.targets).some(asset =>
+                Math.abs(state.weights[asset] - state.targets[asset]) * 100 > options.rebalanceThreshold
+            );
+        }
+        return false;
+    }
+
+    /**
+     * Run the portfolio backtest
+     * @param {Object} datasets - { asset: priceData } with dates and digital roots
+     * @param {Object} options - Portfolio options
+     * @param {string} options.strategy - Registered strategy name (default 'vortex')
+     * @param {Object} options.strategyConfig - Config shared by every asset's strategy
+     * @param {Object} options.weights - Target weights (default equal)
+     * @param {string} options.rebalance - 'none', 'periodic' or 'threshold' (default 'none')
+     * @param {number} options.rebalanceEvery - Days between periodic rebalances (default 30)
+     * @param {number} options.rebalanceThreshold - Drift in percentage points that triggers a threshold rebalance (default 5)
+     * @param {number} options.initialCapital - Shared starting capital (default 10000)
+     * @returns {Object} { dailyPortfolio, assets, rebalances, performance, finalCapital, totalReturn }
+     */
+    static run(datasets, options = {}) {
+        const assets = Object.keys(datasets).filter(asset => datasets[asset] && datasets[asset].length > 0);
+        if (assets.length === 0) throw new Error('Portfolio backtest needs at least one asset with data');
+
+        const settings = {
+            strategy: 'vortex',
+            strategyConfig: {},
+            rebalance: 'none',
+            rebalanceEvery: 30,
+            rebalanceThreshold: 5,
+            initialCapital: 10000
+        };
+        // Options left undefined (e.g. unset CLI flags) keep their defaults
+        Object.keys(options).forEach(key => {
+            if (options[key] !== undefined) settings[key] = options[key];
+        });
+        if (!['none', 'periodic', 'threshold'].includes(settings.rebalance)) {
+            throw new Error(`Unknown rebalance mode: ${settings.rebalance}. Available: none, periodic, threshold`);
+        }
+        const weights = this.normalizeWeights(assets, settings.weights);
+
+        // Each asset's strategy runs on its own series; its equity curve becomes the sleeve's return stream
+        const streams = {};
+        assets.forEach(asset => {
+            const strategy = SR.create(settings.strategy, settings.strategyConfig);
+            const results = strategy.backtest(datasets[asset], settings.initialCapital);
+            const byDate = new Map();
+            results.dailyPortfolio.forEach(day => byDate.set(day.date, day));
+            streams[asset] = { strategy, results, byDate, previous: null };
+        });
+
+        // Moving capital in or out of an invested sleeve trades the position, so it pays the strategy's costs
+        const reference = streams[assets[0]].strategy;
+        const costRate = reference.costModel.feeRate() + reference.costModel.slippageRate();
+
+        const sleeves = {};
+        const contributions = {};
+        assets.forEach(asset => { contributions[asset] = 0; });
+        const rebalances = [];
+        const dailyPortfolio = [];
+        let cash = settings.initialCapital;  // Held until the first asset starts trading
+        let maxValue = settings.initialCapital;
+        let rebalanceCosts = 0;
+        let lastRebalanceDate = null;
+
+        const rebalanceTo = (targets, date, reason) => {
+            const total = cash + Object.values(sleeves).reduce((sum, v) => sum + v, 0);
+            let cost = 0;
+            Object.keys(targets).forEach(asset => {
+                const current = sleeves[asset] || 0;
+                const day = streams[asset].previous;
+                const investedShare = day && day.portfolioValue > 0 ? day.positionValue / day.portfolioValue : 0;
+                cost += Math.abs(total * targets[asset] - current) * investedShare * costRate;
+            });
+
+            const net = total - cost;
+            Object.keys(targets).forEach(asset => { sleeves[asset] = net * targets[asset]; });
+            cash = 0;
+            rebalanceCosts += cost;
+            lastRebalanceDate = date;
+            rebalances.push({ date, reason, cost, weights: { ...targets } });
+        };
+
+        this.calendar(datasets).forEach(date => {
+            // Grow each live sleeve by its strategy's return since its previous bar
+            assets.forEach(asset => {
+                const stream = streams[asset];
+                const day = stream.byDate.get(date);
+                if (!day) return;
+                if (stream.previous && sleeves[asset] !== undefined) {
+                    // A strategy wiped out to zero equity has no return to compound
+                    const previousValue = stream.previous.portfolioValue;
+                    const growth = previousValue > 0 ? day.portfolioValue / previousValue - 1 : 0;
+                    contributions[asset] += sleeves[asset] * growth;
+                    sleeves[asset] *= 1 + growth;
+                }
+                stream.previous = day;
+            });
+
+            const active = assets.filter(asset => streams[asset].previous);
+            const joined = active.filter(asset => sleeves[asset] === undefined);
+            const targets = this.activeTargets(weights, active);
+            const total = cash + active.reduce((sum, asset) => sum + (sleeves[asset] || 0), 0);
+            const current = {};
+            active.forEach(asset => { current[asset] = total > 0 ? (sleeves[asset] || 0) / total : 0; });
+
+            if (joined.length > 0) {
+                rebalanceTo(targets, date, `${joined.join(', ')} joined`);
+            } else if (active.length > 0 && this.rebalanceDue({ lastRebalanceDate, weights: current, targets }, date, settings)) {
+                rebalanceTo(targets, date, settings.rebalance);
+            }
+
+            const portfolioValue = cash + active.reduce((sum, asset) => sum + sleeves[asset], 0);
+            const invested = active.reduce((sum, asset) => {
+                const day = streams[asset].previous;
+                return sum + (day.portfolioValue > 0 ? sleeves[asset] * (day.positionValue / day.portfolioValue) : 0);
+            }, 0);
+            maxValue = Math.max(maxValue, portfolioValue);
+
+            const allocation = {};
+            active.forEach(asset => { allocation[asset] = portfolioValue > 0 ? sleeves[asset] / portfolioValue : 0; });
+            dailyPortfolio.push({
+                date: date,
+                portfolioValue: portfolioValue,
+                positionValue: invested,
+                position: invested > 0 ? 'INVESTED' : 'CASH',
+                allocation: allocation,
+                drawdown: ((maxValue - portfolioValue) / maxValue) * 100
+            });
+        });
+
+        const finalCapital = dailyPortfolio[dailyPortfolio.length - 1].portfolioValue;
+        return {
+            dailyPortfolio: dailyPortfolio,
+            rebalances: rebalances,
+            assets: this.assetReports(assets, streams, weights, contributions, settings.initialCapital),
+            performance: this.performance(dailyPortfolio, settings.initialCapital, rebalanceCosts, reference),
+            finalCapital: finalCapital,
+            totalReturn: ((finalCapital - settings.initialCapital) / settings.initialCapital) * 100
+        };
+    }
+
+    /**
+     * Per-asset summary: standalone strategy results and contribution to the portfolio return
+     * Contributions are the dollar P&L each sleeve added, as a percent of starting capital,
+     * so they sum to the portfolio return plus rebalancing costs.
+     * @param {Array<string>} assets - Asset names
+     * @param {Object} streams - Per-asset strategy results
+     * @param {Object} weights - Normalized target weights
+     * @param {Object} contributions - Dollar P&L per sleeve
+     * @param {number} initialCapital - Starting capital
+     * @returns {Object} { asset: { weight, start, end, signals, trades, standaloneReturn, contribution } }
+     */
+    static assetReports(assets, streams, weights, contributions, initialCapital) {
+        const reports = {};
+        assets.forEach(asset => {
+            const { results } = streams[asset];
+            reports[asset] = {
+                weight: weights[asset],
+                start: results.dailyPortfolio[0].date,
+                end: results.dailyPortfolio[results.dailyPortfolio.length - 1].date,
+                signals: results.signals,
+                trades: results.trades,
+                totalTrades: results.performance.totalTrades,
+                standaloneReturn: results.performance.totalReturn,
+                contribution: (contributions[asset] / initialCapital) * 100
+            };
+        });
+        return reports;
+    }
+
+    /**
+     * Combined portfolio metrics from the shared equity curve
+     * @param {Array<Object>} dailyPortfolio - Portfolio equity curve
+     * @param {number} initialCapital - Starting capital
+     * @param {number} rebalanceCosts - Costs paid moving capital between sleeves
+     * @param {Object} strategy - Strategy whose annualization and risk-free settings apply
+     * @returns {Object} Portfolio performance metrics
+     */
+    static performance(dailyPortfolio, initialCapital, rebalanceCosts, strategy) {
+        const returns = PM.periodReturns(dailyPortfolio);
+        const periodsPerYear = strategy.resolvePeriodsPerYear(dailyPortfolio);
+        const rates = strategy.periodRates(dailyPortfolio, periodsPerYear);
+        const finalCapital = dailyPortfolio[dailyPortfolio.length - 1].portfolioValue;
+        const totalReturn = ((finalCapital - initialCapital) / initialCapital) * 100;
+        const maxDrawdown = Math.max(...dailyPortfolio.map(d => d.drawdown));
+        const cagr = PM.annualizedReturn(totalReturn, PM.elapsedDays(dailyPortfolio));
+
+        return {
+            totalReturn: totalReturn,
+            cagr: cagr,
+            maxDrawdown: maxDrawdown,
+            calmarRatio: PM.calmarRatio(cagr, maxDrawdown),
+            sharpeRatio: PM.sharpeRatio(returns, periodsPerYear, rates.riskFree),
+            sortinoRatio: PM.sortinoRatio(returns, periodsPerYear, rates.mar),
+            ulcerIndex: PM.ulcerIndex(dailyPortfolio.map(d => d.portfolioValue)),
+            exposure: PM.exposure(dailyPortfolio),
+            periodsPerYear: periodsPerYear,
+            rebalanceCosts: rebalanceCosts
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioBacktest;
+} else if (typeof window !== 'undefined') {
+    window.PortfolioBacktest = PortfolioBacktest;
+}
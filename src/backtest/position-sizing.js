@@ -0,0 +1,124 @@
+/**
+ * Position Sizing for the Vortex Backtester
+ * Decides how much of the portfolio to commit when a position is opened
+ */
+
+class PositionSizer {
+
+    /**
+     * Capital to commit to a new position
+     * @param {Object} context - Sizing context
+     * @param {number} context.equity - Current portfolio value
+     * @param {number} context.cash - Uncommitted cash available
+     * @param {Array} context.priceData - Price series up to and including the entry bar
+     * @param {Array} context.trades - Closed trades so far
+     * @param {Object} config - Strategy configuration (sizingMethod and its parameters)
+     * @returns {number} Capital to commit, never more than the available cash or
+     *   maxPositionFraction of equity, whichever method sized it
+     */
+    static size(context, config = {}) {
+        const method = config.sizingMethod || 'all-in';
+        const sizer = this.methods[method];
+        if (!sizer) {
+            throw new Error(`Unknown sizing method: ${method}. Available: ${Object.keys(this.methods).join(', ')}`);
+        }
+
+        const amount = sizer(context, config);
+        if (!isFinite(amount) || amount <= 0) return 0;
+        const cap = (context.equity ?? context.cash) * (config.maxPositionFraction ?? 1);
+        return Math.max(0, Math.min(amount, cap, context.cash));
+    }
+
+    /**
+     * Register a custom sizing method
+     * @param {string} name - Method name used as config.sizingMethod
+     * @param {Function} sizer - (context, config) => capital to commit
+     */
+    static register(name, sizer) {
+        this.methods[name] = sizer;
+    }
+
+    /**
+     * Kelly fraction from the rolling win rate and payoff ratio
+     * f* = W - (1 - W) / R, scaled by kellyFraction and clamped to [0, maxPositionFraction]
+     * @param {Array} trades - Closed trades with profitPercent
+     * @param {Object} config - Kelly parameters
+     * @returns {number|null} Fraction of equity, or null when there are too few trades
+     */
+    static kellyFraction(trades, config = {}) {
+        const lookback = config.kellyLookback || 20;
+        const recent = trades.slice(-lookback);
+        if (recent.length < (config.kellyMinTrades || 5)) return null;
+
+        const wins = recent.filter(t => t.profitPercent > 0);
+        const losses = recent.filter(t => t.profitPercent < 0);
+        const winRate = wins.length / recent.length;
+        if (losses.length === 0) return config.maxPositionFraction ?? 1;
+        if (wins.length === 0) return 0;
+
+        const avgWin = wins.reduce((sum, t) => sum + t.profitPercent, 0) / wins.length;
+        const avgLoss = losses.reduce((sum, t) => sum + Math.abs(t.profitPercent), 0) / losses.length;
+        const kelly = winRate - (1 - winRate) / (avgWin / avgLoss);
+
+        const scaled = kelly * (config.kellyFraction ?? 0.5);
+        return Math.max(0, Math.min(config.maxPositionFraction ?? 1, scaled));
+    }
+
+    /**
+     * Annualized realized volatility of close-to-close returns
+     * @param {Array} priceData - Price series (uses the last lookback + 1 points)
+     * @param {number} lookback - Number of returns to use
+     * @param {number} periodsPerYear - Bars per year for annualization
+     * @returns {number|null} Annualized volatility as a fraction, or null with too little data
+     */
+    static realizedVolatility(priceData, lookback = 30, periodsPerYear = 365) {
+        const window = priceData.slice(-(lookback + 1));
+        if (window.length < 3) return null;
+
+        const returns = window.slice(1).map((d, i) => Math.log(d.price / window[i].price));
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+        return Math.sqrt(variance) * Math.sqrt(periodsPerYear);
+    }
+}
+
+/**
+ * Built-in sizing methods, each returning the capital to commit
+ * before size() applies the maxPositionFraction and cash caps
+ */
+PositionSizer.methods = {
+    // Legacy behaviour: commit every available dollar
+    'all-in': (context) => context.cash,
+
+    'fixed-fraction': (context, config) => context.equity * (config.sizingFraction ?? 1),
+
+    'fixed-notional': (context, config) => config.sizingNotional || 0,
+
+    // Falls back to sizingFraction until enough trades exist to estimate the edge.
+    // With no edge it still trades a small probe: the estimate comes from the
+    // strategy's own closed trades, so sizing at zero would freeze it there.
+    'kelly': (context, config) => {
+        const fraction = PositionSizer.kellyFraction(context.trades || [], config);
+        if (fraction === null) return context.equity * (config.sizingFraction ?? 1);
+        return context.equity * Math.max(fraction, config.kellyProbeFraction ?? 0.01);
+    },
+
+    'volatility-target': (context, config) => {
+        const volatility = PositionSizer.realizedVolatility(
+            context.priceData || [],
+            config.volatilityLookback || 30,
+            config.periodsPerYear || 365
+        );
+        if (!volatility) return context.equity * (config.sizingFraction ?? 1);
+
+        const fraction = (config.targetVolatility || 0.5) / volatility;
+        return context.equity * fraction;
+    }
+};
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PositionSizer;
+} else if (typeof window !== 'undefined') {
+    window.PositionSizer = PositionSizer;
+}
@@ -0,0 +1,113 @@
+/**
+ * Transaction Cost Model for the Vortex Backtester
+ * Converts quoted prices into executed fills net of fees and slippage
+ */
+
+class TransactionCostModel {
+
+    constructor(config = {}) {
+        this.config = {
+            feePercent: 0.10,         // Fee percentage per side (used when no maker/taker rate is set)
+            makerFeePercent: null,    // Optional maker rate, overrides feePercent for maker fills
+            takerFeePercent: null,    // Optional taker rate, overrides feePercent for taker fills
+            fixedFee: 0,              // Flat fee per fill in quote currency
+            slippageBps: 5,           // Slippage in basis points, charged on taker fills
+            liquidity: 'taker',       // Default liquidity side: 'maker' or 'taker'
+            ...config
+        };
+    }
+
+    /**
+     * Percentage fee rate for a liquidity side
+     * @param {string} liquidity - 'maker' or 'taker'
+     * @returns {number} Fee rate as a fraction (0.001 = 0.1%)
+     */
+    feeRate(liquidity = this.config.liquidity) {
+        const sideRate = liquidity === 'maker' ? this.config.makerFeePercent : this.config.takerFeePercent;
+        const percent = sideRate !== null && sideRate !== undefined ? sideRate : this.config.feePercent;
+        return (percent || 0) / 100;
+    }
+
+    /**
+     * Slippage rate for a liquidity side
+     * Maker fills rest on the book at the quoted price, so only taker fills slip
+     * @param {string} liquidity - 'maker' or 'taker'
+     * @returns {number} Slippage as a fraction of price
+     */
+    slippageRate(liquidity = this.config.liquidity) {
+        if (liquidity === 'maker') return 0;
+        return (this.config.slippageBps || 0) / 10000;
+    }
+
+    /**
+     * Executed price after slippage; buys fill above the quote, sells below
+     * @param {string} side - 'BUY' or 'SELL'
+     * @param {number} price - Quoted price
+     * @param {string} liquidity - 'maker' or 'taker'
+     * @returns {number} Fill price
+     */
+    fillPrice(side, price, liquidity = this.config.liquidity) {
+        const slippage = this.slippageRate(liquidity);
+        return side === 'BUY' ? price * (1 + slippage) : price * (1 - slippage);
+    }
+
+    /**
+     * Fill an order that spends a fixed budget, fees included
+     * Used on entry: the whole budget is consumed by notional plus fees
+     * @param {string} side - 'BUY' or 'SELL'
+     * @param {number} price - Quoted price
+     * @param {number} budget - Capital committed to the fill
+     * @param {string} liquidity - 'maker' or 'taker'
+     * @returns {Object} Fill with quantity, fillPrice, notional, fees and slippage
+     */
+    fillBudget(side, price, budget, liquidity = this.config.liquidity) {
+        const fillPrice = this.fillPrice(side, price, liquidity);
+        const rate = this.feeRate(liquidity);
+        const fixedFee = this.config.fixedFee || 0;
+        const quantity = Math.max(0, budget - fixedFee) / (fillPrice * (1 + rate));
+        const notional = quantity * fillPrice;
+
+        return {
+            side: side,
+            liquidity: liquidity,
+            price: price,
+            fillPrice: fillPrice,
+            quantity: quantity,
+            notional: notional,
+            fees: quantity > 0 ? notional * rate + fixedFee : 0,
+            slippage: quantity * Math.abs(fillPrice - price)
+        };
+    }
+
+    /**
+     * Fill an order for a fixed quantity
+     * Used on exit: fees are charged on top of the traded notional
+     * @param {string} side - 'BUY' or 'SELL'
+     * @param {number} price - Quoted price
+     * @param {number} quantity - Units traded
+     * @param {string} liquidity - 'maker' or 'taker'
+     * @returns {Object} Fill with quantity, fillPrice, notional, fees and slippage
+     */
+    fillQuantity(side, price, quantity, liquidity = this.config.liquidity) {
+        const fillPrice = this.fillPrice(side, price, liquidity);
+        const notional = quantity * fillPrice;
+
+        return {
+            side: side,
+            liquidity: liquidity,
+            price: price,
+            fillPrice: fillPrice,
+            quantity: quantity,
+            notional: notional,
+            fees: quantity > 0 ? notional * this.feeRate(liquidity) + (this.config.fixedFee || 0) : 0,
+            slippage: quantity * Math.abs(fillPrice - price)
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransactionCostModel;
+} else if (typeof window !== 'undefined') {
+    window.TransactionCostModel = TransactionCostModel;
+}
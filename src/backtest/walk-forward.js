@@ -0,0 +1,192 @@
+/**
+ * Walk-Forward Validation for the Vortex Strategy
+ * Optimizes parameters on each in-sample window, trades them on the
+ * following out-of-sample window, and stitches the out-of-sample equity
+ * curves into one track record that never saw its own data during fitting
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var VS = null;
+var PO = null;
+var PM = null;
+if (typeof module !== 'undefined' && module.exports) {
+    VS = require('../strategies/vortex-strategy.js');
+    PO = require('./parameter-optimizer.js');
+    PM = require('../analysis/performance-metrics.js');
+} else if (typeof window !== 'undefined') {
+    if (window.VortexStrategy && !VS) {
+        VS = window.VortexStrategy;
+    }
+    if (window.ParameterOptimizer && !PO) {
+        PO = window.ParameterOptimizer;
+    }
+    if (window.PerformanceMetrics && !PM) {
+        PM = window.PerformanceMetrics;
+    }
+}
+
+class WalkForward {
+
+    /**
+     * In-sample / out-of-sample index windows
+     * Rolling windows keep a fixed in-sample length; anchored windows all
+     * start at bar 0 and grow. End indices are exclusive.
+     * @param {number} length - Number of bars
+     * @param {Object} options - Window options
+     * @param {number} options.inSampleSize - Bars in the (first) in-sample window
+     * @param {number} options.outOfSampleSize - Bars in each out-of-sample window
+     * @param {number} options.step - Bars between folds (default outOfSampleSize)
+     * @param {string} options.mode - 'rolling' or 'anchored'
+     * @returns {Array<Object>} { fold, inSample: { start, end }, outOfSample: { start, end } }
+     */
+    static splits(length, options = {}) {
+        const inSampleSize = options.inSampleSize || 365;
+        const outOfSampleSize = options.outOfSampleSize || 90;
+        const step = options.step || outOfSampleSize;
+        const mode = options.mode || 'rolling';
+        if (mode !== 'rolling' && mode !== 'anchored') {
+            throw new Error(`Unknown walk-forward mode: ${mode}. Available: rolling, anchored`);
+        }
+
+        const folds = [];
+        for (let start = 0; start + inSampleSize + outOfSampleSize <= length; start += step) {
+            const inSampleEnd = start + inSampleSize;
+            folds.push({
+                fold: folds.length + 1,
+                inSample: { start: mode === 'anchored' ? 0 : start, end: inSampleEnd },
+                outOfSample: { start: inSampleEnd, end: inSampleEnd + outOfSampleSize }
+            });
+        }
+        return folds;
+    }
+
+    /**
+     * Run the walk-forward analysis
+     * @param {Array} priceData - Daily data with digital roots (processedData.dailyData)
+     * @param {Object} options - Window options (see splits) plus:
+     * @param {string} options.objective - Optimizer objective (default 'sharpeRatio')
+     * @param {Object} options.sweep - Optimizer ranges; hold roots default to the base hold root
+     * @param {Object} options.baseConfig - Shared strategy config (costs, sizing, exits); signal rules are ignored
+     * @param {number} options.initialCapital - Starting capital for the stitched curve
+     * @returns {Object} { folds, equityCurve, summary }
+     */
+    static run(priceData, options = {}) {
+        const objective = options.objective || 'sharpeRatio';
+        const baseConfig = options.baseConfig || {};
+        const initialCapital = options.initialCapital || 10000;
+        // The default hold root is the balance root b - 1 (9 in base 10)
+        const sweep = { holdSignals: [baseConfig.holdSignal || (baseConfig.base ?? 10) - 1], ...options.sweep };
+
+        const windows = this.splits(priceData.length, options);
+        if (windows.length === 0) {
+            throw new Error(`Not enough data for walk-forward: ${priceData.length} bars, need at least ${(options.inSampleSize || 365) + (options.outOfSampleSize || 90)}`);
+        }
+
+        let capital = initialCapital;
+        const equityCurve = [];
+        const folds = windows.map(window => {
+            const inSampleData = priceData.slice(window.inSample.start, window.inSample.end);
+            const outOfSampleData = priceData.slice(window.outOfSample.start, window.outOfSample.end);
+
+            const optimization = PO.run(inSampleData, { ...sweep, objective, baseConfig });
+            const best = optimization.best;
+
+            // Out-of-sample positions are closed at the window end so each fold stands alone.
+            // Rules are dropped as in the sweep, so the fold trades the strategy that was fitted
+            const strategy = new VS({ ...baseConfig, ...best.params, rules: null });
+            const results = strategy.backtest(outOfSampleData, capital);
+            results.dailyPortfolio.forEach(day => equityCurve.push({ date: day.date, portfolioValue: day.portfolioValue }));
+            capital = results.finalCapital;
+
+            const inSampleAnnual = PM.annualizedReturn(best.totalReturn, PM.elapsedDays(inSampleData));
+            const outOfSampleAnnual = PM.annualizedReturn(results.performance.totalReturn, PM.elapsedDays(outOfSampleData));
+
+            return {
+                fold: window.fold,
+                inSample: {
+                    start: inSampleData[0].date,
+                    end: inSampleData[inSampleData.length - 1].date,
+                    objective: best[objective],
+                    totalReturn: best.totalReturn,
+                    annualizedReturn: inSampleAnnual
+                },
+                outOfSample: {
+                    start: outOfSampleData[0].date,
+                    end: outOfSampleData[outOfSampleData.length - 1].date,
+                    objective: results.performance[objective],
+                    totalReturn: results.performance.totalReturn,
+                    annualizedReturn: outOfSampleAnnual,
+                    totalTrades: results.performance.totalTrades,
+                    finalCapital: results.finalCapital
+                },
+                params: best.params,
+                efficiency: this.efficiencyRatio(inSampleAnnual, outOfSampleAnnual)
+            };
+        });
+
+        return {
+            folds: folds,
+            equityCurve: equityCurve,
+            summary: this.summarize(folds, equityCurve, initialCapital, options.mode || 'rolling')
+        };
+    }
+
+    /**
+     * Walk-forward efficiency: annualized out-of-sample return as a share of
+     * the annualized in-sample return that selected the parameters
+     * @param {number|null} inSampleAnnual - In-sample annualized return (%)
+     * @param {number|null} outOfSampleAnnual - Out-of-sample annualized return (%)
+     * @returns {number|null} Ratio, or null when the in-sample return was not positive
+     */
+    static efficiencyRatio(inSampleAnnual, outOfSampleAnnual) {
+        if (inSampleAnnual === null || outOfSampleAnnual === null || inSampleAnnual <= 0) return null;
+        return outOfSampleAnnual / inSampleAnnual;
+    }
+
+    /**
+     * Aggregate the folds and the stitched out-of-sample equity curve
+     * @param {Array<Object>} folds - Fold reports
+     * @param {Array<Object>} equityCurve - Stitched { date, portfolioValue } points
+     * @param {number} initialCapital - Starting capital
+     * @param {string} mode - Window mode used
+     * @returns {Object} Summary statistics
+     */
+    static summarize(folds, equityCurve, initialCapital, mode) {
+        const finalCapital = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].portfolioValue : initialCapital;
+        const totalReturn = ((finalCapital - initialCapital) / initialCapital) * 100;
+
+        let peak = initialCapital;
+        let maxDrawdown = 0;
+        equityCurve.forEach(point => {
+            peak = Math.max(peak, point.portfolioValue);
+            maxDrawdown = Math.max(maxDrawdown, ((peak - point.portfolioValue) / peak) * 100);
+        });
+
+        const efficiencies = folds.map(f => f.efficiency).filter(e => e !== null);
+        const inSampleAnnual = folds.map(f => f.inSample.annualizedReturn).filter(r => r !== null);
+        const meanInSampleAnnual = inSampleAnnual.length > 0 ? inSampleAnnual.reduce((sum, r) => sum + r, 0) / inSampleAnnual.length : null;
+        const outOfSampleAnnual = PM.annualizedReturn(totalReturn, PM.elapsedDays(equityCurve));
+
+        return {
+            mode: mode,
+            folds: folds.length,
+            initialCapital: initialCapital,
+            finalCapital: finalCapital,
+            outOfSampleReturn: totalReturn,
+            outOfSampleAnnualizedReturn: outOfSampleAnnual,
+            meanInSampleAnnualizedReturn: meanInSampleAnnual,
+            maxDrawdown: maxDrawdown,
+            profitableFolds: folds.filter(f => f.outOfSample.totalReturn > 0).length,
+            meanEfficiency: efficiencies.length > 0 ? efficiencies.reduce((sum, e) => sum + e, 0) / efficiencies.length : null,
+            overallEfficiency: this.efficiencyRatio(meanInSampleAnnual, outOfSampleAnnual),
+            distinctParameterSets: new Set(folds.map(f => JSON.stringify(f.params))).size
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WalkForward;
+} else if (typeof window !== 'undefined') {
+    window.WalkForward = WalkForward;
+}
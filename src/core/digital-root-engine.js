@@ -0,0 +1,177 @@
+/**
+ * Digital Root Engine for Arbitrary Bases
+ * In base b a number's repeated digit sum is congruent to it modulo b - 1,
+ * so digital roots run 1..b-1 and every vortex structure is a property of
+ * the ring of integers modulo b - 1:
+ *   - doubling / tripling cycles are orbits of 1 under ×2 / ×3
+ *   - the "Tesla" analogues are the roots sharing a factor with b - 1 (the
+ *     non-units; 3, 6 and 9 in base 10), with b - 1 itself as the balance point
+ *
+ * Base 10 reproduces the classic vortex numbers, which makes it possible to
+ * test whether base-10 signals beat the equivalent rules in base 8 or 12.
+ */
+
+// One engine per base, shared by every caller
+const ROOT_ENGINES = new Map();
+
+class DigitalRootEngine {
+
+    /**
+     * @param {number} base - Number base (integer, at least 3)
+     */
+    constructor(base = 10) {
+        if (!Number.isInteger(base) || base < 3) {
+            throw new Error(`Number base must be an integer of at least 3, got ${base}`);
+        }
+        this.base = base;
+        this.modulus = base - 1;
+        this.roots = Array.from({ length: this.modulus }, (_, i) => i + 1);
+        this.units = this.roots.filter(r => r < this.modulus && DigitalRootEngine.gcd(r, this.modulus) === 1);
+        this.teslaNumbers = this.roots.filter(r => DigitalRootEngine.gcd(r, this.modulus) > 1);
+        this.doublingCycle = this.cycle(2);
+        this.triplingCycle = this.cycle(3);
+    }
+
+    /**
+     * Greatest common divisor
+     * @param {number} a - Non-negative integer
+     * @param {number} b - Non-negative integer
+     * @returns {number} gcd(a, b)
+     */
+    static gcd(a, b) {
+        while (b !== 0) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Shared engine for a base
+     * @param {number} base - Number base (default 10)
+     * @returns {DigitalRootEngine} Cached engine
+     */
+    static forBase(base = 10) {
+        if (!ROOT_ENGINES.has(base)) {
+            ROOT_ENGINES.set(base, new DigitalRootEngine(base));
+        }
+        return ROOT_ENGINES.get(base);
+    }
+
+    /**
+     * Digital root by modular arithmetic: n mod (b - 1), with b - 1 in place of 0 for n ≠ 0
+     * @param {number} n - Input integer
+     * @returns {number} Digital root (0 only for 0, otherwise 1..b-1)
+     */
+    digitalRoot(n) {
+        if (n === 0) return 0;
+        const mod = Math.abs(n) % this.modulus;
+        return mod === 0 ? this.modulus : mod;
+    }
+
+    /**
+     * Digital root by repeatedly summing the base-b digits
+     * @param {number} n - Input integer
+     * @returns {number} Digital root, equal to digitalRoot(n)
+     */
+    digitalRootIterative(n) {
+        if (n === 0) return 0;
+
+        n = Math.abs(n);
+        while (n >= this.base) {
+            let sum = 0;
+            while (n > 0) {
+                sum += n % this.base;
+                n = Math.floor(n / this.base);
+            }
+            n = sum;
+        }
+        return n;
+    }
+
+    /**
+     * Orbit of a root under repeated multiplication, up to the first repeat
+     * The orbit returns to its start only when the multiplier is coprime to b - 1;
+     * otherwise it settles on a non-unit (base 9: 1 → 2 → 4 → 8 → 8).
+     * @param {number} multiplier - Multiplication factor
+     * @param {number} start - Starting root (default 1)
+     * @returns {Array<number>} Distinct roots in visiting order
+     */
+    cycle(multiplier, start = 1) {
+        const orbit = [];
+        let current = this.digitalRoot(start);
+        while (!orbit.includes(current)) {
+            orbit.push(current);
+            current = this.digitalRoot(current * multiplier);
+        }
+        return orbit;
+    }
+
+    /**
+     * Whether the doubling orbit closes back on 1 (2 is coprime to b - 1)
+     * @returns {boolean} True for a true cycle
+     */
+    isDoublingCyclic() {
+        return DigitalRootEngine.gcd(2, this.modulus) === 1;
+    }
+
+    /**
+     * @param {number} root - Digital root
+     * @returns {boolean} True if the root is in the doubling orbit of 1
+     */
+    isInDoublingSequence(root) {
+        return this.doublingCycle.includes(root);
+    }
+
+    /**
+     * @param {number} root - Digital root
+     * @returns {number} Position in the doubling orbit (0-based), -1 if not in it
+     */
+    sequencePosition(root) {
+        return this.doublingCycle.indexOf(root);
+    }
+
+    /**
+     * @param {number} root - Digital root
+     * @returns {boolean} True if the root is a Tesla analogue (shares a factor with b - 1)
+     */
+    isTeslaNumber(root) {
+        return this.teslaNumbers.includes(root);
+    }
+
+    /**
+     * Polarity of a Tesla analogue
+     * b - 1 is the balance point; the others pair up with their additive
+     * mirror b - 1 - r, the lower of each pair positive (3 and 6 in base 10).
+     * @param {number} root - Digital root
+     * @returns {string|null} 'balance', 'positive', 'negative', or null for non-Tesla roots
+     */
+    teslaPolarity(root) {
+        if (!this.isTeslaNumber(root)) return null;
+        if (root === this.modulus) return 'balance';
+        return root * 2 < this.modulus ? 'positive' : 'negative';
+    }
+
+    /**
+     * Summary of the base's vortex structure
+     * @returns {Object} { base, modulus, roots, units, doublingCycle, doublingIsCyclic, triplingCycle, teslaNumbers }
+     */
+    describe() {
+        return {
+            base: this.base,
+            modulus: this.modulus,
+            roots: this.roots.slice(),
+            units: this.units.slice(),
+            doublingCycle: this.doublingCycle.slice(),
+            doublingIsCyclic: this.isDoublingCyclic(),
+            triplingCycle: this.triplingCycle.slice(),
+            teslaNumbers: this.teslaNumbers.slice()
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DigitalRootEngine;
+} else if (typeof window !== 'undefined') {
+    window.DigitalRootEngine = DigitalRootEngine;
+}
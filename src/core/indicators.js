@@ -0,0 +1,72 @@
+/**
+ * Technical Indicators
+ * Small set of price indicators used by the backtester's strategies, risk and sizing rules
+ */
+
+class Indicators {
+
+    /**
+     * True range of a bar
+     * Uses high/low when the bar carries them, otherwise the close-to-close move
+     * @param {Object} bar - Current bar ({price} or {high, low, close})
+     * @param {Object|null} previousBar - Previous bar
+     * @returns {number} True range
+     */
+    static trueRange(bar, previousBar) {
+        const close = bar.close ?? bar.price;
+        const previousClose = previousBar ? (previousBar.close ?? previousBar.price) : null;
+
+        // Close-only records carry high/low as null (or not at all)
+        if (bar.high === undefined || bar.low === undefined || bar.high === null || bar.low === null) {
+            return previousClose === null ? 0 : Math.abs(close - previousClose);
+        }
+
+        if (previousClose === null) return bar.high - bar.low;
+        return Math.max(
+            bar.high - bar.low,
+            Math.abs(bar.high - previousClose),
+            Math.abs(bar.low - previousClose)
+        );
+    }
+
+    /**
+     * Average true range (Wilder smoothing) at the last bar of the series
+     * @param {Array} bars - Price series
+     * @param {number} period - Smoothing period (default 14)
+     * @returns {number|null} ATR, or null when there are fewer than period + 1 bars
+     */
+    static atr(bars, period = 14) {
+        if (!bars || bars.length < period + 1) return null;
+
+        const ranges = bars.slice(1).map((bar, i) => this.trueRange(bar, bars[i]));
+        let atr = ranges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+        for (let i = period; i < ranges.length; i++) {
+            atr = (atr * (period - 1) + ranges[i]) / period;
+        }
+        return atr;
+    }
+
+    /**
+     * Simple moving average series
+     * @param {Array<number>} values - Input series
+     * @param {number} period - Window length
+     * @returns {Array<number|null>} Average ending at each index, null until period values exist
+     */
+    static sma(values, period) {
+        const series = new Array(values.length).fill(null);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= period) sum -= values[i - period];
+            if (i >= period - 1) series[i] = sum / period;
+        }
+        return series;
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Indicators;
+} else if (typeof window !== 'undefined') {
+    window.Indicators = Indicators;
+}
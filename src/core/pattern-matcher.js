@@ -0,0 +1,293 @@
+/**
+ * Streaming Digital-Root Pattern Matcher
+ * Aho-Corasick automaton over root sequences: push() one root at a time and
+ * get back every pattern occurrence ending on it, in time linear in the
+ * stream length plus the matches found. Nothing looks ahead, so a strategy
+ * can feed it bar by bar during a backtest.
+ *
+ * A pattern is { name, sequence } with optional variants:
+ *   reversed  - also match the sequence backwards
+ *   rotations - also match every cyclic rotation (the cycle entered at any phase)
+ *   '*' in a sequence matches any root
+ * Wildcard patterns are split into their literal segments; a match is
+ * reported once every segment has been seen at its offset from a common start.
+ */
+
+// Sequence element that matches any root
+const PATTERN_WILDCARD = '*';
+
+class PatternMatcher {
+
+    /**
+     * @param {Array<Object>} patterns - { name, sequence, reversed, rotations } specs (or strings, see parse())
+     * @param {Object} options - Matcher options
+     * @param {Function} options.onMatch - Called with each match event as it is found
+     */
+    constructor(patterns, options = {}) {
+        this.onMatch = options.onMatch || null;
+        this.variants = [];
+        this.root = { children: new Map(), fail: null, outputs: [] };
+
+        patterns.map(pattern => (typeof pattern === 'string' ? PatternMatcher.parse(pattern) : pattern))
+            .forEach((pattern, index) => this.addPattern(pattern, index));
+        if (this.variants.length === 0) {
+            throw new Error('Pattern matcher needs at least one pattern');
+        }
+        this.maxLength = Math.max(...this.variants.map(variant => variant.sequence.length));
+        this.wildcardOnly = this.variants.filter(variant => variant.segments === 0);
+        this.buildFailureLinks();
+        this.reset();
+    }
+
+    /**
+     * Parse a pattern from text: comma-separated roots with '*' wildcards and
+     * optional ':reversed' / ':rotations' flags, e.g. "1,2,4,8,7,5:rotations"
+     * @param {string} text - Pattern text
+     * @returns {Object} { name, sequence, reversed, rotations }
+     */
+    static parse(text) {
+        const [body, ...flags] = String(text).split(':').map(part => part.trim());
+        const sequence = body.split(',').map(token => {
+            const value = token.trim();
+            if (value === PATTERN_WILDCARD) return PATTERN_WILDCARD;
+            const root = Number(value);
+            if (value === '' || !Number.isInteger(root) || root < 0) {
+                throw new Error(`Invalid pattern element "${value}" in "${text}"`);
+            }
+            return root;
+        });
+        flags.forEach(flag => {
+            if (flag !== 'reversed' && flag !== 'rotations') {
+                throw new Error(`Unknown pattern flag "${flag}". Available: reversed, rotations`);
+            }
+        });
+        return {
+            name: body,
+            sequence: sequence,
+            reversed: flags.includes('reversed'),
+            rotations: flags.includes('rotations')
+        };
+    }
+
+    /**
+     * Concrete sequences a pattern stands for, without duplicates
+     * @param {Object} pattern - Pattern spec
+     * @returns {Array<Object>} { label, sequence } with labels 'forward', 'reversed',
+     *   'rotation-k' and 'reversed-rotation-k'
+     */
+    static expand(pattern) {
+        const bases = [{ label: 'forward', sequence: pattern.sequence }];
+        if (pattern.reversed) {
+            bases.push({ label: 'reversed', sequence: pattern.sequence.slice().reverse() });
+        }
+
+        const expanded = [];
+        bases.forEach(({ label, sequence }) => {
+            expanded.push({ label, sequence });
+            if (!pattern.rotations) return;
+            for (let k = 1; k < sequence.length; k++) {
+                const prefix = label === 'forward' ? '' : `${label}-`;
+                expanded.push({ label: `${prefix}rotation-${k}`, sequence: sequence.slice(k).concat(sequence.slice(0, k)) });
+            }
+        });
+
+        const seen = new Set();
+        return expanded.filter(variant => {
+            const key = variant.sequence.join(',');
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Add a pattern's variants to the trie, one entry per literal segment
+     * @param {Object} pattern - Pattern spec
+     * @param {number} index - Pattern position, used for default names
+     */
+    addPattern(pattern, index) {
+        if (!Array.isArray(pattern.sequence) || pattern.sequence.length === 0) {
+            throw new Error(`Pattern ${pattern.name || index} needs a non-empty sequence`);
+        }
+        const name = pattern.name || pattern.sequence.join(',');
+
+        PatternMatcher.expand(pattern).forEach(({ label, sequence }) => {
+            const variant = {
+                id: this.variants.length,
+                patternIndex: index,
+                name: name,
+                variant: label,
+                sequence: sequence,
+                segments: 0
+            };
+            this.variants.push(variant);
+
+            // Maximal runs of literal roots between wildcards
+            let offset = 0;
+            while (offset < sequence.length) {
+                if (sequence[offset] === PATTERN_WILDCARD) {
+                    offset++;
+                    continue;
+                }
+                let end = offset;
+                while (end < sequence.length && sequence[end] !== PATTERN_WILDCARD) end++;
+                this.insertSegment(sequence.slice(offset, end), { variant: variant.id, offset: offset });
+                variant.segments++;
+                offset = end;
+            }
+        });
+    }
+
+    /**
+     * Insert one literal segment into the trie
+     * @param {Array<number>} segment - Roots of the segment
+     * @param {Object} output - { variant, offset } reported when the segment is seen
+     */
+    insertSegment(segment, output) {
+        let node = this.root;
+        segment.forEach(root => {
+            if (!node.children.has(root)) {
+                node.children.set(root, { children: new Map(), fail: null, outputs: [] });
+            }
+            node = node.children.get(root);
+        });
+        node.outputs.push({ ...output, length: segment.length });
+    }
+
+    /**
+     * Breadth-first failure links; each node also inherits the outputs of its
+     * failure node, so every segment ending at a position is found from one node
+     */
+    buildFailureLinks() {
+        const queue = [];
+        this.root.children.forEach(child => {
+            child.fail = this.root;
+            queue.push(child);
+        });
+
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            node.children.forEach((child, root) => {
+                let fail = node.fail;
+                while (fail && !fail.children.has(root)) fail = fail.fail;
+                child.fail = fail ? fail.children.get(root) : this.root;
+                child.outputs = child.outputs.concat(child.fail.outputs);
+                queue.push(child);
+            });
+        }
+    }
+
+    /**
+     * Forget the stream so far and start again at position 0
+     */
+    reset() {
+        this.state = this.root;
+        this.position = -1;
+        this.history = new Array(this.maxLength);
+        // Segments seen per variant and candidate start, in a ring of the variant's length
+        this.counts = this.variants.map(variant => ({
+            starts: new Array(variant.sequence.length).fill(-1),
+            seen: new Array(variant.sequence.length).fill(0)
+        }));
+        this.pending = [];
+    }
+
+    /**
+     * Feed the next root of the stream
+     * @param {number} root - Digital root
+     * @returns {Array<Object>} Match events ending on this root, in pattern order:
+     *   { pattern, patternIndex, variant, start, end, length, roots }
+     */
+    push(root) {
+        const position = ++this.position;
+        this.history[position % this.maxLength] = root;
+
+        while (this.state !== this.root && !this.state.children.has(root)) {
+            this.state = this.state.fail;
+        }
+        this.state = this.state.children.get(root) || this.root;
+
+        const completed = [];
+        this.state.outputs.forEach(output => {
+            const variant = this.variants[output.variant];
+            const start = position - output.offset - output.length + 1;
+            if (start < 0) return;
+
+            const counts = this.counts[variant.id];
+            const slot = start % variant.sequence.length;
+            if (counts.starts[slot] !== start) {
+                counts.starts[slot] = start;
+                counts.seen[slot] = 0;
+            }
+            if (++counts.seen[slot] === variant.segments) {
+                completed.push({ variant, start });
+            }
+        });
+
+        // Patterns made only of wildcards match every full window
+        this.wildcardOnly.forEach(variant => {
+            if (position >= variant.sequence.length - 1) {
+                completed.push({ variant, start: position - variant.sequence.length + 1 });
+            }
+        });
+
+        // Trailing wildcards: the match ends after its last literal segment
+        const events = [];
+        const ready = this.pending.filter(match => match.start + match.variant.sequence.length - 1 === position);
+        this.pending = this.pending.filter(match => match.start + match.variant.sequence.length - 1 > position);
+        ready.concat(completed).sort((a, b) => a.variant.id - b.variant.id).forEach(match => {
+            const end = match.start + match.variant.sequence.length - 1;
+            if (end > position) {
+                this.pending.push(match);
+            } else {
+                events.push(this.event(match.variant, match.start, end));
+            }
+        });
+
+        if (this.onMatch) events.forEach(event => this.onMatch(event));
+        return events;
+    }
+
+    /**
+     * Match every pattern over a whole series
+     * @param {Array<number>} roots - Digital roots in time order
+     * @returns {Array<Object>} Match events in order of their end position
+     */
+    scan(roots) {
+        this.reset();
+        const events = [];
+        roots.forEach(root => {
+            this.push(root).forEach(event => events.push(event));
+        });
+        return events;
+    }
+
+    /**
+     * @param {Object} variant - Matched variant
+     * @param {number} start - Stream position of its first root
+     * @param {number} end - Stream position of its last root
+     * @returns {Object} Match event with the roots actually seen
+     */
+    event(variant, start, end) {
+        const roots = [];
+        for (let i = start; i <= end; i++) {
+            roots.push(this.history[i % this.maxLength]);
+        }
+        return {
+            pattern: variant.name,
+            patternIndex: variant.patternIndex,
+            variant: variant.variant,
+            start: start,
+            end: end,
+            length: end - start + 1,
+            roots: roots
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternMatcher;
+} else if (typeof window !== 'undefined') {
+    window.PatternMatcher = PatternMatcher;
+}
@@ -0,0 +1,45 @@
+/**
+ * Seeded Random Number Generator
+ * Mulberry32: small, fast and reproducible, so random baselines give the
+ * same result for the same seed in Node and in the browser
+ */
+
+class SeededRandom {
+
+    /**
+     * @param {number} seed - Integer seed
+     */
+    constructor(seed = 42) {
+        this.seed = seed;
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Next value in [0, 1)
+     * @returns {number} Uniform random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [min, max]
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (inclusive)
+     * @returns {number} Uniform random integer
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+} else if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,345 @@
+/**
+ * Statistical Distributions and Tests
+ * Small, dependency-free implementations of the distributions the analysis
+ * modules need for p-values, so results match in Node and in the browser
+ */
+
+class Statistics {
+
+    /**
+     * Natural log of the gamma function (Lanczos approximation, g = 7)
+     * @param {number} x - Positive value
+     * @returns {number} ln Γ(x)
+     */
+    static logGamma(x) {
+        const coefficients = [
+            0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+            771.32342877765313, -176.61502916214059, 12.507343278686905,
+            -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+        ];
+        if (x < 0.5) {
+            // Reflection formula
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
+        }
+        x -= 1;
+        let sum = coefficients[0];
+        for (let i = 1; i < coefficients.length; i++) {
+            sum += coefficients[i] / (x + i);
+        }
+        const t = x + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    /**
+     * Regularized lower incomplete gamma function P(a, x)
+     * Series expansion below a + 1, continued fraction above (Numerical Recipes)
+     * @param {number} a - Shape (> 0)
+     * @param {number} x - Upper limit (>= 0)
+     * @returns {number} P(a, x) in [0, 1]
+     */
+    static regularizedGammaP(a, x) {
+        if (x <= 0) return 0;
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 1000; n++) {
+                term *= x / (a + n);
+                sum += term;
+                if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+            }
+            return sum * Math.exp(-x + a * Math.log(x) - this.logGamma(a));
+        }
+        return 1 - this.regularizedGammaQ(a, x);
+    }
+
+    /**
+     * Regularized upper incomplete gamma function Q(a, x) = 1 - P(a, x)
+     * @param {number} a - Shape (> 0)
+     * @param {number} x - Lower limit (>= 0)
+     * @returns {number} Q(a, x) in [0, 1]
+     */
+    static regularizedGammaQ(a, x) {
+        if (x <= 0) return 1;
+        if (x < a + 1) return 1 - this.regularizedGammaP(a, x);
+
+        // Lentz's continued fraction
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let i = 1; i < 1000; i++) {
+            const an = -i * (i - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.exp(-x + a * Math.log(x) - this.logGamma(a)) * h;
+    }
+
+    /**
+     * Chi-square cumulative distribution function
+     * @param {number} x - Statistic
+     * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+     * @returns {number} P(X <= x)
+     */
+    static chiSquareCdf(x, degreesOfFreedom) {
+        return this.regularizedGammaP(degreesOfFreedom / 2, x / 2);
+    }
+
+    /**
+     * Upper-tail chi-square probability
+     * @param {number} x - Statistic
+     * @param {number} degreesOfFreedom - Degrees of freedom (> 0)
+     * @returns {number} P(X >= x)
+     */
+    static chiSquarePValue(x, degreesOfFreedom) {
+        return this.regularizedGammaQ(degreesOfFreedom / 2, x / 2);
+    }
+
+    /**
+     * Pearson chi-square statistic of observed against expected counts
+     * Cells with no expected count are skipped.
+     * @param {Array<number>} observed - Observed counts
+     * @param {Array<number>} expected - Expected counts, same order
+     * @param {number} degreesOfFreedom - Degrees of freedom
+     * @returns {Object} { statistic, degreesOfFreedom, pValue } (pValue null without degrees of freedom)
+     */
+    static chiSquare(observed, expected, degreesOfFreedom) {
+        let statistic = 0;
+        observed.forEach((count, i) => {
+            if (expected[i] > 0) {
+                statistic += Math.pow(count - expected[i], 2) / expected[i];
+            }
+        });
+        return {
+            statistic: statistic,
+            degreesOfFreedom: degreesOfFreedom,
+            pValue: degreesOfFreedom > 0 ? this.chiSquarePValue(statistic, degreesOfFreedom) : null
+        };
+    }
+
+    /**
+     * Chi-square goodness-of-fit test of category counts
+     * @param {Array<number>} counts - Observed count per category
+     * @param {Array<number>} probabilities - Expected proportion per category (default uniform)
+     * @returns {Object} { statistic, degreesOfFreedom, pValue, sampleSize, minimumExpected }
+     *   The chi-square approximation needs minimumExpected of roughly 5 or more.
+     */
+    static chiSquareGoodnessOfFit(counts, probabilities = null) {
+        const sampleSize = counts.reduce((sum, count) => sum + count, 0);
+        const expected = (probabilities || counts.map(() => 1 / counts.length)).map(p => p * sampleSize);
+        return {
+            ...this.chiSquare(counts, expected, sampleSize > 0 ? counts.length - 1 : 0),
+            sampleSize: sampleSize,
+            minimumExpected: Math.min(...expected)
+        };
+    }
+
+    /**
+     * Upper tail of the Kolmogorov distribution, P(K > lambda)
+     * Uses the alternating series for large lambda and the Jacobi theta form
+     * for small lambda, where the alternating series converges slowly.
+     * @param {number} lambda - Scaled KS statistic
+     * @returns {number} Probability in [0, 1]
+     */
+    static kolmogorovPValue(lambda) {
+        if (!(lambda > 0)) return 1;
+        if (lambda < 1.18) {
+            let sum = 0;
+            for (let k = 1; k <= 20; k++) {
+                sum += Math.exp(-Math.pow(2 * k - 1, 2) * Math.PI * Math.PI / (8 * lambda * lambda));
+            }
+            return Math.min(1, Math.max(0, 1 - (Math.sqrt(2 * Math.PI) / lambda) * sum));
+        }
+        let sum = 0;
+        for (let k = 1; k <= 100; k++) {
+            const term = Math.exp(-2 * k * k * lambda * lambda);
+            sum += k % 2 === 1 ? term : -term;
+            if (term < 1e-16) break;
+        }
+        return Math.min(1, Math.max(0, 2 * sum));
+    }
+
+    /**
+     * One-sample Kolmogorov-Smirnov test of category counts against expected proportions
+     * D is the largest gap between the observed and expected cumulative
+     * proportions, in category order; the p-value uses the asymptotic Kolmogorov
+     * distribution with Stephens' small-sample correction. For discrete
+     * categories the test is conservative (p-values too large). KS has no
+     * degrees of freedom, so degreesOfFreedom is null and sampleSize takes its role.
+     * @param {Array<number>} counts - Observed count per category, in order
+     * @param {Array<number>} probabilities - Expected proportion per category (default uniform)
+     * @returns {Object} { statistic, degreesOfFreedom, pValue, sampleSize }
+     */
+    static kolmogorovSmirnov(counts, probabilities = null) {
+        const sampleSize = counts.reduce((sum, count) => sum + count, 0);
+        const expected = probabilities || counts.map(() => 1 / counts.length);
+        let observedCumulative = 0;
+        let expectedCumulative = 0;
+        let statistic = 0;
+        counts.forEach((count, i) => {
+            observedCumulative += sampleSize > 0 ? count / sampleSize : 0;
+            expectedCumulative += expected[i];
+            statistic = Math.max(statistic, Math.abs(observedCumulative - expectedCumulative));
+        });
+
+        const root = Math.sqrt(sampleSize);
+        return {
+            statistic: statistic,
+            degreesOfFreedom: null,
+            pValue: sampleSize > 0 ? this.kolmogorovPValue((root + 0.12 + 0.11 / root) * statistic) : null,
+            sampleSize: sampleSize
+        };
+    }
+
+    /**
+     * First significant digit of a number
+     * @param {number} value - Any finite number
+     * @returns {number|null} 1-9, or null for zero and non-finite values
+     */
+    static leadingDigit(value) {
+        if (!Number.isFinite(value) || value === 0) return null;
+        return Number(Math.abs(value).toExponential()[0]);
+    }
+
+    /**
+     * Benford's-law test of leading digits (chi-square against log10(1 + 1/d))
+     * Benford's law only applies to values spanning several orders of
+     * magnitude; ordersOfMagnitude shows how far the sample reaches.
+     * @param {Array<number>} values - Values such as prices
+     * @returns {Object} { statistic, degreesOfFreedom, pValue, sampleSize, minimumExpected,
+     *   digits, counts, observed, expected, ordersOfMagnitude } with proportions in observed/expected
+     */
+    static benfordTest(values) {
+        const digits = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+        const expected = digits.map(d => Math.log10(1 + 1 / d));
+        const counts = digits.map(() => 0);
+        const magnitudes = [];
+        values.forEach(value => {
+            const digit = this.leadingDigit(value);
+            if (digit === null) return;
+            counts[digit - 1]++;
+            magnitudes.push(Math.log10(Math.abs(value)));
+        });
+
+        const result = this.chiSquareGoodnessOfFit(counts, expected);
+        return {
+            ...result,
+            digits: digits,
+            counts: counts,
+            observed: counts.map(count => (result.sampleSize > 0 ? count / result.sampleSize : 0)),
+            expected: expected,
+            ordersOfMagnitude: magnitudes.length > 0 ? Math.max(...magnitudes) - Math.min(...magnitudes) : 0
+        };
+    }
+
+    /**
+     * Standard normal cumulative distribution function
+     * Uses erf(x) = P(1/2, x²), so it shares the gamma code's precision.
+     * @param {number} z - Standard score
+     * @returns {number} P(Z <= z)
+     */
+    static normalCdf(z) {
+        const half = 0.5 * this.regularizedGammaP(0.5, (z * z) / 2);
+        return z >= 0 ? 0.5 + half : 0.5 - half;
+    }
+
+    /**
+     * Two-sided standard normal p-value
+     * @param {number} z - Standard score
+     * @returns {number} P(|Z| >= |z|)
+     */
+    static normalPValue(z) {
+        return this.regularizedGammaQ(0.5, (z * z) / 2);
+    }
+
+    /**
+     * Wald-Wolfowitz runs test of a two-valued series
+     * Fewer runs than expected means like values cluster together; more means
+     * they alternate. The normal approximation wants roughly 10 of each value.
+     * @param {Array<boolean>} flags - Series of true/false values in time order
+     * @returns {Object} { runs, expectedRuns, zScore, pValue, positives, negatives } (zScore and
+     *   pValue null when only one value occurs)
+     */
+    static runsTest(flags) {
+        const positives = flags.filter(Boolean).length;
+        const negatives = flags.length - positives;
+        let runs = flags.length > 0 ? 1 : 0;
+        for (let i = 1; i < flags.length; i++) {
+            if (Boolean(flags[i]) !== Boolean(flags[i - 1])) runs++;
+        }
+
+        const n = flags.length;
+        const product = 2 * positives * negatives;
+        const expectedRuns = n > 0 ? product / n + 1 : 0;
+        const variance = n > 1 ? (product * (product - n)) / (n * n * (n - 1)) : 0;
+        const zScore = variance > 0 ? (runs - expectedRuns) / Math.sqrt(variance) : null;
+        return {
+            runs: runs,
+            expectedRuns: expectedRuns,
+            zScore: zScore,
+            pValue: zScore === null ? null : this.normalPValue(zScore),
+            positives: positives,
+            negatives: negatives
+        };
+    }
+
+    /**
+     * Sample autocorrelations of a series
+     * @param {Array<number>} series - Values in time order
+     * @param {number} maxLag - Highest lag
+     * @returns {Array<number>} Autocorrelation at lags 1..maxLag (0 for a constant series)
+     */
+    static autocorrelation(series, maxLag) {
+        const n = series.length;
+        const mean = series.reduce((sum, x) => sum + x, 0) / (n || 1);
+        const deviations = series.map(x => x - mean);
+        const variance = deviations.reduce((sum, d) => sum + d * d, 0);
+        const correlations = [];
+        for (let lag = 1; lag <= maxLag; lag++) {
+            let covariance = 0;
+            for (let t = lag; t < n; t++) {
+                covariance += deviations[t] * deviations[t - lag];
+            }
+            correlations.push(variance > 0 ? covariance / variance : 0);
+        }
+        return correlations;
+    }
+
+    /**
+     * Ljung-Box test that the first `lags` autocorrelations are all zero
+     * Q = n(n + 2) Σ ρ_k² / (n - k), chi-square with `lags` degrees of freedom
+     * @param {Array<number>} series - Values in time order
+     * @param {number} lags - Number of lags tested (default 10)
+     * @returns {Object} { statistic, degreesOfFreedom, pValue, autocorrelations, criticalBand, sampleSize }
+     *   where criticalBand is the ±1.96/√n 95% band for a single autocorrelation
+     */
+    static ljungBox(series, lags = 10) {
+        const n = series.length;
+        const usableLags = Math.max(0, Math.min(lags, n - 1));
+        const autocorrelations = this.autocorrelation(series, usableLags);
+        const statistic = n * (n + 2) * autocorrelations.reduce((sum, rho, i) => sum + (rho * rho) / (n - i - 1), 0);
+        return {
+            statistic: statistic,
+            degreesOfFreedom: usableLags,
+            pValue: usableLags > 0 ? this.chiSquarePValue(statistic, usableLags) : null,
+            autocorrelations: autocorrelations,
+            criticalBand: n > 0 ? 1.96 / Math.sqrt(n) : null,
+            sampleSize: n
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Statistics;
+} else if (typeof window !== 'undefined') {
+    window.Statistics = Statistics;
+}
@@ -8,41 +8,64 @@
  * as lacking empirical validation and scientific rigor.
  */
 
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var DRE = null;
+var STAT = null;
+var PMT = null;
+if (typeof module !== 'undefined' && module.exports) {
+    DRE = require('./digital-root-engine.js');
+    STAT = require('./statistics.js');
+    PMT = require('./pattern-matcher.js');
+} else if (typeof window !== 'undefined') {
+    if (window.DigitalRootEngine && !DRE) {
+        DRE = window.DigitalRootEngine;
+    }
+    if (window.Statistics && !STAT) {
+        STAT = window.Statistics;
+    }
+    if (window.PatternMatcher && !PMT) {
+        PMT = window.PatternMatcher;
+    }
+}
+
+// How a price (or volume) becomes the integer whose digital root is taken
+const ROOT_SOURCES = ['dollars', 'cents', 'significant', 'satoshis', 'return-bps', 'volume', 'log-price'];
+const DEFAULT_ROOT_SOURCE = 'dollars';
+
 class VortexMath {
     
+    /**
+     * Digital-root engine for a number base (see DigitalRootEngine)
+     * @param {number} base - Number base (default 10)
+     * @returns {DigitalRootEngine} Shared engine with the base's cycles and Tesla analogues
+     */
+    static baseEngine(base = 10) {
+        return DRE.forBase(base);
+    }
+
     /**
      * Calculate digital root using modular arithmetic
      * Digital root ≡ n mod 9, with special case: if n mod 9 = 0 and n ≠ 0, then digital root = 9
+     * In base b the modulus is b - 1 and roots run 1..b-1.
      * 
      * Mathematical Foundation: This is simply modulo 9 arithmetic with a conventional adjustment
      * @param {number} n - Input number
-     * @returns {number} Digital root (1-9)
+     * @param {number} base - Number base (default 10)
+     * @returns {number} Digital root (1-9 in base 10)
      */
-    static digitalRoot(n) {
-        if (n === 0) return 0;
-        const mod = Math.abs(n) % 9;
-        return mod === 0 ? 9 : mod;
+    static digitalRoot(n, base = 10) {
+        return this.baseEngine(base).digitalRoot(n);
     }
 
     /**
      * Alternative digital root calculation using iterative digit summation
      * This demonstrates the equivalence to modular arithmetic
      * @param {number} n - Input number
-     * @returns {number} Digital root (1-9)
+     * @param {number} base - Number base whose digits are summed (default 10)
+     * @returns {number} Digital root (1-9 in base 10)
      */
-    static digitalRootIterative(n) {
-        if (n === 0) return 0;
-        
-        n = Math.abs(n);
-        while (n >= 10) {
-            let sum = 0;
-            while (n > 0) {
-                sum += n % 10;
-                n = Math.floor(n / 10);
-            }
-            n = sum;
-        }
-        return n === 0 ? 9 : n;
+    static digitalRootIterative(n, base = 10) {
+        return this.baseEngine(base).digitalRootIterative(n);
     }
 
     /**
@@ -97,35 +120,40 @@ class VortexMath {
      * Detect Tesla's 3-6-9 patterns in a number sequence
      * Tesla allegedly said: "If you only knew the magnificence of the 3, 6, and 9"
      * 
+     * In other bases the Tesla analogues and balance point come from the
+     * base's engine, and oscillations are moves between mirrored analogues.
+     * 
      * Mathematical Critique: No empirical evidence supports special significance
      * @param {Array<number>} sequence - Input sequence
+     * @param {number} base - Number base (default 10)
      * @returns {Object} Pattern analysis
      */
-    static detectTeslaPatterns(sequence) {
-        const digitalRoots = sequence.map(n => this.digitalRoot(n));
-        const tesla369 = digitalRoots.filter(dr => [3, 6, 9].includes(dr));
+    static detectTeslaPatterns(sequence, base = 10) {
+        const engine = this.baseEngine(base);
+        const digitalRoots = sequence.map(n => engine.digitalRoot(n));
+        const tesla369 = digitalRoots.filter(dr => engine.isTeslaNumber(dr));
         
         const patterns = {
             tesla369Count: tesla369.length,
             tesla369Positions: [],
             oscillations: 0,
-            balancePoints: 0  // Points where digital root = 9
+            balancePoints: 0  // Points where digital root = 9 (b - 1)
         };
 
         digitalRoots.forEach((dr, index) => {
-            if ([3, 6, 9].includes(dr)) {
+            if (engine.isTeslaNumber(dr)) {
                 patterns.tesla369Positions.push({index, value: dr});
             }
-            if (dr === 9) {
+            if (dr === engine.modulus) {
                 patterns.balancePoints++;
             }
         });
 
-        // Detect 3-6 oscillations
+        // Detect 3-6 oscillations (r to b - 1 - r and back)
         for (let i = 1; i < digitalRoots.length; i++) {
             const prev = digitalRoots[i-1];
             const curr = digitalRoots[i];
-            if ((prev === 3 && curr === 6) || (prev === 6 && curr === 3)) {
+            if (engine.isTeslaNumber(prev) && prev !== engine.modulus && prev + curr === engine.modulus) {
                 patterns.oscillations++;
             }
         }
@@ -138,116 +166,222 @@ class VortexMath {
      * Demonstrates arbitrariness of base-10 in vortex math
      * @param {number} number - Input number
      * @param {Array<number>} bases - Bases to compare (default [8, 9, 10])
-     * @returns {Object} Cross-base comparison
+     * @returns {Object} Cross-base comparison keyed `base<b>`
      */
     static crossBaseAnalysis(number, bases = [8, 9, 10]) {
         const analysis = {};
         
         bases.forEach(base => {
-            if (base === 9) {
-                // Special handling for base-9 (standard vortex math)
-                analysis[`base${base}`] = {
-                    digitalRoot: this.digitalRoot(number),
-                    doublingSequence: this.generateVortexSequence(1, 2, base, 10),
-                    note: "Standard vortex math base"
-                };
-            } else {
-                // General modular arithmetic for other bases
-                const mod = number % (base - 1);
-                const digitalRoot = mod === 0 ? (base - 1) : mod;
-                analysis[`base${base}`] = {
-                    digitalRoot: digitalRoot,
-                    doublingSequence: this.generateVortexSequence(1, 2, base - 1, 10),
-                    note: `Base-${base} modular arithmetic`
-                };
-            }
+            const engine = this.baseEngine(base);
+            analysis[`base${base}`] = {
+                digitalRoot: engine.digitalRoot(number),
+                doublingSequence: engine.doublingCycle.slice(),
+                teslaNumbers: engine.teslaNumbers.slice(),
+                note: base === 10 ? 'Standard vortex math base' : `Base-${base} digit sums (modulo ${engine.modulus})`
+            };
         });
 
         return analysis;
     }
 
+    /**
+     * Available digital-root sources
+     *   dollars     - whole price units, Math.round(price) (default)
+     *   cents       - hundredths of a price unit
+     *   significant - the first N significant digits (digits, default 4)
+     *   satoshis    - 1e-8 price units, Bitcoin's smallest denomination
+     *   return-bps  - change from the previous value in basis points
+     *   volume      - the bar's volume in whole units (needs OHLCV records)
+     *   log-price   - natural-log buckets (logBuckets per unit, default 100 ≈ 1% steps)
+     * @returns {Array<string>} Source names
+     */
+    static rootSources() {
+        return ROOT_SOURCES.slice();
+    }
+
+    /**
+     * Validate a root source setting and fill in its defaults
+     * @param {string|Object} setting - Source name or { source, digits, logBuckets }
+     * @returns {Object} { source, digits?, logBuckets? }
+     */
+    static normalizeRootSource(setting = DEFAULT_ROOT_SOURCE) {
+        const settings = typeof setting === 'string' ? { source: setting } : { source: DEFAULT_ROOT_SOURCE, ...setting };
+        if (!ROOT_SOURCES.includes(settings.source)) {
+            throw new Error(`Unknown root source: ${settings.source}. Available: ${ROOT_SOURCES.join(', ')}`);
+        }
+        if (settings.source === 'significant') {
+            settings.digits = settings.digits ?? 4;
+            if (!Number.isInteger(settings.digits) || settings.digits < 1) {
+                throw new Error(`Significant digits must be a positive integer, got ${settings.digits}`);
+            }
+        }
+        if (settings.source === 'log-price') {
+            settings.logBuckets = settings.logBuckets ?? 100;
+            if (!(settings.logBuckets > 0)) {
+                throw new Error(`Log-price buckets must be positive, got ${settings.logBuckets}`);
+            }
+        }
+        return settings;
+    }
+
+    /**
+     * Integer a value contributes under a root source
+     * @param {number} value - Price (or volume)
+     * @param {number|null} previous - Previous value, used by return-bps
+     * @param {string|Object} setting - Root source (see normalizeRootSource)
+     * @returns {number} Integer whose digital root is taken
+     */
+    static rootInteger(value, previous = null, setting = DEFAULT_ROOT_SOURCE) {
+        const { source, digits, logBuckets } = this.normalizeRootSource(setting);
+        switch (source) {
+            case 'cents':
+                return Math.round(value * 100);
+            case 'satoshis':
+                return Math.round(value * 1e8);
+            case 'significant':
+                return value === 0 ? 0 : Math.round(value / this.priceUnit(value, { source, digits }));
+            case 'return-bps':
+                // The first bar has nothing to compare with
+                return previous ? Math.round((value / previous - 1) * 10000) : 0;
+            case 'log-price':
+                return value > 0 ? Math.floor(Math.log(value) * logBuckets) : 0;
+            default:
+                return Math.round(value);
+        }
+    }
+
+    /**
+     * Digital root of a value under a root source
+     * @param {number} value - Price (or volume)
+     * @param {number|null} previous - Previous value, used by return-bps
+     * @param {string|Object} setting - Root source (see normalizeRootSource)
+     * @param {number} base - Number base (default 10)
+     * @returns {number} Digital root (0-9 in base 10)
+     */
+    static rootOf(value, previous = null, setting = DEFAULT_ROOT_SOURCE, base = 10) {
+        return this.digitalRoot(this.rootInteger(value, previous, setting), base);
+    }
+
+    /**
+     * Price step between consecutive integers of a price-unit root source
+     * @param {number} price - Reference price (sets the scale for significant digits)
+     * @param {string|Object} setting - Root source
+     * @returns {number|null} Step in price units, or null for sources that are not price units
+     */
+    static priceUnit(price, setting = DEFAULT_ROOT_SOURCE) {
+        const { source, digits } = this.normalizeRootSource(setting);
+        if (source === 'dollars') return 1;
+        if (source === 'cents') return 0.01;
+        if (source === 'satoshis') return 1e-8;
+        if (source === 'significant') {
+            return Math.pow(10, Math.floor(Math.log10(Math.abs(price))) - digits + 1);
+        }
+        return null;
+    }
+
     /**
      * Apply vortex math to price data for trading signals
      * Converts prices to digital roots and applies sequence analysis
      * @param {Array<number>} prices - Array of price values
+     * @param {string|Object} rootSource - Root source (default whole dollars, as DataProcessor)
+     * @param {number} base - Number base (default 10)
      * @returns {Object} Vortex analysis of price data
      */
-    static analyzePriceData(prices) {
-        const digitalRoots = prices.map(price => this.digitalRoot(Math.round(price * 100))); // Use cents to avoid decimals
+    static analyzePriceData(prices, rootSource = DEFAULT_ROOT_SOURCE, base = 10) {
+        const digitalRoots = this.priceRoots(prices, rootSource, base);
         
         const analysis = {
             digitalRoots: digitalRoots,
-            teslaPatterns: this.detectTeslaPatterns(digitalRoots),
-            sequenceMatches: this.findSequenceMatches(digitalRoots),
-            statistics: this.calculateStatistics(digitalRoots)
+            teslaPatterns: this.detectTeslaPatterns(digitalRoots, base),
+            sequenceMatches: this.findSequenceMatches(digitalRoots, base),
+            statistics: this.calculateStatistics(digitalRoots, base)
         };
 
         return analysis;
     }
 
     /**
-     * Find matches with standard vortex sequences in price data
-     * @param {Array<number>} digitalRoots - Digital roots of prices
-     * @returns {Object} Sequence match analysis
+     * Digital roots of a price list under a root source
+     * @param {Array<number>} prices - Price values
+     * @param {string|Object} rootSource - Root source; 'volume' needs OHLCV records instead
+     * @param {number} base - Number base (default 10)
+     * @returns {Array<number>} Digital root per price
      */
-    static findSequenceMatches(digitalRoots) {
-        const doublingSeq = this.doublingSequence(6); // Standard 6-element cycle
-        const matches = {
-            doublingMatches: [],
-            reverseMatches: [],
-            partialMatches: []
-        };
-
-        // Look for complete doubling sequence matches
-        for (let i = 0; i <= digitalRoots.length - doublingSeq.length; i++) {
-            const slice = digitalRoots.slice(i, i + doublingSeq.length);
-            if (JSON.stringify(slice) === JSON.stringify(doublingSeq)) {
-                matches.doublingMatches.push({start: i, end: i + doublingSeq.length - 1});
-            }
+    static priceRoots(prices, rootSource = DEFAULT_ROOT_SOURCE, base = 10) {
+        const settings = this.normalizeRootSource(rootSource);
+        if (settings.source === 'volume') {
+            throw new Error("The 'volume' root source needs OHLCV records, not a price list");
         }
+        return prices.map((price, i) => this.rootOf(price, i > 0 ? prices[i - 1] : null, settings, base));
+    }
 
-        // Look for partial matches (3+ consecutive elements)
+    /**
+     * Find matches with standard vortex sequences in price data
+     * One streaming pass of PatternMatcher over the roots finds the full
+     * doubling cycle, the cycle reversed, its 3+ element runs, and any
+     * extra patterns.
+     * @param {Array<number>} digitalRoots - Digital roots of prices
+     * @param {number} base - Number base whose doubling cycle is matched (default 10)
+     * @param {Array<Object|string>} patterns - Extra PatternMatcher patterns (reversed, rotations and '*' wildcards allowed)
+     * @returns {Object} Sequence match analysis: { doublingMatches, reverseMatches, partialMatches, patternMatches }
+     */
+    static findSequenceMatches(digitalRoots, base = 10, patterns = []) {
+        const doublingSeq = this.baseEngine(base).doublingCycle; // Standard 6-element cycle in base 10
+        const partials = [];
         for (let len = 3; len < doublingSeq.length; len++) {
-            for (let i = 0; i <= digitalRoots.length - len; i++) {
-                const slice = digitalRoots.slice(i, i + len);
-                for (let j = 0; j <= doublingSeq.length - len; j++) {
-                    const seqSlice = doublingSeq.slice(j, j + len);
-                    if (JSON.stringify(slice) === JSON.stringify(seqSlice)) {
-                        matches.partialMatches.push({
-                            start: i, 
-                            end: i + len - 1, 
-                            length: len,
-                            sequence: slice
-                        });
-                    }
-                }
+            for (let j = 0; j <= doublingSeq.length - len; j++) {
+                partials.push({ name: 'partial', sequence: doublingSeq.slice(j, j + len) });
             }
         }
 
-        return matches;
+        const events = new PMT([
+            { name: 'doubling', sequence: doublingSeq },
+            { name: 'reverse', sequence: doublingSeq.slice().reverse() },
+            ...partials,
+            ...patterns
+        ]).scan(digitalRoots);
+        const custom = 2 + partials.length; // Index of the first extra pattern
+
+        return {
+            doublingMatches: events.filter(e => e.patternIndex === 0).map(e => ({ start: e.start, end: e.end })),
+            reverseMatches: events.filter(e => e.patternIndex === 1).map(e => ({ start: e.start, end: e.end })),
+            // Shortest runs first, then by position
+            partialMatches: events.filter(e => e.patternIndex > 1 && e.patternIndex < custom)
+                .sort((a, b) => a.length - b.length || a.start - b.start)
+                .map(e => ({ start: e.start, end: e.end, length: e.length, sequence: e.roots })),
+            patternMatches: events.filter(e => e.patternIndex >= custom)
+        };
     }
 
     /**
      * Calculate statistical properties of digital root sequence
      * @param {Array<number>} digitalRoots - Digital roots sequence
-     * @returns {Object} Statistical analysis
+     * @param {number} base - Number base (default 10, roots 1-9)
+     * @returns {Object} Statistical analysis; distribution and entropy cover roots 1 to b - 1,
+     *   with root 0 (flat return-bps bars, log-price below 1) counted apart as zeroRoots
      */
-    static calculateStatistics(digitalRoots) {
+    static calculateStatistics(digitalRoots, base = 10) {
+        const roots = this.baseEngine(base).roots;
         const frequency = {};
-        for (let i = 1; i <= 9; i++) frequency[i] = 0;
+        roots.forEach(root => { frequency[root] = 0; });
         
-        digitalRoots.forEach(dr => frequency[dr]++);
+        let zeroRoots = 0;
+        digitalRoots.forEach(dr => {
+            if (dr in frequency) frequency[dr]++;
+            else if (dr === 0) zeroRoots++;
+        });
         
-        const total = digitalRoots.length;
+        const total = roots.reduce((sum, root) => sum + frequency[root], 0);
         const distribution = {};
-        for (let i = 1; i <= 9; i++) {
-            distribution[i] = (frequency[i] / total * 100).toFixed(2) + '%';
-        }
+        roots.forEach(root => {
+            distribution[root] = (total > 0 ? frequency[root] / total * 100 : 0).toFixed(2) + '%';
+        });
 
         return {
             frequency: frequency,
             distribution: distribution,
-            totalSamples: total,
+            totalSamples: digitalRoots.length,
+            zeroRoots: zeroRoots,
             entropy: this.calculateEntropy(frequency, total)
         };
     }
@@ -261,43 +395,116 @@ class VortexMath {
      */
     static calculateEntropy(frequency, total) {
         let entropy = 0;
-        for (let i = 1; i <= 9; i++) {
-            if (frequency[i] > 0) {
-                const p = frequency[i] / total;
+        Object.values(frequency).forEach(count => {
+            if (count > 0) {
+                const p = count / total;
                 entropy -= p * Math.log2(p);
             }
-        }
+        });
         return parseFloat(entropy.toFixed(4));
     }
 
+    /**
+     * Wald-Wolfowitz runs test per root: do days with a given root come in streaks?
+     * Each root's series is "this root today or not". A negative z-score (fewer
+     * runs than expected) means the root clusters in time; a positive one means
+     * it avoids repeating. Independent roots give p-values spread evenly over [0, 1].
+     * @param {Array<number>} digitalRoots - Digital roots in time order
+     * @param {number} base - Number base (default 10, roots 1-9)
+     * @returns {Array<Object>} Per root: { root, occurrences, runs, expectedRuns, zScore, pValue }
+     */
+    static runsTest(digitalRoots, base = 10) {
+        return this.baseEngine(base).roots.map(root => {
+            const test = STAT.runsTest(digitalRoots.map(dr => dr === root));
+            return {
+                root: root,
+                occurrences: test.positives,
+                runs: test.runs,
+                expectedRuns: test.expectedRuns,
+                zScore: test.zScore,
+                pValue: test.pValue
+            };
+        });
+    }
+
+    /**
+     * Ljung-Box autocorrelation tests of the digital-root series
+     *   roots - the roots as numbers, which picks up persistence in root size
+     *   tesla - 1 on Tesla-number days and 0 otherwise; the non-Tesla indicator
+     *           is its complement and has identical autocorrelations
+     * Roots of 0 (zero prices or returns) are dropped first.
+     * @param {Array<number>} digitalRoots - Digital roots in time order
+     * @param {number} lags - Number of lags tested (default 10)
+     * @param {number} base - Number base (default 10)
+     * @returns {Object} { roots, tesla }, each { statistic, degreesOfFreedom, pValue, autocorrelations,
+     *   criticalBand, sampleSize } (see Statistics.ljungBox)
+     */
+    static ljungBox(digitalRoots, lags = 10, base = 10) {
+        const engine = this.baseEngine(base);
+        const roots = digitalRoots.filter(dr => dr > 0);
+        return {
+            roots: STAT.ljungBox(roots, lags),
+            tesla: STAT.ljungBox(roots.map(dr => (engine.isTeslaNumber(dr) ? 1 : 0)), lags)
+        };
+    }
+
+    /**
+     * Shannon entropy of the roots in a trailing window
+     * Dips show stretches where a few roots dominate. Even independent uniform
+     * roots fall short of log2(b - 1) in a finite window, by about
+     * (b - 2) / (2 · window · ln 2) bits on average.
+     * @param {Array<number>} digitalRoots - Digital roots in time order
+     * @param {number} window - Window length (default 30)
+     * @param {number} base - Number base (default 10)
+     * @returns {Array<number|null>} Entropy (bits) of the window ending at each index, null until window roots exist
+     */
+    static rollingEntropy(digitalRoots, window = 30, base = 10) {
+        const series = new Array(digitalRoots.length).fill(null);
+        const frequency = {};
+        this.baseEngine(base).roots.forEach(root => { frequency[root] = 0; });
+
+        digitalRoots.forEach((dr, i) => {
+            if (dr in frequency) frequency[dr]++;
+            if (i >= window && digitalRoots[i - window] in frequency) frequency[digitalRoots[i - window]]--;
+            if (i >= window - 1) series[i] = this.calculateEntropy(frequency, window);
+        });
+        return series;
+    }
+
     /**
      * Generate trading signals based on vortex math principles
-     * Buy on digital root 1 (start of cycle), sell on digital root 5 (cycle end)
+     * Buy on digital root 1 (start of cycle), sell on digital root 5 (cycle end);
+     * other bases use the first and last roots of their doubling cycle
      * 
      * DISCLAIMER: This is speculative and not validated by empirical evidence
      * @param {Array<number>} prices - Price array
+     * @param {string|Object} rootSource - Root source (default whole dollars, as DataProcessor)
+     * @param {number} base - Number base (default 10)
      * @returns {Array<Object>} Trading signals
      */
-    static generateTradingSignals(prices) {
+    static generateTradingSignals(prices, rootSource = DEFAULT_ROOT_SOURCE, base = 10) {
         const signals = [];
-        const digitalRoots = prices.map(price => this.digitalRoot(Math.round(price * 100)));
+        const digitalRoots = this.priceRoots(prices, rootSource, base);
+        const cycle = this.baseEngine(base).doublingCycle;
+        const start = cycle[0];
+        const end = cycle[cycle.length - 1];
         
         digitalRoots.forEach((dr, index) => {
-            if (dr === 1) {
+            if (dr === start) {
                 signals.push({
                     index: index,
                     type: 'BUY',
                     price: prices[index],
                     digitalRoot: dr,
-                    reason: 'Digital root 1 - Start of vortex cycle'
+                    reason: `Digital root ${start} - Start of vortex cycle`
                 });
-            } else if (dr === 5) {
+            } else if (dr === end) {
                 signals.push({
                     index: index,
                     type: 'SELL',
                     price: prices[index],
                     digitalRoot: dr,
-                    reason: 'Digital root 5 - End of vortex cycle'
+                    reason: `Digital root ${end} - End of vortex cycle`
                 });
             }
         });
@@ -309,20 +516,51 @@ class VortexMath {
      * Check if a number is a Tesla number (3, 6, or 9)
      * Tesla referred to these as fundamental universal patterns
      * @param {number} n - Number to check (typically a digital root)
+     * @param {number} base - Number base whose Tesla analogues apply (default 10)
      * @returns {boolean} True if Tesla number
      */
-    static isTeslaNumber(n) {
-        return [3, 6, 9].includes(n);
+    static isTeslaNumber(n, base = 10) {
+        return this.baseEngine(base).isTeslaNumber(n);
     }
 
     /**
      * Checks if a digital root appears in the doubling sequence
-     * @param {number} digitalRoot - Digital root to check (1-9)
+     * @param {number} digitalRoot - Digital root to check (1-9 in base 10)
+     * @param {number} base - Number base whose doubling cycle applies (default 10)
      * @returns {boolean} True if in doubling sequence
      */
-    static isInDoublingSequence(digitalRoot) {
-        const doublingSequence = [1, 2, 4, 8, 7, 5];
-        return doublingSequence.includes(digitalRoot);
+    static isInDoublingSequence(digitalRoot, base = 10) {
+        return this.baseEngine(base).isInDoublingSequence(digitalRoot);
+    }
+
+    /**
+     * Nearest price level strictly below or above a price with a given digital root
+     * Levels are whole multiples of unit (1 = whole dollars, 0.01 = cents); roots
+     * repeat every 9 units (b - 1 in base b), so the level is never further away.
+     * @param {number} price - Reference price
+     * @param {number} root - Target digital root (1-9 in base 10)
+     * @param {string} direction - 'below' or 'above' (default 'below')
+     * @param {number} unit - Price step between levels (default 1, see priceUnit)
+     * @param {number} base - Number base (default 10)
+     * @returns {number|null} Price level, or null when no positive level exists below
+     */
+    static nearestPriceWithRoot(price, root, direction = 'below', unit = 1, base = 10) {
+        const engine = this.baseEngine(base);
+        if (!Number.isInteger(root) || root < 1 || root > engine.modulus) {
+            throw new Error(`Target digital root must be an integer from 1 to ${engine.modulus}, got ${root}`);
+        }
+        if (direction !== 'below' && direction !== 'above') {
+            throw new Error(`Direction must be 'below' or 'above', got ${direction}`);
+        }
+
+        // Work in whole units; the tolerance keeps 10.00 / 0.01 from landing on 999.9999
+        const scaled = price / unit;
+        const step = direction === 'below' ? -1 : 1;
+        let level = direction === 'below' ? Math.ceil(scaled - 1e-9) - 1 : Math.floor(scaled + 1e-9) + 1;
+        while (engine.digitalRoot(level) !== root) {
+            level += step;
+        }
+        return level > 0 ? parseFloat((level * unit).toPrecision(15)) : null;
     }
 
     /**
@@ -337,15 +575,17 @@ class VortexMath {
             issues: []
         };
 
-        // Test digital root consistency
+        // Test digital root consistency, in base 10 and two neighbouring bases
         const testNumbers = [123, 456, 789, 999, 1000];
-        testNumbers.forEach(num => {
-            const modular = this.digitalRoot(num);
-            const iterative = this.digitalRootIterative(num);
-            if (modular !== iterative) {
-                validation.digitalRootConsistency = false;
-                validation.issues.push(`Digital root mismatch for ${num}: modular=${modular}, iterative=${iterative}`);
-            }
+        [10, 8, 12].forEach(base => {
+            testNumbers.forEach(num => {
+                const modular = this.digitalRoot(num, base);
+                const iterative = this.digitalRootIterative(num, base);
+                if (modular !== iterative) {
+                    validation.digitalRootConsistency = false;
+                    validation.issues.push(`Digital root mismatch for ${num} in base ${base}: modular=${modular}, iterative=${iterative}`);
+                }
+            });
         });
 
         // Test sequence properties
@@ -81,6 +81,33 @@ class CoinGeckoAPI {
         }
     }
 
+    /**
+     * Fetch daily prices, volumes and OHLC candles in the raw shape
+     * DataProcessor.processRawData() expects
+     * @param {string} coinId - Coin identifier
+     * @param {string} vsCurrency - Target currency (default: 'usd')
+     * @param {number} days - Number of days of data (default: 365)
+     * @returns {Promise<Object>} { metadata, prices, volumes, ohlc }
+     */
+    async getOHLCVData(coinId = 'bitcoin', vsCurrency = 'usd', days = 365) {
+        const [marketData, ohlc] = await Promise.all([
+            this.getHistoricalData(coinId, vsCurrency, days),
+            this.getOHLC(coinId, vsCurrency, days)
+        ]);
+
+        return {
+            metadata: {
+                coin: coinId,
+                vs_currency: vsCurrency,
+                interval: 'daily',
+                isMockData: !!marketData.isMockData
+            },
+            prices: marketData.prices,
+            volumes: marketData.volumes,
+            ohlc: ohlc
+        };
+    }
+
     /**
      * Process raw market data from CoinGecko API
      * @param {Object} rawData - Raw API response
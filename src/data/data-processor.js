@@ -8,6 +8,12 @@
 const VMDP = (typeof module !== 'undefined' && module.exports)
     ? require('../core/vortex-math.js')
     : (typeof window !== 'undefined' ? window.VortexMath : null);
+const STATDP = (typeof module !== 'undefined' && module.exports)
+    ? require('../core/statistics.js')
+    : (typeof window !== 'undefined' ? window.Statistics : null);
+
+// Bar fields carried on every daily record; the close doubles as `price`
+const OHLCV_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
 
 class DataProcessor {
     
@@ -28,60 +34,67 @@ class DataProcessor {
     
     /**
      * Process raw CoinGecko data into vortex-ready format
+     * Accepts close-only [timestamp, price] pairs, CoinGecko OHLC rows
+     * ([timestamp, open, high, low, close] with an optional volume), or
+     * objects with price/close and optional open, high, low and volume.
+     * Separate `ohlc` (CoinGeckoAPI.getOHLC) and `volumes`/`total_volumes`
+     * arrays are merged in by date. Fields the source lacks are null; the
+     * close stays the default price and digital root.
      * @param {Object} rawData - Raw CoinGecko data with metadata and prices/data
-     * @returns {Object} Processed data with timestamps, prices, and vortex calculations
+     * @param {Object} options - { rootSource: see VortexMath.normalizeRootSource (default 'dollars'),
+     *   base: number base the roots are taken in (default 10) }
+     * @returns {Object} Processed data with timestamps, OHLCV, and vortex calculations
      */
-    static processRawData(rawData) {
+    static processRawData(rawData, options = {}) {
         // Support both old format (prices array) and new format (data array)
         const dataArray = rawData.prices || rawData.data;
         if (!dataArray || !Array.isArray(dataArray)) {
             throw new Error('Invalid data format: prices or data array not found');
         }
         
+        const rootSource = VMDP.normalizeRootSource(options.rootSource);
+        const base = VMDP.baseEngine(options.base ?? 10).base;
+        const records = dataArray.map(item => this.normalizeRecord(item));
+        this.mergeByDate(records, rawData.ohlc, ['open', 'high', 'low', 'close']);
+        this.mergeByDate(records, rawData.volumes || rawData.total_volumes, ['volume']);
+        
         const processedData = {
             metadata: {
                 ...rawData.metadata,
                 processedAt: new Date().toISOString(),
-                totalRecords: dataArray.length
+                totalRecords: dataArray.length,
+                fields: OHLCV_FIELDS.filter(field => records.length > 0 && records.every(r => r[field] !== null)),
+                rootSource: rootSource,  // Recorded so results can be reproduced
+                base: base
             },
             dailyData: []
         };
         
-        // Process each price point - handle both old and new formats
-        dataArray.forEach((item, index) => {
-            let timestamp, price;
-            
-            if (Array.isArray(item)) {
-                // Old format: [timestamp, price]
-                [timestamp, price] = item;
-            } else {
-                // New format: {timestamp, price, date}
-                timestamp = item.timestamp * 1000; // Convert seconds to milliseconds
-                price = item.price;
-            }
-            
-            const date = new Date(timestamp);
-            const digitalRoot = VMDP.digitalRoot(Math.round(price));
+        records.forEach((record, index) => {
+            const price = record.close;
+            const previous = index > 0 ? records[index - 1].close : null;
             
             const dataPoint = {
-                date: date.toISOString().split('T')[0], // YYYY-MM-DD format
-                timestamp: timestamp,
+                date: new Date(record.timestamp).toISOString().split('T')[0], // YYYY-MM-DD format
+                timestamp: record.timestamp,
                 price: price,
+                open: record.open,
+                high: record.high,
+                low: record.low,
+                close: price,
+                volume: record.volume,
                 priceRounded: Math.round(price),
-                digitalRoot: digitalRoot,
-                vortexSequencePosition: this.getSequencePosition(digitalRoot),
-                isDoublingSequence: VMDP.isInDoublingSequence(digitalRoot),
-                isTeslaNumber: VMDP.isTeslaNumber(digitalRoot),
+                ...this.rootFields(record, index > 0 ? records[index - 1] : null, rootSource, base),
                 // Calculate price change if not first record
-                priceChange: index > 0 ? price - rawData.prices[index - 1][1] : 0,
-                priceChangePercent: index > 0 ? ((price - rawData.prices[index - 1][1]) / rawData.prices[index - 1][1]) * 100 : 0
+                priceChange: previous !== null ? price - previous : 0,
+                priceChangePercent: previous !== null ? ((price - previous) / previous) * 100 : 0
             };
             
             processedData.dailyData.push(dataPoint);
         });
         
         // Add statistical summary
-        processedData.statistics = this.calculateStatistics(processedData.dailyData);
+        processedData.statistics = this.calculateStatistics(processedData.dailyData, base);
         
         // Add timeSeries property for backward compatibility
         processedData.timeSeries = processedData.dailyData;
@@ -89,30 +102,144 @@ class DataProcessor {
         return processedData;
     }
     
+    /**
+     * Digital-root fields of a record under a root source
+     * Price fields use the source's units (compared with the previous bar's
+     * same field for return-bps); volume always uses whole units. The record's
+     * own digitalRoot comes from the close, or from the volume for 'volume'.
+     * Sequence position and the Tesla flag follow the base's engine.
+     * @param {Object} record - Bar with close (or price) and optional open/high/low/volume
+     * @param {Object|null} previous - Previous bar
+     * @param {Object} rootSource - Normalized root source
+     * @param {number} base - Number base (default 10)
+     * @returns {Object} { digitalRoot, digitalRoots, rootBase, vortexSequencePosition, isDoublingSequence, isTeslaNumber }
+     */
+    static rootFields(record, previous, rootSource, base = 10) {
+        const priceSource = rootSource.source === 'volume' ? 'dollars' : rootSource;
+        const field = (bar, name) => (name === 'close' ? bar.close ?? bar.price : bar[name]);
+        const digitalRoots = {};
+        OHLCV_FIELDS.forEach(name => {
+            const value = field(record, name);
+            if (value === null || value === undefined) {
+                digitalRoots[name] = null;
+                return;
+            }
+            const before = previous ? field(previous, name) ?? null : null;
+            digitalRoots[name] = VMDP.rootOf(value, before, name === 'volume' ? 'dollars' : priceSource, base);
+        });
+        
+        const digitalRoot = rootSource.source === 'volume' ? digitalRoots.volume : digitalRoots.close;
+        if (digitalRoot === null) {
+            throw new Error(`Root source '${rootSource.source}' needs ${rootSource.source === 'volume' ? 'volume' : 'a close'} on every record`);
+        }
+        
+        return {
+            digitalRoot: digitalRoot,
+            digitalRoots: digitalRoots,
+            rootBase: base,
+            vortexSequencePosition: this.getSequencePosition(digitalRoot, base),
+            isDoublingSequence: VMDP.isInDoublingSequence(digitalRoot, base),
+            isTeslaNumber: VMDP.isTeslaNumber(digitalRoot, base)
+        };
+    }
+    
+    /**
+     * Re-derive the digital roots of processed daily data under another root source or base
+     * @param {Array<Object>} dailyData - Processed daily records
+     * @param {string|Object} rootSource - Root source (see VortexMath.normalizeRootSource)
+     * @param {number} base - Number base (default 10)
+     * @returns {Array<Object>} Copies of the records with new roots
+     */
+    static applyRootSource(dailyData, rootSource, base = 10) {
+        const settings = VMDP.normalizeRootSource(rootSource);
+        return dailyData.map((point, i) => ({
+            ...point,
+            ...this.rootFields(point, i > 0 ? dailyData[i - 1] : null, settings, base)
+        }));
+    }
+    
+    /**
+     * Normalize one raw row to { timestamp, open, high, low, close, volume }
+     * Array rows carry millisecond timestamps; object rows may use seconds
+     * (`timestamp` or `time`) or milliseconds.
+     * @param {Array|Object} item - Raw row
+     * @returns {Object} Record with missing fields set to null
+     */
+    static normalizeRecord(item) {
+        const value = (v) => (v === undefined || v === null ? null : v);
+        
+        if (Array.isArray(item)) {
+            // [timestamp, price] or [timestamp, open, high, low, close, volume?]
+            if (item.length >= 5) {
+                const [timestamp, open, high, low, close, volume] = item;
+                return { timestamp, open, high, low, close, volume: value(volume) };
+            }
+            return { timestamp: item[0], open: null, high: null, low: null, close: item[1], volume: null };
+        }
+        
+        const time = item.timestamp ?? item.time;
+        return {
+            timestamp: time < 1e11 ? time * 1000 : time, // Convert seconds to milliseconds
+            open: value(item.open),
+            high: value(item.high),
+            low: value(item.low),
+            close: item.close ?? item.price,
+            volume: value(item.volume)
+        };
+    }
+    
+    /**
+     * Fill record fields from a second source matched by calendar date
+     * @param {Array<Object>} records - Normalized records (updated in place)
+     * @param {Array} source - Rows in any format normalizeRecord() accepts, or [timestamp, volume] pairs
+     * @param {Array<string>} fields - Fields to copy
+     */
+    static mergeByDate(records, source, fields) {
+        if (!Array.isArray(source) || source.length === 0) return;
+        
+        const dayOf = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+        const byDate = new Map();
+        source.forEach(item => {
+            const row = Array.isArray(item) && item.length === 2 && fields[0] === 'volume'
+                ? { timestamp: item[0], volume: item[1] }
+                : this.normalizeRecord(item);
+            byDate.set(dayOf(row.timestamp), row);
+        });
+        
+        records.forEach(record => {
+            const row = byDate.get(dayOf(record.timestamp));
+            if (!row) return;
+            fields.forEach(field => {
+                if (row[field] !== null && row[field] !== undefined) record[field] = row[field];
+            });
+        });
+    }
+    
     /**
      * Get position of digital root in the standard doubling sequence
-     * @param {number} digitalRoot - Digital root (1-9)
+     * @param {number} digitalRoot - Digital root (1-9 in base 10)
+     * @param {number} base - Number base whose doubling cycle applies (default 10: 1, 2, 4, 8, 7, 5)
      * @returns {number} Position in sequence (0-based), -1 if not in sequence
      */
-    static getSequencePosition(digitalRoot) {
-        const doublingSequence = [1, 2, 4, 8, 7, 5]; // Standard vortex doubling sequence
-        return doublingSequence.indexOf(digitalRoot);
+    static getSequencePosition(digitalRoot, base = 10) {
+        return VMDP.baseEngine(base).sequencePosition(digitalRoot);
     }
     
     /**
      * Calculate statistical summary of the processed data
      * @param {Array} dailyData - Array of processed daily data points
+     * @param {number} base - Number base of the roots (default 10, roots 1-9)
      * @returns {Object} Statistical summary
      */
-    static calculateStatistics(dailyData) {
+    static calculateStatistics(dailyData, base = 10) {
         const prices = dailyData.map(d => d.price);
         const digitalRoots = dailyData.map(d => d.digitalRoot);
         
         // Digital root frequency distribution
         const rootFrequency = {};
-        for (let i = 1; i <= 9; i++) {
+        VMDP.baseEngine(base).roots.forEach(i => {
             rootFrequency[i] = digitalRoots.filter(root => root === i).length;
-        }
+        });
         
         // Doubling sequence statistics
         const doublingSequenceCount = dailyData.filter(d => d.isDoublingSequence).length;
@@ -161,12 +288,37 @@ class DataProcessor {
         };
     }
     
+    /**
+     * Statistical tests of the digital root distribution and leading price digits
+     *   chiSquare         - root counts against equal frequencies
+     *   kolmogorovSmirnov - cumulative root distribution against uniform (conservative on discrete roots)
+     *   benford           - leading price digits against Benford's law; informational, since one
+     *                       asset's prices seldom span the orders of magnitude the law needs
+     * Roots of 0 (zero prices or returns) are left out of the root tests.
+     * @param {Object} processedData - Processed data object
+     * @returns {Object} { chiSquare, kolmogorovSmirnov, benford, reliable } where reliable is false
+     *   when fewer than 5 records are expected per root
+     */
+    static distributionTests(processedData) {
+        const counts = Object.values(processedData.statistics.digitalRootDistribution.frequencies);
+        const chiSquare = STATDP.chiSquareGoodnessOfFit(counts);
+        return {
+            chiSquare: chiSquare,
+            kolmogorovSmirnov: STATDP.kolmogorovSmirnov(counts),
+            benford: STATDP.benfordTest(processedData.dailyData.map(d => d.price)),
+            reliable: chiSquare.minimumExpected >= 5
+        };
+    }
+    
     /**
      * Validate data quality and completeness
      * @param {Object} processedData - Processed data object
-     * @returns {Object} Validation results with warnings and errors
+     * @param {Object} options - Validation options
+     * @param {number} options.significance - p-value below which the root distribution is flagged (default 0.05)
+     * @returns {Object} Validation results with warnings, errors and the distribution tests
      */
-    static validateData(processedData) {
+    static validateData(processedData, options = {}) {
+        const significance = options.significance ?? 0.05;
         const warnings = [];
         const errors = [];
         
@@ -193,21 +345,21 @@ class DataProcessor {
             warnings.push(`${largePriceChanges.length} days with price changes > 50%`);
         }
         
-        // Check digital root distribution (should be roughly even if truly random)
-        const rootDist = processedData.statistics.digitalRootDistribution.frequencies;
-        const expectedCount = processedData.dailyData.length / 9;
-        const significantDeviations = Object.entries(rootDist).filter(
-            ([root, count]) => Math.abs(count - expectedCount) > expectedCount * 0.5
-        );
-        
-        if (significantDeviations.length > 0) {
-            warnings.push(`Uneven digital root distribution detected for roots: ${significantDeviations.map(([root]) => root).join(', ')}`);
+        // Check the digital root distribution against uniform (chi-square and Kolmogorov-Smirnov)
+        const tests = this.distributionTests(processedData);
+        const { chiSquare, kolmogorovSmirnov } = tests;
+        if (!tests.reliable) {
+            warnings.push(`Too few records to test the digital root distribution: ${chiSquare.sampleSize} roots, ${chiSquare.minimumExpected.toFixed(1)} expected per root (at least 5 needed)`);
+        } else if (chiSquare.pValue < significance || kolmogorovSmirnov.pValue < significance) {
+            warnings.push(`Digital root distribution departs from uniform: chi-square ${chiSquare.statistic.toFixed(2)} (df ${chiSquare.degreesOfFreedom}, p = ${chiSquare.pValue.toExponential(2)}), ` +
+                `KS D = ${kolmogorovSmirnov.statistic.toFixed(4)} (p = ${kolmogorovSmirnov.pValue.toExponential(2)})`);
         }
         
         return {
             valid: errors.length === 0,
             errors,
             warnings,
+            distributionTests: tests,
             summary: {
                 totalRecords: processedData.dailyData.length,
                 dataQuality: warnings.length === 0 ? 'Good' : 'Issues detected',
@@ -224,8 +376,10 @@ class DataProcessor {
     static exportToCSV(processedData) {
         const headers = [
             'Date', 'Price', 'Digital_Root', 'Sequence_Position', 
-            'Is_Doubling_Sequence', 'Is_Tesla_Number', 'Price_Change', 'Price_Change_Percent'
+            'Is_Doubling_Sequence', 'Is_Tesla_Number', 'Price_Change', 'Price_Change_Percent',
+            'Open', 'High', 'Low', 'Close', 'Volume'
         ];
+        const optional = (value) => (value === null || value === undefined ? '' : value);
         
         const rows = processedData.dailyData.map(d => [
             d.date,
@@ -235,7 +389,12 @@ class DataProcessor {
             d.isDoublingSequence ? 'Yes' : 'No',
             d.isTeslaNumber ? 'Yes' : 'No',
             d.priceChange.toFixed(2),
-            d.priceChangePercent.toFixed(2)
+            d.priceChangePercent.toFixed(2),
+            optional(d.open),
+            optional(d.high),
+            optional(d.low),
+            optional(d.close ?? d.price),
+            optional(d.volume)
         ]);
         
         return [headers, ...rows].map(row => row.join(',')).join('\n');
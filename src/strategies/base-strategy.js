@@ -0,0 +1,935 @@
+/**
+ * Base Strategy
+ * Backtest engine shared by every strategy: order execution, costs, sizing,
+ * risk exits and performance metrics. Subclasses supply the signals.
+ *
+ * Strategy contract:
+ *   prepare(priceData)                 - series to trade, e.g. with re-derived roots (defaults to as-is)
+ *   init(priceData)                    - prepare state before the first bar
+ *   onBar(dataPoint, index, priceData) - signal for a bar (defaults to generateSignal)
+ *   generateSignal(current, previous)  - { action: 'BUY' | 'SELL' | 'HOLD', reasoning }
+ *   describe()                         - { name, label, description, parameters }
+ *   buildOrder(signal, bar, side, intent) - order spec to work for a signal (defaults to market)
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var TCM = null;
+var PS = null;
+var IND = null;
+var PM = null;
+var BOOT = null;
+var DD = null;
+var OE = null;
+if (typeof module !== 'undefined' && module.exports) {
+    IND = require('../core/indicators.js');
+    PM = require('../analysis/performance-metrics.js');
+    BOOT = require('../analysis/bootstrap.js');
+    DD = require('../analysis/drawdown-analyzer.js');
+    TCM = require('../backtest/transaction-costs.js');
+    PS = require('../backtest/position-sizing.js');
+    OE = require('../backtest/order-engine.js');
+} else if (typeof window !== 'undefined') {
+    // Avoid redefining if already set by a previous script include
+    if (window.TransactionCostModel && !TCM) {
+        TCM = window.TransactionCostModel;
+    }
+    if (window.PositionSizer && !PS) {
+        PS = window.PositionSizer;
+    }
+    if (window.OrderEngine && !OE) {
+        OE = window.OrderEngine;
+    }
+    if (window.Indicators && !IND) {
+        IND = window.Indicators;
+    }
+    if (window.PerformanceMetrics && !PM) {
+        PM = window.PerformanceMetrics;
+    }
+    if (window.Bootstrap && !BOOT) {
+        BOOT = window.Bootstrap;
+    }
+    if (window.DrawdownAnalyzer && !DD) {
+        DD = window.DrawdownAnalyzer;
+    }
+}
+
+class BaseStrategy {
+    
+    constructor(config = {}) {
+        this.config = {
+            // Holding rules
+            minimumHoldPeriod: 1,     // Minimum holding period before a signal exit
+            maximumHoldPeriod: null,  // Force an exit after this long (null disables)
+            cooldownPeriod: 0,        // Wait this long after an exit before re-entering
+            holdPeriodUnit: 'bars',   // Unit for the three periods above: 'bars' or 'days'
+            
+            // Execution timing: 'same-close' fills at the signal bar's close (lookahead),
+            // 'next-close' and 'next-open' fill on the following bar
+            executionTiming: 'same-close',
+            partialFills: true,       // Limit orders fill in proportion to how far the bar traded through them
+            expiredExitsToMarket: false, // A price-level exit that expires unfilled goes to market instead
+            
+            // Trading costs
+            feePercent: 0.10,         // Fee percentage per side
+            makerFeePercent: null,    // Maker fee override (falls back to feePercent)
+            takerFeePercent: null,    // Taker fee override (falls back to feePercent)
+            fixedFee: 0,              // Flat fee per fill
+            slippageBps: 5,           // Slippage in basis points
+            liquidity: 'taker',       // Fill as 'maker' or 'taker'
+            
+            // Short selling
+            allowShort: false,        // Sell signals open shorts when flat
+            flipPosition: false,      // Reverse straight into the opposite side on an exit signal
+            borrowRatePercent: 5.0,   // Annualized borrow cost on short notional
+            maintenanceMarginPercent: 0, // Shorts are force-covered once equity falls to this % of their notional
+            
+            // Position sizing
+            sizingMethod: 'all-in',   // 'all-in', 'fixed-fraction', 'fixed-notional', 'kelly', 'volatility-target'
+            sizingFraction: 1.0,      // Fraction of equity (fixed-fraction, and fallback for kelly/vol target)
+            sizingNotional: 10000,    // Capital per trade for fixed-notional
+            kellyFraction: 0.5,       // Scale on the full Kelly fraction (0.5 = half Kelly)
+            kellyLookback: 20,        // Closed trades used for the rolling win rate
+            kellyMinTrades: 5,        // Trades required before Kelly sizing kicks in
+            kellyProbeFraction: 0.01, // Fraction still traded when Kelly finds no edge, so it can recover
+            targetVolatility: 0.5,    // Annualized volatility target (0.5 = 50%)
+            volatilityLookback: 30,   // Bars of returns for realized volatility
+            maxPositionFraction: 1.0, // Cap on the fraction of equity per position
+            
+            // Risk exits (null disables), checked every bar before the signal
+            stopLossPercent: null,    // Exit when the position is down this much
+            takeProfitPercent: null,  // Exit when the position is up this much
+            trailingStopPercent: null,// Exit on this pullback from the best price since entry
+            atrStopMultiplier: null,  // Exit this many ATRs (at entry) against the position
+            atrPeriod: 14,            // Bars used for the ATR
+            
+            // Annualization and benchmark rates for Sharpe, Sortino, alpha and volatility targeting
+            periodsPerYear: null,     // Bars per year (null = detect from the data's bar interval)
+            riskFreeRate: 0,          // Annual percent, or a { rates: [{ date, rate }] } series loaded from a file
+            minimumAcceptableReturn: null, // Sortino MAR in annual percent (null = the risk-free rate)
+            
+            // Bootstrap confidence intervals in generateReport()
+            confidenceLevel: 0.95,    // Two-sided interval level
+            bootstrapSamples: 1000,   // Resamples per interval
+            bootstrapBlockSize: null, // Daily block length (null = cube root of the series length)
+            bootstrapSeed: 42,        // RNG seed so reports are reproducible
+            
+            // Drawdown episodes in generateReport()
+            drawdownEpisodes: 5,      // Worst episodes listed by depth
+            
+            ...config
+        };
+        
+        this.costModel = new TCM(this.config);
+        this.orderEngine = new OE({ partialFills: this.config.partialFills });
+        this.positions = [];
+        this.tradeHistory = [];
+        this.performance = {
+            totalTrades: 0,
+            winningTrades: 0,
+            losingTrades: 0,
+            totalReturn: 0,
+            maxDrawdown: 0,
+            sharpeRatio: 0
+        };
+    }
+    
+    /**
+     * Series the backtest trades, derived from the input before the first bar
+     * Signals, fills and the equity curve all use the returned records.
+     * @param {Array} priceData - Price series passed to backtest()
+     * @returns {Array} Price series to trade
+     */
+    prepare(priceData) {
+        return priceData;
+    }
+    
+    /**
+     * Prepare strategy state before the first bar (indicator caches, RNG seeds)
+     * @param {Array} priceData - Full price series being backtested
+     */
+    init(priceData) {}
+    
+    /**
+     * Signal for one bar; only bars up to index may be used
+     * @param {Object} dataPoint - Current price data point
+     * @param {number} index - Index of the bar in priceData
+     * @param {Array} priceData - Full price series
+     * @returns {Object} Signal with action and reasoning
+     */
+    onBar(dataPoint, index, priceData) {
+        return this.generateSignal(dataPoint, index > 0 ? priceData[index - 1] : null);
+    }
+    
+    /**
+     * Generate trading signal for a given data point
+     * @param {Object} currentData - Current price data point
+     * @param {Object} previousData - Previous price data point
+     * @returns {Object} Signal with action and reasoning
+     */
+    generateSignal(currentData, previousData) {
+        throw new Error(`${this.constructor.name} must implement generateSignal() or onBar()`);
+    }
+    
+    /**
+     * Describe the strategy for registries and reports
+     * @returns {Object} { name, label, description, parameters }
+     */
+    describe() {
+        return {
+            name: this.constructor.name,
+            label: this.constructor.name,
+            description: '',
+            parameters: {}
+        };
+    }
+    
+    /**
+     * Run the strategy over a price series
+     * Calls prepare() and init() once, then onBar() for every bar, and executes the
+     * resulting signals with the configured costs, sizing and exit rules
+     * @param {Array} priceData - Array of price data with digital roots
+     * @param {number} initialCapital - Starting capital
+     * @returns {Object} Trading simulation results
+     */
+    backtest(priceData, initialCapital = 10000) {
+        this.reset();
+        priceData = this.prepare(priceData);
+        this.init(priceData);
+        
+        let cash = initialCapital;
+        let position = null;
+        let lastExit = null;
+        let maxCapital = initialCapital;
+        const orders = this.orderEngine;
+        const fillsNextBar = this.config.executionTiming === 'next-close' || this.config.executionTiming === 'next-open';
+        
+        const results = {
+            trades: [],
+            dailyPortfolio: [],
+            signals: []
+        };
+        
+        // A fill is the bar it happened on, priced where the order filled
+        const fillPoint = (fill) => ({ ...priceData[fill.index], price: fill.price });
+        
+        // Sizing and ATR only see data up to the signal bar, never the fill bar
+        const sizingConfig = { ...this.config, periodsPerYear: this.resolvePeriodsPerYear(priceData) };
+        const enter = (order, fill) => {
+            const dataPoint = fillPoint(fill);
+            const knownData = priceData.slice(0, order.signalIndex + 1);
+            
+            // The whole order is sized on its first fill; partial fills take their share
+            if (order.allocation === undefined) {
+                order.equity = cash;
+                order.allocation = PS.size({
+                    equity: cash,
+                    cash: cash,
+                    priceData: knownData,
+                    trades: this.tradeHistory
+                }, sizingConfig);
+            }
+            const allocation = Math.min(order.allocation * fill.fraction, cash);
+            if (allocation <= 0) return false;
+            
+            const opened = this.openPosition(order.side, dataPoint, allocation, allocation / order.equity, fill.liquidity);
+            if (position) {
+                this.addToPosition(position, opened);
+            } else {
+                position = opened;
+                position.orderId = order.id;
+                position.entryIndex = fill.index;
+                position.signalDate = priceData[order.signalIndex].date;
+                if (this.config.atrStopMultiplier) {
+                    position.atr = IND.atr(knownData, this.config.atrPeriod);
+                }
+            }
+            cash -= allocation;
+            results.trades.push({
+                type: 'OPEN',
+                action: order.side,
+                side: position.side,
+                date: dataPoint.date,
+                signalDate: position.signalDate,
+                fillDate: dataPoint.date,
+                price: opened.fillPrice,
+                marketPrice: dataPoint.price,
+                digitalRoot: dataPoint.digitalRoot,
+                reasoning: order.reasoning,
+                orderType: order.type,
+                fees: opened.fees,
+                slippage: opened.slippage,
+                allocation: allocation,
+                size: opened.size,
+                capital: cash + this.markToMarket(position, priceData[fill.index])
+            });
+            return true;
+        };
+        
+        const exit = (order, fill) => {
+            const dataPoint = fillPoint(fill);
+            
+            // Exit orders are sized on the position held at their first fill
+            if (order.shares === undefined) order.shares = position.shares;
+            const shares = fill.complete ? position.shares : Math.min(position.shares, order.shares * fill.fraction);
+            const closed = shares < position.shares ? this.splitPosition(position, shares / position.shares) : position;
+            
+            const trade = this.closePosition(closed, dataPoint, fill.liquidity);
+            trade.exitType = order.exitType;
+            trade.entrySignalDate = position.signalDate;
+            trade.exitSignalDate = priceData[order.signalIndex].date;
+            trade.entryIndex = position.entryIndex;
+            trade.exitIndex = fill.index;
+            cash += trade.exitCapital;
+            
+            results.trades.push({
+                type: 'CLOSE',
+                action: order.side,
+                side: position.side,
+                date: dataPoint.date,
+                signalDate: trade.exitSignalDate,
+                fillDate: dataPoint.date,
+                price: trade.exitPrice,
+                marketPrice: dataPoint.price,
+                digitalRoot: dataPoint.digitalRoot,
+                reasoning: order.reasoning,
+                exitType: order.exitType,
+                orderType: order.type,
+                entryPrice: trade.entryPrice,
+                entryDate: position.date,
+                profit: trade.profit,
+                profitPercent: trade.profitPercent,
+                fees: trade.exitFees,
+                slippage: trade.exitSlippage,
+                borrowCost: trade.borrowCost,
+                capital: cash
+            });
+            
+            this.tradeHistory.push(trade);
+            if (closed === position) {
+                // Nothing left to exit, and the rest of the entry order no longer applies
+                const entryId = position.orderId;
+                orders.cancelWhere(o => o.id !== order.id && (o.intent === 'EXIT' || o.id === entryId));
+                position = null;
+                lastExit = { index: fill.index, date: dataPoint.date };
+            }
+            return true;
+        };
+        
+        // Exits need a position; entries wait until the account is flat,
+        // apart from the rest of a partially filled entry
+        const onFill = (fill) => {
+            const order = fill.order;
+            if (order.intent === 'EXIT') {
+                return position ? exit(order, fill) : false;
+            }
+            if (position && position.orderId !== order.id) return false;
+            return enter(order, fill);
+        };
+        
+        // Market orders decided on bar i fill on bar i (same-close); everything else works from bar i + 1
+        const submit = (request, spec = { type: 'market' }) => {
+            const sameBar = (spec.type || 'market') === 'market' && !fillsNextBar;
+            orders.submit({
+                timeInForce: 'day',
+                ...spec,
+                ...request,
+                activeFrom: sameBar ? request.signalIndex : request.signalIndex + 1,
+                fillAt: this.config.executionTiming === 'next-open' ? 'open' : 'close'
+            });
+            if (sameBar) orders.process(priceData[request.signalIndex], request.signalIndex, onFill);
+        };
+        
+        const exitSide = () => (position.side === 'SHORT' ? 'BUY' : 'SELL');
+        const workingExits = (predicate = () => true) => orders.open(o => o.intent === 'EXIT' && predicate(o));
+        
+        for (let i = 0; i < priceData.length; i++) {
+            const dataPoint = priceData[i];
+            
+            // Fill orders still working from earlier bars
+            orders.process(dataPoint, i, onFill);
+            
+            // Without the fallback a position whose exit never reaches its price is simply held
+            if (position && this.config.expiredExitsToMarket && workingExits().length === 0) {
+                const expired = orders.orders.find(o => o.intent === 'EXIT' && o.status === 'expired' && o.lastProcessed === i);
+                if (expired) {
+                    submit({ intent: 'EXIT', side: exitSide(), signalIndex: i, reasoning: `${expired.reasoning} (${expired.type} exit expired unfilled, sent to market)`, exitType: expired.exitType });
+                }
+            }
+            
+            // Margin call: a short whose equity has fallen to the maintenance margin is
+            // covered at this bar's close, ahead of everything else; a loss beyond the
+            // account is written off so equity never goes below zero
+            if (position && position.side === 'SHORT') {
+                const equity = cash + this.markToMarket(position, dataPoint);
+                const maintenance = (this.config.maintenanceMarginPercent / 100) * position.shares * dataPoint.price;
+                if (equity <= maintenance) {
+                    orders.cancelWhere();
+                    orders.submit({
+                        intent: 'EXIT',
+                        side: 'BUY',
+                        signalIndex: i,
+                        reasoning: `Margin call: equity ${equity.toFixed(2)} at or below maintenance margin ${maintenance.toFixed(2)}`,
+                        exitType: 'liquidation',
+                        activeFrom: i
+                    });
+                    orders.process(dataPoint, i, onFill);
+                    cash = Math.max(cash, 0);
+                }
+            }
+            
+            // Risk exits run before the vortex signal so a stop always takes priority;
+            // they go to market, replace any resting exit and skip the minimum hold period
+            if (position) {
+                const riskExit = this.checkExitRules(position, dataPoint);
+                if (riskExit) {
+                    orders.cancelWhere(o => o.intent === 'EXIT');
+                    submit({ intent: 'EXIT', side: exitSide(), signalIndex: i, reasoning: riskExit.reasoning, exitType: riskExit.type });
+                }
+            }
+            
+            if (position && workingExits(o => o.type === 'market').length === 0 && this.config.maximumHoldPeriod) {
+                const held = this.elapsedPeriods(position.entryIndex, position.date, i, dataPoint.date);
+                if (held >= this.config.maximumHoldPeriod) {
+                    orders.cancelWhere(o => o.intent === 'EXIT');
+                    submit({ intent: 'EXIT', side: exitSide(), signalIndex: i, reasoning: `Maximum hold period reached (${held} ${this.config.holdPeriodUnit})`, exitType: 'max-hold' });
+                }
+            }
+            
+            const signal = this.onBar(dataPoint, i, priceData);
+            
+            const signalRecord = {
+                date: dataPoint.date,
+                price: dataPoint.price,
+                digitalRoot: dataPoint.digitalRoot,
+                signal: signal.action,
+                reasoning: signal.reasoning
+            };
+            results.signals.push(signalRecord);
+            
+            const suppress = (rule, reason) => {
+                signalRecord.suppressedBy = rule;
+                signalRecord.suppressionReason = reason;
+            };
+            
+            // Cooldown after an exit applies to fresh entries and to flips;
+            // a new entry replaces any entry order still working
+            const enterUnlessCoolingDown = (action, isFlip) => {
+                if (this.config.cooldownPeriod && (isFlip || lastExit)) {
+                    const elapsed = isFlip ? 0 : this.elapsedPeriods(lastExit.index, lastExit.date, i, dataPoint.date);
+                    if (elapsed < this.config.cooldownPeriod) {
+                        suppress('cooldown', `Entry suppressed: ${elapsed} of ${this.config.cooldownPeriod} ${this.config.holdPeriodUnit} cooldown since last exit`);
+                        return;
+                    }
+                }
+                orders.cancelWhere(o => o.intent === 'ENTER' && (!position || o.id !== position.orderId));
+                submit({ intent: 'ENTER', side: action, signalIndex: i, reasoning: signal.reasoning }, this.buildOrder(signal, dataPoint, action, 'ENTER'));
+            };
+            
+            // Execute trades based on signals; a position with an exit already working is left alone
+            const exitAction = position ? exitSide() : null;
+            if (position && workingExits().length === 0 && signal.action === exitAction) {
+                const held = this.elapsedPeriods(position.entryIndex, position.date, i, dataPoint.date);
+                if (held < this.config.minimumHoldPeriod) {
+                    suppress('minimum-hold', `Exit suppressed: held ${held} of ${this.config.minimumHoldPeriod} ${this.config.holdPeriodUnit}`);
+                } else {
+                    submit({ intent: 'EXIT', side: exitAction, signalIndex: i, reasoning: signal.reasoning, exitType: 'signal' }, this.buildOrder(signal, dataPoint, exitAction, 'EXIT'));
+                    const flipAllowed = this.config.flipPosition && (exitAction === 'BUY' || this.config.allowShort);
+                    if (flipAllowed) enterUnlessCoolingDown(exitAction, true);
+                }
+            } else if (!position && (signal.action === 'BUY' || (signal.action === 'SELL' && this.config.allowShort))) {
+                enterUnlessCoolingDown(signal.action, false);
+            }
+            
+            // Track portfolio value: idle cash plus the position marked to market (exit costs not yet paid)
+            const positionValue = position ? this.markToMarket(position, dataPoint) : 0;
+            const portfolioValue = Math.max(cash + positionValue, 0);
+            
+            // Update max capital for drawdown calculation
+            maxCapital = Math.max(maxCapital, portfolioValue);
+            
+            results.dailyPortfolio.push({
+                date: dataPoint.date,
+                price: dataPoint.price,
+                digitalRoot: dataPoint.digitalRoot,
+                portfolioValue: portfolioValue,
+                capital: cash,
+                cash: cash,
+                positionValue: positionValue,
+                position: position ? position.side : 'CASH',
+                drawdown: ((maxCapital - portfolioValue) / maxCapital) * 100
+            });
+        }
+        
+        // Cancel whatever is still working and close any remaining position at the last close
+        orders.cancelWhere();
+        if (position) {
+            const lastIndex = priceData.length - 1;
+            orders.submit({ intent: 'EXIT', side: exitSide(), signalIndex: lastIndex, reasoning: 'End of backtest period', exitType: 'end-of-data', activeFrom: lastIndex });
+            orders.process(priceData[lastIndex], lastIndex, onFill);
+        }
+        
+        // Calculate performance metrics
+        this.performance = this.calculatePerformanceMetrics(results, initialCapital, cash);
+        
+        return {
+            ...results,
+            orders: this.summarizeOrders(priceData),
+            performance: this.performance,
+            finalCapital: cash,
+            totalReturn: ((cash - initialCapital) / initialCapital) * 100
+        };
+    }
+    
+    /**
+     * Order to work for a signal
+     * Market by default; strategies return limit, stop or stop-limit specs
+     * (or attach one to the signal as signal.order) to trade at other prices.
+     * Risk exits, maximum-hold exits and the end-of-data close always go to market.
+     * @param {Object} signal - Signal from onBar()
+     * @param {Object} dataPoint - Signal bar
+     * @param {string} side - 'BUY' or 'SELL'
+     * @param {string} intent - 'ENTER' or 'EXIT'
+     * @returns {Object} Order spec: { type, limitPrice, stopPrice, timeInForce }
+     */
+    buildOrder(signal, dataPoint, side, intent) {
+        return signal.order || { type: 'market' };
+    }
+    
+    /**
+     * Orders worked in the last backtest, for reports
+     * @param {Array} priceData - Price series the backtest ran on
+     * @returns {Array<Object>} One row per order with its status and fills
+     */
+    summarizeOrders(priceData) {
+        return this.orderEngine.orders.map(order => ({
+            id: order.id,
+            intent: order.intent,
+            side: order.side,
+            type: order.type,
+            limitPrice: order.limitPrice ?? null,
+            stopPrice: order.stopPrice ?? null,
+            timeInForce: order.timeInForce,
+            signalDate: priceData[order.signalIndex].date,
+            status: order.status,
+            filled: order.filled,
+            fills: order.fills.map(fill => ({ date: priceData[fill.index].date, price: fill.price, quantity: fill.quantity }))
+        }));
+    }
+    
+    /**
+     * Open a new trading position
+     * Entry fees and slippage come out of the committed capital.
+     * A 'SELL' opens a short: the committed capital is collateral and the
+     * shares are borrowed and sold at the fill price.
+     * @param {string} action - 'BUY' or 'SELL'
+     * @param {Object} dataPoint - Price data point
+     * @param {number} capital - Capital committed to the position
+     * @param {number} size - Committed capital as a fraction of equity
+     * @param {string} liquidity - 'maker' or 'taker' (default the configured side)
+     * @returns {Object} Position object
+     */
+    openPosition(action, dataPoint, capital, size = 1.0, liquidity = null) {
+        const fill = this.costModel.fillBudget(action, dataPoint.price, capital, liquidity ?? undefined);
+        
+        return {
+            action: action,
+            side: action === 'SELL' ? 'SHORT' : 'LONG',
+            date: dataPoint.date,
+            price: dataPoint.price,
+            fillPrice: fill.fillPrice,
+            digitalRoot: dataPoint.digitalRoot,
+            capital: capital,
+            shares: fill.quantity,  // Shares bought (or borrowed) after fees and slippage
+            size: size,
+            bestPrice: dataPoint.price,  // Most favourable price since entry (trailing stop)
+            fees: fill.fees,
+            slippage: fill.slippage
+        };
+    }
+    
+    /**
+     * Close an existing trading position
+     * @param {Object} position - Position to close
+     * @param {Object} dataPoint - Current price data point
+     * @param {string} liquidity - 'maker' or 'taker' (default the configured side)
+     * @returns {Object} Trade result
+     */
+    closePosition(position, dataPoint, liquidity = null) {
+        const isShort = position.side === 'SHORT';
+        const fill = this.costModel.fillQuantity(isShort ? 'BUY' : 'SELL', dataPoint.price, position.shares, liquidity ?? undefined);
+        const holdingPeriod = this.calculateHoldingPeriod(position.date, dataPoint.date);
+        
+        // Profit is net of entry and exit costs (and borrow for shorts)
+        let exitCapital;
+        let borrowCost = 0;
+        if (isShort) {
+            borrowCost = this.calculateBorrowCost(position, holdingPeriod);
+            const collateral = position.shares * position.fillPrice;
+            exitCapital = collateral + position.shares * (position.fillPrice - fill.fillPrice) - fill.fees - borrowCost;
+        } else {
+            exitCapital = fill.notional - fill.fees;
+        }
+        const profit = exitCapital - position.capital;
+        const profitPercent = position.capital > 0 ? (profit / position.capital) * 100 : 0;
+        
+        return {
+            side: position.side || 'LONG',
+            entryDate: position.date,
+            exitDate: dataPoint.date,
+            entryPrice: position.fillPrice,
+            exitPrice: fill.fillPrice,
+            entryDigitalRoot: position.digitalRoot,
+            exitDigitalRoot: dataPoint.digitalRoot,
+            profit: profit,
+            profitPercent: profitPercent,
+            exitCapital: exitCapital,
+            fees: position.fees + fill.fees,
+            slippage: position.slippage + fill.slippage,
+            borrowCost: borrowCost,
+            exitFees: fill.fees,
+            exitSlippage: fill.slippage,
+            holdingPeriod: holdingPeriod
+        };
+    }
+    
+    /**
+     * Merge a further fill of the same entry order into an open position
+     * @param {Object} position - Open position (updated in place)
+     * @param {Object} addition - Position opened by the new fill
+     */
+    addToPosition(position, addition) {
+        const shares = position.shares + addition.shares;
+        position.fillPrice = (position.fillPrice * position.shares + addition.fillPrice * addition.shares) / shares;
+        position.shares = shares;
+        position.capital += addition.capital;
+        position.size += addition.size;
+        position.fees += addition.fees;
+        position.slippage += addition.slippage;
+    }
+    
+    /**
+     * Split part of a position off for a partial exit
+     * Shares, capital and entry costs are divided pro rata.
+     * @param {Object} position - Open position (keeps the remainder)
+     * @param {number} share - Fraction to split off (0-1)
+     * @returns {Object} The split-off part
+     */
+    splitPosition(position, share) {
+        const part = { ...position };
+        ['shares', 'capital', 'size', 'fees', 'slippage'].forEach(key => {
+            part[key] = position[key] * share;
+            position[key] -= part[key];
+        });
+        return part;
+    }
+    
+    /**
+     * Value an open position at the current price
+     * Longs are worth their shares; shorts are worth their collateral plus
+     * the unrealized gain on the borrowed shares, less accrued borrow cost
+     * @param {Object} position - Open position
+     * @param {Object} dataPoint - Current price data point
+     * @returns {number} Position equity before exit costs
+     */
+    markToMarket(position, dataPoint) {
+        if (position.side !== 'SHORT') {
+            return position.shares * dataPoint.price;
+        }
+        
+        const daysHeld = this.calculateHoldingPeriod(position.date, dataPoint.date);
+        return position.shares * position.fillPrice
+            + position.shares * (position.fillPrice - dataPoint.price)
+            - this.calculateBorrowCost(position, daysHeld);
+    }
+    
+    /**
+     * Check stop-loss, ATR stop, trailing stop and take-profit rules
+     * Also advances the position's best price for the trailing stop.
+     * Rules are checked against the close, so a triggered rule exits at this bar's close.
+     * @param {Object} position - Open position
+     * @param {Object} dataPoint - Current price data point
+     * @returns {Object|null} { type, reasoning } for the triggered rule, or null
+     */
+    checkExitRules(position, dataPoint) {
+        const isShort = position.side === 'SHORT';
+        const price = dataPoint.price;
+        const direction = isShort ? -1 : 1;
+        const movePercent = direction * ((price - position.fillPrice) / position.fillPrice) * 100;
+        
+        const bestPrice = position.bestPrice ?? position.price;
+        position.bestPrice = isShort ? Math.min(bestPrice, price) : Math.max(bestPrice, price);
+        
+        const { stopLossPercent, takeProfitPercent, trailingStopPercent, atrStopMultiplier } = this.config;
+        
+        if (stopLossPercent && movePercent <= -stopLossPercent) {
+            return { type: 'stop-loss', reasoning: `Stop-loss hit at ${movePercent.toFixed(1)}%` };
+        }
+        
+        if (atrStopMultiplier && position.atr) {
+            const stopPrice = position.fillPrice - direction * atrStopMultiplier * position.atr;
+            if (direction * (price - stopPrice) <= 0) {
+                return { type: 'atr-stop', reasoning: `ATR stop hit at ${movePercent.toFixed(1)}% (${atrStopMultiplier}× ATR of ${position.atr.toFixed(2)})` };
+            }
+        }
+        
+        if (trailingStopPercent) {
+            const pullback = direction * ((position.bestPrice - price) / position.bestPrice) * 100;
+            if (pullback >= trailingStopPercent) {
+                return { type: 'trailing-stop', reasoning: `Trailing stop hit at ${movePercent.toFixed(1)}% (${pullback.toFixed(1)}% off best price ${position.bestPrice.toFixed(2)})` };
+            }
+        }
+        
+        if (takeProfitPercent && movePercent >= takeProfitPercent) {
+            return { type: 'take-profit', reasoning: `Take-profit hit at +${movePercent.toFixed(1)}%` };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Borrow cost accrued on a short position's entry notional
+     * @param {Object} position - Short position
+     * @param {number} days - Calendar days held
+     * @returns {number} Borrow cost in quote currency
+     */
+    calculateBorrowCost(position, days) {
+        const annualRate = (this.config.borrowRatePercent || 0) / 100;
+        return position.shares * position.fillPrice * annualRate * (days / 365);
+    }
+    
+    /**
+     * Time elapsed between two bars in the configured holdPeriodUnit
+     * @param {number} fromIndex - Earlier bar index
+     * @param {string} fromDate - Earlier bar date
+     * @param {number} toIndex - Later bar index
+     * @param {string} toDate - Later bar date
+     * @returns {number} Elapsed bars or calendar days
+     */
+    elapsedPeriods(fromIndex, fromDate, toIndex, toDate) {
+        if (this.config.holdPeriodUnit === 'days') {
+            return this.calculateHoldingPeriod(fromDate, toDate);
+        }
+        return toIndex - fromIndex;
+    }
+    
+    /**
+     * Calculate holding period in days
+     * @param {string} entryDate - Entry date string
+     * @param {string} exitDate - Exit date string
+     * @returns {number} Holding period in days
+     */
+    calculateHoldingPeriod(entryDate, exitDate) {
+        const entry = new Date(entryDate);
+        const exit = new Date(exitDate);
+        return Math.round((exit - entry) / (1000 * 60 * 60 * 24));
+    }
+    
+    /**
+     * Calculate comprehensive performance metrics
+     * @param {Object} results - Backtest results
+     * @param {number} initialCapital - Starting capital
+     * @param {number} finalCapital - Ending capital
+     * @returns {Object} Performance metrics
+     */
+    calculatePerformanceMetrics(results, initialCapital, finalCapital) {
+        const trades = this.tradeHistory;
+        const dailyReturns = PM.periodReturns(results.dailyPortfolio);
+        
+        // Basic metrics
+        const totalReturn = ((finalCapital - initialCapital) / initialCapital) * 100;
+        const winningTrades = trades.filter(t => t.profit > 0).length;
+        const losingTrades = trades.filter(t => t.profit < 0).length;
+        
+        // Risk metrics (Sortino only penalizes downside volatility)
+        const maxDrawdown = results.dailyPortfolio.length > 0 ? Math.max(...results.dailyPortfolio.map(d => d.drawdown || 0)) : 0;
+        const periodsPerYear = this.resolvePeriodsPerYear(results.dailyPortfolio);
+        const rates = this.periodRates(results.dailyPortfolio, periodsPerYear);
+        const sharpeRatio = PM.sharpeRatio(dailyReturns, periodsPerYear, rates.riskFree);
+        const sortinoRatio = PM.sortinoRatio(dailyReturns, periodsPerYear, rates.mar);
+        const values = results.dailyPortfolio.map(d => d.portfolioValue);
+        const days = PM.elapsedDays(results.dailyPortfolio);
+        const cagr = PM.annualizedReturn(totalReturn, days);
+        
+        // Relative to holding the asset over the same bars
+        const benchmarkReturns = PM.priceReturns(results.dailyPortfolio);
+        const { alpha, beta, correlation } = PM.regression(dailyReturns, benchmarkReturns, periodsPerYear, rates.riskFree);
+        
+        // Trade analysis
+        const { avgWin, avgLoss } = PM.averageWinLoss(trades);
+        
+        // Trading costs paid over all round trips
+        const fees = trades.reduce((sum, t) => sum + (t.fees || 0), 0);
+        const slippage = trades.reduce((sum, t) => sum + (t.slippage || 0), 0);
+        const borrowCost = trades.reduce((sum, t) => sum + (t.borrowCost || 0), 0);
+        
+        return {
+            totalReturn: totalReturn,
+            totalTrades: trades.length,
+            winningTrades: winningTrades,
+            losingTrades: losingTrades,
+            winRate: PM.winRate(trades),
+            maxDrawdown: maxDrawdown,
+            sharpeRatio: sharpeRatio,
+            sortinoRatio: sortinoRatio,
+            periodsPerYear: periodsPerYear,
+            cagr: cagr,
+            calmarRatio: PM.calmarRatio(cagr, maxDrawdown),
+            ulcerIndex: PM.ulcerIndex(values),
+            exposure: PM.exposure(results.dailyPortfolio),
+            turnover: PM.turnover(trades, values, days),
+            tailRatio: PM.tailRatio(dailyReturns),
+            alpha: alpha,
+            beta: beta,
+            correlation: correlation,
+            benchmarkReturn: PM.totalReturn(benchmarkReturns),
+            avgWin: avgWin,
+            avgLoss: avgLoss,
+            profitFactor: PM.profitFactor(trades),
+            fees: fees,
+            slippage: slippage,
+            borrowCost: borrowCost,
+            longTrades: trades.filter(t => t.side !== 'SHORT').length,
+            shortTrades: trades.filter(t => t.side === 'SHORT').length,
+            avgHoldingPeriod: trades.length > 0 ? trades.reduce((sum, t) => sum + t.holdingPeriod, 0) / trades.length : 0
+        };
+    }
+    
+    /**
+     * Bars per year used for annualization: the configured value, else detected from the dates
+     * @param {Array<Object>} series - Dated price or portfolio points
+     * @returns {number} Periods per year
+     */
+    resolvePeriodsPerYear(series) {
+        return this.config.periodsPerYear || PM.detectPeriodsPerYear(series);
+    }
+    
+    /**
+     * Per-period risk-free and minimum acceptable returns for each interval of a series
+     * @param {Array<Object>} series - Dated portfolio points
+     * @param {number} periodsPerYear - Annualization factor
+     * @returns {Object} { riskFree, mar } arrays with one return per interval
+     */
+    periodRates(series, periodsPerYear) {
+        const toPeriod = annual => PM.ratePerPeriod(annual, periodsPerYear);
+        const riskFree = PM.annualRates(series, this.config.riskFreeRate).map(toPeriod);
+        const marFollowsRiskFree = this.config.minimumAcceptableReturn === null || this.config.minimumAcceptableReturn === undefined;
+        const mar = marFollowsRiskFree ? riskFree : PM.annualRates(series, this.config.minimumAcceptableReturn).map(toPeriod);
+        return { riskFree, mar };
+    }
+    
+    /**
+     * Annualization and benchmark-rate assumptions behind the risk-adjusted metrics
+     * @param {Array<Object>} series - Dated portfolio points
+     * @returns {Object} Periods per year and average annual rates with their sources
+     */
+    describeAssumptions(series) {
+        const riskFree = this.config.riskFreeRate;
+        const marFollowsRiskFree = this.config.minimumAcceptableReturn === null || this.config.minimumAcceptableReturn === undefined;
+        const mar = marFollowsRiskFree ? riskFree : this.config.minimumAcceptableReturn;
+        const isSeries = rate => rate !== null && typeof rate === 'object';
+        
+        return {
+            periodsPerYear: this.resolvePeriodsPerYear(series),
+            periodsPerYearSource: this.config.periodsPerYear ? 'configured' : 'detected from bar interval',
+            riskFreeRate: PM.mean(PM.annualRates(series, riskFree)),
+            riskFreeRateSource: isSeries(riskFree) ? (riskFree.label || 'rate series') : 'constant',
+            riskFreeRateNote: isSeries(riskFree) ? riskFree.note || null : null,
+            minimumAcceptableReturn: PM.mean(PM.annualRates(series, mar)),
+            minimumAcceptableReturnSource: marFollowsRiskFree ? 'risk-free rate' : (isSeries(mar) ? 'rate series' : 'constant')
+        };
+    }
+    
+    /**
+     * Reset strategy state for new backtest
+     */
+    reset() {
+        this.costModel = new TCM(this.config);
+        this.orderEngine = new OE({ partialFills: this.config.partialFills });
+        this.positions = [];
+        this.tradeHistory = [];
+        this.performance = {
+            totalTrades: 0,
+            winningTrades: 0,
+            losingTrades: 0,
+            totalReturn: 0,
+            maxDrawdown: 0,
+            sharpeRatio: 0
+        };
+    }
+    
+    /**
+     * Generate a strategy report
+     * @param {Object} backtestResults - Results from backtest
+     * @returns {Object} Strategy report
+     */
+    generateReport(backtestResults) {
+        return {
+            strategy: this.describe(),
+            strategyConfig: this.config,
+            performance: this.performance,
+            assumptions: this.describeAssumptions(backtestResults.dailyPortfolio || []),
+            confidenceIntervals: this.calculateConfidenceIntervals(backtestResults),
+            drawdowns: DD.analyze(backtestResults.dailyPortfolio || [], { top: this.config.drawdownEpisodes }),
+            signalAnalysis: this.analyzeSignals(backtestResults.signals)
+        };
+    }
+    
+    /**
+     * Block-bootstrap confidence intervals for the performance metrics
+     * @param {Object} backtestResults - Results from backtest
+     * @returns {Object} Interval per metric (see Bootstrap.confidenceIntervals)
+     */
+    calculateConfidenceIntervals(backtestResults) {
+        const periodsPerYear = this.resolvePeriodsPerYear(backtestResults.dailyPortfolio);
+        const rates = this.periodRates(backtestResults.dailyPortfolio, periodsPerYear);
+        return BOOT.confidenceIntervals(backtestResults.dailyPortfolio, this.tradeHistory, {
+            level: this.config.confidenceLevel,
+            samples: this.config.bootstrapSamples,
+            blockSize: this.config.bootstrapBlockSize,
+            seed: this.config.bootstrapSeed,
+            periodsPerYear: periodsPerYear,
+            riskFree: rates.riskFree,
+            mar: rates.mar
+        });
+    }
+    
+    /**
+     * Analyze signal distribution and effectiveness
+     * @param {Array} signals - Array of signals from backtest
+     * @returns {Object} Signal analysis
+     */
+    analyzeSignals(signals) {
+        const signalCounts = { BUY: 0, SELL: 0, HOLD: 0 };
+        const digitalRootSignals = {};
+        const suppressedSignals = {};
+        
+        signals.forEach(signal => {
+            signalCounts[signal.signal]++;
+            if (signal.suppressedBy) {
+                suppressedSignals[signal.suppressedBy] = (suppressedSignals[signal.suppressedBy] || 0) + 1;
+            }
+            if (!digitalRootSignals[signal.digitalRoot]) {
+                digitalRootSignals[signal.digitalRoot] = { BUY: 0, SELL: 0, HOLD: 0 };
+            }
+            digitalRootSignals[signal.digitalRoot][signal.signal]++;
+        });
+        
+        return {
+            signalDistribution: signalCounts,
+            digitalRootBreakdown: digitalRootSignals,
+            suppressedSignals: suppressedSignals,
+            signalFrequency: {
+                buyFrequency: (signalCounts.BUY / signals.length) * 100,
+                sellFrequency: (signalCounts.SELL / signals.length) * 100,
+                holdFrequency: (signalCounts.HOLD / signals.length) * 100
+            }
+        };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseStrategy;
+} else if (typeof window !== 'undefined') {
+    window.BaseStrategy = BaseStrategy;
+}
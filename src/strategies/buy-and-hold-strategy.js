@@ -0,0 +1,51 @@
+/**
+ * Buy and Hold Strategy
+ * Buys on the first bar and holds to the end of the test period; the
+ * benchmark any active strategy has to beat after costs
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var BS = null;
+if (typeof module !== 'undefined' && module.exports) {
+    BS = require('./base-strategy.js');
+} else if (typeof window !== 'undefined') {
+    if (window.BaseStrategy && !BS) {
+        BS = window.BaseStrategy;
+    }
+}
+
+class BuyAndHoldStrategy extends BS {
+
+    /**
+     * Describe the strategy for registries and reports
+     * @returns {Object} { name, label, description, parameters }
+     */
+    describe() {
+        return {
+            name: 'buy-and-hold',
+            label: 'Buy and hold',
+            description: 'Buy on the first bar and hold to the end of the period',
+            parameters: {}
+        };
+    }
+
+    /**
+     * Generate trading signal for a given data point
+     * @param {Object} currentData - Current price data point
+     * @param {Object} previousData - Previous price data point
+     * @returns {Object} Signal with action and reasoning
+     */
+    generateSignal(currentData, previousData) {
+        if (!previousData) {
+            return { action: 'BUY', reasoning: 'Buy and hold entry on the first bar' };
+        }
+        return { action: 'HOLD', reasoning: 'Holding until the end of the period' };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BuyAndHoldStrategy;
+} else if (typeof window !== 'undefined') {
+    window.BuyAndHoldStrategy = BuyAndHoldStrategy;
+}
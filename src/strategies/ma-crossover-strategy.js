@@ -0,0 +1,94 @@
+/**
+ * Moving Average Crossover Strategy
+ * Buys when the fast SMA crosses above the slow SMA and sells on the
+ * cross back below; a conventional trend-following comparison
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var BS = null;
+var IND = null;
+if (typeof module !== 'undefined' && module.exports) {
+    BS = require('./base-strategy.js');
+    IND = require('../core/indicators.js');
+} else if (typeof window !== 'undefined') {
+    if (window.BaseStrategy && !BS) {
+        BS = window.BaseStrategy;
+    }
+    if (window.Indicators && !IND) {
+        IND = window.Indicators;
+    }
+}
+
+class MovingAverageCrossoverStrategy extends BS {
+
+    constructor(config = {}) {
+        super({
+            fastPeriod: 20, // Bars in the fast moving average
+            slowPeriod: 50, // Bars in the slow moving average
+            ...config
+        });
+        if (this.config.fastPeriod >= this.config.slowPeriod) {
+            throw new Error(`fastPeriod (${this.config.fastPeriod}) must be shorter than slowPeriod (${this.config.slowPeriod})`);
+        }
+        this.fast = [];
+        this.slow = [];
+    }
+
+    /**
+     * Precompute both averages; each value only uses bars up to its own index
+     * @param {Array} priceData - Full price series being backtested
+     */
+    init(priceData) {
+        const closes = priceData.map(d => d.price);
+        this.fast = IND.sma(closes, this.config.fastPeriod);
+        this.slow = IND.sma(closes, this.config.slowPeriod);
+    }
+
+    /**
+     * Describe the strategy for registries and reports
+     * @returns {Object} { name, label, description, parameters }
+     */
+    describe() {
+        return {
+            name: 'ma-crossover',
+            label: 'Moving average crossover',
+            description: `Buy when SMA(${this.config.fastPeriod}) crosses above SMA(${this.config.slowPeriod}), sell on the cross below`,
+            parameters: {
+                fastPeriod: this.config.fastPeriod,
+                slowPeriod: this.config.slowPeriod
+            }
+        };
+    }
+
+    /**
+     * Signal for one bar from the averages at this bar and the one before
+     * @param {Object} dataPoint - Current price data point
+     * @param {number} index - Index of the bar in priceData
+     * @param {Array} priceData - Full price series
+     * @returns {Object} Signal with action and reasoning
+     */
+    onBar(dataPoint, index, priceData) {
+        const fast = this.fast[index];
+        const slow = this.slow[index];
+        const previousFast = index > 0 ? this.fast[index - 1] : null;
+        const previousSlow = index > 0 ? this.slow[index - 1] : null;
+
+        if (fast === null || slow === null || previousFast === null || previousSlow === null) {
+            return { action: 'HOLD', reasoning: `Waiting for ${this.config.slowPeriod} bars of history` };
+        }
+        if (previousFast <= previousSlow && fast > slow) {
+            return { action: 'BUY', reasoning: `SMA(${this.config.fastPeriod}) crossed above SMA(${this.config.slowPeriod})` };
+        }
+        if (previousFast >= previousSlow && fast < slow) {
+            return { action: 'SELL', reasoning: `SMA(${this.config.fastPeriod}) crossed below SMA(${this.config.slowPeriod})` };
+        }
+        return { action: 'HOLD', reasoning: 'No crossover' };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MovingAverageCrossoverStrategy;
+} else if (typeof window !== 'undefined') {
+    window.MovingAverageCrossoverStrategy = MovingAverageCrossoverStrategy;
+}
@@ -0,0 +1,82 @@
+/**
+ * Random Entry Strategy
+ * Buys and sells on coin flips from a seeded generator; a null model for
+ * judging whether another strategy's signals carry any information
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var BS = null;
+var RNG = null;
+if (typeof module !== 'undefined' && module.exports) {
+    BS = require('./base-strategy.js');
+    RNG = require('../core/random.js');
+} else if (typeof window !== 'undefined') {
+    if (window.BaseStrategy && !BS) {
+        BS = window.BaseStrategy;
+    }
+    if (window.SeededRandom && !RNG) {
+        RNG = window.SeededRandom;
+    }
+}
+
+class RandomEntryStrategy extends BS {
+
+    constructor(config = {}) {
+        super({
+            buyProbability: 0.1,  // Chance of a buy signal on any bar
+            sellProbability: 0.1, // Chance of a sell signal on any bar
+            seed: 42,             // RNG seed; the same seed replays the same signals
+            ...config
+        });
+        this.random = new RNG(this.config.seed);
+    }
+
+    /**
+     * Re-seed so every backtest run replays the same signal sequence
+     * @param {Array} priceData - Full price series being backtested
+     */
+    init(priceData) {
+        this.random = new RNG(this.config.seed);
+    }
+
+    /**
+     * Describe the strategy for registries and reports
+     * @returns {Object} { name, label, description, parameters }
+     */
+    describe() {
+        return {
+            name: 'random-entry',
+            label: 'Random entry',
+            description: `Buy with probability ${this.config.buyProbability} and sell with probability ${this.config.sellProbability} per bar (seed ${this.config.seed})`,
+            parameters: {
+                buyProbability: this.config.buyProbability,
+                sellProbability: this.config.sellProbability,
+                seed: this.config.seed
+            }
+        };
+    }
+
+    /**
+     * Generate trading signal for a given data point
+     * @param {Object} currentData - Current price data point
+     * @param {Object} previousData - Previous price data point
+     * @returns {Object} Signal with action and reasoning
+     */
+    generateSignal(currentData, previousData) {
+        const draw = this.random.next();
+        if (draw < this.config.buyProbability) {
+            return { action: 'BUY', reasoning: `Random buy (draw ${draw.toFixed(3)})` };
+        }
+        if (draw < this.config.buyProbability + this.config.sellProbability) {
+            return { action: 'SELL', reasoning: `Random sell (draw ${draw.toFixed(3)})` };
+        }
+        return { action: 'HOLD', reasoning: 'No random signal' };
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RandomEntryStrategy;
+} else if (typeof window !== 'undefined') {
+    window.RandomEntryStrategy = RandomEntryStrategy;
+}
@@ -0,0 +1,736 @@
+/**
+ * Declarative Signal Rules
+ * A small rule language that compiles to a generateSignal(current, previous)
+ * function, so a signal hypothesis can be tried without writing a strategy:
+ *
+ *   # comments and blank lines are ignored
+ *   BUY when root in [1, 2] and prev.root == 8 and sequence(1,2,4) within 3
+ *   SELL when polarity(root) == "negative" because "Tesla negative ({root})"
+ *
+ * One rule per line; the first rule whose condition holds gives the action,
+ * and no match is HOLD. Conditions combine comparisons (== != < <= > >=),
+ * `x in [..]`, `and`, `or`, `not` and parentheses over:
+ *   root, price, open, high, low, close, volume, change - the bar (change is %)
+ *   roots.open, roots.high, ...  - per-field digital roots when processed with them
+ *   prev.<field>                 - the previous bar (null on the first bar)
+ *   config.<name>                - strategy config, e.g. config.buySignal
+ *   doubling(x), tesla(x)        - membership of the base's doubling cycle / Tesla roots
+ *   polarity(x)                  - 'balance', 'positive', 'negative' or null
+ *   sequence(1,2,*,8) [within N] - the roots completed that pattern ('*' = any root)
+ *                                  on this bar or the N - 1 before it; trailing
+ *                                  `reversed` / `rotations` words add PatternMatcher variants
+ * Comparisons with null are false, so prev.root == 8 and prev.root != 8 both fail
+ * on the first bar; compare with a literal null (prev.root != null) to test for a value.
+ * `because "..."` sets the signal's reasoning; {path} placeholders are filled in.
+ *
+ * parse() turns text into a plain JSON rule set and format() turns it back,
+ * so rules can be stored as JSON; compile() accepts either.
+ */
+
+// Support both Node.js and browser environments; avoid const re-declare in browser
+var VM = null;
+var PMT = null;
+if (typeof module !== 'undefined' && module.exports) {
+    VM = require('../core/vortex-math.js');
+    PMT = require('../core/pattern-matcher.js');
+} else if (typeof window !== 'undefined') {
+    if (window.VortexMath && !VM) {
+        VM = window.VortexMath;
+    }
+    if (window.PatternMatcher && !PMT) {
+        PMT = window.PatternMatcher;
+    }
+}
+
+// Actions a rule can give
+const RULE_ACTIONS = ['BUY', 'SELL', 'HOLD'];
+
+// Bar fields a rule can read, by the name used in rules
+const RULE_FIELDS = {
+    root: 'digitalRoot',
+    price: 'price',
+    open: 'open',
+    high: 'high',
+    low: 'low',
+    close: 'close',
+    volume: 'volume',
+    change: 'priceChangePercent'
+};
+
+// One-argument root functions
+const RULE_FUNCTIONS = {
+    doubling: (engine, root) => root !== null && engine.isInDoublingSequence(root),
+    tesla: (engine, root) => root !== null && engine.isTeslaNumber(root),
+    polarity: (engine, root) => (root === null ? null : engine.teslaPolarity(root))
+};
+
+const RULE_COMPARISONS = ['==', '!=', '<=', '>=', '<', '>'];
+
+class RuleLanguage {
+
+    /**
+     * Parse rule text into a JSON-safe rule set
+     * @param {string} text - Rules, one per line
+     * @returns {Object} { rules: [{ action, when, because, line, column }] } where `when` is an expression tree
+     *   and column is where it starts
+     * @throws {Error} With line and column properties, e.g. "Line 2, column 15: expected 'when' ..."
+     */
+    static parse(text) {
+        const rules = [];
+        String(text).split(/\r?\n/).forEach((source, index) => {
+            const parser = new RuleParser(source, index + 1);
+            if (parser.tokens.length === 0) return;
+            rules.push(parser.parseRule());
+        });
+        return { rules: rules };
+    }
+
+    /**
+     * Rule text for a rule set, the inverse of parse()
+     * @param {Object} ruleSet - Rule set from parse() (or loaded from JSON)
+     * @returns {string} One rule per line
+     */
+    static format(ruleSet) {
+        return this.rulesOf(ruleSet).map(rule => {
+            const because = rule.because ? ` because ${JSON.stringify(rule.because)}` : '';
+            return `${rule.action} when ${this.formatExpression(rule.when)}${because}`;
+        }).join('\n');
+    }
+
+    /**
+     * Text of one expression tree, with parentheses only where precedence needs them
+     * @param {Object} node - Expression tree
+     * @returns {string} Expression text
+     */
+    static formatExpression(node) {
+        const wrap = (child, minimum) => {
+            const text = this.formatExpression(child);
+            return this.expressionPrecedence(child) < minimum ? `(${text})` : text;
+        };
+
+        switch (node.type) {
+            case 'literal':
+                return typeof node.value === 'string' ? JSON.stringify(node.value) : String(node.value);
+            case 'variable':
+                return node.name;
+            case 'or':
+                return node.operands.map(operand => wrap(operand, 2)).join(' or ');
+            case 'and':
+                return node.operands.map(operand => wrap(operand, 3)).join(' and ');
+            case 'not':
+                return `not ${wrap(node.operand, 3)}`;
+            case 'compare':
+                return `${wrap(node.left, 5)} ${node.operator} ${wrap(node.right, 5)}`;
+            case 'in':
+                return `${wrap(node.value, 5)} in [${node.list.map(item => wrap(item, 5)).join(', ')}]`;
+            case 'call':
+                return `${node.name}(${wrap(node.argument, 1)})`;
+            case 'sequence': {
+                const flags = ['reversed', 'rotations'].filter(flag => node[flag]);
+                const within = node.within > 1 ? ` within ${node.within}` : '';
+                return `sequence(${node.sequence.concat(flags).join(', ')})${within}`;
+            }
+            default:
+                throw new Error(`Unknown expression type "${node.type}"`);
+        }
+    }
+
+    /**
+     * Compile rules into a signal function
+     * The function is stateful when rules use sequence(): it must see every bar
+     * once, in order, and reset() starts it again.
+     * @param {string|Object} rules - Rule text, a rule set from parse()/JSON, or a BUILTIN_RULE_SETS name
+     * @param {Object} config - Strategy config read by config.<name> (its base sets the digital-root base)
+     * @returns {Function} signal(currentData, previousData) returning { action, reasoning }, with reset()
+     */
+    static compile(rules, config = {}) {
+        const ruleSet = this.resolve(rules);
+        const engine = VM.baseEngine(config.base ?? 10);
+        const patterns = [];
+        const state = { position: -1, lastEnd: [] };
+
+        const compiled = this.rulesOf(ruleSet).map((rule, index) => {
+            const label = rule.line ? `Line ${rule.line}` : `Rule ${index + 1}`;
+            // Parsed rules point at their condition the way parse errors do; JSON rules by number
+            const ruleError = message => {
+                if (!rule.line) return new Error(`${label}: ${message}`);
+                const column = rule.column ?? 1;
+                const error = new Error(`Line ${rule.line}, column ${column}: ${message}`);
+                error.line = rule.line;
+                error.column = column;
+                return error;
+            };
+            if (!RULE_ACTIONS.includes(rule.action)) {
+                throw ruleError(`unknown action "${rule.action}". Available: ${RULE_ACTIONS.join(', ')}`);
+            }
+            if (!rule.when) throw ruleError('missing condition');
+            let test;
+            try {
+                test = this.compileExpression(rule.when, { engine, config, patterns, state });
+            } catch (error) {
+                throw ruleError(error.message);
+            }
+            return {
+                action: rule.action,
+                test: test,
+                reasoning: rule.because
+                    ? scope => this.interpolate(rule.because, scope)
+                    : () => `${label} (${rule.action} when ${this.formatExpression(rule.when)})`
+            };
+        });
+
+        const matcher = patterns.length > 0 ? new PMT(patterns) : null;
+
+        const signal = (currentData, previousData) => {
+            const position = ++state.position;
+            if (matcher) {
+                matcher.push(currentData.digitalRoot).forEach(event => {
+                    state.lastEnd[event.patternIndex] = event.end;
+                });
+            }
+
+            const scope = { current: currentData, previous: previousData || null, config: config, position: position };
+            const rule = compiled.find(candidate => candidate.test(scope));
+            return rule
+                ? { action: rule.action, reasoning: rule.reasoning(scope) }
+                : { action: 'HOLD', reasoning: 'No rule matched' };
+        };
+        signal.reset = () => {
+            state.position = -1;
+            state.lastEnd = [];
+            if (matcher) matcher.reset();
+        };
+        return signal;
+    }
+
+    /**
+     * Rule set for compile() input
+     * @param {string|Object} rules - Rule text, rule set, or BUILTIN_RULE_SETS name
+     * @returns {Object} Rule set
+     */
+    static resolve(rules) {
+        if (typeof rules === 'string') {
+            const builtin = Object.prototype.hasOwnProperty.call(this.BUILTIN_RULE_SETS, rules) ? this.BUILTIN_RULE_SETS[rules] : null;
+            return this.parse(builtin ?? rules);
+        }
+        return rules;
+    }
+
+    /**
+     * @param {Object} ruleSet - Rule set
+     * @returns {Array<Object>} Its rules
+     */
+    static rulesOf(ruleSet) {
+        if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+            throw new Error('Rule set needs a rules array');
+        }
+        return ruleSet.rules;
+    }
+
+    /**
+     * Binding strength of an expression, for format()
+     * @param {Object} node - Expression tree
+     * @returns {number} 1 (or) to 5 (operands)
+     */
+    static expressionPrecedence(node) {
+        return { or: 1, and: 2, not: 3, compare: 4, in: 4 }[node.type] || 5;
+    }
+
+    /**
+     * Reader for a variable name
+     * @param {string} name - e.g. 'root', 'prev.change', 'roots.open', 'config.buySignal'
+     * @returns {Function|null} (scope) => value or null, or null for unknown names
+     */
+    static variableReader(name) {
+        const parts = String(name).split('.');
+        if (parts[0] === 'config' && parts.length > 1) {
+            return scope => parts.slice(1).reduce((value, key) => (value == null ? null : value[key]), scope.config) ?? null;
+        }
+
+        const previous = parts[0] === 'prev';
+        const field = previous ? parts.slice(1) : parts;
+        let read = null;
+        if (field.length === 1 && RULE_FIELDS[field[0]]) {
+            read = bar => bar[RULE_FIELDS[field[0]]];
+        } else if (field.length === 2 && field[0] === 'roots' && RULE_FIELDS[field[1]] && field[1] !== 'root' && field[1] !== 'change') {
+            read = bar => (bar.digitalRoots ? bar.digitalRoots[field[1]] : null);
+        }
+        if (!read) return null;
+
+        return scope => {
+            const bar = previous ? scope.previous : scope.current;
+            return bar ? read(bar) ?? null : null;
+        };
+    }
+
+    /**
+     * Compile an expression tree to a function of the evaluation scope
+     * @param {Object} node - Expression tree
+     * @param {Object} context - { engine, config, patterns, state }; sequence() nodes add to patterns
+     * @returns {Function} (scope) => value
+     */
+    static compileExpression(node, context) {
+        if (!node || typeof node !== 'object') {
+            throw new Error('Expected an expression object');
+        }
+        const compileAll = nodes => {
+            if (!Array.isArray(nodes) || nodes.length === 0) {
+                throw new Error(`${node.type} needs a non-empty array of expressions`);
+            }
+            return nodes.map(child => this.compileExpression(child, context));
+        };
+
+        switch (node.type) {
+            case 'literal':
+                return () => node.value;
+            case 'variable': {
+                const read = this.variableReader(node.name);
+                if (!read) throw new Error(`Unknown variable '${node.name}'`);
+                return read;
+            }
+            case 'or': {
+                const operands = compileAll(node.operands);
+                return scope => operands.some(operand => Boolean(operand(scope)));
+            }
+            case 'and': {
+                const operands = compileAll(node.operands);
+                return scope => operands.every(operand => Boolean(operand(scope)));
+            }
+            case 'not': {
+                const operand = this.compileExpression(node.operand, context);
+                return scope => !operand(scope);
+            }
+            case 'compare': {
+                if (!RULE_COMPARISONS.includes(node.operator)) {
+                    throw new Error(`Unknown comparison '${node.operator}'. Available: ${RULE_COMPARISONS.join(', ')}`);
+                }
+                const left = this.compileExpression(node.left, context);
+                const right = this.compileExpression(node.right, context);
+                // Against a literal null, != asks whether the value exists
+                const nullTest = [node.left, node.right].some(side => side.type === 'literal' && side.value === null);
+                if (nullTest && node.operator === '!=') return scope => left(scope) !== right(scope);
+                return scope => this.compareValues(node.operator, left(scope), right(scope));
+            }
+            case 'in': {
+                const value = this.compileExpression(node.value, context);
+                const list = compileAll(node.list);
+                return scope => {
+                    const target = value(scope);
+                    return target !== null && list.some(item => item(scope) === target);
+                };
+            }
+            case 'call': {
+                const fn = RULE_FUNCTIONS[node.name];
+                if (!fn) throw new Error(`Unknown function '${node.name}'`);
+                const argument = this.compileExpression(node.argument, context);
+                return scope => fn(context.engine, argument(scope) ?? null);
+            }
+            case 'sequence': {
+                const within = node.within ?? 1;
+                if (!Number.isInteger(within) || within < 1) {
+                    throw new Error(`sequence() within must be a whole number of bars, got ${within}`);
+                }
+                const patternIndex = context.patterns.length;
+                context.patterns.push({
+                    name: this.formatExpression({ ...node, within: 1 }),
+                    sequence: node.sequence,
+                    reversed: Boolean(node.reversed),
+                    rotations: Boolean(node.rotations)
+                });
+                return scope => {
+                    const end = context.state.lastEnd[patternIndex];
+                    return end !== undefined && scope.position - end < within;
+                };
+            }
+            default:
+                throw new Error(`Unknown expression type "${node.type}"`);
+        }
+    }
+
+    /**
+     * Comparison where anything but equality with null is false, != included
+     * @param {string} operator - Comparison operator
+     * @param {*} left - Left value
+     * @param {*} right - Right value
+     * @returns {boolean} Result
+     */
+    static compareValues(operator, left, right) {
+        if (operator === '==') return left === right;
+        if (left === null || right === null) return false;
+        if (operator === '!=') return left !== right;
+        if (operator === '<') return left < right;
+        if (operator === '<=') return left <= right;
+        if (operator === '>') return left > right;
+        return left >= right;
+    }
+
+    /**
+     * Fill {path} placeholders in a reason
+     * @param {string} text - Reason text
+     * @param {Object} scope - Evaluation scope
+     * @returns {string} Reason with values filled in ('none' for null)
+     */
+    static interpolate(text, scope) {
+        return text.replace(/\{([^}]*)\}/g, (placeholder, name) => {
+            const read = this.variableReader(name.trim());
+            const value = read ? read(scope) : null;
+            return value === null ? 'none' : String(value);
+        });
+    }
+}
+
+/**
+ * Built-in rule sets by name
+ * 'vortex' gives the same actions as VortexStrategy.generateSignal in any base:
+ * the doubling filter excludes first, then the Tesla filter trades polarity,
+ * and only then do the buy, sell and hold roots apply.
+ */
+RuleLanguage.BUILTIN_RULE_SETS = {
+    vortex: [
+        '# VortexStrategy signals',
+        'HOLD when config.useSequenceFilter and not doubling(root) because "Digital root {root} not in doubling sequence - no action"',
+        'HOLD when config.useTeslaFilter and polarity(root) == "balance" because "Tesla balance number ({root}) - maintain position"',
+        'BUY when config.useTeslaFilter and polarity(root) == "positive" because "Tesla positive polarity ({root}) - upward energy flow"',
+        'SELL when config.useTeslaFilter and tesla(root) because "Tesla negative polarity ({root}) - downward energy flow"',
+        'BUY when root == config.buySignal because "Vortex buy signal (digital root {config.buySignal}) - cycle start"',
+        'SELL when root == config.sellSignal because "Vortex sell signal (digital root {config.sellSignal}) - cycle peak"',
+        'HOLD when root == config.holdSignal because "Vortex hold signal (digital root {config.holdSignal}) - equilibrium"'
+    ].join('\n')
+};
+
+/**
+ * Recursive-descent parser for one line of rule text
+ */
+class RuleParser {
+
+    /**
+     * @param {string} source - Line text
+     * @param {number} line - Line number (1-based)
+     */
+    constructor(source, line) {
+        this.source = source;
+        this.line = line;
+        this.tokens = this.tokenize(source);
+        this.index = 0;
+    }
+
+    /**
+     * @param {number} column - Column (1-based)
+     * @param {string} message - What went wrong
+     * @returns {Error} Error carrying line and column
+     */
+    error(column, message) {
+        const error = new Error(`Line ${this.line}, column ${column}: ${message}`);
+        error.line = this.line;
+        error.column = column;
+        return error;
+    }
+
+    /**
+     * Split a line into tokens, stopping at a '#' comment
+     * @param {string} source - Line text
+     * @returns {Array<Object>} { type, value, column } with types number, string, word, operator, punctuation
+     */
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+        while (i < source.length) {
+            const char = source[i];
+            const column = i + 1;
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '#') {
+                break;
+            } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+                const match = /^[0-9]*\.?[0-9]+(?:[eE][-+]?[0-9]+)?/.exec(source.slice(i));
+                tokens.push({ type: 'number', value: Number(match[0]), column });
+                i += match[0].length;
+            } else if (/[A-Za-z_]/.test(char)) {
+                const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+                tokens.push({ type: 'word', value: match[0], column });
+                i += match[0].length;
+            } else if (char === '"' || char === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== char) {
+                    if (source[j] === '\\' && j + 1 < source.length) j++;
+                    value += source[j];
+                    j++;
+                }
+                if (j >= source.length) throw this.error(column, 'unterminated string');
+                tokens.push({ type: 'string', value, column });
+                i = j + 1;
+            } else {
+                const operator = RULE_COMPARISONS.find(op => source.startsWith(op, i));
+                if (operator) {
+                    tokens.push({ type: 'operator', value: operator, column });
+                    i += operator.length;
+                } else if ('()[],.*-'.includes(char)) {
+                    tokens.push({ type: 'punctuation', value: char, column });
+                    i++;
+                } else if (char === '=') {
+                    throw this.error(column, "unexpected '=' (compare with '==')");
+                } else {
+                    throw this.error(column, `unexpected character '${char}'`);
+                }
+            }
+        }
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.index] || null;
+    }
+
+    /**
+     * @param {Object|null} token - Token, or null at the end of the line
+     * @returns {string} Token as quoted in error messages
+     */
+    describeToken(token) {
+        if (!token) return 'end of line';
+        return token.type === 'string' ? JSON.stringify(token.value) : `'${token.value}'`;
+    }
+
+    /**
+     * @param {Object|null} token - Token, or null at the end of the line
+     * @returns {number} Column to report for it
+     */
+    columnOf(token) {
+        return token ? token.column : this.source.replace(/\s+$/, '').length + 1;
+    }
+
+    /**
+     * Consume the next token if it has the given value (and type)
+     * @param {string} value - Token value
+     * @param {string} type - Token type (any when omitted)
+     * @returns {Object|null} The token, or null if it did not match
+     */
+    accept(value, type) {
+        const token = this.peek();
+        if (token && token.value === value && (!type || token.type === type)) {
+            this.index++;
+            return token;
+        }
+        return null;
+    }
+
+    /**
+     * Consume a token that must be there
+     * @param {string} value - Token value
+     * @param {string} context - Where it is expected, for the error message
+     * @returns {Object} The token
+     */
+    expect(value, context) {
+        const token = this.accept(value);
+        if (!token) {
+            const found = this.peek();
+            throw this.error(this.columnOf(found), `expected '${value}' ${context}, found ${this.describeToken(found)}`);
+        }
+        return token;
+    }
+
+    /**
+     * rule := ACTION 'when' expression ['because' STRING]
+     * @returns {Object} { action, when, because, line, column } with the column where the condition starts
+     */
+    parseRule() {
+        const first = this.peek();
+        const action = first.type === 'word' ? first.value.toUpperCase() : null;
+        if (!RULE_ACTIONS.includes(action)) {
+            throw this.error(first.column, `expected an action (${RULE_ACTIONS.join(', ')}), found ${this.describeToken(first)}`);
+        }
+        this.index++;
+        this.expect('when', `after ${action}`);
+        const column = this.columnOf(this.peek());
+        const when = this.parseOr();
+
+        let because = null;
+        if (this.accept('because', 'word')) {
+            const token = this.peek();
+            if (!token || token.type !== 'string') {
+                throw this.error(this.columnOf(token), `expected a quoted reason after 'because', found ${this.describeToken(token)}`);
+            }
+            this.index++;
+            this.checkPlaceholders(token);
+            because = token.value;
+        }
+
+        const rest = this.peek();
+        if (rest) {
+            const expected = because === null ? "'and', 'or', 'because' or end of rule" : 'end of rule';
+            throw this.error(rest.column, `expected ${expected}, found ${this.describeToken(rest)}`);
+        }
+        return { action, when, because, line: this.line, column };
+    }
+
+    parseOr() {
+        const operands = [this.parseAnd()];
+        while (this.accept('or', 'word')) operands.push(this.parseAnd());
+        return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    }
+
+    parseAnd() {
+        const operands = [this.parseNot()];
+        while (this.accept('and', 'word')) operands.push(this.parseNot());
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    parseNot() {
+        if (this.accept('not', 'word')) return { type: 'not', operand: this.parseNot() };
+        return this.parseComparison();
+    }
+
+    /**
+     * comparison := operand [OPERATOR operand | 'in' list]
+     */
+    parseComparison() {
+        const left = this.parseOperand();
+        const token = this.peek();
+        if (token && token.type === 'operator') {
+            this.index++;
+            return { type: 'compare', operator: token.value, left, right: this.parseOperand() };
+        }
+        if (this.accept('in', 'word')) {
+            const open = this.expect('[', "after 'in'");
+            if (this.accept(']', 'punctuation')) throw this.error(open.column, "expected at least one value in the list after 'in'");
+            const list = [];
+            do {
+                list.push(this.parseOperand());
+            } while (this.accept(',', 'punctuation'));
+            this.expect(']', 'to close the list');
+            return { type: 'in', value: left, list };
+        }
+        return left;
+    }
+
+    /**
+     * operand := NUMBER | '-' NUMBER | STRING | true | false | null | '(' expression ')' | call | variable
+     */
+    parseOperand() {
+        const token = this.peek();
+        if (!token) {
+            throw this.error(this.columnOf(token), 'expected a value, found end of line');
+        }
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.index++;
+            return { type: 'literal', value: token.value };
+        }
+        if (this.accept('-', 'punctuation')) {
+            const number = this.peek();
+            if (!number || number.type !== 'number') {
+                throw this.error(this.columnOf(number), `expected a number after '-', found ${this.describeToken(number)}`);
+            }
+            this.index++;
+            return { type: 'literal', value: -number.value };
+        }
+        if (this.accept('(', 'punctuation')) {
+            const expression = this.parseOr();
+            this.expect(')', "to close '('");
+            return expression;
+        }
+        if (token.type === 'word') {
+            if (token.value === 'true' || token.value === 'false') {
+                this.index++;
+                return { type: 'literal', value: token.value === 'true' };
+            }
+            if (token.value === 'null') {
+                this.index++;
+                return { type: 'literal', value: null };
+            }
+            if (this.tokens[this.index + 1] && this.tokens[this.index + 1].value === '(') {
+                return this.parseCall();
+            }
+            return this.parseVariable();
+        }
+        throw this.error(token.column, `expected a value, found ${this.describeToken(token)}`);
+    }
+
+    /**
+     * variable := WORD ('.' WORD)*
+     */
+    parseVariable() {
+        const start = this.peek();
+        const parts = [start.value];
+        this.index++;
+        while (this.accept('.', 'punctuation')) {
+            const part = this.peek();
+            if (!part || part.type !== 'word') {
+                throw this.error(this.columnOf(part), `expected a name after '.', found ${this.describeToken(part)}`);
+            }
+            parts.push(part.value);
+            this.index++;
+        }
+        const name = parts.join('.');
+        if (!RuleLanguage.variableReader(name)) {
+            throw this.error(start.column, `unknown variable '${name}'. Use ${Object.keys(RULE_FIELDS).join(', ')}, roots.<field>, prev.<field> or config.<name>`);
+        }
+        return { type: 'variable', name };
+    }
+
+    /**
+     * call := FUNCTION '(' operand ')' | 'sequence' '(' ROOTS [flags] ')' ['within' N]
+     */
+    parseCall() {
+        const name = this.peek();
+        this.index += 2;
+        if (name.value === 'sequence') return this.parseSequence(name);
+
+        if (!RULE_FUNCTIONS[name.value]) {
+            throw this.error(name.column, `unknown function '${name.value}'. Available: ${Object.keys(RULE_FUNCTIONS).concat('sequence').join(', ')}`);
+        }
+        const argument = this.parseOr();
+        this.expect(')', `to close ${name.value}(`);
+        return { type: 'call', name: name.value, argument };
+    }
+
+    parseSequence(name) {
+        const node = { type: 'sequence', sequence: [], reversed: false, rotations: false, within: 1 };
+        do {
+            const token = this.peek();
+            const flagged = node.reversed || node.rotations;
+            if (token && token.type === 'number' && Number.isInteger(token.value) && token.value >= 0 && !flagged) {
+                node.sequence.push(token.value);
+            } else if (token && token.value === '*' && !flagged) {
+                node.sequence.push('*');
+            } else if (token && (token.value === 'reversed' || token.value === 'rotations') && node.sequence.length > 0) {
+                node[token.value] = true;
+            } else {
+                throw this.error(this.columnOf(token), `expected a root, '*', 'reversed' or 'rotations' in sequence(), found ${this.describeToken(token)}`);
+            }
+            this.index++;
+        } while (this.accept(',', 'punctuation'));
+        this.expect(')', `to close ${name.value}(`);
+
+        if (this.accept('within', 'word')) {
+            const token = this.peek();
+            if (!token || token.type !== 'number' || !Number.isInteger(token.value) || token.value < 1) {
+                throw this.error(this.columnOf(token), `expected a whole number of bars after 'within', found ${this.describeToken(token)}`);
+            }
+            node.within = token.value;
+            this.index++;
+        }
+        return node;
+    }
+
+    /**
+     * Check the {path} placeholders of a because-string name known variables
+     * @param {Object} token - String token
+     */
+    checkPlaceholders(token) {
+        const placeholder = /\{([^}]*)\}/g;
+        let match;
+        while ((match = placeholder.exec(token.value)) !== null) {
+            if (!RuleLanguage.variableReader(match[1].trim())) {
+                throw this.error(token.column, `unknown variable '${match[1]}' in reason placeholder`);
+            }
+        }
+    }
+}
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleLanguage;
+} else if (typeof window !== 'undefined') {
+    window.RuleLanguage = RuleLanguage;
+}
@@ -0,0 +1,88 @@
+/**
+ * Strategy Registry
+ * Maps strategy names to classes so the UI and headless runners can pick
+ * any registered strategy by name
+ */
+
+// Support both Node.js and browser environments; strategies are browser globals
+// loaded by earlier script tags
+var BUILTIN_STRATEGIES = null;
+if (typeof module !== 'undefined' && module.exports) {
+    BUILTIN_STRATEGIES = {
+        'vortex': require('./vortex-strategy.js'),
+        'buy-and-hold': require('./buy-and-hold-strategy.js'),
+        'random-entry': require('./random-entry-strategy.js'),
+        'ma-crossover': require('./ma-crossover-strategy.js')
+    };
+} else if (typeof window !== 'undefined') {
+    BUILTIN_STRATEGIES = {
+        'vortex': window.VortexStrategy,
+        'buy-and-hold': window.BuyAndHoldStrategy,
+        'random-entry': window.RandomEntryStrategy,
+        'ma-crossover': window.MovingAverageCrossoverStrategy
+    };
+}
+
+class StrategyRegistry {
+
+    /**
+     * Register a strategy class
+     * @param {string} name - Name used to look the strategy up
+     * @param {Function} StrategyClass - BaseStrategy subclass
+     */
+    static register(name, StrategyClass) {
+        this.strategies[name] = StrategyClass;
+    }
+
+    /**
+     * Look up a registered strategy class
+     * @param {string} name - Strategy name
+     * @returns {Function} Strategy class
+     */
+    static get(name) {
+        const StrategyClass = this.strategies[name];
+        if (!StrategyClass) {
+            throw new Error(`Unknown strategy: ${name}. Available: ${this.names().join(', ')}`);
+        }
+        return StrategyClass;
+    }
+
+    /**
+     * Instantiate a registered strategy
+     * @param {string} name - Strategy name
+     * @param {Object} config - Strategy configuration
+     * @returns {Object} Strategy instance
+     */
+    static create(name, config = {}) {
+        const StrategyClass = this.get(name);
+        return new StrategyClass(config);
+    }
+
+    /**
+     * Registered strategy names
+     * @returns {Array<string>} Names in registration order
+     */
+    static names() {
+        return Object.keys(this.strategies);
+    }
+
+    /**
+     * Descriptions of every registered strategy with its default parameters
+     * @returns {Array<Object>} describe() output for each strategy
+     */
+    static list() {
+        return this.names().map(name => ({ ...this.create(name).describe(), name: name }));
+    }
+}
+
+StrategyRegistry.strategies = {};
+Object.keys(BUILTIN_STRATEGIES || {}).forEach(name => {
+    if (BUILTIN_STRATEGIES[name]) StrategyRegistry.register(name, BUILTIN_STRATEGIES[name]);
+});
+
+// UMD export: Node.js (CommonJS) and browser global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StrategyRegistry;
+} else if (typeof window !== 'undefined') {
+    window.StrategyRegistry = StrategyRegistry;
+}
@@ -5,180 +5,239 @@
 
 // Support both Node.js and browser environments; avoid const re-declare in browser
 var VM = null;
+var BS = null;
+var DPR = null;
+var ES = null;
+var PMT = null;
+var RL = null;
 if (typeof module !== 'undefined' && module.exports) {
     VM = require('../core/vortex-math.js');
+    BS = require('./base-strategy.js');
+    DPR = require('../data/data-processor.js');
+    ES = require('../analysis/event-study.js');
+    PMT = require('../core/pattern-matcher.js');
+    RL = require('./rule-language.js');
 } else if (typeof window !== 'undefined') {
     // Avoid redefining if already set by a previous script include
     if (window.VortexMath && !VM) {
         VM = window.VortexMath;
     }
+    if (window.DataProcessor && !DPR) {
+        DPR = window.DataProcessor;
+    }
+    if (window.BaseStrategy && !BS) {
+        BS = window.BaseStrategy;
+    }
+    if (window.EventStudy && !ES) {
+        ES = window.EventStudy;
+    }
+    if (window.PatternMatcher && !PMT) {
+        PMT = window.PatternMatcher;
+    }
+    if (window.RuleLanguage && !RL) {
+        RL = window.RuleLanguage;
+    }
 }
 
-class VortexStrategy {
+class VortexStrategy extends BS {
     
     constructor(config = {}) {
-        this.config = {
+        // Default signals are the base's equivalents of 1, 5 and 9: the doubling
+        // cycle's start and end, and the balance root b - 1
+        const engine = VM.baseEngine(config.base ?? 10);
+        const cycle = engine.doublingCycle;
+        super({
+            // Number base the digital roots are taken in (see DigitalRootEngine)
+            base: 10,
+            
             // Basic strategy parameters
-            buySignal: 1,        // Digital root to trigger buy
-            sellSignal: 5,       // Digital root to trigger sell
-            holdSignal: 9,       // Digital root to trigger hold (Tesla's balance)
+            buySignal: cycle[0],                 // Digital root to trigger buy
+            sellSignal: cycle[cycle.length - 1], // Digital root to trigger sell
+            holdSignal: engine.modulus,          // Digital root to trigger hold (Tesla's balance)
             
             // Advanced parameters
-            useTeslaFilter: true,     // Consider 3-6-9 patterns
+            useTeslaFilter: true,     // Consider 3-6-9 patterns (the base's Tesla analogues)
             useSequenceFilter: true,  // Only trade on doubling sequence
-            minimumHoldPeriod: 1,     // Minimum days to hold position
             
-            // Trading costs
-            feePercent: 0.10,         // Fee percentage per side
-            slippageBps: 5,           // Slippage in basis points
+            // Digital-root source (see VortexMath.rootSources()); null trades the
+            // roots the dataset was processed with, anything else re-derives them
+            rootSource: null,
+            
+            // Orders: 'market', or 'limit', 'stop' and 'stop-limit' worked at the
+            // nearest whole price whose digital root matches the signal
+            orderType: 'market',
+            buyPriceRoot: null,       // Digital root of buy order prices (null = buySignal)
+            sellPriceRoot: null,      // Digital root of sell order prices (null = sellSignal)
+            timeInForce: 'day',       // 'day' or 'gtc' for limit and stop orders
+            stopLimitBandPercent: 2,  // Stop-limit limits sit at the first matching level this far past the stop
+            
+            // Pattern confirmation: buys and sells only go through after one of these
+            // PatternMatcher patterns (e.g. '1,2,4:rotations', '3,*,9') completes
+            patterns: [],             // Empty = no confirmation needed
+            patternWindow: 1,         // Bars a completed pattern confirms signals for (1 = its last bar only)
+            
+            // Signal rules (see RuleLanguage): rule text, a parsed JSON rule set, or a
+            // built-in rule set name such as 'vortex'; null uses generateSignal's own logic
+            rules: null,
+            
+            // Forward-return event study in generateReport()
+            eventHorizons: [1, 3, 7, 30], // Bars ahead to measure returns over
+            eventPermutations: 1000,  // Random day sets per permutation p-value
+            eventStudySeed: 42,       // RNG seed so reports are reproducible
             
             ...config
-        };
+        });
         
-        this.positions = [];
-        this.tradeHistory = [];
-        this.performance = {
-            totalTrades: 0,
-            winningTrades: 0,
-            losingTrades: 0,
-            totalReturn: 0,
-            maxDrawdown: 0,
-            sharpeRatio: 0
+        // Compile up front so rule errors surface when the strategy is created
+        this.signalRules = this.config.rules ? RL.compile(this.config.rules, this.config) : null;
+    }
+    
+    /**
+     * Describe the strategy for registries and reports
+     * @returns {Object} { name, label, description, parameters }
+     */
+    describe() {
+        return {
+            name: 'vortex',
+            label: 'Vortex math',
+            description: this.config.rules
+                ? 'Signals from declarative rules'
+                : `Buy on digital root ${this.config.buySignal}, sell on ${this.config.sellSignal}, hold on ${this.config.holdSignal}`,
+            parameters: {
+                buySignal: this.config.buySignal,
+                sellSignal: this.config.sellSignal,
+                holdSignal: this.config.holdSignal,
+                useTeslaFilter: this.config.useTeslaFilter,
+                useSequenceFilter: this.config.useSequenceFilter,
+                orderType: this.config.orderType,
+                rootSource: this.config.rootSource,
+                base: this.config.base,
+                patterns: this.config.patterns,
+                rules: this.config.rules
+            }
         };
     }
     
     /**
-     * Generate trading signals based on vortex math principles
-     * @param {Array} priceData - Array of price data with digital roots
-     * @param {number} initialCapital - Starting capital
-     * @returns {Object} Trading simulation results
+     * Re-derive digital roots when a root source is configured, or when the
+     * series was processed in another base (records without rootBase are base 10;
+     * re-deriving for the base alone takes roots from whole dollars)
+     * @param {Array} priceData - Price series passed to backtest()
+     * @returns {Array} Series with roots from config.rootSource in config.base
      */
-    backtest(priceData, initialCapital = 10000) {
-        this.reset();
+    prepare(priceData) {
+        const processedBase = priceData[0]?.rootBase ?? 10;
+        if (!this.config.rootSource && processedBase === this.config.base) return priceData;
+        return DPR.applyRootSource(priceData, this.config.rootSource || undefined, this.config.base);
+    }
+    
+    /**
+     * Start a fresh pattern matcher when signals need pattern confirmation,
+     * and restart the signal rules' sequence tracking
+     * @param {Array} priceData - Price series being backtested
+     */
+    init(priceData) {
+        if (this.signalRules) this.signalRules.reset();
+        this.patternMatcher = this.config.patterns && this.config.patterns.length > 0
+            ? new PMT(this.config.patterns)
+            : null;
+        this.lastPatternMatch = null;
+    }
+    
+    /**
+     * Signal for one bar, confirmed by the pattern matcher when patterns are set
+     * Each bar's root is pushed into the matcher as it arrives, so only
+     * patterns completed on or before this bar can confirm it.
+     * @param {Object} dataPoint - Current price data point
+     * @param {number} index - Index of the bar in priceData
+     * @param {Array} priceData - Full price series
+     * @returns {Object} Signal with action and reasoning
+     */
+    onBar(dataPoint, index, priceData) {
+        const signal = super.onBar(dataPoint, index, priceData);
+        if (!this.patternMatcher) return signal;
         
-        let capital = initialCapital;
-        let position = null;
-        let maxCapital = initialCapital;
+        const events = this.patternMatcher.push(dataPoint.digitalRoot);
+        if (events.length > 0) this.lastPatternMatch = { index: index, events: events };
+        if (signal.action === 'HOLD') return signal;
         
-        const results = {
-            trades: [],
-            dailyPortfolio: [],
-            signals: []
-        };
+        const match = this.lastPatternMatch;
+        if (!match || index - match.index >= this.config.patternWindow) {
+            return {
+                ...signal,
+                action: 'HOLD',
+                reasoning: `${signal.reasoning}; no pattern completed in the last ${this.config.patternWindow} bar(s) - ${signal.action} not confirmed`
+            };
+        }
+        const names = match.events.map(event => `${event.pattern}${event.variant === 'forward' ? '' : ` (${event.variant})`}`);
+        return { ...signal, reasoning: `${signal.reasoning}; confirmed by pattern ${names.join(', ')}` };
+    }
+    
+    /**
+     * Order to work for a signal, placed at a digital-root price level
+     * Limits rest at the nearest level on the favourable side of the close
+     * (buys below, sells above); stops wait on the adverse side. A stop-limit
+     * accepts fills up to the next level with the same root beyond its stop.
+     * Levels step in the root source's price unit (cents for 'cents', and so on);
+     * sources that are not price units (returns, volume, log-price) use whole dollars.
+     * Roots are read in config.base.
+     * @param {Object} signal - Signal from onBar()
+     * @param {Object} dataPoint - Signal bar
+     * @param {string} side - 'BUY' or 'SELL'
+     * @param {string} intent - 'ENTER' or 'EXIT'
+     * @returns {Object} Order spec
+     */
+    buildOrder(signal, dataPoint, side, intent) {
+        const type = this.config.orderType;
+        if (signal.order || type === 'market') {
+            return super.buildOrder(signal, dataPoint, side, intent);
+        }
         
-        for (let i = 0; i < priceData.length; i++) {
-            const dataPoint = priceData[i];
-            const signal = this.generateSignal(dataPoint, i > 0 ? priceData[i - 1] : null);
-            
-            results.signals.push({
-                date: dataPoint.date,
-                price: dataPoint.price,
-                digitalRoot: dataPoint.digitalRoot,
-                signal: signal.action,
-                reasoning: signal.reasoning
-            });
-            
-            // Execute trades based on signals
-            if (signal.action === 'BUY' && !position) {
-                position = this.openPosition('BUY', dataPoint, capital);
-                results.trades.push({
-                    type: 'OPEN',
-                    action: 'BUY',
-                    date: dataPoint.date,
-                    price: dataPoint.price,
-                    digitalRoot: dataPoint.digitalRoot,
-                    reasoning: signal.reasoning,
-                    capital: capital
-                });
-            } else if (signal.action === 'SELL' && position) {
-                const trade = this.closePosition(position, dataPoint);
-                capital = trade.exitCapital;
-                
-                results.trades.push({
-                    type: 'CLOSE',
-                    action: 'SELL',
-                    date: dataPoint.date,
-                    price: dataPoint.price,
-                    digitalRoot: dataPoint.digitalRoot,
-                    reasoning: signal.reasoning,
-                    entryPrice: position.price,
-                    entryDate: position.date,
-                    profit: trade.profit,
-                    profitPercent: trade.profitPercent,
-                    capital: capital
-                });
-                
-                this.tradeHistory.push(trade);
-                position = null;
-            }
-            
-            // Track portfolio value
-            let portfolioValue = capital;
-            if (position) {
-                portfolioValue = capital * (dataPoint.price / position.price);
+        const isBuy = side === 'BUY';
+        const root = isBuy ? (this.config.buyPriceRoot ?? this.config.buySignal) : (this.config.sellPriceRoot ?? this.config.sellSignal);
+        const favourable = isBuy ? 'below' : 'above';
+        const adverse = isBuy ? 'above' : 'below';
+        const unit = (this.config.rootSource && VM.priceUnit(dataPoint.price, this.config.rootSource)) || 1;
+        const base = this.config.base;
+        const order = { type: type, timeInForce: this.config.timeInForce };
+        
+        if (type === 'limit') {
+            order.limitPrice = VM.nearestPriceWithRoot(dataPoint.price, root, favourable, unit, base);
+        } else {
+            order.stopPrice = VM.nearestPriceWithRoot(dataPoint.price, root, adverse, unit, base);
+            if (type === 'stop-limit' && order.stopPrice) {
+                // A limit one level past the stop rarely fills on daily bars, so it gets a band
+                const band = (this.config.stopLimitBandPercent / 100) * (isBuy ? 1 : -1);
+                order.limitPrice = VM.nearestPriceWithRoot(order.stopPrice * (1 + band), root, adverse, unit, base);
             }
-            
-            // Update max capital for drawdown calculation
-            maxCapital = Math.max(maxCapital, portfolioValue);
-            
-            results.dailyPortfolio.push({
-                date: dataPoint.date,
-                price: dataPoint.price,
-                digitalRoot: dataPoint.digitalRoot,
-                portfolioValue: portfolioValue,
-                capital: capital,
-                position: position ? 'LONG' : 'CASH',
-                drawdown: ((maxCapital - portfolioValue) / maxCapital) * 100
-            });
         }
         
-        // Close any remaining position
-        if (position) {
-            const lastDataPoint = priceData[priceData.length - 1];
-            const trade = this.closePosition(position, lastDataPoint);
-            capital = trade.exitCapital;
-            
-            results.trades.push({
-                type: 'CLOSE',
-                action: 'SELL',
-                date: lastDataPoint.date,
-                price: lastDataPoint.price,
-                digitalRoot: lastDataPoint.digitalRoot,
-                reasoning: 'End of backtest period',
-                entryPrice: position.price,
-                entryDate: position.date,
-                profit: trade.profit,
-                profitPercent: trade.profitPercent,
-                capital: capital
-            });
-            
-            this.tradeHistory.push(trade);
+        // Prices too low to have a level below them trade at market
+        if (order.limitPrice === null || order.stopPrice === null) {
+            return super.buildOrder(signal, dataPoint, side, intent);
         }
-        
-        // Calculate performance metrics
-        this.performance = this.calculatePerformanceMetrics(results, initialCapital, capital);
-        
-        return {
-            ...results,
-            performance: this.performance,
-            finalCapital: capital,
-            totalReturn: ((capital - initialCapital) / initialCapital) * 100
-        };
+        return order;
     }
     
     /**
      * Generate trading signal for a given data point
+     * In other bases the Tesla filter holds on the balance root b - 1, buys on
+     * the lower root of each mirrored Tesla pair and sells on the upper one.
+     * With config.rules set the compiled rules decide instead.
      * @param {Object} currentData - Current price data point
      * @param {Object} previousData - Previous price data point
      * @returns {Object} Signal with action and reasoning
      */
     generateSignal(currentData, previousData) {
+        if (this.signalRules) return this.signalRules(currentData, previousData);
+        
         const digitalRoot = currentData.digitalRoot;
+        const engine = VM.baseEngine(this.config.base);
         let action = 'HOLD';
         let reasoning = [];
         
         // Check for doubling sequence filter first (acts as exclusion filter)
-        if (this.config.useSequenceFilter && !VM.isInDoublingSequence(digitalRoot)) {
+        if (this.config.useSequenceFilter && !engine.isInDoublingSequence(digitalRoot)) {
             action = 'HOLD';
             reasoning.push(`Digital root ${digitalRoot} not in doubling sequence - no action`);
             return {
@@ -188,16 +247,17 @@ class VortexStrategy {
         }
         
         // Check for Tesla numbers (3, 6, 9) filter
-        if (this.config.useTeslaFilter && VM.isTeslaNumber(digitalRoot)) {
-            if (digitalRoot === 9) {
+        if (this.config.useTeslaFilter && engine.isTeslaNumber(digitalRoot)) {
+            const polarity = engine.teslaPolarity(digitalRoot);
+            if (polarity === 'balance') {
                 action = 'HOLD';
-                reasoning.push('Tesla balance number (9) - maintain position');
-            } else if (digitalRoot === 3) {
+                reasoning.push(`Tesla balance number (${digitalRoot}) - maintain position`);
+            } else if (polarity === 'positive') {
                 action = 'BUY';
-                reasoning.push('Tesla positive polarity (3) - upward energy flow');
-            } else if (digitalRoot === 6) {
+                reasoning.push(`Tesla positive polarity (${digitalRoot}) - upward energy flow`);
+            } else {
                 action = 'SELL';
-                reasoning.push('Tesla negative polarity (6) - downward energy flow');
+                reasoning.push(`Tesla negative polarity (${digitalRoot}) - downward energy flow`);
             }
         } else {
             // Basic vortex strategy signals (only if Tesla filter not applied)
@@ -215,7 +275,7 @@ class VortexStrategy {
         
         // Pattern analysis - check for sequence transitions
         if (previousData) {
-            const sequence = VM.generateVortexSequence(previousData.digitalRoot, 2, 9, 3);
+            const sequence = VM.generateVortexSequence(previousData.digitalRoot, 2, engine.modulus, 3);
             if (sequence.length > 1 && sequence[1] === digitalRoot) {
                 reasoning.push('Following vortex sequence progression');
             }
@@ -227,214 +287,73 @@ class VortexStrategy {
         };
     }
     
-    /**
-     * Open a new trading position
-     * @param {string} action - 'BUY' or 'SELL'
-     * @param {Object} dataPoint - Price data point
-     * @param {number} capital - Available capital
-     * @returns {Object} Position object
-     */
-    openPosition(action, dataPoint, capital) {
-        // Calculate actual shares that can be bought with available capital
-        const shares = capital / dataPoint.price;
-        
-        return {
-            action: action,
-            date: dataPoint.date,
-            price: dataPoint.price,
-            digitalRoot: dataPoint.digitalRoot,
-            capital: capital,
-            shares: shares,  // Actual shares bought
-            size: 1.0  // Full position size (position sizing removed)
-        };
-    }
-    
-    /**
-     * Close an existing trading position
-     * @param {Object} position - Position to close
-     * @param {Object} dataPoint - Current price data point
-     * @returns {Object} Trade result
-     */
-    closePosition(position, dataPoint) {
-        // Calculate profit using actual capital appreciation
-        const exitCapital = position.capital * (dataPoint.price / position.price);
-        const profit = exitCapital - position.capital;
-        const profitPercent = ((dataPoint.price - position.price) / position.price) * 100;
-        
-        return {
-            entryDate: position.date,
-            exitDate: dataPoint.date,
-            entryPrice: position.price,
-            exitPrice: dataPoint.price,
-            entryDigitalRoot: position.digitalRoot,
-            exitDigitalRoot: dataPoint.digitalRoot,
-            profit: profit,  // Now matches actual capital gain
-            profitPercent: profitPercent,
-            exitCapital: exitCapital,
-            holdingPeriod: this.calculateHoldingPeriod(position.date, dataPoint.date)
-        };
-    }
-    
-    /**
-     * Calculate holding period in days
-     * @param {string} entryDate - Entry date string
-     * @param {string} exitDate - Exit date string
-     * @returns {number} Holding period in days
-     */
-    calculateHoldingPeriod(entryDate, exitDate) {
-        const entry = new Date(entryDate);
-        const exit = new Date(exitDate);
-        return Math.round((exit - entry) / (1000 * 60 * 60 * 24));
-    }
-    
-    /**
-     * Calculate comprehensive performance metrics
-     * @param {Object} results - Backtest results
-     * @param {number} initialCapital - Starting capital
-     * @param {number} finalCapital - Ending capital
-     * @returns {Object} Performance metrics
-     */
-    calculatePerformanceMetrics(results, initialCapital, finalCapital) {
-        const trades = this.tradeHistory;
-        const dailyReturns = results.dailyPortfolio.map((day, i) => {
-            if (i === 0) return 0;
-            return (day.portfolioValue - results.dailyPortfolio[i - 1].portfolioValue) / results.dailyPortfolio[i - 1].portfolioValue;
-        }).slice(1);
-        
-        // Basic metrics
-        const totalReturn = ((finalCapital - initialCapital) / initialCapital) * 100;
-        const winningTrades = trades.filter(t => t.profit > 0).length;
-        const losingTrades = trades.filter(t => t.profit < 0).length;
-        const winRate = trades.length > 0 ? (winningTrades / trades.length) * 100 : 0;
-        
-        // Risk metrics
-        const maxDrawdown = results.dailyPortfolio.length > 0 ? Math.max(...results.dailyPortfolio.map(d => d.drawdown || 0)) : 0;
-        const avgReturn = dailyReturns.length > 0 ? dailyReturns.reduce((sum, ret) => sum + ret, 0) / dailyReturns.length : 0;
-        const returnStdDev = dailyReturns.length > 0 ? Math.sqrt(dailyReturns.reduce((sum, ret) => sum + Math.pow(ret - avgReturn, 2), 0) / dailyReturns.length) : 0;
-        const sharpeRatio = returnStdDev > 0 ? (avgReturn / returnStdDev) * Math.sqrt(252) : 0; // Annualized
-        
-        // Sortino ratio - only penalize downside volatility
-        const mar = 0; // Minimum acceptable return (0% per period)
-        const downsideReturns = dailyReturns.filter(ret => ret < mar);
-        const downsideDeviation = downsideReturns.length > 0 ? 
-            Math.sqrt(downsideReturns.reduce((sum, ret) => sum + Math.pow(ret - mar, 2), 0) / downsideReturns.length) : 0;
-        const sortinoRatio = downsideDeviation > 0 ? (avgReturn / downsideDeviation) * Math.sqrt(252) : 0; // Annualized
-        
-        // Trade analysis
-        const avgWin = winningTrades > 0 ? trades.filter(t => t.profit > 0).reduce((sum, t) => sum + t.profitPercent, 0) / winningTrades : 0;
-        const avgLoss = losingTrades > 0 ? trades.filter(t => t.profit < 0).reduce((sum, t) => sum + Math.abs(t.profitPercent), 0) / losingTrades : 0;
-        const profitFactor = avgLoss > 0 ? avgWin / avgLoss : avgWin > 0 ? Infinity : 0;
-        
-        return {
-            totalReturn: totalReturn,
-            totalTrades: trades.length,
-            winningTrades: winningTrades,
-            losingTrades: losingTrades,
-            winRate: winRate,
-            maxDrawdown: maxDrawdown,
-            sharpeRatio: sharpeRatio,
-            sortinoRatio: sortinoRatio,
-            avgWin: avgWin,
-            avgLoss: avgLoss,
-            profitFactor: profitFactor,
-            avgHoldingPeriod: trades.length > 0 ? trades.reduce((sum, t) => sum + t.holdingPeriod, 0) / trades.length : 0
-        };
-    }
-    
-    /**
-     * Reset strategy state for new backtest
-     */
-    reset() {
-        this.positions = [];
-        this.tradeHistory = [];
-        this.performance = {
-            totalTrades: 0,
-            winningTrades: 0,
-            losingTrades: 0,
-            totalReturn: 0,
-            maxDrawdown: 0,
-            sharpeRatio: 0
-        };
-    }
-    
     /**
      * Generate a comprehensive strategy report
      * @param {Object} backtestResults - Results from backtest
      * @returns {Object} Detailed strategy report
      */
     generateReport(backtestResults) {
-        const signalAnalysis = this.analyzeSignals(backtestResults.signals);
-        const vortexAnalysis = this.analyzeVortexPatterns(backtestResults.dailyPortfolio);
-        
+        const eventStudy = ES.run(backtestResults.dailyPortfolio, {
+            horizons: this.config.eventHorizons,
+            permutations: this.config.eventPermutations,
+            seed: this.config.eventStudySeed,
+            base: this.config.base
+        });
         return {
-            strategyConfig: this.config,
-            performance: this.performance,
-            signalAnalysis: signalAnalysis,
-            vortexAnalysis: vortexAnalysis,
+            ...super.generateReport(backtestResults),
+            vortexAnalysis: this.analyzeVortexPatterns(backtestResults.dailyPortfolio, eventStudy),
+            eventStudy: eventStudy,
             tradeBreakdown: this.categorizeTradesByDigitalRoot(),
             critique: this.generateCritique()
         };
     }
     
-    /**
-     * Analyze signal distribution and effectiveness
-     * @param {Array} signals - Array of signals from backtest
-     * @returns {Object} Signal analysis
-     */
-    analyzeSignals(signals) {
-        const signalCounts = { BUY: 0, SELL: 0, HOLD: 0 };
-        const digitalRootSignals = {};
-        
-        signals.forEach(signal => {
-            signalCounts[signal.signal]++;
-            if (!digitalRootSignals[signal.digitalRoot]) {
-                digitalRootSignals[signal.digitalRoot] = { BUY: 0, SELL: 0, HOLD: 0 };
-            }
-            digitalRootSignals[signal.digitalRoot][signal.signal]++;
-        });
-        
-        return {
-            signalDistribution: signalCounts,
-            digitalRootBreakdown: digitalRootSignals,
-            signalFrequency: {
-                buyFrequency: (signalCounts.BUY / signals.length) * 100,
-                sellFrequency: (signalCounts.SELL / signals.length) * 100,
-                holdFrequency: (signalCounts.HOLD / signals.length) * 100
-            }
-        };
-    }
-    
     /**
      * Analyze vortex pattern effectiveness
+     * averageReturn and volatility are the mean and standard deviation of the
+     * asset's next-day return after pattern days (in %), with the event
+     * study's t-statistic and permutation p-value against all days.
      * @param {Array} dailyData - Daily portfolio data
+     * @param {Object} eventStudy - EventStudy.run() result for dailyData (computed if omitted or without a 1-bar horizon)
      * @returns {Object} Vortex pattern analysis
      */
-    analyzeVortexPatterns(dailyData) {
-        const doublingSequenceDays = dailyData.filter(d => VM.isInDoublingSequence(d.digitalRoot));
-        const teslaDays = dailyData.filter(d => VM.isTeslaNumber(d.digitalRoot));
+    analyzeVortexPatterns(dailyData, eventStudy = null) {
+        const doublingSequenceDays = dailyData.filter(d => VM.isInDoublingSequence(d.digitalRoot, this.config.base));
+        const teslaDays = dailyData.filter(d => VM.isTeslaNumber(d.digitalRoot, this.config.base));
         
-        // Calculate performance on different vortex patterns
-        const doublingSequenceReturns = this.calculatePatternReturns(doublingSequenceDays);
-        const teslaReturns = this.calculatePatternReturns(teslaDays);
+        const study = eventStudy && eventStudy.horizons.includes(1) ? eventStudy : ES.run(dailyData, {
+            horizons: [1],
+            permutations: this.config.eventPermutations,
+            seed: this.config.eventStudySeed,
+            base: this.config.base
+        });
+        const doublingSequenceReturns = study.groups.doubling[1];
+        const teslaReturns = study.groups.tesla[1];
         
         return {
             doublingSequence: {
                 occurrences: doublingSequenceDays.length,
                 percentage: (doublingSequenceDays.length / dailyData.length) * 100,
-                averageReturn: doublingSequenceReturns.average,
-                volatility: doublingSequenceReturns.volatility
+                averageReturn: doublingSequenceReturns.mean ?? 0,
+                volatility: doublingSequenceReturns.standardDeviation ?? 0,
+                tStatistic: doublingSequenceReturns.tStatistic,
+                pValue: doublingSequenceReturns.pValue
             },
             teslaNumbers: {
                 occurrences: teslaDays.length,
                 percentage: (teslaDays.length / dailyData.length) * 100,
-                averageReturn: teslaReturns.average,
-                volatility: teslaReturns.volatility
+                averageReturn: teslaReturns.mean ?? 0,
+                volatility: teslaReturns.standardDeviation ?? 0,
+                tStatistic: teslaReturns.tStatistic,
+                pValue: teslaReturns.pValue
             }
         };
     }
     
     /**
-     * Calculate returns for specific patterns
+     * Calculate portfolio value changes between consecutive pattern days
+     * The gap between pattern days varies, so these are not forward returns;
+     * analyzeVortexPatterns() uses the event study instead.
      * @param {Array} patternDays - Days matching specific pattern
      * @returns {Object} Return statistics
      */
@@ -497,7 +416,7 @@ class VortexStrategy {
      */
     generateCritique() {
         return {
-            mathematicalBasis: "Vortex math trading relies on digital root calculations (modulo 9 arithmetic) applied to price data. While mathematically valid, the connection between modular arithmetic patterns and market behavior lacks empirical foundation.",
+            mathematicalBasis: `Vortex math trading relies on digital root calculations (modulo ${this.config.base - 1} arithmetic) applied to price data. While mathematically valid, the connection between modular arithmetic patterns and market behavior lacks empirical foundation.`,
             
             empiricalEvidence: `Based on ${this.tradeHistory.length} trades, the strategy achieved a ${this.performance.winRate.toFixed(1)}% win rate. This performance should be compared against random trading and buy-and-hold strategies to assess actual edge.`,
             
@@ -506,7 +425,10 @@ class VortexStrategy {
                 "Price rounding to integers before digital root calculation loses information",
                 "No consideration of market fundamentals, technical analysis, or economic factors",
                 "Pattern matching in historical data may be coincidental (data mining bias)",
-                "Transaction costs and slippage not accounted for in backtest"
+                ...(this.config.executionTiming === 'same-close'
+                    ? ["Trades fill at the close of the bar that produced the signal, which assumes the close is known before it prints (lookahead bias)"]
+                    : []),
+                `Trading costs are modelled as ${this.config.feePercent}% fees per side and ${this.config.slippageBps} bps slippage; real execution costs vary with liquidity`
             ],
             
             improvements: [
@@ -514,7 +436,7 @@ class VortexStrategy {
                 "Test on multiple assets and timeframes",
                 "Incorporate risk management beyond digital root patterns",
                 "Combine with proven technical indicators",
-                "Account for realistic trading costs"
+                "Calibrate fee and slippage assumptions to the target exchange"
             ],
             
             recommendation: "While intellectually interesting, vortex math trading should be considered experimental. Any real-world application should involve minimal capital and thorough comparison with established trading methods."
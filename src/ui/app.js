@@ -8,11 +8,46 @@ let processedData = null;
 let backtestResults = null;
 let tradingViewChart = null;
 
+// Random-entry runs per backtest; enough for a stable 5% p-value
+const RANDOM_BASELINE_SIMULATIONS = 250;
+
+// Random-entry runs between UI repaints, so the baseline never freezes the page
+const RANDOM_BASELINE_BATCH_SIZE = 10;
+
+// Names of the base-10 digital roots in the signal selects
+const BASE10_ROOT_LABELS = {
+    1: 'Start', 2: 'Growth', 3: 'Tesla Positive', 4: 'Structure', 5: 'Peak',
+    6: 'Tesla Negative', 7: 'Decline', 8: 'Power', 9: 'Balance'
+};
+
+// Combinations evaluated between UI repaints during a parameter sweep
+const OPTIMIZER_BATCH_SIZE = 50;
+
+// Temporal-structure charts: autocorrelation lags and rolling entropy window (bars)
+const AUTOCORRELATION_LAGS = 10;
+const ENTROPY_WINDOW = 30;
+
+// Dataset file and labels for each selectable asset
+const ASSETS = {
+    bitcoin: { name: 'Bitcoin', symbol: 'BTC', file: 'btc-historical-data.json' },
+    solana: { name: 'Solana', symbol: 'SOL', file: 'sol-historical-data.json' }
+};
+
 // Application state
 const appState = {
     activeTab: 'chart',
+    optimizerRows: null,
+    riskFreeRates: null,
     config: {
         cryptocurrency: 'bitcoin',
+        portfolioMode: false,
+        portfolioWeights: { bitcoin: 0.5, solana: 0.5 },
+        rebalance: 'none',
+        rebalanceEvery: 30,
+        rebalanceThreshold: 5,
+        rootSource: 'dollars',
+        base: 10,
+        strategy: 'vortex',
         buySignal: 1,
         sellSignal: 5,
         holdSignal: 9,
@@ -21,8 +56,26 @@ const appState = {
         endDate: '2025-08-12',
         teslaFilter: true,
         sequenceFilter: true,
+        signalRules: '',
         feePercent: 0.10,
-        slippageBps: 5
+        slippageBps: 5,
+        executionTiming: 'same-close',
+        orderType: 'market',
+        timeInForce: 'day',
+        expiredExitsToMarket: false,
+        allowShort: false,
+        flipPosition: false,
+        sizingMethod: 'all-in',
+        sizingFraction: 1,
+        stopLossPercent: null,
+        takeProfitPercent: null,
+        trailingStopPercent: null,
+        minimumHoldPeriod: 1,
+        maximumHoldPeriod: null,
+        cooldownPeriod: 0,
+        confidenceLevel: 0.95,
+        riskFreeSource: 'constant',
+        riskFreeRate: 0
     },
     isRunning: false
 };
@@ -32,6 +85,7 @@ const appState = {
  */
 function initializeApp() {
     console.log('[app] initializeApp');
+    populateStrategyOptions();
     setupEventListeners();
     hideResults();
     updateConfigFromForm();
@@ -44,6 +98,15 @@ function initializeApp() {
 function setupEventListeners() {
     // Configuration inputs
     document.getElementById('cryptocurrency')?.addEventListener('change', onCryptocurrencyChange);
+    document.getElementById('portfolio-mode')?.addEventListener('change', onPortfolioModeChange);
+    document.getElementById('weight-bitcoin')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('weight-solana')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('rebalance-mode')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('rebalance-every')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('rebalance-threshold')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('root-source')?.addEventListener('change', onRootSourceChange);
+    document.getElementById('number-base')?.addEventListener('change', onNumberBaseChange);
+    document.getElementById('strategy')?.addEventListener('change', onStrategyChange);
     document.getElementById('buy-signal')?.addEventListener('change', updateConfigFromForm);
     document.getElementById('sell-signal')?.addEventListener('change', updateConfigFromForm);
     document.getElementById('hold-signal')?.addEventListener('change', updateConfigFromForm);
@@ -52,12 +115,31 @@ function setupEventListeners() {
     document.getElementById('end-date')?.addEventListener('change', updateConfigFromForm);
     document.getElementById('tesla-filter')?.addEventListener('change', updateConfigFromForm);
     document.getElementById('sequence-filter')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('fee-percent')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('slippage-bps')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('execution-timing')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('order-type')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('time-in-force')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('exits-to-market')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('confidence-level')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('allow-short')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('flip-position')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('sizing-method')?.addEventListener('change', updateConfigFromForm);
+    document.getElementById('sizing-fraction')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('stop-loss')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('take-profit')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('trailing-stop')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('min-hold')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('max-hold')?.addEventListener('input', updateConfigFromForm);
+    document.getElementById('cooldown')?.addEventListener('input', updateConfigFromForm);
 
 
     
     // Action buttons
     document.getElementById('run-backtest')?.addEventListener('click', runBacktest);
     document.getElementById('reset-config')?.addEventListener('click', resetConfig);
+    document.getElementById('run-optimizer')?.addEventListener('click', runOptimizer);
+    document.getElementById('optimize-objective')?.addEventListener('change', renderOptimizerResults);
     
     // Tab navigation (for results)
     document.querySelectorAll('.tab').forEach(tab => {
@@ -94,8 +176,21 @@ function showResults() {
  * Update configuration from form inputs
  */
 function updateConfigFromForm() {
+    // An entered 0 is a real fraction, not a blank field
+    const sizingFraction = parseFloat(document.getElementById('sizing-fraction')?.value);
     appState.config = {
         cryptocurrency: document.getElementById('cryptocurrency')?.value || 'bitcoin',
+        portfolioMode: document.getElementById('portfolio-mode')?.checked || false,
+        portfolioWeights: {
+            bitcoin: parseFloat(document.getElementById('weight-bitcoin')?.value) || 0,
+            solana: parseFloat(document.getElementById('weight-solana')?.value) || 0
+        },
+        rebalance: document.getElementById('rebalance-mode')?.value || 'none',
+        rebalanceEvery: parseInt(document.getElementById('rebalance-every')?.value) || 30,
+        rebalanceThreshold: parseFloat(document.getElementById('rebalance-threshold')?.value) || 5,
+        rootSource: document.getElementById('root-source')?.value || 'dollars',
+        base: parseInt(document.getElementById('number-base')?.value || 10),
+        strategy: document.getElementById('strategy')?.value || 'vortex',
         buySignal: parseInt(document.getElementById('buy-signal')?.value || 1),
         sellSignal: parseInt(document.getElementById('sell-signal')?.value || 5),
         holdSignal: parseInt(document.getElementById('hold-signal')?.value || 9),
@@ -104,14 +199,81 @@ function updateConfigFromForm() {
         endDate: document.getElementById('end-date')?.value || '2025-08-12',
         teslaFilter: document.getElementById('tesla-filter')?.checked || false,
         sequenceFilter: document.getElementById('sequence-filter')?.checked || false,
-        feePercent: 0.10,
-        slippageBps: 5
+        signalRules: document.getElementById('signal-rules')?.value.trim() || '',
+        feePercent: parseFloat(document.getElementById('fee-percent')?.value ?? 0.10) || 0,
+        slippageBps: parseFloat(document.getElementById('slippage-bps')?.value ?? 5) || 0,
+        executionTiming: document.getElementById('execution-timing')?.value || 'same-close',
+        orderType: document.getElementById('order-type')?.value || 'market',
+        timeInForce: document.getElementById('time-in-force')?.value || 'day',
+        expiredExitsToMarket: document.getElementById('exits-to-market')?.checked || false,
+        confidenceLevel: parseFloat(document.getElementById('confidence-level')?.value) || 0.95,
+        riskFreeSource: document.getElementById('risk-free-source')?.value || 'constant',
+        riskFreeRate: parseFloat(document.getElementById('risk-free-rate')?.value) || 0,
+        allowShort: document.getElementById('allow-short')?.checked || false,
+        flipPosition: document.getElementById('flip-position')?.checked || false,
+        sizingMethod: document.getElementById('sizing-method')?.value || 'all-in',
+        sizingFraction: Number.isFinite(sizingFraction) ? sizingFraction : 1,
+        stopLossPercent: parseFloat(document.getElementById('stop-loss')?.value) || null,
+        takeProfitPercent: parseFloat(document.getElementById('take-profit')?.value) || null,
+        trailingStopPercent: parseFloat(document.getElementById('trailing-stop')?.value) || null,
+        minimumHoldPeriod: parseInt(document.getElementById('min-hold')?.value) || 0,
+        maximumHoldPeriod: parseInt(document.getElementById('max-hold')?.value) || null,
+        cooldownPeriod: parseInt(document.getElementById('cooldown')?.value) || 0
     };
 }
 
 /**
  * Handle cryptocurrency selection change
  */
+/**
+ * Fill the strategy selector from the strategy registry
+ */
+function populateStrategyOptions() {
+    const select = document.getElementById('strategy');
+    const registry = window.StrategyRegistry;
+    if (!select || !registry) return;
+    
+    select.innerHTML = registry.list()
+        .map(info => `<option value="${info.name}" title="${info.description}">${info.label}</option>`)
+        .join('');
+    select.value = appState.config.strategy || 'vortex';
+    toggleStrategyFields(select.value);
+}
+
+/**
+ * Show only the configuration groups that apply to the selected strategy
+ * @param {string} strategyName - Registered strategy name
+ */
+function toggleStrategyFields(strategyName) {
+    document.querySelectorAll('.config-group[data-strategy]').forEach(group => {
+        group.hidden = group.dataset.strategy !== strategyName;
+    });
+}
+
+/**
+ * Show the portfolio weights and rebalancing settings only in portfolio mode
+ * @param {boolean} portfolioMode - Whether several assets share one capital pool
+ */
+function togglePortfolioFields(portfolioMode) {
+    document.querySelectorAll('.config-group[data-portfolio]').forEach(group => {
+        group.hidden = !portfolioMode;
+    });
+    const select = document.getElementById('cryptocurrency');
+    if (select) select.disabled = portfolioMode;
+}
+
+function onPortfolioModeChange() {
+    updateConfigFromForm();
+    togglePortfolioFields(appState.config.portfolioMode);
+    hideResults();
+}
+
+function onStrategyChange() {
+    updateConfigFromForm();
+    toggleStrategyFields(appState.config.strategy);
+    hideResults();
+}
+
 async function onCryptocurrencyChange() {
     updateConfigFromForm();
     console.log(`[app] Cryptocurrency changed to: ${appState.config.cryptocurrency}`);
@@ -136,15 +298,84 @@ async function onCryptocurrencyChange() {
     }
     
     // Update chart title or other UI elements as needed
-    const cryptoName = appState.config.cryptocurrency === 'bitcoin' ? 'Bitcoin (BTC)' : 'Solana (SOL)';
+    const cryptoName = `${ASSETS[appState.config.cryptocurrency].name} (${ASSETS[appState.config.cryptocurrency].symbol})`;
     showNotification(`Switched to ${cryptoName} - dates updated to available range`, 'info');
 }
 
+/**
+ * Human-readable root source for result cards
+ * @param {Object} rootSource - Normalized root source from the dataset metadata
+ * @returns {string} Description
+ */
+function describeRootSource(rootSource) {
+    if (rootSource.source === 'significant') return `first ${rootSource.digits} significant digits`;
+    if (rootSource.source === 'log-price') return `log-price buckets (${rootSource.logBuckets} per unit)`;
+    return rootSource.source;
+}
+
+/**
+ * Reprocess the loaded dataset when the digital-root source changes
+ */
+async function onRootSourceChange() {
+    updateConfigFromForm();
+    processedData = null;
+    hideResults();
+    await loadHistoricalData();
+}
+
+/**
+ * Offer the new base's roots in the signal selects, then reprocess the dataset
+ */
+async function onNumberBaseChange() {
+    populateRootOptions(parseInt(document.getElementById('number-base').value));
+    await onRootSourceChange();
+}
+
+/**
+ * Fill the buy/sell/hold selects with a base's digital roots and select its
+ * defaults: the doubling cycle's start and end, and the balance root b - 1
+ * @param {number} base - Number base
+ */
+function populateRootOptions(base) {
+    const engine = window.VortexMath.baseEngine(base);
+    const cycle = engine.doublingCycle;
+    const label = (root) => {
+        if (base === 10) return BASE10_ROOT_LABELS[root];
+        if (root === cycle[0]) return 'Start';
+        if (root === cycle[cycle.length - 1]) return 'Peak';
+        const polarity = engine.teslaPolarity(root);
+        if (polarity) return polarity === 'balance' ? 'Balance' : `Tesla ${polarity === 'positive' ? 'Positive' : 'Negative'}`;
+        return engine.isInDoublingSequence(root) ? 'Cycle' : 'Off-cycle';
+    };
+    const defaults = { 'buy-signal': cycle[0], 'sell-signal': cycle[cycle.length - 1], 'hold-signal': engine.modulus };
+    
+    Object.entries(defaults).forEach(([id, value]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = engine.roots
+            .map(root => `<option value="${root}">${root} - ${label(root)}</option>`)
+            .join('');
+        select.value = value;
+    });
+}
+
 /**
  * Reset configuration to defaults
  */
 function resetConfig() {
     document.getElementById('cryptocurrency').value = 'bitcoin';
+    document.getElementById('portfolio-mode').checked = false;
+    document.getElementById('weight-bitcoin').value = 0.5;
+    document.getElementById('weight-solana').value = 0.5;
+    document.getElementById('rebalance-mode').value = 'none';
+    document.getElementById('rebalance-every').value = 30;
+    document.getElementById('rebalance-threshold').value = 5;
+    togglePortfolioFields(false);
+    document.getElementById('root-source').value = 'dollars';
+    document.getElementById('number-base').value = 10;
+    populateRootOptions(10);
+    document.getElementById('strategy').value = 'vortex';
+    toggleStrategyFields('vortex');
     document.getElementById('buy-signal').value = 1;
     document.getElementById('sell-signal').value = 5;
     document.getElementById('hold-signal').value = 9;
@@ -153,7 +384,23 @@ function resetConfig() {
     document.getElementById('end-date').value = '2025-08-12';
     document.getElementById('tesla-filter').checked = true;
     document.getElementById('sequence-filter').checked = true;
-
+    document.getElementById('fee-percent').value = 0.10;
+    document.getElementById('slippage-bps').value = 5;
+    document.getElementById('execution-timing').value = 'same-close';
+    document.getElementById('order-type').value = 'market';
+    document.getElementById('time-in-force').value = 'day';
+    document.getElementById('exits-to-market').checked = false;
+    document.getElementById('confidence-level').value = '0.95';
+    document.getElementById('allow-short').checked = false;
+    document.getElementById('flip-position').checked = false;
+    document.getElementById('sizing-method').value = 'all-in';
+    document.getElementById('sizing-fraction').value = 1;
+    document.getElementById('stop-loss').value = '';
+    document.getElementById('take-profit').value = '';
+    document.getElementById('trailing-stop').value = '';
+    document.getElementById('min-hold').value = 1;
+    document.getElementById('max-hold').value = '';
+    document.getElementById('cooldown').value = 0;
 
     
     updateConfigFromForm();
@@ -185,36 +432,45 @@ function switchTab(tabName) {
     appState.activeTab = tabName;
 }
 
+/**
+ * Fetch an asset's bundled history and derive its digital roots with the form's settings
+ * @param {string} crypto - Key into ASSETS
+ * @returns {Promise<Object>} { raw, processed }
+ */
+async function fetchAssetData(crypto) {
+    const res = await fetch(`/src/data/${ASSETS[crypto].file}`, { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const raw = await res.json();
+
+    // Use browser-global DataProcessor if available
+    const DP = window.DataProcessor;
+    if (!DP) throw new Error('DataProcessor not available on window');
+    return { raw, processed: DP.processRawData(raw, { rootSource: appState.config.rootSource, base: appState.config.base }) };
+}
+
 /**
  * Load historical data for the selected cryptocurrency
  */
 async function loadHistoricalData() {
     try {
         const crypto = appState.config.cryptocurrency || 'bitcoin';
-        const cryptoName = crypto === 'bitcoin' ? 'Bitcoin' : 'Solana';
-        const cryptoSymbol = crypto === 'bitcoin' ? 'BTC' : 'SOL';
-        const fileName = crypto === 'bitcoin' ? 'btc-historical-data.json' : 'sol-historical-data.json';
+        const cryptoName = ASSETS[crypto].name;
+        const cryptoSymbol = ASSETS[crypto].symbol;
         
         console.log(`[app] Loading complete ${cryptoName} dataset...`);
-        const res = await fetch(`/src/data/${fileName}`, { cache: 'no-store' });
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const raw = await res.json();
-
-        // Use browser-global DataProcessor if available
-        const DP = window.DataProcessor;
-        if (!DP) throw new Error('DataProcessor not available on window');
-        processedData = DP.processRawData(raw);
+        const { raw, processed } = await fetchAssetData(crypto);
+        processedData = processed;
 
         console.log('[app] Loaded records:', processedData.metadata.totalRecords);
         console.log('[app] Date range:', raw.metadata.period);
-        const prices = raw.prices.map(([_, price]) => price);
+        const prices = processedData.dailyData.map(d => d.close);
         console.log('[app] Price range: $' + 
             Math.min(...prices).toFixed(2) + 
             ' - $' + 
             Math.max(...prices).toFixed(2)
         );
         console.log('[app] Total return:', (((prices[prices.length-1] - prices[0]) / prices[0]) * 100).toFixed(2) + '%');
-        showNotification(`Loaded ${processedData.metadata.totalRecords} ${cryptoSymbol} daily records (${raw.metadata.period})`, 'success');
+        showNotification(`Loaded ${processedData.metadata.totalRecords} ${cryptoSymbol} daily records (${raw.metadata.period}, roots from ${processedData.metadata.rootSource.source} in base ${processedData.metadata.base})`, 'success');
         
         // Set dynamic date ranges based on actual data
         updateDateInputLimits(processedData.dailyData);
@@ -224,6 +480,53 @@ async function loadHistoricalData() {
     }
 }
 
+/**
+ * Strategy config from the current form settings
+ * @returns {Object} Config passed to the strategy constructor
+ */
+function buildStrategyConfig() {
+    return {
+        base: appState.config.base,
+        buySignal: appState.config.buySignal,
+        sellSignal: appState.config.sellSignal,
+        holdSignal: appState.config.holdSignal,
+        useTeslaFilter: appState.config.teslaFilter,
+        useSequenceFilter: appState.config.sequenceFilter,
+        rules: appState.config.signalRules || null,
+        feePercent: appState.config.feePercent,
+        slippageBps: appState.config.slippageBps,
+        executionTiming: appState.config.executionTiming,
+        orderType: appState.config.orderType,
+        timeInForce: appState.config.timeInForce,
+        expiredExitsToMarket: appState.config.expiredExitsToMarket,
+        allowShort: appState.config.allowShort,
+        flipPosition: appState.config.flipPosition,
+        sizingMethod: appState.config.sizingMethod,
+        sizingFraction: appState.config.sizingFraction,
+        stopLossPercent: appState.config.stopLossPercent,
+        takeProfitPercent: appState.config.takeProfitPercent,
+        trailingStopPercent: appState.config.trailingStopPercent,
+        minimumHoldPeriod: appState.config.minimumHoldPeriod,
+        maximumHoldPeriod: appState.config.maximumHoldPeriod,
+        cooldownPeriod: appState.config.cooldownPeriod,
+        holdPeriodUnit: 'days',
+        confidenceLevel: appState.config.confidenceLevel,
+        riskFreeRate: appState.config.riskFreeSource === 'series' && appState.riskFreeRates
+            ? appState.riskFreeRates
+            : appState.config.riskFreeRate
+    };
+}
+
+/**
+ * Load the bundled risk-free rate series once, when the form asks for it
+ */
+async function loadRiskFreeRates() {
+    if (appState.config.riskFreeSource !== 'series' || appState.riskFreeRates) return;
+    const res = await fetch('/src/data/risk-free-rates.json', { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status} loading risk-free rates`);
+    appState.riskFreeRates = await res.json();
+}
+
 /**
  * Run backtest with current configuration and TradingView chart
  */
@@ -235,23 +538,25 @@ async function runBacktest() {
         if (button) { button.textContent = '⏳ Running...'; button.disabled = true; }
         updateConfigFromForm();
         console.log('[app] Running backtest with config:', appState.config);
-        showNotification('Running vortex math backtest...', 'info');
+        const registry = window.StrategyRegistry;
+        if (!registry) throw new Error('StrategyRegistry not available on window');
+        showNotification(`Running ${registry.create(appState.config.strategy).describe().label} backtest...`, 'info');
 
         if (!processedData) {
             await loadHistoricalData();
         }
+        await loadRiskFreeRates();
 
-        const Strategy = window.VortexStrategy;
-        if (!Strategy) throw new Error('VortexStrategy not available on window');
-
-        const strategy = new Strategy({
-            buySignal: appState.config.buySignal,
-            sellSignal: appState.config.sellSignal,
-            holdSignal: appState.config.holdSignal,
-            useTeslaFilter: appState.config.teslaFilter,
-            useSequenceFilter: appState.config.sequenceFilter,
+        // Portfolio mode runs every weighted asset from one capital pool instead
+        if (appState.config.portfolioMode) {
+            await runPortfolioBacktest();
+            if (button) { button.textContent = '🚀 Run Backtest'; button.disabled = false; }
+            appState.isRunning = false;
+            showNotification('Portfolio backtest completed successfully!', 'success');
+            return;
+        }
 
-        });
+        const strategy = registry.create(appState.config.strategy, buildStrategyConfig());
 
         // Filter data by configured date range
         const filteredData = filterDataByDateRange(processedData.dailyData, appState.config.startDate, appState.config.endDate);
@@ -263,6 +568,14 @@ async function runBacktest() {
         }
         
         backtestResults = strategy.backtest(filteredData, appState.config.initialCapital);
+        backtestResults.strategy = strategy.describe();
+        const report = strategy.generateReport(backtestResults);
+        backtestResults.confidenceIntervals = report.confidenceIntervals;
+        backtestResults.assumptions = report.assumptions;
+        backtestResults.drawdowns = report.drawdowns;
+        backtestResults.eventStudy = report.eventStudy;
+        backtestResults.rootSource = processedData.metadata.rootSource;
+        backtestResults.base = processedData.metadata.base;
         console.log('[app] Backtest done. Final capital:', backtestResults.finalCapital);
         console.log('[app] Backtest results structure:', Object.keys(backtestResults));
         console.log('[app] Performance data:', backtestResults.performance);
@@ -270,6 +583,7 @@ async function runBacktest() {
         // Calculate buy and hold comparison using filtered data
         calculateBuyAndHoldComparison(filteredData);
         
+        togglePortfolioResults(false);
         updatePerformanceMetrics();
         showResults();
 
@@ -279,6 +593,11 @@ async function runBacktest() {
                 const seriesData = filteredData.map(d => ({
                     timestamp: d.timestamp,
                     price: d.price,
+                    open: d.open,
+                    high: d.high,
+                    low: d.low,
+                    close: d.close,
+                    volume: d.volume,
                     digitalRoot: d.digitalRoot,
                     date: d.date
                 }));
@@ -288,6 +607,7 @@ async function runBacktest() {
                 
                 // Handle async chart rendering
                 await window.renderPriceChartWithVortex(seriesData);
+                if (window.renderUnderwaterChart) window.renderUnderwaterChart(backtestResults.drawdowns.underwater);
                 
                 const status = document.getElementById('chart-status');
                 if (status) status.textContent = `Chart loaded with ${seriesData.length} candles with vortex labels.`;
@@ -302,18 +622,136 @@ async function runBacktest() {
             if (status) status.textContent = 'Chart rendering function not available';
         }
 
+        // The random baseline runs hundreds of backtests, so it fills in after the results show
+        await calculateRandomBaseline(filteredData, strategy);
+
         if (button) { button.textContent = '🚀 Run Backtest'; button.disabled = false; }
         appState.isRunning = false;
         showNotification('Backtest completed successfully!', 'success');
     } catch (error) {
         console.error('Error running backtest:', error);
-        showNotification('Error running backtest. Please check console for details.', 'error');
+        // Rule parse and compile errors carry a line and column worth showing as-is
+        showNotification(error.line ? `Signal rules: ${error.message}` : 'Error running backtest. Please check console for details.', 'error');
         const button = document.getElementById('run-backtest');
         if (button) { button.textContent = '🚀 Run Backtest'; button.disabled = false; }
         appState.isRunning = false;
     }
 }
 
+/**
+ * Run the strategy on every asset with a weight above zero, sharing one capital pool
+ */
+async function runPortfolioBacktest() {
+    const PB = window.PortfolioBacktest;
+    if (!PB) throw new Error('PortfolioBacktest not available on window');
+
+    const weights = {};
+    Object.entries(appState.config.portfolioWeights).forEach(([asset, weight]) => {
+        if (weight > 0) weights[asset] = weight;
+    });
+    if (Object.keys(weights).length === 0) throw new Error('Give at least one asset a weight above zero');
+
+    const datasets = {};
+    for (const asset of Object.keys(weights)) {
+        const { processed } = await fetchAssetData(asset);
+        datasets[asset] = filterDataByDateRange(processed.dailyData, appState.config.startDate, appState.config.endDate);
+    }
+
+    const results = PB.run(datasets, {
+        strategy: appState.config.strategy,
+        strategyConfig: buildStrategyConfig(),
+        weights: weights,
+        rebalance: appState.config.rebalance,
+        rebalanceEvery: appState.config.rebalanceEvery,
+        rebalanceThreshold: appState.config.rebalanceThreshold,
+        initialCapital: appState.config.initialCapital
+    });
+    console.log('[app] Portfolio backtest done. Final capital:', results.finalCapital);
+
+    // The trade list and strategy analysis describe a single-asset run, so they clear for a pooled one
+    backtestResults = null;
+    updateTradesTable();
+    updateAnalysisTab();
+    togglePortfolioResults(true);
+    updatePortfolioMetrics(results);
+    document.getElementById('results-section').style.display = 'block';
+    if (window.renderUnderwaterChart) window.renderUnderwaterChart(window.DrawdownAnalyzer.underwater(results.dailyPortfolio));
+}
+
+/**
+ * Swap the single-asset price chart for the portfolio sleeve table, or back
+ * @param {boolean} portfolioMode - Whether the results come from a portfolio run
+ */
+function togglePortfolioResults(portfolioMode) {
+    const summary = document.getElementById('portfolio-summary');
+    if (summary) summary.hidden = !portfolioMode;
+    const chart = document.getElementById('price-chart-container');
+    if (chart) chart.hidden = portfolioMode;
+    const legend = document.querySelector('.signal-legend');
+    if (legend) legend.hidden = portfolioMode;
+}
+
+/**
+ * Fill the metric cards and sleeve table from a portfolio backtest
+ * Cards with no pooled equivalent (win rate, profit factor, benchmark
+ * comparisons) show a dash rather than a stale single-asset value.
+ * @param {Object} results - PortfolioBacktest.run() output
+ */
+function updatePortfolioMetrics(results) {
+    const { performance, assets } = results;
+    const setText = (id, text) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    };
+    ['win-rate', 'win-rate-ci', 'total-return-ci', 'max-drawdown-ci', 'sharpe-ratio-ci', 'sortino-ratio-ci',
+        'profit-factor', 'profit-factor-ci', 'turnover', 'tail-ratio', 'alpha', 'beta', 'correlation',
+        'buy-hold-return', 'buy-hold-capital', 'strategy-outperformance', 'random-percentile', 'random-pvalue']
+        .forEach(id => setText(id, '—'));
+
+    const totalTrades = Object.values(assets).reduce((sum, report) => sum + report.totalTrades, 0);
+    setText('total-return', `${performance.totalReturn.toFixed(2)}%`);
+    setText('total-trades', totalTrades);
+    setText('max-drawdown', `${performance.maxDrawdown.toFixed(2)}%`);
+    setText('sharpe-ratio', performance.sharpeRatio.toFixed(2));
+    setText('sortino-ratio', performance.sortinoRatio.toFixed(2));
+    setText('cagr', performance.cagr === null ? '—' : `${performance.cagr.toFixed(2)}%`);
+    setText('calmar-ratio', performance.calmarRatio.toFixed(2));
+    setText('ulcer-index', performance.ulcerIndex.toFixed(2));
+    setText('exposure', `${performance.exposure.toFixed(1)}%`);
+    setText('final-capital', `$${results.finalCapital.toLocaleString()}`);
+
+    const totalReturnElement = document.getElementById('total-return');
+    if (performance.totalReturn >= 0) {
+        totalReturnElement.classList.add('positive');
+        totalReturnElement.classList.remove('negative');
+    } else {
+        totalReturnElement.classList.add('negative');
+        totalReturnElement.classList.remove('positive');
+    }
+
+    const { dailyPortfolio } = results;
+    const rebalancing = appState.config.rebalance === 'periodic'
+        ? `every ${appState.config.rebalanceEvery} days`
+        : appState.config.rebalance === 'threshold' ? `at ${appState.config.rebalanceThreshold} pts drift` : 'off';
+    let html = `
+        <p>${dailyPortfolio[0].date} to ${dailyPortfolio[dailyPortfolio.length - 1].date} —
+        rebalancing ${rebalancing}: ${results.rebalances.length} rebalances costing $${performance.rebalanceCosts.toFixed(2)}</p>
+        <table class="trades-table">
+            <thead><tr><th>Asset</th><th>Weight</th><th>From</th><th>Trades</th><th>Standalone</th><th>Contribution</th></tr></thead>
+            <tbody>`;
+    Object.entries(assets).forEach(([asset, report]) => {
+        html += `
+            <tr>
+                <td>${ASSETS[asset] ? ASSETS[asset].symbol : asset}</td><td>${(report.weight * 100).toFixed(0)}%</td>
+                <td>${report.start}</td><td>${report.totalTrades}</td>
+                <td class="${report.standaloneReturn >= 0 ? 'positive' : 'negative'}">${report.standaloneReturn.toFixed(2)}%</td>
+                <td class="${report.contribution >= 0 ? 'positive' : 'negative'}">${report.contribution.toFixed(2)}%</td>
+            </tr>`;
+    });
+    const sleevesElement = document.getElementById('portfolio-sleeves');
+    if (sleevesElement) sleevesElement.innerHTML = html + '</tbody></table>';
+}
+
 /**
  * Calculate backtest performance from trading signals
  */
@@ -381,6 +819,75 @@ function calculateBuyAndHoldComparison(filteredData) {
     console.log('[app] Buy and hold comparison:', backtestResults.buyAndHold);
 }
 
+/**
+ * Rank the strategy against seeded random-entry runs with the same trades
+ * Runs in batches, yielding to the browser between them, and shows progress
+ * in the baseline card until the ranking is ready.
+ * @param {Array} filteredData - The filtered data array matching the backtest period
+ * @param {Object} strategy - Strategy instance that produced backtestResults
+ */
+async function calculateRandomBaseline(filteredData, strategy) {
+    const Baseline = window.MonteCarloBaseline;
+    if (!Baseline || !backtestResults || strategy.tradeHistory.length === 0) return;
+    
+    const results = backtestResults;
+    const simulation = Baseline.start(filteredData, strategy, {
+        simulations: RANDOM_BASELINE_SIMULATIONS,
+        initialCapital: appState.config.initialCapital
+    });
+    for (let done = 0; done < simulation.simulations;) {
+        done = Baseline.simulate(simulation, RANDOM_BASELINE_BATCH_SIZE);
+        renderRandomBaseline(`Simulating random entries: ${done} of ${simulation.simulations} runs...`);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    
+    results.randomBaseline = Baseline.summarize(simulation, results);
+    console.log('[app] Random baseline:', results.randomBaseline.totalReturn, results.randomBaseline.sharpeRatio);
+    renderRandomBaseline();
+}
+
+/**
+ * Show the random-entry baseline in the metric card and the analysis tab
+ * @param {string} progress - Progress message while the baseline is still running
+ */
+function renderRandomBaseline(progress = null) {
+    const baseline = backtestResults && backtestResults.randomBaseline;
+    
+    // Metric card: where the strategy's return falls among random runs
+    const percentileElement = document.getElementById('random-percentile');
+    const pValueElement = document.getElementById('random-pvalue');
+    if (percentileElement) percentileElement.textContent = baseline ? `${baseline.totalReturn.percentile.toFixed(0)}th pct` : '—';
+    if (pValueElement) {
+        pValueElement.textContent = progress
+            || (baseline ? `p = ${baseline.totalReturn.pValue.toFixed(3)} (${baseline.simulations} runs)` : 'No trades to compare');
+    }
+    
+    // Analysis tab, shown beside the buy-and-hold comparison
+    const baselineElement = document.getElementById('random-baseline');
+    if (!baselineElement) return;
+    if (baseline) {
+        const row = (label, rank, digits, unit) => `
+                <p><strong>${label}:</strong> ${rank.observed.toFixed(digits)}${unit} vs random median ${rank.median.toFixed(digits)}${unit}
+                (90% range ${rank.p5.toFixed(digits)}${unit} to ${rank.p95.toFixed(digits)}${unit}) —
+                ${rank.percentile.toFixed(0)}th percentile, p = ${rank.pValue.toFixed(3)}</p>`;
+        const buyHold = backtestResults.buyAndHold ? `<p><strong>Buy & Hold:</strong> ${backtestResults.buyAndHold.return.toFixed(2)}%</p>` : '';
+        
+        baselineElement.innerHTML = `
+            <div class="performance-summary">
+                <p>${baseline.simulations} seeded random-entry runs with the same ${baseline.tradeCount} holding periods, sides and costs.</p>
+                ${row('Total Return', baseline.totalReturn, 2, '%')}
+                ${row('Sharpe Ratio', baseline.sharpeRatio, 2, '')}
+                ${buyHold}
+                <p>${baseline.totalReturn.pValue < 0.05 ? 'The return is unlikely under random entry (p < 0.05).' : 'The return is consistent with random entry timing.'}</p>
+            </div>
+        `;
+    } else if (progress) {
+        baselineElement.innerHTML = `<p>${progress}</p>`;
+    } else {
+        baselineElement.innerHTML = '<p>Run a backtest with at least one trade to compare against random entry</p>';
+    }
+}
+
 /**
  * Update performance metrics in the UI
  */
@@ -395,6 +902,34 @@ function updatePerformanceMetrics() {
     document.getElementById('sharpe-ratio').textContent = backtestResults.performance.sharpeRatio.toFixed(2);
     document.getElementById('sortino-ratio').textContent = backtestResults.performance.sortinoRatio.toFixed(2);
     document.getElementById('final-capital').textContent = `$${backtestResults.finalCapital.toLocaleString()}`;
+    const profitFactor = backtestResults.performance.profitFactor;
+    document.getElementById('profit-factor').textContent = isFinite(profitFactor) ? profitFactor.toFixed(2) : '∞';
+    
+    // Extended risk metrics; alpha, beta and correlation are measured against the asset's buy-and-hold returns
+    const performance = backtestResults.performance;
+    document.getElementById('cagr').textContent = performance.cagr === null ? '—' : `${performance.cagr.toFixed(2)}%`;
+    document.getElementById('calmar-ratio').textContent = performance.calmarRatio.toFixed(2);
+    document.getElementById('ulcer-index').textContent = performance.ulcerIndex.toFixed(2);
+    document.getElementById('exposure').textContent = `${performance.exposure.toFixed(1)}%`;
+    document.getElementById('turnover').textContent = `${performance.turnover.toFixed(1)}x`;
+    document.getElementById('tail-ratio').textContent = performance.tailRatio.toFixed(2);
+    document.getElementById('alpha').textContent = `${performance.alpha.toFixed(2)}%`;
+    document.getElementById('beta').textContent = performance.beta.toFixed(2);
+    document.getElementById('correlation').textContent = performance.correlation.toFixed(2);
+    
+    // Bootstrap ranges under each point estimate
+    const ci = backtestResults.confidenceIntervals;
+    const range = (metric, digits, unit = '') => {
+        const interval = ci && ci[metric];
+        if (!interval || interval.lower === null) return 'CI n/a';
+        return `${(ci.level * 100).toFixed(0)}% CI ${interval.lower.toFixed(digits)}${unit} to ${interval.upper.toFixed(digits)}${unit}`;
+    };
+    document.getElementById('total-return-ci').textContent = range('totalReturn', 1, '%');
+    document.getElementById('win-rate-ci').textContent = `${range('winRate', 1, '%')} (n=${backtestResults.performance.totalTrades})`;
+    document.getElementById('max-drawdown-ci').textContent = range('maxDrawdown', 1, '%');
+    document.getElementById('sharpe-ratio-ci').textContent = range('sharpeRatio', 2);
+    document.getElementById('sortino-ratio-ci').textContent = range('sortinoRatio', 2);
+    document.getElementById('profit-factor-ci').textContent = range('profitFactor', 2);
     
     // Update buy and hold comparison if available
     if (backtestResults.buyAndHold) {
@@ -425,6 +960,9 @@ function updatePerformanceMetrics() {
         }
     }
     
+    // Random-entry baseline (filled in once its runs finish)
+    renderRandomBaseline();
+    
     // Update return color
     const totalReturnElement = document.getElementById('total-return');
     if (backtestResults.totalReturn >= 0) {
@@ -608,6 +1146,9 @@ function updateTradesTable() {
                     <th class="sortable" data-column="action" data-type="string">
                         Action <span class="sort-indicator">⇅</span>
                     </th>
+                    <th class="sortable" data-column="exitType" data-type="string">
+                        Exit <span class="sort-indicator">⇅</span>
+                    </th>
                     <th class="sortable" data-column="price" data-type="number">
                         Price <span class="sort-indicator">⇅</span>
                     </th>
@@ -639,6 +1180,16 @@ function updateTradesTable() {
         });
     }
     
+    const exitLabels = {
+        'signal': 'Vortex signal',
+        'stop-loss': 'Stop-loss',
+        'take-profit': 'Take-profit',
+        'trailing-stop': 'Trailing stop',
+        'atr-stop': 'ATR stop',
+        'max-hold': 'Max hold',
+        'end-of-data': 'End of data'
+    };
+    
     backtestResults.trades.forEach((trade, index) => {
         // Handle different trade object structures
         const profitLoss = trade.profit !== undefined ? trade.profit : (trade.profitLoss || 0);
@@ -650,6 +1201,12 @@ function updateTradesTable() {
         // Get portfolio value at this trade (use capital field from trade)
         const portfolioValue = trade.capital || 0;
         
+        // Stop exits are told apart from vortex signal exits
+        const exitType = trade.type === 'CLOSE' ? (trade.exitType || 'signal') : '';
+        
+        // Next-bar fills note the bar whose signal triggered them
+        const signalNote = trade.signalDate && trade.signalDate !== trade.date ? ` title="Signal on ${trade.signalDate}"` : '';
+        
         // Drawdown at the date of the trade (from equity curve)
         const ddValue = drawdownByDate[trade.date] ?? null;
         const ddDisplay = ddValue != null ? `${ddValue.toFixed(2)}%` : '-';
@@ -657,8 +1214,9 @@ function updateTradesTable() {
         
         html += `
             <tr data-index="${index}">
-                <td data-value="${trade.date}">${trade.date}</td>
+                <td data-value="${trade.date}"${signalNote}>${trade.date}</td>
                 <td data-value="${trade.action}"><span class="trade-${trade.action.toLowerCase()}">${trade.action}</span></td>
+                <td data-value="${exitType}" title="${trade.reasoning || ''}">${exitType ? exitLabels[exitType] || exitType : '-'}</td>
                 <td data-value="${trade.price}">$${trade.price.toFixed(2)}</td>
                 <td data-value="${trade.digitalRoot}">${trade.digitalRoot}</td>
                 <td data-value="${portfolioValue}" class="portfolio-value">$${portfolioValue.toLocaleString()}</td>
@@ -731,12 +1289,13 @@ function sortTable(table, column, type, direction) {
         const columnIndex = {
             'date': 0,
             'action': 1,
-            'price': 2,
-            'digitalRoot': 3,
-            'portfolio': 4,
-            'pnl': 5,
-            'pnlPercent': 6,
-            'drawdown': 7
+            'exitType': 2,
+            'price': 3,
+            'digitalRoot': 4,
+            'portfolio': 5,
+            'pnl': 6,
+            'pnlPercent': 7,
+            'drawdown': 8
         };
         
         const cellIndex = columnIndex[column];
@@ -785,7 +1344,7 @@ function updateAnalysisTab() {
     if (processedData && processedData.statistics && processedData.statistics.digitalRootDistribution) {
         const distribution = processedData.statistics.digitalRootDistribution.frequencies;
         let html = '<div class="distribution-chart">';
-        for (let i = 1; i <= 9; i++) {
+        Object.keys(distribution).forEach(i => {
             const count = distribution[i] || 0;
             const percentage = ((count / processedData.metadata.totalRecords) * 100).toFixed(1);
             html += `
@@ -795,8 +1354,23 @@ function updateAnalysisTab() {
                     <div class="bar-value">${percentage}%</div>
                 </div>
             `;
-        }
+        });
         html += '</div>';
+        
+        // Uniformity and Benford tests under the chart
+        const tests = DataProcessor.distributionTests(processedData);
+        const pValue = p => (p === null ? 'n/a' : p < 0.001 ? p.toExponential(2) : p.toFixed(3));
+        const { chiSquare, kolmogorovSmirnov, benford } = tests;
+        html += `
+            <div class="performance-summary">
+                <p><strong>Chi-square vs uniform:</strong> ${chiSquare.statistic.toFixed(2)}, df ${chiSquare.degreesOfFreedom}, p = ${pValue(chiSquare.pValue)}${tests.reliable ? '' : ' (too few records, indicative only)'}</p>
+                <p><strong>Kolmogorov-Smirnov:</strong> D = ${kolmogorovSmirnov.statistic.toFixed(4)}, n = ${kolmogorovSmirnov.sampleSize}, p = ${pValue(kolmogorovSmirnov.pValue)}</p>
+                <p>${!tests.reliable ? 'Not enough records to judge uniformity.' : chiSquare.pValue < 0.05 || kolmogorovSmirnov.pValue < 0.05 ? 'The roots are not uniformly distributed (p < 0.05).' : 'Consistent with uniformly distributed roots.'}</p>
+                <p><strong>Benford (leading price digit):</strong> χ² = ${benford.statistic.toFixed(1)}, df ${benford.degreesOfFreedom}, p = ${pValue(benford.pValue)};
+                    digit 1 leads ${(benford.observed[0] * 100).toFixed(1)}% vs ${(benford.expected[0] * 100).toFixed(1)}% expected.
+                    Prices span ${benford.ordersOfMagnitude.toFixed(1)} orders of magnitude; Benford's law needs several.</p>
+            </div>
+        `;
         distributionElement.innerHTML = html;
     } else {
         distributionElement.innerHTML = '<p>Statistical data not available</p>';
@@ -812,16 +1386,365 @@ function updateAnalysisTab() {
         
         performanceElement.innerHTML = `
             <div class="performance-summary">
-                <p><strong>Strategy:</strong> Buy on digital root ${appState.config.buySignal}, Sell on digital root ${appState.config.sellSignal}</p>
+                <p><strong>Strategy:</strong> ${backtestResults.strategy ? `${backtestResults.strategy.label} — ${backtestResults.strategy.description}` : '-'}</p>
+                <p><strong>Trades:</strong> ${backtestResults.performance.longTrades || 0} long, ${backtestResults.performance.shortTrades || 0} short${appState.config.allowShort ? ` (borrow cost $${(backtestResults.performance.borrowCost || 0).toFixed(2)})` : ''}</p>
                 <p><strong>Test Period:</strong> ${appState.config.startDate} to ${appState.config.endDate}</p>
                 <p><strong>Total Trades:</strong> ${backtestResults.performance.totalTrades}</p>
                 <p><strong>Winning Trades:</strong> ${backtestResults.performance.winningTrades}</p>
                 <p><strong>Average Trade:</strong> ${avgTradeReturn.toFixed(2)}%</p>
+                ${appState.config.orderType !== 'market' ? `<p><strong>Orders:</strong> ${backtestResults.orders.filter(order => order.filled > 0).length} of ${backtestResults.orders.length} filled, ${backtestResults.orders.filter(order => order.intent === 'EXIT' && order.status === 'expired').length} exits expired unfilled (${appState.config.expiredExitsToMarket ? 'sent to market' : 'position held'})</p>` : ''}
+                <p><strong>Suppressed Signals:</strong> ${backtestResults.signals.filter(sig => sig.suppressedBy === 'minimum-hold').length} by minimum hold, ${backtestResults.signals.filter(sig => sig.suppressedBy === 'cooldown').length} by cooldown</p>
+                <p><strong>Trading Costs:</strong> $${(backtestResults.performance.fees || 0).toFixed(2)} fees, $${(backtestResults.performance.slippage || 0).toFixed(2)} slippage (${appState.config.feePercent}% / side, ${appState.config.slippageBps} bps)</p>
+                ${backtestResults.rootSource ? `<p><strong>Digital Roots:</strong> ${describeRootSource(backtestResults.rootSource)}${backtestResults.base && backtestResults.base !== 10 ? ` in base ${backtestResults.base}` : ''}</p>` : ''}
+                ${backtestResults.assumptions ? `<p><strong>Risk Assumptions:</strong> ${backtestResults.assumptions.periodsPerYear} periods/year (${backtestResults.assumptions.periodsPerYearSource}); risk-free ${backtestResults.assumptions.riskFreeRate.toFixed(2)}% avg (${backtestResults.assumptions.riskFreeRateSource}); Sortino MAR ${backtestResults.assumptions.minimumAcceptableReturn.toFixed(2)}%</p>` : ''}
             </div>
         `;
     } else {
         performanceElement.innerHTML = '<p>Run backtest to see performance analysis</p>';
     }
+    
+    // Random-entry baseline, shown beside the buy-and-hold comparison
+    renderRandomBaseline();
+    
+    // Drawdown episodes: worst by depth plus the longest spell under water
+    const drawdownElement = document.getElementById('drawdown-episodes');
+    const drawdowns = backtestResults && backtestResults.drawdowns;
+    if (drawdowns && drawdowns.count > 0) {
+        const describeEpisode = episode => `${episode.depth.toFixed(1)}% from ${episode.peakDate}, trough ${episode.troughDate}, ` +
+            (episode.recovered ? `recovered ${episode.recoveryDate} (${episode.durationDays} days)` : `unrecovered after ${episode.durationDays} days`);
+        
+        drawdownElement.innerHTML = `
+            <div class="performance-summary">
+                <p><strong>Episodes:</strong> ${drawdowns.count}, under water ${drawdowns.timeUnderWater.toFixed(1)}% of the time</p>
+                <p><strong>Longest:</strong> ${describeEpisode(drawdowns.longest)}</p>
+                ${drawdowns.worst.map((episode, i) => `<p><strong>#${i + 1}:</strong> ${describeEpisode(episode)}</p>`).join('')}
+            </div>
+        `;
+    } else {
+        drawdownElement.innerHTML = '<p>No drawdowns in the backtest period</p>';
+    }
+    
+    renderMarkovAnalysis();
+    renderEventStudy();
+    renderTemporalStructure();
+}
+
+/**
+ * Diverging bar chart markup: bars rise above or fall below a zero line
+ * @param {Array<Object>} items - { label, value, title, significant } per bar
+ * @param {number} limit - Value drawn at full half-height
+ * @param {number} band - Half-width of the dashed significance band, in the same units
+ * @returns {string} HTML
+ */
+function divergingBars(items, limit, band) {
+    const percent = value => Math.min(50, (Math.abs(value) / limit) * 50);
+    return '<div class="diverging-chart">' + items.map(item => `
+        <div class="diverging-column" title="${item.title}">
+            <div class="diverging-track">
+                <div class="diverging-band" style="top: ${50 - percent(band)}%; bottom: ${50 - percent(band)}%;"></div>
+                <div class="diverging-fill${item.significant ? ' significant' : ''}" style="${item.value >= 0 ? 'bottom' : 'top'}: 50%; height: ${percent(item.value)}%;"></div>
+            </div>
+            <div class="bar-label">${item.label}</div>
+        </div>`).join('') + '</div>';
+}
+
+/**
+ * Runs tests, autocorrelations and rolling entropy of the roots in the backtest period
+ * Together they show whether roots cluster in time, i.e. whether there is any
+ * temporal structure for a root-based strategy to exploit.
+ */
+function renderTemporalStructure() {
+    const runsElement = document.getElementById('runs-test');
+    const autocorrelationElement = document.getElementById('autocorrelation');
+    const entropyElement = document.getElementById('entropy-summary');
+    const Vortex = window.VortexMath;
+    if (!runsElement || !autocorrelationElement || !entropyElement || !Vortex) return;
+    
+    const data = processedData ? filterDataByDateRange(processedData.dailyData, appState.config.startDate, appState.config.endDate) : [];
+    if (data.length <= Math.max(AUTOCORRELATION_LAGS, ENTROPY_WINDOW)) {
+        const message = processedData ? '<p>Not enough data in the selected period</p>' : '<p>No data available</p>';
+        runsElement.innerHTML = message;
+        autocorrelationElement.innerHTML = message;
+        entropyElement.innerHTML = message;
+        if (window.renderEntropyChart) window.renderEntropyChart([]);
+        return;
+    }
+    
+    const base = processedData.metadata.base;
+    const roots = data.map(d => d.digitalRoot);
+    const formatP = p => (p === null ? 'n/a' : p < 0.001 ? p.toExponential(2) : p.toFixed(3));
+    
+    // Runs test: z below zero means the root comes in streaks
+    const runs = Vortex.runsTest(roots, base);
+    const clustered = runs.filter(r => r.pValue !== null && r.pValue < 0.05 && r.zScore < 0).map(r => r.root);
+    runsElement.innerHTML = divergingBars(runs.map(r => ({
+        label: r.root,
+        value: r.zScore || 0,
+        significant: r.pValue !== null && r.pValue < 0.05,
+        title: `Root ${r.root}: ${r.occurrences} days in ${r.runs} runs vs ${r.expectedRuns.toFixed(1)} expected, z = ${r.zScore === null ? 'n/a' : r.zScore.toFixed(2)}, p = ${formatP(r.pValue)}`
+    })), Math.max(3, ...runs.map(r => Math.abs(r.zScore || 0))), 1.96) + `
+        <div class="performance-summary">
+            <p>Bars are runs-test z-scores. Below the line the root comes in streaks; above it, the root avoids repeating. The dashed band is ±1.96 (p = 0.05) and red bars fall outside it.</p>
+            <p><strong>Clustered roots:</strong> ${clustered.length > 0 ? clustered.join(', ') : 'none'}</p>
+        </div>
+    `;
+    
+    // Ljung-Box: autocorrelations of the roots and of the Tesla indicator
+    const ljung = Vortex.ljungBox(roots, AUTOCORRELATION_LAGS, base);
+    const correlogram = test => divergingBars(test.autocorrelations.map((rho, i) => ({
+        label: i + 1,
+        value: rho,
+        significant: Math.abs(rho) > test.criticalBand,
+        title: `Lag ${i + 1}: autocorrelation ${rho.toFixed(3)}`
+    })), Math.max(2 * test.criticalBand, ...test.autocorrelations.map(Math.abs)), test.criticalBand);
+    const describeTest = test => `Q = ${test.statistic.toFixed(2)}, df ${test.degreesOfFreedom}, p = ${formatP(test.pValue)}` +
+        (test.pValue < 0.05 ? ' — autocorrelated (p < 0.05)' : ' — consistent with no autocorrelation');
+    autocorrelationElement.innerHTML = `
+        <div class="performance-summary"><p><strong>Root series</strong> (lags 1-${AUTOCORRELATION_LAGS}): ${describeTest(ljung.roots)}</p></div>
+        ${correlogram(ljung.roots)}
+        <div class="performance-summary"><p><strong>Tesla / non-Tesla indicator:</strong> ${describeTest(ljung.tesla)}</p></div>
+        ${correlogram(ljung.tesla)}
+        <div class="performance-summary"><p>Dashed band: ±1.96/√n (${ljung.roots.criticalBand.toFixed(3)}), the 95% range for one lag under independence.</p></div>
+    `;
+    
+    // Rolling entropy against what independent uniform roots would show in the same window
+    const entropy = Vortex.rollingEntropy(roots, ENTROPY_WINDOW, base);
+    const states = Vortex.baseEngine(base).roots.length;
+    const maximum = Math.log2(states);
+    const expected = maximum - (states - 1) / (2 * ENTROPY_WINDOW * Math.LN2);
+    const points = data.map((d, i) => ({ date: d.date, entropy: entropy[i] })).filter(point => point.entropy !== null);
+    const average = points.reduce((sum, point) => sum + point.entropy, 0) / points.length;
+    const lowest = points.reduce((min, point) => (point.entropy < min.entropy ? point : min), points[0]);
+    if (window.renderEntropyChart) window.renderEntropyChart(points, expected);
+    entropyElement.innerHTML = `
+        <div class="performance-summary">
+            <p><strong>Window:</strong> ${ENTROPY_WINDOW} bars; maximum ${maximum.toFixed(3)} bits, about ${expected.toFixed(3)} expected for independent uniform roots (dashed)</p>
+            <p><strong>Average:</strong> ${average.toFixed(3)} bits; lowest ${lowest.entropy.toFixed(3)} bits in the window ending ${lowest.date}</p>
+        </div>
+    `;
+}
+
+/**
+ * Forward returns after each digital root, from the vortex report's event study
+ * (run here over the backtest period for other strategies). Cells are the mean
+ * forward return with its permutation p-value; p < 0.05 is shaded.
+ */
+function renderEventStudy() {
+    const element = document.getElementById('event-study');
+    const Study = window.EventStudy;
+    if (!element || !Study) return;
+    if (!backtestResults || !processedData) {
+        element.innerHTML = '<p>Run backtest to see analysis</p>';
+        return;
+    }
+    
+    const study = backtestResults.eventStudy || Study.run(
+        filterDataByDateRange(processedData.dailyData, appState.config.startDate, appState.config.endDate),
+        { base: processedData.metadata.base }
+    );
+    const cell = (stats, baseline) => {
+        if (!stats || stats.count === 0) return '<td>-</td>';
+        const significant = stats.pValue !== null && stats.pValue < 0.05;
+        const colour = !significant ? '' : stats.mean >= baseline.mean ? 'rgba(0, 255, 136, 0.35)' : 'rgba(255, 71, 87, 0.35)';
+        const title = `${stats.count} days, median ${stats.median.toFixed(2)}%, hit rate ${stats.hitRate.toFixed(1)}%, t = ${stats.tStatistic === null ? 'n/a' : stats.tStatistic.toFixed(2)}`;
+        return `<td${colour ? ` style="background: ${colour}"` : ''} title="${title}">${stats.mean.toFixed(2)}%` +
+            (stats.pValue === null ? '' : `<br><small>p ${stats.pValue.toFixed(3)}</small>`) + '</td>';
+    };
+    const row = (label, byHorizon) => `<tr><th>${label}</th>${study.horizons.map(h => cell(byHorizon[h], study.baseline[h])).join('')}</tr>`;
+    
+    let html = '<table class="heatmap-table"><tr><th>Root ↓ Horizon →</th>';
+    html += study.horizons.map(h => `<th>${h}d</th>`).join('') + '</tr>';
+    html += Object.keys(study.roots).map(root => row(root, study.roots[root])).join('');
+    html += row('Tesla', study.groups.tesla) + row('Doubling', study.groups.doubling);
+    html += `<tr><th>All days</th>${study.horizons.map(h => `<td>${study.baseline[h].mean === null ? '-' : `${study.baseline[h].mean.toFixed(2)}%`}</td>`).join('')}</tr>`;
+    html += '</table>';
+    
+    const significant = [...Object.values(study.roots), study.groups.tesla, study.groups.doubling]
+        .reduce((count, byHorizon) => count + study.horizons.filter(h => byHorizon[h] && byHorizon[h].pValue !== null && byHorizon[h].pValue < 0.05).length, 0);
+    const tests = (Object.keys(study.roots).length + 2) * study.horizons.length;
+    
+    element.innerHTML = `
+        ${html}
+        <div class="performance-summary">
+            <p>Mean forward return of the asset after each root, with a two-sided permutation p-value (${study.permutations} random day sets) against all days. Hover a cell for median, hit rate and t-statistic.</p>
+            <p><strong>Shaded:</strong> ${significant} of ${tests} cells at p < 0.05, where about ${(tests * 0.05).toFixed(1)} are expected by chance alone.</p>
+        </div>
+    `;
+}
+
+/**
+ * Transition heatmap and chain statistics for the roots in the backtest period
+ * Cells are P(tomorrow's root | today's root): green above the uniform 1/k, red below
+ */
+function renderMarkovAnalysis() {
+    const element = document.getElementById('markov-analysis');
+    const Markov = window.MarkovAnalysis;
+    if (!element || !Markov) return;
+    if (!processedData) {
+        element.innerHTML = '<p>No data available</p>';
+        return;
+    }
+    
+    const data = filterDataByDateRange(processedData.dailyData, appState.config.startDate, appState.config.endDate);
+    if (data.length < 3) {
+        element.innerHTML = '<p>Not enough data in the selected period</p>';
+        return;
+    }
+    const markov = Markov.analyze(data, { base: processedData.metadata.base, secondOrder: true });
+    const uniform = 1 / markov.states.length;
+    const describeTest = test => `χ² = ${test.statistic.toFixed(1)}, df ${test.degreesOfFreedom}, p = ${test.pValue === null ? 'n/a' : test.pValue.toExponential(2)}` +
+        (test.minimumExpected < 5 ? ' (sparse table, indicative only)' : '');
+    
+    let html = '<table class="heatmap-table"><tr><th>Today ↓ Tomorrow →</th>';
+    html += markov.states.map(root => `<th>${root}</th>`).join('') + '</tr>';
+    markov.states.forEach((from, i) => {
+        html += `<tr><th>${from}</th>`;
+        markov.probabilities[i].forEach((p, j) => {
+            if (p === null) {
+                html += '<td>-</td>';
+                return;
+            }
+            const alpha = Math.min(0.9, 0.1 + Math.abs(p - uniform) / uniform).toFixed(2);
+            const colour = p >= uniform ? `rgba(0, 255, 136, ${alpha})` : `rgba(255, 71, 87, ${alpha})`;
+            html += `<td style="background: ${colour}" title="${from} → ${markov.states[j]}: ${markov.counts[i][j]} of ${markov.counts[i].reduce((a, b) => a + b, 0)}">${(p * 100).toFixed(0)}</td>`;
+        });
+        html += '</tr>';
+    });
+    html += '</table>';
+    
+    element.innerHTML = `
+        ${html}
+        <div class="performance-summary">
+            <p><strong>Transitions:</strong> ${markov.transitions} from ${data[0].date} to ${data[data.length - 1].date} (cells are % of each row)</p>
+            <p><strong>Independence vs uniform:</strong> ${describeTest(markov.independence)} —
+                ${markov.independence.pValue < 0.05 ? "tomorrow's root depends on today's (p < 0.05)" : "consistent with independent, uniform roots"}</p>
+            <p><strong>Second order:</strong> ${describeTest(markov.secondOrder.independence)}, entropy rate ${markov.secondOrder.entropyRate.toFixed(3)} bits</p>
+            <p><strong>Stationary:</strong> ${markov.states.map((root, i) => `${root}: ${(markov.stationary[i] * 100).toFixed(1)}%`).join(', ')}</p>
+            <p><strong>Entropy Rate:</strong> ${markov.entropyRate.toFixed(3)} of ${markov.maxEntropyRate.toFixed(3)} bits for independent uniform roots</p>
+        </div>
+    `;
+}
+
+/**
+ * Sweep vortex root and filter combinations over the current backtest period
+ * Runs in batches so the page stays responsive and shows progress
+ */
+async function runOptimizer() {
+    const Optimizer = window.ParameterOptimizer;
+    if (!Optimizer || appState.isRunning) return;
+    
+    const button = document.getElementById('run-optimizer');
+    const status = document.getElementById('optimize-status');
+    try {
+        appState.isRunning = true;
+        if (button) button.disabled = true;
+        updateConfigFromForm();
+        if (!processedData) await loadHistoricalData();
+        await loadRiskFreeRates();
+        
+        const filteredData = filterDataByDateRange(processedData.dailyData, appState.config.startDate, appState.config.endDate);
+        if (filteredData.length === 0) throw new Error('No data available for the selected date range');
+        
+        const sweepHolds = document.getElementById('optimize-holds')?.checked;
+        const combos = Optimizer.combinations({ base: appState.config.base, holdSignals: sweepHolds ? undefined : [appState.config.holdSignal] });
+        // Custom signal rules would override every swept root, so the sweep runs without them
+        const { rules, ...baseConfig } = buildStrategyConfig();
+        const rulesNote = rules ? ' Signal rules are ignored here: the sweep varies the built-in roots and filters.' : '';
+        const rows = [];
+        
+        for (let i = 0; i < combos.length; i += OPTIMIZER_BATCH_SIZE) {
+            combos.slice(i, i + OPTIMIZER_BATCH_SIZE).forEach(params => {
+                rows.push(Optimizer.evaluate(filteredData, params, baseConfig, appState.config.initialCapital));
+            });
+            if (status) status.textContent = `Evaluated ${rows.length} of ${combos.length} combinations...`;
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        appState.optimizerRows = rows;
+        if (status) status.textContent = `${rows.length} combinations, ${appState.config.startDate} to ${appState.config.endDate}. Click a row to load it. Best-of-sweep results are in-sample and overstate live performance.${rulesNote}`;
+        renderOptimizerResults();
+    } catch (error) {
+        console.error('Error running optimizer:', error);
+        if (status) status.textContent = `Sweep failed: ${error.message}`;
+    } finally {
+        if (button) button.disabled = false;
+        appState.isRunning = false;
+    }
+}
+
+/**
+ * Render the heatmap and ranked table for the last sweep and selected objective
+ */
+function renderOptimizerResults() {
+    const Optimizer = window.ParameterOptimizer;
+    if (!Optimizer || !appState.optimizerRows) return;
+    
+    const objective = document.getElementById('optimize-objective')?.value || 'totalReturn';
+    const format = value => (objective === 'totalReturn' ? `${value.toFixed(1)}%` : value.toFixed(2));
+    
+    // Heatmap: green above zero, red below, scaled to the largest magnitude
+    const heatmap = Optimizer.heatmap(appState.optimizerRows, objective);
+    const finite = heatmap.values.flat().filter(v => v !== null && isFinite(v));
+    const scale = Math.max(...finite.map(Math.abs), 1e-9);
+    let html = '<table class="heatmap-table"><tr><th>Buy ↓ Sell →</th>';
+    html += heatmap.sellSignals.map(root => `<th>${root}</th>`).join('') + '</tr>';
+    heatmap.buySignals.forEach((buy, b) => {
+        html += `<tr><th>${buy}</th>`;
+        heatmap.sellSignals.forEach((sell, c) => {
+            const value = heatmap.values[b][c];
+            if (value === null || !isFinite(value)) {
+                html += '<td>-</td>';
+                return;
+            }
+            const alpha = (0.15 + 0.75 * Math.abs(value) / scale).toFixed(2);
+            const colour = value >= 0 ? `rgba(0, 255, 136, ${alpha})` : `rgba(255, 71, 87, ${alpha})`;
+            html += `<td style="background: ${colour}" title="Buy ${buy}, sell ${sell}: ${format(value)}">${format(value)}</td>`;
+        });
+        html += '</tr>';
+    });
+    document.getElementById('optimize-heatmap').innerHTML = html + '</table>';
+    
+    // Ranked table of the top combinations
+    const ranked = Optimizer.rank(appState.optimizerRows, objective).slice(0, 25);
+    let table = `
+        <table class="trades-table">
+            <thead><tr><th>#</th><th>Buy</th><th>Sell</th><th>Hold</th><th>Tesla</th><th>Seq</th><th>${Optimizer.objectives[objective]}</th><th>Return</th><th>Max DD</th><th>Trades</th></tr></thead>
+            <tbody>`;
+    ranked.forEach(row => {
+        const p = row.params;
+        table += `
+            <tr class="optimize-row" data-params='${JSON.stringify(p)}'>
+                <td>${row.rank}</td><td>${p.buySignal}</td><td>${p.sellSignal}</td><td>${p.holdSignal}</td>
+                <td>${p.useTeslaFilter ? 'on' : 'off'}</td><td>${p.useSequenceFilter ? 'on' : 'off'}</td>
+                <td>${format(row[objective])}</td>
+                <td class="${row.totalReturn >= 0 ? 'positive' : 'negative'}">${row.totalReturn.toFixed(1)}%</td>
+                <td>${row.maxDrawdown.toFixed(1)}%</td><td>${row.totalTrades}</td>
+            </tr>`;
+    });
+    const resultsElement = document.getElementById('optimize-results');
+    resultsElement.innerHTML = table + '</tbody></table>';
+    resultsElement.querySelectorAll('.optimize-row').forEach(row => {
+        row.addEventListener('click', () => applyOptimizerParams(JSON.parse(row.dataset.params)));
+    });
+}
+
+/**
+ * Load a swept combination into the configuration form
+ * @param {Object} params - { buySignal, sellSignal, holdSignal, useTeslaFilter, useSequenceFilter }
+ */
+function applyOptimizerParams(params) {
+    document.getElementById('strategy').value = 'vortex';
+    toggleStrategyFields('vortex');
+    document.getElementById('buy-signal').value = params.buySignal;
+    document.getElementById('sell-signal').value = params.sellSignal;
+    document.getElementById('hold-signal').value = params.holdSignal;
+    document.getElementById('tesla-filter').checked = params.useTeslaFilter;
+    document.getElementById('sequence-filter').checked = params.useSequenceFilter;
+    // The sweep ran without signal rules, so the loaded combination does too
+    const rulesInput = document.getElementById('signal-rules');
+    if (rulesInput) rulesInput.value = '';
+    updateConfigFromForm();
+    showNotification(`Loaded buy ${params.buySignal} / sell ${params.sellSignal} / hold ${params.holdSignal} - run the backtest to see it`, 'info');
 }
 
 /**
@@ -5,6 +5,8 @@
 
 let tvChart = null;
 let tvSeries = null;
+let underwaterChart = null;
+let entropyChart = null;
 
 async function renderPriceChartWithVortex(data) {
     console.log('[charts] renderPriceChartWithVortex: received', Array.isArray(data) ? data.length : 0, 'points');
@@ -50,6 +52,10 @@ async function renderPriceChartWithVortex(data) {
         tvSeries = null;
     }
 
+    // Close-only data draws a line; OHLC records draw true candles
+    const hasOHLC = (d) => [d.open, d.high, d.low].every(v => typeof v === 'number' && !isNaN(v));
+    const hasCandles = data.every(hasOHLC);
+
     console.log('[charts] Creating new chart');
     try {
         tvChart = LightweightCharts.createChart(container, {
@@ -103,17 +109,28 @@ async function renderPriceChartWithVortex(data) {
         console.log('[charts] Chart methods available:', Object.getOwnPropertyNames(tvChart));
         
         try {
-            // Use official TradingView v5+ API syntax
-            console.log('[charts] Creating line series with official v5 API');
-            
-            tvSeries = tvChart.addSeries(LightweightCharts.LineSeries, {
-                color: '#87CEEB',
-                lineWidth: 2,
-                priceLineVisible: true,
-                lastValueVisible: true
-            });
-            
-            console.log('[charts] Line series created successfully');
+            // Use official TradingView v5+ API syntax; real candles when every bar has a range
+            if (hasCandles) {
+                console.log('[charts] Creating candlestick series from OHLC records');
+                tvSeries = tvChart.addSeries(LightweightCharts.CandlestickSeries, {
+                    upColor: '#00ff88',
+                    downColor: '#ff4757',
+                    borderVisible: false,
+                    wickUpColor: '#00ff88',
+                    wickDownColor: '#ff4757'
+                });
+            } else {
+                console.log('[charts] Creating line series with official v5 API');
+                
+                tvSeries = tvChart.addSeries(LightweightCharts.LineSeries, {
+                    color: '#87CEEB',
+                    lineWidth: 2,
+                    priceLineVisible: true,
+                    lastValueVisible: true
+                });
+                
+                console.log('[charts] Line series created successfully');
+            }
             
         } catch (lineError) {
             console.error('[charts] Line series failed, trying area series:', lineError);
@@ -174,9 +191,10 @@ async function renderPriceChartWithVortex(data) {
     // Map data to TradingView format - use timestamps in seconds as per documentation
     const chartData = data.map(d => ({
         time: Math.floor(d.timestamp / 1000), // Unix timestamp in seconds
-        value: d.price, // Price value as number
+        value: d.price, // Price value as number (the close)
         digitalRoot: d.digitalRoot,
-        date: d.date
+        date: d.date,
+        ...(hasCandles ? { open: d.open, high: d.high, low: d.low, close: d.close ?? d.price } : {})
     })).filter(d => d.time && d.value && !isNaN(d.value) && d.time > 0);
 
     console.log('[charts] setting chart data', chartData.length);
@@ -199,7 +217,9 @@ async function renderPriceChartWithVortex(data) {
             throw new Error('No valid data points after validation');
         }
         
-        tvSeries.setData(validatedData);
+        tvSeries.setData(hasCandles
+            ? validatedData.map(({ time, open, high, low, close }) => ({ time, open, high, low, close }))
+            : validatedData);
         console.log('[charts] Chart data set successfully');
         hideChartError(); // Hide any previous error messages
     } catch (err) {
@@ -424,6 +444,110 @@ function drawVortexLabels(container, chart, dataPoints) {
     }
 }
 
+/**
+ * Render the underwater curve (percent below the equity peak) under the price chart
+ * The time axis follows the price chart so both panels pan and zoom together.
+ * @param {Array<Object>} underwater - { date, drawdown } points from DrawdownAnalyzer
+ */
+function renderUnderwaterChart(underwater) {
+    const container = document.getElementById('underwater-chart');
+    if (!container || !window.LightweightCharts) return;
+
+    if (underwaterChart) {
+        underwaterChart.remove();
+        underwaterChart = null;
+    }
+    if (!underwater || underwater.length === 0) return;
+
+    try {
+        underwaterChart = LightweightCharts.createChart(container, {
+            autoSize: true,
+            layout: {
+                background: { type: 'solid', color: '#000000' },
+                textColor: '#e0e0e0',
+                fontSize: 11,
+                fontFamily: 'JetBrains Mono, monospace'
+            },
+            grid: {
+                vertLines: { color: 'rgba(255, 71, 87, 0.08)', style: 1 },
+                horzLines: { color: 'rgba(255, 71, 87, 0.08)', style: 1 }
+            },
+            rightPriceScale: { borderColor: 'rgba(255, 71, 87, 0.3)' },
+            timeScale: { borderColor: 'rgba(255, 71, 87, 0.3)', visible: true }
+        });
+
+        const series = underwaterChart.addSeries(LightweightCharts.AreaSeries, {
+            lineColor: '#ff4757',
+            topColor: 'rgba(255, 71, 87, 0.0)',
+            bottomColor: 'rgba(255, 71, 87, 0.5)',
+            lineWidth: 1,
+            priceFormat: { type: 'custom', formatter: value => `${value.toFixed(1)}%` }
+        });
+
+        series.setData(underwater
+            .map(point => ({ time: Math.floor(new Date(point.date).getTime() / 1000), value: point.drawdown }))
+            .filter(point => !isNaN(point.time)));
+
+        if (tvChart) {
+            tvChart.timeScale().subscribeVisibleLogicalRangeChange(range => {
+                if (range && underwaterChart) underwaterChart.timeScale().setVisibleLogicalRange(range);
+            });
+        }
+        underwaterChart.timeScale().fitContent();
+    } catch (err) {
+        console.error('[charts] Error rendering underwater chart:', err);
+    }
+}
+
+/**
+ * Render the rolling digital-root entropy in the analysis tab
+ * @param {Array<Object>} points - { date, entropy } points from VortexMath.rollingEntropy
+ * @param {number} reference - Entropy expected from independent uniform roots, drawn dashed
+ */
+function renderEntropyChart(points, reference) {
+    const container = document.getElementById('entropy-chart');
+    if (!container || !window.LightweightCharts) return;
+
+    if (entropyChart) {
+        entropyChart.remove();
+        entropyChart = null;
+    }
+    if (!points || points.length === 0) return;
+
+    try {
+        entropyChart = LightweightCharts.createChart(container, {
+            autoSize: true,
+            layout: {
+                background: { type: 'solid', color: '#000000' },
+                textColor: '#e0e0e0',
+                fontSize: 11,
+                fontFamily: 'JetBrains Mono, monospace'
+            },
+            grid: {
+                vertLines: { color: 'rgba(0, 255, 136, 0.08)', style: 1 },
+                horzLines: { color: 'rgba(0, 255, 136, 0.08)', style: 1 }
+            },
+            rightPriceScale: { borderColor: 'rgba(0, 255, 136, 0.3)' },
+            timeScale: { borderColor: 'rgba(0, 255, 136, 0.3)', visible: true }
+        });
+
+        const series = entropyChart.addSeries(LightweightCharts.LineSeries, {
+            color: '#00ff88',
+            lineWidth: 1,
+            priceFormat: { type: 'custom', formatter: value => `${value.toFixed(2)} bits` }
+        });
+        series.setData(points
+            .map(point => ({ time: Math.floor(new Date(point.date).getTime() / 1000), value: point.entropy }))
+            .filter(point => !isNaN(point.time)));
+        if (reference !== undefined) {
+            series.createPriceLine({ price: reference, color: '#ffc107', lineWidth: 1, lineStyle: 2, axisLabelVisible: false });
+        }
+        entropyChart.timeScale().fitContent();
+    } catch (err) {
+        console.error('[charts] Error rendering entropy chart:', err);
+    }
+}
+
 // Debounce function to limit label updates during zoom/pan
 function debounce(func, wait) {
     let timeout;
@@ -597,6 +721,8 @@ function hideChartError() {
 // Expose API to window
 if (typeof window !== 'undefined') {
     window.renderPriceChartWithVortex = renderPriceChartWithVortex;
+    window.renderUnderwaterChart = renderUnderwaterChart;
+    window.renderEntropyChart = renderEntropyChart;
 }
 
 
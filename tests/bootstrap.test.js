@@ -0,0 +1,77 @@
+/**
+ * Test suite for block-bootstrap confidence intervals
+ */
+
+const path = require('path');
+const Bootstrap = require(path.join(__dirname, '../src/analysis/bootstrap.js'));
+const SeededRandom = require(path.join(__dirname, '../src/core/random.js'));
+
+const dailyPortfolio = Array.from({ length: 200 }, (_, i) => ({
+    portfolioValue: 10000 * (1 + 0.001 * i + 0.02 * Math.sin(i / 5))
+}));
+
+const trades = [10, -5, 8, -3, 12, -6, 4, -2].map(p => ({ profit: p * 100, profitPercent: p }));
+
+describe('Bootstrap', () => {
+
+    describe('Block Resampling', () => {
+        it('should keep the series length and draw contiguous blocks', () => {
+            const values = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+            const sample = Bootstrap.blockResample(values, 5, new SeededRandom(1));
+            
+            expect(sample).toHaveLength(10);
+            // Each block continues from its start, wrapping around the end
+            expect(sample[1]).toBe((sample[0] + 1) % 10);
+            expect(sample[4]).toBe((sample[0] + 4) % 10);
+        });
+        
+        it('should default the block length to the cube root of the series', () => {
+            expect(Bootstrap.defaultBlockSize(1000)).toBe(10);
+            expect(Bootstrap.defaultBlockSize(0)).toBe(1);
+        });
+    });
+    
+    describe('Intervals', () => {
+        it('should take percentile bounds at the requested level', () => {
+            const samples = Array.from({ length: 101 }, (_, i) => i);
+            const interval = Bootstrap.interval(50, samples, 0.9);
+            
+            expect(interval.lower).toBeCloseTo(5, 10);
+            expect(interval.upper).toBeCloseTo(95, 10);
+        });
+        
+        it('should bracket every metric estimate', () => {
+            const ci = Bootstrap.confidenceIntervals(dailyPortfolio, trades, { samples: 300 });
+            
+            ['totalReturn', 'sharpeRatio', 'sortinoRatio', 'winRate', 'profitFactor'].forEach(metric => {
+                expect(ci[metric].lower).toBeLessThanOrEqual(ci[metric].estimate);
+                expect(ci[metric].upper).toBeGreaterThanOrEqual(ci[metric].estimate);
+            });
+            expect(ci.tradeCount).toBe(8);
+        });
+        
+        it('should widen as the confidence level rises', () => {
+            const narrow = Bootstrap.confidenceIntervals(dailyPortfolio, trades, { samples: 300, level: 0.5 });
+            const wide = Bootstrap.confidenceIntervals(dailyPortfolio, trades, { samples: 300, level: 0.99 });
+            
+            expect(wide.sharpeRatio.upper - wide.sharpeRatio.lower).toBeGreaterThan(narrow.sharpeRatio.upper - narrow.sharpeRatio.lower);
+        });
+        
+        it('should leave trade intervals open with fewer than two trades', () => {
+            const ci = Bootstrap.confidenceIntervals(dailyPortfolio, trades.slice(0, 1), { samples: 50 });
+            expect(ci.winRate.lower).toBe(null);
+        });
+        
+        it('should measure Sharpe and Sortino over the benchmark rates', () => {
+            const plain = Bootstrap.confidenceIntervals(dailyPortfolio, trades, { samples: 100, periodsPerYear: 365 });
+            const riskFree = Bootstrap.confidenceIntervals(dailyPortfolio, trades, { samples: 100, periodsPerYear: 365, riskFree: 0.0005, mar: 0.0005 });
+            
+            expect(riskFree.periodsPerYear).toBe(365);
+            expect(riskFree.sharpeRatio.estimate).toBeLessThan(plain.sharpeRatio.estimate);
+            expect(riskFree.sortinoRatio.estimate).toBeLessThan(plain.sortinoRatio.estimate);
+            expect(riskFree.sharpeRatio.upper).toBeLessThan(plain.sharpeRatio.upper);
+            // Return metrics do not depend on the benchmark rate
+            expect(riskFree.totalReturn).toEqual(plain.totalReturn);
+        });
+    });
+});
@@ -67,6 +67,126 @@ describe('DataProcessor', () => {
         });
     });
 
+    describe('OHLCV Records', () => {
+        it('should carry open, high, low, close and volume with a root for each', () => {
+            const processed = DataProcessor.processRawData({
+                metadata: { coin: 'test' },
+                prices: [
+                    [1577836800000, 1000, 1100, 950, 1050, 12345],
+                    [1577923200000, 1050, 1200, 1040, 1150, 23456]
+                ]
+            });
+            const bar = processed.dailyData[0];
+            
+            expect(bar.open).toBe(1000);
+            expect(bar.high).toBe(1100);
+            expect(bar.low).toBe(950);
+            expect(bar.close).toBe(1050);
+            expect(bar.price).toBe(1050);
+            expect(bar.volume).toBe(12345);
+            expect(bar.digitalRoots).toEqual({ open: 1, high: 2, low: 5, close: 6, volume: 6 });
+            expect(bar.digitalRoot).toBe(6);  // Close stays the default
+            expect(processed.dailyData[1].priceChange).toBe(100);
+            expect(processed.metadata.fields).toEqual(['open', 'high', 'low', 'close', 'volume']);
+        });
+        
+        it('should leave fields a close-only source lacks as null', () => {
+            const processed = DataProcessor.processRawData({ prices: [[1577836800000, 7194.89]] });
+            const bar = processed.dailyData[0];
+            
+            expect(bar.open).toBe(null);
+            expect(bar.volume).toBe(null);
+            expect(bar.digitalRoots.high).toBe(null);
+            expect(bar.digitalRoots.close).toBe(4);
+            expect(processed.metadata.fields).toEqual(['close']);
+        });
+        
+        it('should merge CoinGecko OHLC and volumes by date', () => {
+            const processed = DataProcessor.processRawData({
+                prices: [[1577836800000, 7194.89], [1577923200000, 7200.17]],
+                ohlc: [{ time: 1577836800, open: 7100, high: 7250, low: 7050, close: 7194.89 }],
+                total_volumes: [[1577836800000, 5e9], [1577923200000, 6e9]]
+            });
+            
+            expect(processed.dailyData[0].high).toBe(7250);
+            expect(processed.dailyData[1].open).toBe(null);
+            expect(processed.dailyData[1].volume).toBe(6e9);
+            expect(processed.metadata.fields).toEqual(['close', 'volume']);
+        });
+        
+        it('should accept object rows with second timestamps', () => {
+            const processed = DataProcessor.processRawData({
+                data: [
+                    { timestamp: 1577836800, price: 1000 },
+                    { timestamp: 1577923200, close: 1100, open: 1010, high: 1120, low: 1000, volume: 10 }
+                ]
+            });
+            
+            expect(processed.dailyData[0].date).toBe('2020-01-01');
+            expect(processed.dailyData[1].close).toBe(1100);
+            expect(processed.dailyData[1].priceChangePercent).toBe(10);
+        });
+    });
+
+    describe('Root Sources', () => {
+        const rawData = { prices: [[1577836800000, 13.03, 13.5, 12.9, 13.03, 1200], [1577923200000, 13.0, 13.2, 12.8, 13.0, 900]] };
+        
+        it('should record the root source and derive roots from it', () => {
+            const processed = DataProcessor.processRawData(rawData, { rootSource: 'cents' });
+            
+            expect(processed.metadata.rootSource).toEqual({ source: 'cents' });
+            expect(processed.dailyData[0].digitalRoot).toBe(7);  // 1303
+            expect(processed.dailyData[0].digitalRoots.high).toBe(9);  // 1350
+            expect(processed.dailyData[0].digitalRoots.volume).toBe(3);  // Volume stays in whole units
+        });
+        
+        it('should default to whole dollars', () => {
+            const processed = DataProcessor.processRawData(rawData);
+            expect(processed.metadata.rootSource).toEqual({ source: 'dollars' });
+            expect(processed.dailyData[0].digitalRoot).toBe(4);
+        });
+        
+        it('should take roots from volume or from returns', () => {
+            const byVolume = DataProcessor.processRawData(rawData, { rootSource: 'volume' });
+            expect(byVolume.dailyData[1].digitalRoot).toBe(9);
+            
+            const byReturn = DataProcessor.processRawData(rawData, { rootSource: 'return-bps' });
+            expect(byReturn.dailyData[0].digitalRoot).toBe(0);
+            expect(byReturn.dailyData[1].digitalRoot).toBe(5);  // -23 bps
+        });
+        
+        it('should refuse the volume source without volume data', () => {
+            expect(() => DataProcessor.processRawData({ prices: [[1577836800000, 13]] }, { rootSource: 'volume' }))
+                .toThrow("Root source 'volume' needs volume on every record");
+        });
+        
+        it('should re-derive roots for processed records', () => {
+            const { dailyData } = DataProcessor.processRawData(rawData);
+            const recomputed = DataProcessor.applyRootSource(dailyData, 'cents');
+            
+            expect(recomputed[0].digitalRoot).toBe(7);
+            expect(recomputed[0].isTeslaNumber).toBeFalsy();
+            expect(dailyData[0].digitalRoot).toBe(4);  // Originals untouched
+        });
+    });
+
+    describe('Number Bases', () => {
+        it('should take roots in the configured base', () => {
+            const processed = DataProcessor.processRawData({ prices: [[1577836800000, 13.03], [1577923200000, 12]] }, { base: 12 });
+            
+            expect(processed.metadata.base).toBe(12);
+            expect(processed.dailyData[0].rootBase).toBe(12);
+            expect(processed.dailyData[0].digitalRoot).toBe(2);  // 13 mod 11
+            expect(processed.dailyData[1].vortexSequencePosition).toBe(0);
+            expect(Object.keys(processed.statistics.digitalRootDistribution.frequencies)).toHaveLength(11);
+        });
+        
+        it('should report sequence positions in the base\'s doubling cycle', () => {
+            expect(DataProcessor.getSequencePosition(5, 12)).toBe(4);
+            expect(DataProcessor.getSequencePosition(11, 12)).toBe(-1);
+        });
+    });
+
     describe('Statistical Calculations', () => {
         it('should calculate digital root frequency distribution', () => {
             const dailyData = [
@@ -217,6 +337,42 @@ describe('DataProcessor', () => {
             expect(validation.valid).toBe(false);
             expect(validation.errors).toContain('No daily data found');
         });
+        
+        it('should flag a lopsided root distribution with chi-square and KS p-values', () => {
+            const dailyData = Array.from({ length: 180 }, (_, i) => ({
+                timestamp: 1577836800000 + i * 86400000,
+                price: 1000 + i,
+                priceChangePercent: 0,
+                date: new Date(1577836800000 + i * 86400000).toISOString().split('T')[0]
+            }));
+            const lopsided = DataProcessor.validateData({
+                dailyData,
+                statistics: { digitalRootDistribution: { frequencies: { 1: 60, 2: 15, 3: 15, 4: 15, 5: 15, 6: 15, 7: 15, 8: 15, 9: 15 } } }
+            });
+            const even = DataProcessor.validateData({
+                dailyData,
+                statistics: { digitalRootDistribution: { frequencies: { 1: 22, 2: 18, 3: 20, 4: 21, 5: 19, 6: 20, 7: 20, 8: 19, 9: 21 } } }
+            });
+            
+            expect(lopsided.distributionTests.chiSquare.degreesOfFreedom).toBe(8);
+            expect(lopsided.distributionTests.chiSquare.pValue).toBeLessThan(0.001);
+            expect(lopsided.warnings.some(w => w.includes('departs from uniform'))).toBe(true);
+            expect(even.distributionTests.chiSquare.pValue).toBeGreaterThan(0.5);
+            expect(even.distributionTests.kolmogorovSmirnov.pValue).toBeGreaterThan(0.5);
+            expect(even.summary.dataQuality).toBe('Good');
+        });
+        
+        it('should warn instead of testing when too few roots are expected per bin', () => {
+            const dailyData = [{ timestamp: 1577836800000, price: 1000, priceChangePercent: 0, date: '2020-01-01' }];
+            const validation = DataProcessor.validateData({
+                dailyData,
+                statistics: { digitalRootDistribution: { frequencies: { 1: 1, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, 8: 0, 9: 0 } } }
+            });
+            
+            expect(validation.distributionTests.reliable).toBe(false);
+            expect(validation.warnings[0]).toContain('Too few records');
+            expect(validation.distributionTests.benford.counts[0]).toBe(1);
+        });
     });
 
     describe('CSV Export', () => {
@@ -0,0 +1,81 @@
+/**
+ * Digital Root Engine Tests
+ */
+
+const path = require('path');
+const DigitalRootEngine = require(path.join(__dirname, '../src/core/digital-root-engine.js'));
+
+describe('DigitalRootEngine', () => {
+
+    describe('Base 10', () => {
+        it('should reproduce the classic vortex numbers', () => {
+            const engine = DigitalRootEngine.forBase(10);
+
+            expect(engine.roots).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(engine.doublingCycle).toEqual([1, 2, 4, 8, 7, 5]);
+            expect(engine.triplingCycle).toEqual([1, 3, 9]);
+            expect(engine.teslaNumbers).toEqual([3, 6, 9]);
+            expect(engine.digitalRoot(123)).toBe(6);
+            expect(engine.digitalRoot(18)).toBe(9);
+            expect(engine.digitalRoot(0)).toBe(0);
+        });
+
+        it('should give 3, 6 and 9 their usual polarities', () => {
+            const engine = DigitalRootEngine.forBase(10);
+
+            expect(engine.teslaPolarity(3)).toBe('positive');
+            expect(engine.teslaPolarity(6)).toBe('negative');
+            expect(engine.teslaPolarity(9)).toBe('balance');
+            expect(engine.teslaPolarity(1)).toBe(null);
+        });
+    });
+
+    describe('Other Bases', () => {
+        it('should agree with base-b digit sums', () => {
+            [3, 8, 9, 12, 16].forEach(base => {
+                const engine = new DigitalRootEngine(base);
+                [1, 7, 123, 4095, 99991].forEach(n => {
+                    expect(engine.digitalRootIterative(n)).toBe(engine.digitalRoot(n));
+                });
+            });
+        });
+
+        it('should derive base 12 structure from arithmetic modulo 11', () => {
+            const engine = DigitalRootEngine.forBase(12);
+
+            expect(engine.doublingCycle).toEqual([1, 2, 4, 8, 5, 10, 9, 7, 3, 6]);
+            expect(engine.isDoublingCyclic()).toBeTruthy();
+            expect(engine.teslaNumbers).toEqual([11]);
+            expect(engine.sequencePosition(5)).toBe(4);
+        });
+
+        it('should stop the doubling orbit where it settles when 2 divides b - 1', () => {
+            const engine = DigitalRootEngine.forBase(9);
+
+            expect(engine.doublingCycle).toEqual([1, 2, 4, 8]);
+            expect(engine.isDoublingCyclic()).toBeFalsy();
+            expect(engine.teslaNumbers).toEqual([2, 4, 6, 8]);
+            expect(engine.units).toEqual([1, 3, 5, 7]);
+        });
+
+        it('should pair Tesla analogues with their mirror', () => {
+            const engine = DigitalRootEngine.forBase(16);
+
+            expect(engine.teslaNumbers).toEqual([3, 5, 6, 9, 10, 12, 15]);
+            expect(engine.teslaPolarity(5)).toBe('positive');
+            expect(engine.teslaPolarity(10)).toBe('negative');
+            expect(engine.teslaPolarity(15)).toBe('balance');
+        });
+    });
+
+    describe('Construction', () => {
+        it('should share one engine per base', () => {
+            expect(DigitalRootEngine.forBase(8)).toBe(DigitalRootEngine.forBase(8));
+        });
+
+        it('should reject bases without a useful digital root', () => {
+            expect(() => new DigitalRootEngine(2)).toThrow('Number base must be an integer of at least 3');
+            expect(() => new DigitalRootEngine(10.5)).toThrow('got 10.5');
+        });
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Drawdown Analyzer Tests
+ */
+
+const path = require('path');
+const DrawdownAnalyzer = require(path.join(__dirname, '../src/analysis/drawdown-analyzer.js'));
+
+describe('DrawdownAnalyzer', () => {
+    const curve = (values) => values.map((value, i) => ({
+        date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+        portfolioValue: value
+    }));
+
+    describe('Underwater Curve', () => {
+        it('should measure each point against the running peak', () => {
+            const underwater = DrawdownAnalyzer.underwater(curve([100, 120, 90, 120, 130]));
+            expect(underwater.map(p => p.drawdown)).toEqual([0, 0, -25, 0, 0]);
+            expect(underwater[2].date).toBe('2020-01-03');
+        });
+    });
+
+    describe('Episodes', () => {
+        it('should find peak, trough and recovery for each episode', () => {
+            // Jan 2 peak 120, trough 90 on Jan 3, back to 120 on Jan 5; then an unrecovered fall
+            const episodes = DrawdownAnalyzer.episodes(curve([100, 120, 90, 100, 120, 110, 100, 105]));
+
+            expect(episodes).toHaveLength(2);
+            expect(episodes[0].peakDate).toBe('2020-01-02');
+            expect(episodes[0].troughDate).toBe('2020-01-03');
+            expect(episodes[0].recoveryDate).toBe('2020-01-05');
+            expect(episodes[0].recovered).toBeTruthy();
+            expect(episodes[0].depth).toBe(25);
+            expect(episodes[0].declineDays).toBe(1);
+            expect(episodes[0].recoveryDays).toBe(2);
+            expect(episodes[0].durationDays).toBe(3);
+
+            expect(episodes[1].peakDate).toBe('2020-01-05');
+            expect(episodes[1].troughDate).toBe('2020-01-07');
+            expect(episodes[1].recoveryDate).toBe('unrecovered');
+            expect(episodes[1].recovered).toBeFalsy();
+            expect(episodes[1].recoveryDays).toBe(null);
+            expect(episodes[1].durationDays).toBe(3);
+        });
+
+        it('should return no episodes for a curve that never falls', () => {
+            expect(DrawdownAnalyzer.episodes(curve([100, 100, 101, 105]))).toHaveLength(0);
+        });
+    });
+
+    describe('Analysis', () => {
+        it('should rank the worst episodes and find the longest time under water', () => {
+            // Episodes: 10% over 2 days, 30% over 2 days, 5% over 4 days (unrecovered)
+            const analysis = DrawdownAnalyzer.analyze(curve([100, 90, 100, 70, 100, 95, 96, 97, 98]), { top: 2 });
+
+            expect(analysis.count).toBe(3);
+            expect(analysis.worst).toHaveLength(2);
+            expect(analysis.worst[0].depth).toBeCloseTo(30, 10);
+            expect(analysis.worst[1].depth).toBeCloseTo(10, 10);
+            expect(analysis.longest.peakDate).toBe('2020-01-05');
+            expect(analysis.longest.durationDays).toBe(4);
+            expect(analysis.timeUnderWater).toBeCloseTo((6 / 9) * 100, 10);
+        });
+
+        it('should handle an empty curve', () => {
+            const analysis = DrawdownAnalyzer.analyze([]);
+            expect(analysis.count).toBe(0);
+            expect(analysis.longest).toBe(null);
+            expect(analysis.timeUnderWater).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Forward-Return Event Study Tests
+ */
+
+const path = require('path');
+const EventStudy = require(path.join(__dirname, '../src/analysis/event-study.js'));
+const SeededRandom = require(path.join(__dirname, '../src/core/random.js'));
+
+const bars = (prices, roots) => prices.map((price, i) => ({ price, digitalRoot: roots[i % roots.length] }));
+
+describe('EventStudy', () => {
+
+    describe('Forward Returns', () => {
+        it('should measure percent returns to the bar a horizon ahead', () => {
+            const returns = EventStudy.forwardReturns([100, 110, 99, 120], 2);
+
+            expect(returns[0]).toBeCloseTo(-1, 10);
+            expect(returns[1]).toBeCloseTo(9.0909, 3);
+            expect(returns[2]).toBe(null);
+            expect(returns[3]).toBe(null);
+        });
+
+        it('should summarize mean, median, hit rate and t-statistic', () => {
+            const summary = EventStudy.summarize([1, 2, 3, -2]);
+
+            expect(summary.count).toBe(4);
+            expect(summary.mean).toBe(1);
+            expect(summary.median).toBe(1.5);
+            expect(summary.hitRate).toBe(75);
+            expect(summary.tStatistic).toBeCloseTo(1 / (summary.standardDeviation / 2), 10);
+            expect(EventStudy.summarize([]).mean).toBe(null);
+            expect(EventStudy.summarize([5]).tStatistic).toBe(null);
+        });
+    });
+
+    describe('Study', () => {
+        it('should report every root and both groups at each horizon', () => {
+            const prices = Array.from({ length: 60 }, (_, i) => 100 + i);
+            const study = EventStudy.run(bars(prices, [1, 2, 3, 4, 5, 6, 7, 8, 9]), { horizons: [1, 3], permutations: 50 });
+
+            expect(study.horizons).toEqual([1, 3]);
+            expect(Object.keys(study.roots)).toHaveLength(9);
+            expect(study.roots[9][1].count).toBe(6);
+            expect(study.roots[9][3].count).toBe(6);
+            expect(study.baseline[3].count).toBe(57);
+            expect(study.groups.tesla[1].count).toBe(study.roots[3][1].count + study.roots[6][1].count + study.roots[9][1].count);
+            expect(study.groups.doubling[1].count).toBe(59 - study.groups.tesla[1].count);
+        });
+
+        it('should flag a root that precedes large moves', () => {
+            // Root 9 days are followed by a 5% jump; every other day drifts flat
+            const random = new SeededRandom(7);
+            const roots = Array.from({ length: 300 }, () => random.nextInt(1, 9));
+            const prices = [100];
+            for (let i = 1; i < roots.length; i++) {
+                prices.push(prices[i - 1] * (roots[i - 1] === 9 ? 1.05 : 1 + (random.next() - 0.5) * 0.002));
+            }
+            const study = EventStudy.run(prices.map((price, i) => ({ price, digitalRoot: roots[i] })), { horizons: [1], permutations: 200 });
+
+            expect(study.roots[9][1].mean).toBeCloseTo(5, 8);
+            expect(study.roots[9][1].hitRate).toBe(100);
+            expect(study.roots[9][1].pValue).toBeLessThan(0.01);
+            expect(study.roots[9][1].excessMean).toBeGreaterThan(0);
+            expect(study.roots[1][1].excessMean).toBeLessThan(0);
+        });
+
+        it('should give unremarkable roots large p-values and be reproducible by seed', () => {
+            const random = new SeededRandom(11);
+            const prices = [100];
+            for (let i = 1; i < 400; i++) prices.push(prices[i - 1] * (1 + (random.next() - 0.5) * 0.04));
+            const data = bars(prices, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+            const first = EventStudy.run(data, { horizons: [1], permutations: 200, seed: 3 });
+            const second = EventStudy.run(data, { horizons: [1], permutations: 200, seed: 3 });
+
+            expect(first.roots[5][1].pValue).toBe(second.roots[5][1].pValue);
+            expect(first.groups.doubling[1].pValue).toBeGreaterThan(0.01);
+        });
+
+        it('should skip p-values without permutations and size roots by base', () => {
+            const prices = Array.from({ length: 40 }, (_, i) => 100 + i);
+            const study = EventStudy.run(bars(prices, [1, 2, 3, 4, 5, 6, 7]), { base: 8, horizons: [1], permutations: 0 });
+
+            expect(study.base).toBe(8);
+            expect(Object.keys(study.roots)).toEqual(['1', '2', '3', '4', '5', '6', '7']);
+            expect(study.roots[1][1].pValue).toBe(null);
+            expect(study.groups.tesla[1].count).toBe(5);  // root 7 days, base 8's only Tesla analogue
+        });
+    });
+});
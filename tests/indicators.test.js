@@ -0,0 +1,45 @@
+/**
+ * Test suite for Technical Indicators
+ * Tests true range, ATR and moving averages
+ */
+
+const path = require('path');
+const Indicators = require(path.join(__dirname, '../src/core/indicators.js'));
+
+describe('Indicators', () => {
+
+    describe('True Range', () => {
+        it('should use the close-to-close move for close-only bars', () => {
+            expect(Indicators.trueRange({ price: 105 }, { price: 100 })).toBe(5);
+            expect(Indicators.trueRange({ price: 100 }, null)).toBe(0);
+        });
+        
+        it('should treat null high/low (close-only records) as missing', () => {
+            expect(Indicators.trueRange({ price: 105, high: null, low: null }, { price: 100 })).toBe(5);
+        });
+        
+        it('should include gaps from the previous close for OHLC bars', () => {
+            const bar = { high: 110, low: 104, close: 108 };
+            expect(Indicators.trueRange(bar, { close: 100 })).toBe(10);
+            expect(Indicators.trueRange(bar, null)).toBe(6);
+        });
+    });
+
+    describe('Average True Range', () => {
+        it('should average the first period then apply Wilder smoothing', () => {
+            const bars = [100, 110, 100, 130].map(price => ({ price }));
+            // Ranges 10, 10, 30: seed (10 + 10) / 2 = 10, then (10 + 30) / 2 = 20
+            expect(Indicators.atr(bars, 2)).toBe(20);
+        });
+        
+        it('should return null without enough bars', () => {
+            expect(Indicators.atr([{ price: 1 }, { price: 2 }], 14)).toBe(null);
+        });
+    });
+
+    describe('Simple Moving Average', () => {
+        it('should average the trailing window and pad the warm-up with null', () => {
+            expect(Indicators.sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+        });
+    });
+});
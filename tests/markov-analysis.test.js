@@ -0,0 +1,78 @@
+/**
+ * Markov Chain Analysis Tests
+ */
+
+const path = require('path');
+const MarkovAnalysis = require(path.join(__dirname, '../src/analysis/markov-analysis.js'));
+const SeededRandom = require(path.join(__dirname, '../src/core/random.js'));
+
+const days = roots => roots.map(digitalRoot => ({ digitalRoot }));
+
+describe('MarkovAnalysis', () => {
+
+    describe('Transition Matrix', () => {
+        it('should count first-order transitions into a 9x9 matrix', () => {
+            const markov = MarkovAnalysis.analyze(days([1, 2, 4, 1, 2]));
+
+            expect(markov.states).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(markov.counts).toHaveLength(9);
+            expect(markov.counts[0][1]).toBe(2);  // 1 -> 2 twice
+            expect(markov.transitions).toBe(4);
+            expect(markov.probabilities[1][3]).toBe(1);
+            expect(markov.probabilities[8][0]).toBe(null);  // 9 never seen
+        });
+
+        it('should skip transitions through root 0', () => {
+            const markov = MarkovAnalysis.analyze(days([0, 1, 2, 0]));
+            expect(markov.transitions).toBe(1);
+            expect(markov.skipped).toBe(2);
+        });
+
+        it('should build second-order contexts on request', () => {
+            const markov = MarkovAnalysis.analyze(days([1, 2, 4, 1, 2, 4]), { secondOrder: true });
+
+            expect(markov.secondOrder.contexts).toHaveLength(81);
+            expect(markov.secondOrder.counts[1][3]).toBe(2);  // (1, 2) -> 4
+            expect(markov.secondOrder.entropyRate).toBe(0);
+            expect(MarkovAnalysis.analyze(days([1, 2])).secondOrder).toBe(null);
+        });
+
+        it('should size the matrix by the roots\' base', () => {
+            const markov = MarkovAnalysis.analyze([{ digitalRoot: 1, rootBase: 8 }, { digitalRoot: 7, rootBase: 8 }]);
+            expect(markov.states).toHaveLength(7);
+            expect(markov.maxEntropyRate).toBeCloseTo(Math.log2(7), 10);
+        });
+    });
+
+    describe('Chain Statistics', () => {
+        it('should find the stationary distribution of a periodic chain', () => {
+            const markov = MarkovAnalysis.analyze(days([1, 2, 1, 2, 1, 2, 1]));
+
+            expect(markov.stationary[0]).toBeCloseTo(0.5, 8);
+            expect(markov.stationary[1]).toBeCloseTo(0.5, 8);
+            expect(markov.entropyRate).toBe(0);
+        });
+
+        it('should reject a deterministic cycle and accept independent uniform roots', () => {
+            const cycle = days(Array.from({ length: 300 }, (_, i) => [1, 2, 4, 8, 7, 5][i % 6]));
+            expect(MarkovAnalysis.analyze(cycle).independence.pValue).toBeLessThan(1e-6);
+
+            const random = new SeededRandom(7);
+            const uniform = days(Array.from({ length: 5000 }, () => random.nextInt(1, 9)));
+            const markov = MarkovAnalysis.analyze(uniform);
+
+            expect(markov.independence.degreesOfFreedom).toBe(72);
+            expect(markov.independence.minimumExpected).toBeGreaterThan(5);
+            expect(markov.independence.pValue).toBeGreaterThan(0.01);
+            expect(markov.entropyRate).toBeGreaterThan(3.1);
+            markov.stationary.forEach(p => expect(p).toBeCloseTo(1 / 9, 1));
+        });
+
+        it('should test against observed frequencies when asked', () => {
+            const markov = MarkovAnalysis.analyze(days([1, 1, 2, 1, 1, 2, 1]), { expectation: 'marginal' });
+            expect(markov.independence.expectation).toBe('marginal');
+            expect(markov.independence.degreesOfFreedom).toBe(1);
+            expect(() => MarkovAnalysis.analyze(days([1, 2]), { expectation: 'normal' })).toThrow('Unknown expectation: normal');
+        });
+    });
+});
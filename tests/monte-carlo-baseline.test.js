@@ -0,0 +1,93 @@
+/**
+ * Test suite for the Monte Carlo random-entry baseline
+ */
+
+const path = require('path');
+const MonteCarloBaseline = require(path.join(__dirname, '../src/analysis/monte-carlo-baseline.js'));
+const VortexStrategy = require(path.join(__dirname, '../src/strategies/vortex-strategy.js'));
+const SeededRandom = require(path.join(__dirname, '../src/core/random.js'));
+
+const priceData = Array.from({ length: 90 }, (_, i) => {
+    const price = 1000 + 100 * Math.sin(i / 5) + i * 2;
+    return {
+        date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+        price: price,
+        digitalRoot: (Math.floor(price) % 9) || 9
+    };
+});
+
+describe('MonteCarloBaseline', () => {
+
+    describe('Random Schedules', () => {
+        it('should keep every holding period and never overlap trades', () => {
+            const template = [{ bars: 5, side: 'LONG' }, { bars: 3, side: 'LONG' }, { bars: 8, side: 'SHORT' }];
+            const schedule = MonteCarloBaseline.randomSchedule(template, 30, new SeededRandom(1));
+            
+            expect(schedule).toHaveLength(3);
+            expect(schedule.map(t => t.exit - t.entry).sort((a, b) => a - b)).toEqual([3, 5, 8]);
+            schedule.forEach((trade, i) => {
+                expect(trade.entry).toBeGreaterThanOrEqual(0);
+                expect(trade.exit).toBeLessThan(30);
+                if (i > 0) expect(trade.entry).toBeGreaterThan(schedule[i - 1].exit);
+            });
+        });
+        
+        it('should drop the longest trades when they cannot all fit', () => {
+            const template = [{ bars: 4, side: 'LONG' }, { bars: 20, side: 'LONG' }];
+            const schedule = MonteCarloBaseline.randomSchedule(template, 10, new SeededRandom(1));
+            
+            expect(schedule).toHaveLength(1);
+            expect(schedule[0].exit - schedule[0].entry).toBe(4);
+        });
+    });
+    
+    describe('Ranking', () => {
+        it('should compute percentile and empirical p-value', () => {
+            const rank = MonteCarloBaseline.rank(7.5, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            
+            expect(rank.percentile).toBe(70);
+            expect(rank.pValue).toBeCloseTo(4 / 11, 10);
+            expect(rank.median).toBe(5.5);
+        });
+    });
+    
+    describe('Baseline Runs', () => {
+        it('should replay the strategy trade count and rank its metrics', () => {
+            const strategy = new VortexStrategy({ useTeslaFilter: false, useSequenceFilter: false });
+            const results = strategy.backtest(priceData, 10000);
+            
+            const baseline = MonteCarloBaseline.run(priceData, strategy, results, { simulations: 20, seed: 7 });
+            
+            expect(baseline.tradeCount).toBe(strategy.tradeHistory.length);
+            expect(baseline.distribution.totalReturn).toHaveLength(20);
+            expect(baseline.totalReturn.observed).toBe(results.performance.totalReturn);
+            expect(baseline.totalReturn.percentile).toBeGreaterThanOrEqual(0);
+            expect(baseline.totalReturn.percentile).toBeLessThanOrEqual(100);
+            expect(baseline.sharpeRatio.pValue).toBeGreaterThan(0);
+            expect(baseline.sharpeRatio.pValue).toBeLessThanOrEqual(1);
+        });
+        
+        it('should be reproducible for the same seed', () => {
+            const strategy = new VortexStrategy({ useTeslaFilter: false, useSequenceFilter: false });
+            const results = strategy.backtest(priceData, 10000);
+            
+            const first = MonteCarloBaseline.run(priceData, strategy, results, { simulations: 10, seed: 3 });
+            const second = MonteCarloBaseline.run(priceData, strategy, results, { simulations: 10, seed: 3 });
+            
+            expect(second.distribution.totalReturn).toEqual(first.distribution.totalReturn);
+        });
+        
+        it('should give the same result simulated in batches', () => {
+            const strategy = new VortexStrategy({ useTeslaFilter: false, useSequenceFilter: false });
+            const results = strategy.backtest(priceData, 10000);
+            
+            const whole = MonteCarloBaseline.run(priceData, strategy, results, { simulations: 10, seed: 3 });
+            const simulation = MonteCarloBaseline.start(priceData, strategy, { simulations: 10, seed: 3 });
+            expect(MonteCarloBaseline.simulate(simulation, 4)).toBe(4);
+            expect(MonteCarloBaseline.simulate(simulation, 4)).toBe(8);
+            expect(MonteCarloBaseline.simulate(simulation, 4)).toBe(10);
+            
+            expect(MonteCarloBaseline.summarize(simulation, results)).toEqual(whole);
+        });
+    });
+});
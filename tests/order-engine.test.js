@@ -0,0 +1,165 @@
+/**
+ * Order Engine Tests
+ */
+
+const path = require('path');
+const OrderEngine = require(path.join(__dirname, '../src/backtest/order-engine.js'));
+
+describe('OrderEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new OrderEngine();
+    });
+
+    describe('Market Orders', () => {
+        it('should fill in full at the close or the open', () => {
+            engine.submit({ side: 'BUY' });
+            engine.submit({ side: 'SELL', fillAt: 'open' });
+
+            const fills = engine.process({ open: 95, high: 110, low: 90, close: 100 }, 0);
+
+            expect(fills).toHaveLength(2);
+            expect(fills[0].price).toBe(100);
+            expect(fills[1].price).toBe(95);
+            expect(fills[0].complete).toBeTruthy();
+            expect(engine.open()).toHaveLength(0);
+        });
+
+        it('should wait for the bar it becomes active on', () => {
+            engine.submit({ side: 'BUY', activeFrom: 1 });
+
+            expect(engine.process({ price: 100 }, 0)).toHaveLength(0);
+            expect(engine.process({ price: 101 }, 1)[0].price).toBe(101);
+        });
+    });
+
+    describe('Limit Orders', () => {
+        it('should fill everything at the open when the bar gaps through the limit', () => {
+            engine.submit({ side: 'BUY', type: 'limit', limitPrice: 96 });
+
+            const [fill] = engine.process({ open: 95, high: 100, low: 90, close: 98 }, 0);
+
+            expect(fill.price).toBe(95);
+            expect(fill.fraction).toBe(1);
+            expect(fill.liquidity).toBe('maker');
+        });
+
+        it('should fill partially by how far the bar traded through the limit', () => {
+            const order = engine.submit({ side: 'BUY', type: 'limit', limitPrice: 96 });
+
+            // Range 90-102, limit 6 above the low: half fills at the limit
+            const [first] = engine.process({ open: 100, high: 102, low: 90, close: 95 }, 0);
+            expect(first.price).toBe(96);
+            expect(first.fraction).toBeCloseTo(0.5, 10);
+            expect(first.complete).toBeFalsy();
+
+            const [second] = engine.process({ open: 94, high: 97, low: 93, close: 96 }, 1);
+            expect(second.price).toBe(94);
+            expect(second.fraction).toBeCloseTo(0.5, 10);
+            expect(order.status).toBe('filled');
+            expect(order.fills).toHaveLength(2);
+        });
+
+        it('should fill in full at the limit when partial fills are off', () => {
+            engine = new OrderEngine({ partialFills: false });
+            engine.submit({ side: 'SELL', type: 'limit', limitPrice: 108 });
+
+            const [fill] = engine.process({ open: 100, high: 110, low: 99, close: 104 }, 0);
+
+            expect(fill.price).toBe(108);
+            expect(fill.fraction).toBe(1);
+        });
+
+        it('should treat close-only bars as a single price', () => {
+            engine.submit({ side: 'BUY', type: 'limit', limitPrice: 96 });
+
+            expect(engine.process({ price: 97 }, 0)).toHaveLength(0);
+            expect(engine.process({ price: 96 }, 1)[0].fraction).toBe(1);
+        });
+    });
+
+    describe('Stop Orders', () => {
+        it('should fill at the stop when the bar trades through it', () => {
+            engine.submit({ side: 'BUY', type: 'stop', stopPrice: 105 });
+
+            expect(engine.process({ open: 100, high: 104, low: 99, close: 103 }, 0)).toHaveLength(0);
+            const [fill] = engine.process({ open: 102, high: 106, low: 101, close: 104 }, 1);
+
+            expect(fill.price).toBe(105);
+            expect(fill.liquidity).toBe('taker');
+        });
+
+        it('should fill at the worse open on a gap', () => {
+            engine.submit({ side: 'SELL', type: 'stop', stopPrice: 95 });
+
+            const [fill] = engine.process({ open: 90, high: 92, low: 88, close: 91 }, 0);
+
+            expect(fill.price).toBe(90);
+        });
+
+        it('should trigger a stop-limit and then wait for the limit', () => {
+            const order = engine.submit({ side: 'BUY', type: 'stop-limit', stopPrice: 105, limitPrice: 107 });
+
+            // Gaps above the limit: triggered, but nothing fills
+            expect(engine.process({ open: 110, high: 112, low: 109, close: 111 }, 0)).toHaveLength(0);
+            expect(order.triggered).toBeTruthy();
+
+            const [fill] = engine.process({ open: 106, high: 108, low: 104, close: 107 }, 1);
+            expect(fill.price).toBe(106);
+            expect(fill.liquidity).toBe('maker');
+        });
+    });
+
+    describe('Time in Force', () => {
+        it('should expire day orders after their first active bar', () => {
+            const unfilled = engine.submit({ side: 'BUY', type: 'limit', limitPrice: 90, timeInForce: 'day' });
+            const partial = engine.submit({ side: 'BUY', type: 'limit', limitPrice: 96, timeInForce: 'day' });
+
+            engine.process({ open: 100, high: 102, low: 90, close: 95 }, 0);
+
+            expect(unfilled.status).toBe('expired');
+            expect(partial.status).toBe('partially-filled');
+            expect(engine.open()).toHaveLength(0);
+        });
+
+        it('should keep good-till-cancelled orders working until cancelled', () => {
+            const order = engine.submit({ side: 'BUY', type: 'limit', limitPrice: 90 });
+
+            engine.process({ price: 100 }, 0);
+            engine.process({ price: 99 }, 1);
+            expect(order.status).toBe('open');
+
+            expect(engine.cancel(order.id)).toBeTruthy();
+            expect(engine.cancel(order.id)).toBeFalsy();
+            expect(engine.process({ price: 80 }, 2)).toHaveLength(0);
+        });
+    });
+
+    describe('Processing', () => {
+        it('should evaluate each order once per bar', () => {
+            engine.submit({ side: 'BUY', type: 'limit', limitPrice: 96, timeInForce: 'gtc' });
+            engine.process({ open: 100, high: 102, low: 90, close: 95 }, 0);
+
+            expect(engine.process({ open: 100, high: 102, low: 90, close: 95 }, 0)).toHaveLength(0);
+        });
+
+        it('should leave a rejected fill working', () => {
+            const order = engine.submit({ side: 'BUY' });
+
+            expect(engine.process({ price: 100 }, 0, () => false)).toHaveLength(0);
+            expect(order.filled).toBe(0);
+            expect(order.status).toBe('open');
+            expect(engine.process({ price: 101 }, 1)).toHaveLength(1);
+        });
+    });
+
+    describe('Validation', () => {
+        it('should reject malformed orders', () => {
+            expect(() => engine.submit({ side: 'BUY', type: 'iceberg' })).toThrow('Unknown order type: iceberg');
+            expect(() => engine.submit({ side: 'HOLD' })).toThrow('Order side must be BUY or SELL');
+            expect(() => engine.submit({ side: 'BUY', type: 'limit' })).toThrow('needs a positive limitPrice');
+            expect(() => engine.submit({ side: 'SELL', type: 'stop-limit', limitPrice: 90 })).toThrow('needs a positive stopPrice');
+        });
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Test suite for the parameter sweep optimizer
+ */
+
+const path = require('path');
+const ParameterOptimizer = require(path.join(__dirname, '../src/backtest/parameter-optimizer.js'));
+
+const priceData = Array.from({ length: 60 }, (_, i) => {
+    const price = 1000 + 80 * Math.sin(i / 4) + i * 3;
+    return {
+        date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+        price: price,
+        digitalRoot: (Math.floor(price) % 9) || 9
+    };
+});
+
+describe('ParameterOptimizer', () => {
+
+    describe('Combinations', () => {
+        it('should cross every root with both filter settings by default', () => {
+            const combos = ParameterOptimizer.combinations();
+            expect(combos).toHaveLength(9 * 9 * 9 * 4);
+        });
+        
+        it('should sweep every root of the requested base', () => {
+            const combos = ParameterOptimizer.combinations({ base: 8 });
+            expect(combos).toHaveLength(7 * 7 * 7 * 4);
+        });
+        
+        it('should honour narrowed ranges', () => {
+            const combos = ParameterOptimizer.combinations({ buySignals: [1, 2], sellSignals: [5], holdSignals: [9], teslaFilter: [false] });
+            expect(combos).toHaveLength(4);
+            expect(combos[0]).toEqual({ buySignal: 1, sellSignal: 5, holdSignal: 9, useTeslaFilter: false, useSequenceFilter: true });
+        });
+    });
+    
+    describe('Sweeps', () => {
+        const options = { buySignals: [1, 2, 4], sellSignals: [5, 7], holdSignals: [9], baseConfig: { feePercent: 0, slippageBps: 0 } };
+        
+        it('should rank results best first by the objective', () => {
+            const sweep = ParameterOptimizer.run(priceData, { ...options, objective: 'sharpeRatio' });
+            
+            expect(sweep.runs).toBe(24);
+            expect(sweep.best.rank).toBe(1);
+            for (let i = 1; i < sweep.results.length; i++) {
+                expect(sweep.results[i - 1].sharpeRatio).toBeGreaterThanOrEqual(sweep.results[i].sharpeRatio);
+            }
+        });
+        
+        it('should report progress for every combination', () => {
+            let calls = 0;
+            ParameterOptimizer.run(priceData, { ...options, onProgress: () => calls++ });
+            expect(calls).toBe(24);
+        });
+        
+        it('should sweep the roots even when the base config carries signal rules', () => {
+            const ruled = ParameterOptimizer.run(priceData, { ...options, baseConfig: { ...options.baseConfig, rules: 'BUY when root == 1\nSELL when root == 5' } });
+            const plain = ParameterOptimizer.run(priceData, options);
+            
+            expect(ruled.results.map(row => row.totalReturn)).toEqual(plain.results.map(row => row.totalReturn));
+        });
+        
+        it('should reject unknown objectives', () => {
+            expect(() => ParameterOptimizer.run(priceData, { objective: 'luck' })).toThrow('Unknown objective: luck');
+        });
+        
+        it('should map the best value for each buy/sell pair', () => {
+            const sweep = ParameterOptimizer.run(priceData, options);
+            const heatmap = ParameterOptimizer.heatmap(sweep.results, 'totalReturn');
+            
+            expect(heatmap.buySignals).toEqual([1, 2, 4]);
+            expect(heatmap.sellSignals).toEqual([5, 7]);
+            const best = Math.max(...sweep.results.filter(r => r.params.buySignal === 2 && r.params.sellSignal === 7).map(r => r.totalReturn));
+            expect(heatmap.values[1][1]).toBe(best);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Streaming Pattern Matcher Tests
+ */
+
+const path = require('path');
+const PatternMatcher = require(path.join(__dirname, '../src/core/pattern-matcher.js'));
+
+const spans = events => events.map(event => [event.pattern, event.variant, event.start, event.end]);
+
+describe('PatternMatcher', () => {
+
+    describe('Literal Patterns', () => {
+        it('should find overlapping occurrences of several patterns in one pass', () => {
+            const matcher = new PatternMatcher([
+                { name: 'doubling', sequence: [1, 2, 4, 8, 7, 5] },
+                { name: 'pair', sequence: [2, 4] },
+                { name: 'tail', sequence: [4, 8, 7] }
+            ]);
+            const events = matcher.scan([1, 2, 4, 8, 7, 5, 1, 2, 4]);
+
+            expect(spans(events)).toEqual([
+                ['pair', 'forward', 1, 2],
+                ['tail', 'forward', 2, 4],
+                ['doubling', 'forward', 0, 5],
+                ['pair', 'forward', 7, 8]
+            ]);
+            expect(events[2].roots).toEqual([1, 2, 4, 8, 7, 5]);
+        });
+
+        it('should report suffix patterns through failure links', () => {
+            const events = new PatternMatcher(['1,2,1,2,3', '2,3', '1,2']).scan([1, 2, 1, 2, 1, 2, 3]);
+
+            expect(spans(events)).toEqual([
+                ['1,2', 'forward', 0, 1],
+                ['1,2', 'forward', 2, 3],
+                ['1,2', 'forward', 4, 5],
+                ['1,2,1,2,3', 'forward', 2, 6],
+                ['2,3', 'forward', 5, 6]
+            ]);
+        });
+    });
+
+    describe('Variants', () => {
+        it('should match reversed patterns', () => {
+            const events = new PatternMatcher([{ name: 'up', sequence: [1, 2, 4], reversed: true }]).scan([4, 2, 1, 2, 4]);
+
+            expect(spans(events)).toEqual([['up', 'reversed', 0, 2], ['up', 'forward', 2, 4]]);
+        });
+
+        it('should match every cyclic rotation and drop duplicate variants', () => {
+            const matcher = new PatternMatcher([{ name: 'cycle', sequence: [1, 2, 4], rotations: true, reversed: true }]);
+            expect(matcher.variants).toHaveLength(6);
+            expect(PatternMatcher.expand({ sequence: [3, 3], rotations: true, reversed: true })).toHaveLength(1);
+
+            const events = matcher.scan([4, 1, 2, 9]);
+            expect(spans(events)).toEqual([['cycle', 'rotation-2', 0, 2]]);
+        });
+
+        it('should let wildcards match any root', () => {
+            const events = new PatternMatcher(['3,*,9', '*,5', '7,*,*']).scan([3, 6, 9, 5, 3, 1, 9, 7, 2]);
+
+            expect(spans(events)).toEqual([
+                ['3,*,9', 'forward', 0, 2],
+                ['*,5', 'forward', 2, 3],
+                ['3,*,9', 'forward', 4, 6]
+            ]);
+            expect(events[2].roots).toEqual([3, 1, 9]);
+        });
+
+        it('should wait for trailing wildcards before reporting', () => {
+            const matcher = new PatternMatcher(['7,*,*']);
+
+            expect(matcher.push(7)).toHaveLength(0);
+            expect(matcher.push(2)).toHaveLength(0);
+            const events = matcher.push(4);
+            expect(spans(events)).toEqual([['7,*,*', 'forward', 0, 2]]);
+            expect(events[0].roots).toEqual([7, 2, 4]);
+        });
+    });
+
+    describe('Streaming', () => {
+        it('should emit events to a listener as roots arrive', () => {
+            const seen = [];
+            const matcher = new PatternMatcher(['1,2'], { onMatch: event => seen.push(event.end) });
+
+            [1, 2, 3, 1, 2].forEach(root => matcher.push(root));
+            expect(seen).toEqual([1, 4]);
+
+            matcher.reset();
+            expect(matcher.push(2)).toHaveLength(0);
+        });
+
+        it('should match a long stream as a naive scan would', () => {
+            const roots = Array.from({ length: 5000 }, (_, i) => (i * 7 + Math.floor(i / 3)) % 9 + 1);
+            const pattern = [2, '*', 4];
+            const expected = [];
+            for (let i = 0; i + 2 < roots.length; i++) {
+                if (roots[i] === 2 && roots[i + 2] === 4) expected.push(i);
+            }
+
+            const events = new PatternMatcher([{ name: 'gap', sequence: pattern }]).scan(roots);
+            expect(events.map(event => event.start)).toEqual(expected);
+        });
+    });
+
+    describe('Parsing', () => {
+        it('should parse roots, wildcards and flags', () => {
+            expect(PatternMatcher.parse('1, 2, *, 8:reversed:rotations')).toEqual({
+                name: '1, 2, *, 8',
+                sequence: [1, 2, '*', 8],
+                reversed: true,
+                rotations: true
+            });
+        });
+
+        it('should reject malformed patterns', () => {
+            expect(() => PatternMatcher.parse('1,x')).toThrow('Invalid pattern element "x"');
+            expect(() => PatternMatcher.parse('1,2:mirrored')).toThrow('Unknown pattern flag "mirrored"');
+            expect(() => new PatternMatcher([])).toThrow('at least one pattern');
+            expect(() => new PatternMatcher([{ name: 'empty', sequence: [] }])).toThrow('non-empty sequence');
+        });
+    });
+});
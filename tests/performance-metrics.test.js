@@ -0,0 +1,142 @@
+/**
+ * Test suite for the shared performance metric functions
+ */
+
+const path = require('path');
+const PerformanceMetrics = require(path.join(__dirname, '../src/analysis/performance-metrics.js'));
+
+describe('PerformanceMetrics', () => {
+
+    describe('Return Metrics', () => {
+        const returns = [0.1, -0.05, 0.02, -0.01];
+        
+        it('should derive period returns from portfolio values', () => {
+            const values = [{ portfolioValue: 100 }, { portfolioValue: 110 }, { portfolioValue: 99 }];
+            const periodReturns = PerformanceMetrics.periodReturns(values);
+            expect(periodReturns[0]).toBeCloseTo(0.1, 10);
+            expect(periodReturns[1]).toBeCloseTo(-0.1, 10);
+        });
+        
+        it('should compound the total return', () => {
+            expect(PerformanceMetrics.totalReturn([0.1, 0.1])).toBeCloseTo(21, 10);
+        });
+        
+        it('should measure drawdown on the compounded path', () => {
+            // 1.1 peak, then 1.1 * 0.9 = 0.99: a 10% fall
+            expect(PerformanceMetrics.maxDrawdown([0.1, -0.1, 0.05])).toBeCloseTo(10, 10);
+        });
+        
+        it('should annualize Sharpe with the population standard deviation', () => {
+            const mean = 0.015;
+            const std = Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / 4);
+            expect(PerformanceMetrics.sharpeRatio(returns, 252)).toBeCloseTo((mean / std) * Math.sqrt(252), 10);
+        });
+        
+        it('should only count downside returns in Sortino', () => {
+            const downside = Math.sqrt((0.05 * 0.05 + 0.01 * 0.01) / 2);
+            expect(PerformanceMetrics.sortinoRatio(returns, 252)).toBeCloseTo((0.015 / downside) * Math.sqrt(252), 10);
+            expect(PerformanceMetrics.sortinoRatio([0.01, 0.02], 252)).toBe(0);
+        });
+    });
+    
+    describe('Trade Metrics', () => {
+        const trades = [
+            { profit: 100, profitPercent: 10 },
+            { profit: -50, profitPercent: -5 },
+            { profit: 200, profitPercent: 20 }
+        ];
+        
+        it('should compute win rate and average win/loss', () => {
+            expect(PerformanceMetrics.winRate(trades)).toBeCloseTo(66.67, 1);
+            expect(PerformanceMetrics.averageWinLoss(trades)).toEqual({ avgWin: 15, avgLoss: 5 });
+        });
+        
+        it('should compute the profit factor with edge cases', () => {
+            expect(PerformanceMetrics.profitFactor(trades)).toBe(3);
+            expect(PerformanceMetrics.profitFactor([{ profit: 10, profitPercent: 1 }])).toBe(Infinity);
+            expect(PerformanceMetrics.profitFactor([])).toBe(0);
+        });
+    });
+    
+    describe('Extended Risk Metrics', () => {
+        it('should annualize a return and divide it by drawdown for Calmar', () => {
+            const days = PerformanceMetrics.elapsedDays([{ date: '2020-01-01' }, { date: '2020-12-31' }]);
+            const cagr = PerformanceMetrics.annualizedReturn(20, days);
+            expect(cagr).toBeCloseTo(20, 0);
+            expect(PerformanceMetrics.calmarRatio(cagr, 10)).toBeCloseTo(2, 1);
+            expect(PerformanceMetrics.calmarRatio(cagr, 0)).toBe(0);
+            expect(PerformanceMetrics.annualizedReturn(20, 0)).toBe(null);
+        });
+        
+        it('should compute the Ulcer index from drawdowns off the running peak', () => {
+            // Drawdowns 0, 10, 0, 20 percent
+            expect(PerformanceMetrics.ulcerIndex([100, 90, 110, 88])).toBeCloseTo(Math.sqrt((100 + 400) / 4), 10);
+            expect(PerformanceMetrics.ulcerIndex([100, 101, 102])).toBe(0);
+        });
+        
+        it('should measure exposure as the share of bars in a position', () => {
+            const days = [{ position: 'CASH' }, { position: 'LONG' }, { position: 'SHORT' }, { position: 'CASH' }];
+            expect(PerformanceMetrics.exposure(days)).toBe(50);
+        });
+        
+        it('should annualize turnover against average equity', () => {
+            const trades = [{ capital: 1000, exitCapital: 1100 }];
+            expect(PerformanceMetrics.turnover(trades, [1000, 1050], 365.25)).toBeCloseTo(2100 / 1025, 10);
+        });
+        
+        it('should compare the right tail to the left tail', () => {
+            const returns = [];
+            for (let i = 0; i < 20; i++) returns.push(i < 2 ? -0.01 : 0.02);
+            expect(PerformanceMetrics.tailRatio(returns)).toBeCloseTo(2, 10);
+            expect(PerformanceMetrics.tailRatio([0, 0.02])).toBe(0);
+        });
+        
+        it('should regress strategy returns on the benchmark', () => {
+            const benchmark = [0.01, -0.02, 0.03, 0.005];
+            const levered = benchmark.map(r => 2 * r + 0.001);
+            const stats = PerformanceMetrics.regression(levered, benchmark, 252);
+            expect(stats.beta).toBeCloseTo(2, 10);
+            expect(stats.correlation).toBeCloseTo(1, 10);
+            expect(stats.alpha).toBeCloseTo(0.001 * 252 * 100, 8);
+        });
+        
+        it('should derive benchmark returns from prices', () => {
+            expect(PerformanceMetrics.priceReturns([{ price: 100 }, { price: 110 }])).toEqual([0.1]);
+            expect(PerformanceMetrics.priceReturns([{ price: 100 }, {}])).toEqual([]);
+        });
+    });
+    
+    describe('Annualization and Benchmark Rates', () => {
+        const daily = (count, stepDays = 1, start = Date.UTC(2021, 0, 4)) => Array.from({ length: count }, (_, i) => ({
+            date: new Date(start + i * stepDays * 86400000).toISOString().split('T')[0]
+        }));
+        
+        it('should detect periods per year from the bar interval', () => {
+            expect(PerformanceMetrics.detectPeriodsPerYear(daily(60))).toBe(365);
+            expect(PerformanceMetrics.detectPeriodsPerYear(daily(20, 7))).toBe(52);
+            // Monday to Friday only follows the trading calendar
+            const weekdays = daily(60).filter(d => ![0, 6].includes(new Date(d.date).getUTCDay()));
+            expect(PerformanceMetrics.detectPeriodsPerYear(weekdays)).toBe(252);
+            expect(PerformanceMetrics.detectPeriodsPerYear([{ portfolioValue: 1 }, { portfolioValue: 2 }])).toBe(252);
+        });
+        
+        it('should step through a dated rate series', () => {
+            const rates = { rates: [{ date: '2021-01-06', rate: 3 }, { date: '2021-01-01', rate: 1 }] };
+            expect(PerformanceMetrics.annualRates(daily(5), rates)).toEqual([1, 1, 3, 3]);
+            expect(PerformanceMetrics.annualRates(daily(3), 2)).toEqual([2, 2]);
+        });
+        
+        it('should compound an annual rate down to one period', () => {
+            const perDay = PerformanceMetrics.ratePerPeriod(5, 365);
+            expect(Math.pow(1 + perDay, 365)).toBeCloseTo(1.05, 10);
+        });
+        
+        it('should subtract the risk-free rate before computing Sharpe', () => {
+            const returns = [0.01, 0.02, -0.005, 0.015];
+            const shifted = returns.map(r => r - 0.001);
+            expect(PerformanceMetrics.sharpeRatio(returns, 365, 0.001)).toBeCloseTo(PerformanceMetrics.sharpeRatio(shifted, 365), 10);
+            expect(PerformanceMetrics.sortinoRatio(returns, 365, 0.001)).toBeCloseTo(PerformanceMetrics.sortinoRatio(shifted, 365), 10);
+            expect(PerformanceMetrics.sharpeRatio(returns, 365, [0.001, 0.001, 0.001, 0.001])).toBeCloseTo(PerformanceMetrics.sharpeRatio(shifted, 365), 10);
+        });
+    });
+});
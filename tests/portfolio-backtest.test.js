@@ -0,0 +1,106 @@
+/**
+ * Test suite for the multi-asset portfolio backtest
+ */
+
+const path = require('path');
+const PortfolioBacktest = require(path.join(__dirname, '../src/backtest/portfolio-backtest.js'));
+const VortexStrategy = require(path.join(__dirname, '../src/strategies/vortex-strategy.js'));
+
+const series = (startDay, length, phase) => Array.from({ length }, (_, i) => ({
+    date: new Date(Date.UTC(2020, 0, 1 + startDay + i)).toISOString().split('T')[0],
+    price: 1000 + 100 * Math.sin((i + phase) / 4) + 2 * i,
+    digitalRoot: [1, 2, 4, 5, 8, 7][(i + phase) % 6]
+}));
+
+const costFree = { feePercent: 0, slippageBps: 0 };
+
+describe('PortfolioBacktest', () => {
+
+    describe('Weights', () => {
+        it('should normalize weights and default to equal', () => {
+            expect(PortfolioBacktest.normalizeWeights(['a', 'b'], { a: 3, b: 1 })).toEqual({ a: 0.75, b: 0.25 });
+            expect(PortfolioBacktest.normalizeWeights(['a', 'b'])).toEqual({ a: 0.5, b: 0.5 });
+        });
+
+        it('should reject negative or all-zero weights', () => {
+            expect(() => PortfolioBacktest.normalizeWeights(['a'], { a: -1 })).toThrow('Invalid weight for a');
+            expect(() => PortfolioBacktest.normalizeWeights(['a', 'b'], { a: 0, b: 0 })).toThrow('must sum to more than zero');
+        });
+    });
+
+    describe('Calendar Alignment', () => {
+        it('should let a later asset join when its data begins', () => {
+            const datasets = { early: series(0, 80, 0), late: series(30, 50, 2) };
+            const results = PortfolioBacktest.run(datasets, { strategyConfig: costFree });
+
+            expect(results.dailyPortfolio).toHaveLength(80);
+            expect(results.rebalances[0].reason).toBe('early joined');
+            expect(results.rebalances[1].date).toBe(datasets.late[0].date);
+            expect(results.rebalances[1].reason).toBe('late joined');
+            expect(results.dailyPortfolio[29].allocation.late).toBe(undefined);
+            expect(results.dailyPortfolio[30].allocation.late).toBeCloseTo(0.5, 10);
+            expect(results.assets.late.start).toBe(datasets.late[0].date);
+        });
+
+        it('should match the single-asset backtest when there is one asset', () => {
+            const data = series(0, 60, 0);
+            const results = PortfolioBacktest.run({ only: data }, { strategyConfig: costFree });
+            const single = new VortexStrategy(costFree).backtest(data, 10000);
+
+            expect(results.finalCapital).toBeCloseTo(single.finalCapital, 6);
+            expect(results.assets.only.contribution).toBeCloseTo(single.totalReturn, 6);
+        });
+    });
+
+    describe('Rebalancing', () => {
+        const datasets = { a: series(0, 120, 0), b: series(0, 120, 3) };
+
+        it('should rebalance on a fixed calendar in periodic mode', () => {
+            const results = PortfolioBacktest.run(datasets, { rebalance: 'periodic', rebalanceEvery: 30 });
+            // Initial allocation plus days 30, 60 and 90
+            expect(results.rebalances).toHaveLength(4);
+            expect(results.rebalances[1].reason).toBe('periodic');
+        });
+
+        it('should keep weights within the threshold after each rebalance', () => {
+            const results = PortfolioBacktest.run(datasets, { rebalance: 'threshold', rebalanceThreshold: 2, weights: { a: 0.7, b: 0.3 } });
+
+            results.rebalances.slice(1).forEach(rebalance => {
+                const day = results.dailyPortfolio.find(d => d.date === rebalance.date);
+                expect(day.allocation.a).toBeCloseTo(0.7, 10);
+            });
+            results.dailyPortfolio.forEach(day => {
+                expect(Math.abs(day.allocation.a - 0.7) * 100).toBeLessThanOrEqual(2);
+            });
+        });
+
+        it('should attribute the whole return to the sleeves, net of rebalancing costs', () => {
+            const results = PortfolioBacktest.run(datasets, { rebalance: 'periodic', rebalanceEvery: 10 });
+            const contributed = results.assets.a.contribution + results.assets.b.contribution;
+            const costPercent = (results.performance.rebalanceCosts / 10000) * 100;
+
+            expect(contributed - costPercent).toBeCloseTo(results.totalReturn, 8);
+            expect(results.performance.periodsPerYear).toBe(365);
+        });
+
+        it('should stay finite when one sleeve\'s strategy is wiped out', () => {
+            const wiped = [1000, 2500, 2000, 1500, 1200, 1100].map((price, i) => ({
+                date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+                price: price,
+                digitalRoot: i === 0 ? 5 : 2
+            }));
+            const results = PortfolioBacktest.run(
+                { wiped: wiped, steady: series(0, 6, 0) },
+                { strategyConfig: { ...costFree, allowShort: true }, rebalance: 'periodic', rebalanceEvery: 1 }
+            );
+
+            expect(results.dailyPortfolio.every(day => Number.isFinite(day.portfolioValue))).toBe(true);
+            expect(Number.isFinite(results.performance.sharpeRatio)).toBe(true);
+            expect(results.finalCapital).toBeGreaterThan(0);
+        });
+
+        it('should reject unknown rebalance modes', () => {
+            expect(() => PortfolioBacktest.run(datasets, { rebalance: 'weekly' })).toThrow('Unknown rebalance mode: weekly');
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Test suite for Position Sizer
+ * Tests fixed, Kelly and volatility-targeted sizing methods
+ */
+
+const path = require('path');
+const PositionSizer = require(path.join(__dirname, '../src/backtest/position-sizing.js'));
+
+describe('PositionSizer', () => {
+
+    const makeTrades = (wins, losses, winPercent, lossPercent) => [
+        ...Array(wins).fill({ profitPercent: winPercent }),
+        ...Array(losses).fill({ profitPercent: -lossPercent })
+    ];
+
+    describe('Fixed Sizing', () => {
+        it('should commit all cash by default', () => {
+            expect(PositionSizer.size({ equity: 10000, cash: 10000 })).toBe(10000);
+        });
+        
+        it('should size a fixed fraction of equity', () => {
+            const amount = PositionSizer.size({ equity: 10000, cash: 10000 }, { sizingMethod: 'fixed-fraction', sizingFraction: 0.3 });
+            expect(amount).toBe(3000);
+        });
+        
+        it('should cap a fixed fraction at maxPositionFraction', () => {
+            const amount = PositionSizer.size({ equity: 10000, cash: 10000 }, { sizingMethod: 'fixed-fraction', sizingFraction: 0.8, maxPositionFraction: 0.5 });
+            expect(amount).toBe(5000);
+        });
+        
+        it('should cap all-in and fixed-notional sizing at maxPositionFraction', () => {
+            const context = { equity: 10000, cash: 10000 };
+            
+            expect(PositionSizer.size(context, { maxPositionFraction: 0.25 })).toBe(2500);
+            expect(PositionSizer.size(context, { sizingMethod: 'fixed-notional', sizingNotional: 8000, maxPositionFraction: 0.5 })).toBe(5000);
+        });
+        
+        it('should treat a maxPositionFraction of 0 as no position rather than no cap', () => {
+            const context = { equity: 10000, cash: 10000, trades: makeTrades(10, 0, 5, 5) };
+            
+            expect(PositionSizer.size(context, { maxPositionFraction: 0 })).toBe(0);
+            expect(PositionSizer.size(context, { sizingMethod: 'fixed-fraction', sizingFraction: 0.5, maxPositionFraction: 0 })).toBe(0);
+            expect(PositionSizer.kellyFraction(context.trades, { maxPositionFraction: 0 })).toBe(0);
+        });
+        
+        it('should never exceed available cash', () => {
+            const amount = PositionSizer.size({ equity: 10000, cash: 4000 }, { sizingMethod: 'fixed-notional', sizingNotional: 5000 });
+            expect(amount).toBe(4000);
+        });
+        
+        it('should return zero when there is no cash', () => {
+            expect(PositionSizer.size({ equity: 0, cash: 0 })).toBe(0);
+        });
+    });
+
+    describe('Kelly Sizing', () => {
+        it('should compute the scaled Kelly fraction', () => {
+            // W = 0.6, R = 10/5 = 2 → f* = 0.6 - 0.4 / 2 = 0.4, half Kelly = 0.2
+            const fraction = PositionSizer.kellyFraction(makeTrades(6, 4, 10, 5), { kellyFraction: 0.5 });
+            expect(fraction).toBeCloseTo(0.2, 8);
+        });
+        
+        it('should not size a negative edge', () => {
+            const fraction = PositionSizer.kellyFraction(makeTrades(3, 7, 5, 5), {});
+            expect(fraction).toBe(0);
+        });
+        
+        it('should only use the rolling lookback window', () => {
+            const trades = [...makeTrades(0, 10, 0, 5), ...makeTrades(6, 4, 10, 5)];
+            const fraction = PositionSizer.kellyFraction(trades, { kellyLookback: 10, kellyFraction: 1 });
+            expect(fraction).toBeCloseTo(0.4, 8);
+        });
+        
+        it('should keep trading a probe size when the edge is negative', () => {
+            const context = { equity: 10000, cash: 10000, trades: makeTrades(3, 7, 5, 5) };
+            
+            expect(PositionSizer.size(context, { sizingMethod: 'kelly' })).toBe(100);
+            expect(PositionSizer.size(context, { sizingMethod: 'kelly', kellyProbeFraction: 0.05 })).toBe(500);
+        });
+        
+        it('should fall back to sizingFraction with too few trades', () => {
+            const amount = PositionSizer.size(
+                { equity: 10000, cash: 10000, trades: makeTrades(1, 1, 10, 5) },
+                { sizingMethod: 'kelly', sizingFraction: 0.1 }
+            );
+            expect(amount).toBe(1000);
+        });
+    });
+
+    describe('Volatility Target Sizing', () => {
+        const alternating = (n, up, down) => Array.from({ length: n }, (_, i) => ({ price: i % 2 === 0 ? up : down }));
+        
+        it('should measure annualized realized volatility', () => {
+            const flat = Array(10).fill({ price: 100 });
+            expect(PositionSizer.realizedVolatility(flat, 5)).toBe(0);
+            expect(PositionSizer.realizedVolatility(alternating(31, 100, 110), 30)).toBeGreaterThan(1);
+        });
+        
+        it('should scale exposure down as volatility rises', () => {
+            const config = { sizingMethod: 'volatility-target', targetVolatility: 0.2, volatilityLookback: 30 };
+            const calm = PositionSizer.size({ equity: 10000, cash: 10000, priceData: alternating(31, 100, 100.5) }, config);
+            const wild = PositionSizer.size({ equity: 10000, cash: 10000, priceData: alternating(31, 100, 110) }, config);
+            
+            expect(wild).toBeLessThan(calm);
+            expect(calm).toBeLessThanOrEqual(10000);
+        });
+    });
+
+    describe('Custom Methods', () => {
+        it('should allow registering a sizing method', () => {
+            PositionSizer.register('half-cash', (context) => context.cash / 2);
+            expect(PositionSizer.size({ equity: 8000, cash: 8000 }, { sizingMethod: 'half-cash' })).toBe(4000);
+            delete PositionSizer.methods['half-cash'];
+        });
+    });
+});
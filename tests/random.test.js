@@ -0,0 +1,32 @@
+/**
+ * Test suite for the seeded random number generator
+ */
+
+const path = require('path');
+const SeededRandom = require(path.join(__dirname, '../src/core/random.js'));
+
+describe('SeededRandom', () => {
+
+    it('should replay the same sequence for the same seed', () => {
+        const a = new SeededRandom(7);
+        const b = new SeededRandom(7);
+        const first = [a.next(), a.next(), a.next()];
+        expect([b.next(), b.next(), b.next()]).toEqual(first);
+    });
+    
+    it('should give different sequences for different seeds', () => {
+        expect(new SeededRandom(1).next() === new SeededRandom(2).next()).toBeFalsy();
+    });
+    
+    it('should stay within the requested range', () => {
+        const random = new SeededRandom(42);
+        for (let i = 0; i < 200; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+            const integer = random.nextInt(3, 5);
+            expect(integer).toBeGreaterThanOrEqual(3);
+            expect(integer).toBeLessThanOrEqual(5);
+        }
+    });
+});
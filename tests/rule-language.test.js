@@ -0,0 +1,180 @@
+/**
+ * Signal Rule Language Tests
+ */
+
+const path = require('path');
+const RuleLanguage = require(path.join(__dirname, '../src/strategies/rule-language.js'));
+
+// Run a compiled signal function over a root series, one bar at a time
+const actions = (signal, roots) => roots.map((root, i) => signal({ digitalRoot: root }, i > 0 ? { digitalRoot: roots[i - 1] } : null).action);
+
+const parseError = text => {
+    try {
+        RuleLanguage.parse(text);
+    } catch (error) {
+        return error;
+    }
+    return null;
+};
+
+describe('RuleLanguage', () => {
+
+    describe('Parsing', () => {
+        it('should parse one rule per line, skipping comments and blank lines', () => {
+            const ruleSet = RuleLanguage.parse('# entries\n\nBUY when root in [1] and prev.root == 8\nsell when root == 5 # exits');
+
+            expect(ruleSet.rules).toHaveLength(2);
+            expect(ruleSet.rules[0].action).toBe('BUY');
+            expect(ruleSet.rules[0].line).toBe(3);
+            expect(ruleSet.rules[0].when).toEqual({
+                type: 'and',
+                operands: [
+                    { type: 'in', value: { type: 'variable', name: 'root' }, list: [{ type: 'literal', value: 1 }] },
+                    { type: 'compare', operator: '==', left: { type: 'variable', name: 'prev.root' }, right: { type: 'literal', value: 8 } }
+                ]
+            });
+            expect(ruleSet.rules[1].action).toBe('SELL');
+        });
+
+        it('should bind not tighter than and, and and tighter than or', () => {
+            const { when } = RuleLanguage.parse('BUY when not root == 1 or root == 2 and root == 3').rules[0];
+
+            expect(when.type).toBe('or');
+            expect(when.operands[0].type).toBe('not');
+            expect(when.operands[1].type).toBe('and');
+        });
+
+        it('should read sequence patterns with wildcards, variants and a window', () => {
+            const { when } = RuleLanguage.parse('BUY when sequence(1, *, 4, rotations) within 3').rules[0];
+
+            expect(when).toEqual({ type: 'sequence', sequence: [1, '*', 4], reversed: false, rotations: true, within: 3 });
+        });
+    });
+
+    describe('Errors', () => {
+        it('should report the line and column of a missing keyword', () => {
+            const error = parseError('BUY when root == 1\nSELL root == 5');
+
+            expect(error.line).toBe(2);
+            expect(error.column).toBe(6);
+            expect(error.message).toBe("Line 2, column 6: expected 'when' after SELL, found 'root'");
+        });
+
+        it('should point at unknown variables, functions and stray tokens', () => {
+            expect(parseError('BUY when rot == 1').message).toContain("column 10: unknown variable 'rot'");
+            expect(parseError('BUY when fib(root)').message).toContain("column 10: unknown function 'fib'");
+            expect(parseError('BUY when root == 1 root').message).toContain("column 20: expected 'and', 'or', 'because' or end of rule");
+            expect(parseError('BUY when root = 1').message).toContain("column 15: unexpected '=' (compare with '==')");
+            expect(parseError('BUY when (root == 1').message).toContain("column 20: expected ')' to close '(', found end of line");
+            expect(parseError('WAIT when root == 1').message).toContain('column 1: expected an action (BUY, SELL, HOLD)');
+            expect(parseError('BUY when root == 1 because "at {prev.rot}"').message).toContain("unknown variable 'prev.rot' in reason placeholder");
+        });
+
+        it('should reject an empty list at its opening bracket', () => {
+            const error = parseError('BUY when root in []');
+
+            expect(error.line).toBe(1);
+            expect(error.column).toBe(18);
+            expect(error.message).toBe("Line 1, column 18: expected at least one value in the list after 'in'");
+        });
+
+        it('should give compile errors in parsed rules the line and column of the condition', () => {
+            const ruleSet = RuleLanguage.parse('HOLD when root == 9\nBUY when root == 1');
+            ruleSet.rules[1].when = { type: 'in', value: { type: 'variable', name: 'root' }, list: [] };
+            let error = null;
+            try {
+                RuleLanguage.compile(ruleSet);
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error.line).toBe(2);
+            expect(error.column).toBe(10);
+            expect(error.message).toBe('Line 2, column 10: in needs a non-empty array of expressions');
+        });
+
+        it('should reject malformed JSON rule sets when compiling', () => {
+            expect(() => RuleLanguage.compile({ rules: [{ action: 'BUY', when: { type: 'xor' } }] })).toThrow('Rule 1: Unknown expression type "xor"');
+            expect(() => RuleLanguage.compile({ rules: [{ action: 'WAIT', when: { type: 'literal', value: true } }] })).toThrow('unknown action "WAIT"');
+            expect(() => RuleLanguage.compile({})).toThrow('Rule set needs a rules array');
+        });
+    });
+
+    describe('Evaluation', () => {
+        it('should take the first matching rule and hold when none match', () => {
+            const signal = RuleLanguage.compile('BUY when root == 1\nSELL when root in [1, 5]\nSELL when prev.root == 8');
+
+            expect(actions(signal, [8, 1, 5, 2])).toEqual(['HOLD', 'BUY', 'SELL', 'HOLD']);
+            expect(signal({ digitalRoot: 3 }, null).reasoning).toBe('No rule matched');
+        });
+
+        it('should treat comparisons with a missing previous bar as false', () => {
+            const signal = RuleLanguage.compile('BUY when prev.root < 5\nSELL when prev.root == null');
+
+            expect(actions(signal, [1, 2])).toEqual(['SELL', 'BUY']);
+        });
+
+        it('should treat != against a missing previous bar as false, but != null as a presence test', () => {
+            const signal = RuleLanguage.compile('BUY when prev.root != 8\nSELL when prev.root != null');
+
+            expect(actions(signal, [1, 8, 3])).toEqual(['HOLD', 'BUY', 'SELL']);
+        });
+
+        it('should read bar fields, config values and root functions in the config base', () => {
+            const signal = RuleLanguage.compile(
+                'BUY when change > config.threshold and doubling(root)\nSELL when polarity(root) == "negative"',
+                { threshold: 2, base: 16 }
+            );
+
+            expect(signal({ digitalRoot: 4, priceChangePercent: 3 }, null).action).toBe('BUY');
+            expect(signal({ digitalRoot: 4, priceChangePercent: 1 }, null).action).toBe('HOLD');
+            expect(signal({ digitalRoot: 10, priceChangePercent: 0 }, null).action).toBe('SELL');
+        });
+
+        it('should confirm sequences only on the bars within the window', () => {
+            const signal = RuleLanguage.compile('BUY when sequence(1,2,4) within 2');
+
+            expect(actions(signal, [1, 2, 4, 9, 9, 1, 2, 4])).toEqual(['HOLD', 'HOLD', 'BUY', 'BUY', 'HOLD', 'HOLD', 'HOLD', 'BUY']);
+        });
+
+        it('should start sequence tracking again after reset', () => {
+            const signal = RuleLanguage.compile('BUY when sequence(1,2)');
+            actions(signal, [1]);
+            signal.reset();
+
+            expect(actions(signal, [2, 1, 2])).toEqual(['HOLD', 'HOLD', 'BUY']);
+        });
+
+        it('should fill reason placeholders', () => {
+            const signal = RuleLanguage.compile('SELL when root == config.sellSignal because "Root {root} after {prev.root}"', { sellSignal: 5 });
+
+            expect(signal({ digitalRoot: 5 }, null).reasoning).toBe('Root 5 after none');
+            expect(signal({ digitalRoot: 5 }, { digitalRoot: 7 }).reasoning).toBe('Root 5 after 7');
+        });
+    });
+
+    describe('JSON Rule Sets', () => {
+        it('should compile a rule set that went through JSON the same as its text', () => {
+            const text = 'BUY when root in [1, 2] and not (prev.root == 8 or change < -2.5)\nSELL when sequence(4, 8, *, reversed) within 3 because "Turn"';
+            const stored = JSON.parse(JSON.stringify(RuleLanguage.parse(text)));
+            const roots = [1, 2, 7, 8, 4, 1, 2, 4, 8, 5, 2];
+
+            expect(actions(RuleLanguage.compile(stored), roots)).toEqual(actions(RuleLanguage.compile(text), roots));
+        });
+
+        it('should format a rule set back to text that parses to the same rules', () => {
+            const text = 'BUY when (root == 1 or root == 2) and prev.root != 8\nHOLD when not tesla(root) because "Quiet"';
+            const ruleSet = RuleLanguage.parse(text);
+
+            expect(RuleLanguage.format(ruleSet)).toBe(text);
+            expect(RuleLanguage.parse(RuleLanguage.format(ruleSet))).toEqual(ruleSet);
+        });
+
+        it('should ship the vortex strategy as a built-in rule set', () => {
+            const signal = RuleLanguage.compile('vortex', { buySignal: 1, sellSignal: 5, holdSignal: 9, useTeslaFilter: true, useSequenceFilter: false });
+
+            expect(actions(signal, [1, 2, 3, 5, 6, 9])).toEqual(['BUY', 'HOLD', 'BUY', 'SELL', 'SELL', 'HOLD']);
+            expect(signal({ digitalRoot: 3 }, null).reasoning).toBe('Tesla positive polarity (3) - upward energy flow');
+        });
+    });
+});
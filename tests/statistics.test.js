@@ -0,0 +1,134 @@
+/**
+ * Statistics Tests
+ */
+
+const path = require('path');
+const Statistics = require(path.join(__dirname, '../src/core/statistics.js'));
+const SeededRandom = require(path.join(__dirname, '../src/core/random.js'));
+
+describe('Statistics', () => {
+
+    describe('Gamma Functions', () => {
+        it('should match factorials and the exponential special case', () => {
+            expect(Math.exp(Statistics.logGamma(5))).toBeCloseTo(24, 8);
+            expect(Math.exp(Statistics.logGamma(0.5))).toBeCloseTo(Math.sqrt(Math.PI), 8);
+            // P(1, x) = 1 - e^-x
+            expect(Statistics.regularizedGammaP(1, 2)).toBeCloseTo(1 - Math.exp(-2), 10);
+            expect(Statistics.regularizedGammaQ(1, 20)).toBeCloseTo(Math.exp(-20), 15);
+        });
+    });
+
+    describe('Chi-Square Distribution', () => {
+        it('should reproduce table critical values', () => {
+            expect(Statistics.chiSquarePValue(3.841, 1)).toBeCloseTo(0.05, 4);
+            expect(Statistics.chiSquarePValue(18.307, 10)).toBeCloseTo(0.05, 4);
+            expect(Statistics.chiSquarePValue(83.675, 64)).toBeCloseTo(0.05, 4);
+            expect(Statistics.chiSquareCdf(6.635, 1)).toBeCloseTo(0.99, 4);
+        });
+
+        it('should score observed against expected counts', () => {
+            const test = Statistics.chiSquare([10, 20, 30], [20, 20, 20], 2);
+
+            expect(test.statistic).toBeCloseTo(10, 10);
+            expect(test.pValue).toBeCloseTo(Math.exp(-5), 10);
+            expect(Statistics.chiSquare([1], [1], 0).pValue).toBe(null);
+        });
+    });
+
+    describe('Goodness of Fit', () => {
+        it('should test counts against uniform or given proportions', () => {
+            const uniform = Statistics.chiSquareGoodnessOfFit([10, 20, 30]);
+            expect(uniform.statistic).toBeCloseTo(10, 10);
+            expect(uniform.degreesOfFreedom).toBe(2);
+            expect(uniform.sampleSize).toBe(60);
+            expect(uniform.minimumExpected).toBe(20);
+
+            const weighted = Statistics.chiSquareGoodnessOfFit([25, 75], [0.25, 0.75]);
+            expect(weighted.statistic).toBe(0);
+            expect(weighted.pValue).toBeCloseTo(1, 10);
+        });
+
+        it('should reproduce Kolmogorov critical values', () => {
+            expect(Statistics.kolmogorovPValue(1.358)).toBeCloseTo(0.05, 3);
+            expect(Statistics.kolmogorovPValue(1.628)).toBeCloseTo(0.01, 3);
+            expect(Statistics.kolmogorovPValue(0.5)).toBeCloseTo(0.964, 3);
+            expect(Statistics.kolmogorovPValue(0)).toBe(1);
+        });
+
+        it('should find the largest cumulative gap in a KS test', () => {
+            const flat = Statistics.kolmogorovSmirnov([10, 10, 10, 10]);
+            expect(flat.statistic).toBe(0);
+            expect(flat.pValue).toBe(1);
+            expect(flat.degreesOfFreedom).toBe(null);
+
+            // Cumulative 0.7 against 0.25 after the first category
+            const skewed = Statistics.kolmogorovSmirnov([70, 10, 10, 10]);
+            expect(skewed.statistic).toBeCloseTo(0.45, 10);
+            expect(skewed.pValue).toBeLessThan(0.001);
+            expect(Statistics.kolmogorovSmirnov([0, 0]).pValue).toBe(null);
+        });
+    });
+
+    describe('Benford Test', () => {
+        it('should read the first significant digit', () => {
+            expect(Statistics.leadingDigit(1000)).toBe(1);
+            expect(Statistics.leadingDigit(0.00987)).toBe(9);
+            expect(Statistics.leadingDigit(-45)).toBe(4);
+            expect(Statistics.leadingDigit(0)).toBe(null);
+        });
+
+        it('should accept exponential growth and reject a narrow price range', () => {
+            // Steady 1% growth spans many orders of magnitude and follows Benford's law
+            const growth = Array.from({ length: 2000 }, (_, i) => Math.pow(1.01, i));
+            const benford = Statistics.benfordTest(growth);
+            expect(benford.pValue).toBeGreaterThan(0.05);
+            expect(benford.ordersOfMagnitude).toBeGreaterThan(8);
+            expect(benford.expected[0]).toBeCloseTo(Math.log10(2), 10);
+
+            const narrow = Statistics.benfordTest(Array.from({ length: 500 }, (_, i) => 500 + i / 5));
+            expect(narrow.counts[4]).toBe(500);
+            expect(narrow.pValue).toBeLessThan(0.001);
+        });
+    });
+
+    describe('Normal Distribution', () => {
+        it('should reproduce standard normal quantiles', () => {
+            expect(Statistics.normalCdf(0)).toBe(0.5);
+            expect(Statistics.normalCdf(1.959964)).toBeCloseTo(0.975, 6);
+            expect(Statistics.normalCdf(-1.644854)).toBeCloseTo(0.05, 6);
+            expect(Statistics.normalPValue(2.575829)).toBeCloseTo(0.01, 6);
+        });
+    });
+
+    describe('Serial Dependence', () => {
+        it('should count runs against their expectation', () => {
+            const clustered = Statistics.runsTest([true, true, true, true, false, false, false, false]);
+            expect(clustered.runs).toBe(2);
+            expect(clustered.expectedRuns).toBe(5);
+            expect(clustered.zScore).toBeLessThan(0);
+
+            const alternating = Statistics.runsTest([true, false, true, false, true, false, true, false]);
+            expect(alternating.runs).toBe(8);
+            expect(alternating.zScore).toBeCloseTo(-clustered.zScore, 10);
+            expect(alternating.pValue).toBeCloseTo(clustered.pValue, 10);
+            expect(Statistics.runsTest([true, true]).zScore).toBe(null);
+        });
+
+        it('should pass white noise and reject an autoregressive series in a Ljung-Box test', () => {
+            const random = new SeededRandom(5);
+            const noise = Array.from({ length: 1000 }, () => random.next());
+            const ar = [0];
+            for (let i = 1; i < 1000; i++) ar.push(0.5 * ar[i - 1] + random.next() - 0.5);
+
+            const white = Statistics.ljungBox(noise, 10);
+            expect(white.degreesOfFreedom).toBe(10);
+            expect(white.autocorrelations).toHaveLength(10);
+            expect(white.pValue).toBeGreaterThan(0.01);
+            expect(white.criticalBand).toBeCloseTo(1.96 / Math.sqrt(1000), 10);
+
+            const persistent = Statistics.ljungBox(ar, 5);
+            expect(persistent.autocorrelations[0]).toBeCloseTo(0.5, 1);
+            expect(persistent.pValue).toBeLessThan(1e-10);
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Test suite for the strategy registry and the built-in strategies
+ */
+
+const path = require('path');
+const StrategyRegistry = require(path.join(__dirname, '../src/strategies/strategy-registry.js'));
+const BaseStrategy = require(path.join(__dirname, '../src/strategies/base-strategy.js'));
+const VortexStrategy = require(path.join(__dirname, '../src/strategies/vortex-strategy.js'));
+
+const noCosts = { feePercent: 0, slippageBps: 0 };
+
+// 60 bars falling then 60 rising, so a 5/20 crossover fires once each way
+const trendData = Array.from({ length: 120 }, (_, i) => ({
+    date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+    price: i < 60 ? 200 - i : 140 + (i - 60) * 2,
+    digitalRoot: (i % 9) + 1
+}));
+
+describe('StrategyRegistry', () => {
+
+    it('should register the built-in strategies', () => {
+        const names = StrategyRegistry.names();
+        expect(names).toContain('vortex');
+        expect(names).toContain('buy-and-hold');
+        expect(names).toContain('random-entry');
+        expect(names).toContain('ma-crossover');
+    });
+    
+    it('should create strategies by name with their config', () => {
+        const strategy = StrategyRegistry.create('vortex', { buySignal: 2 });
+        expect(strategy instanceof VortexStrategy).toBeTruthy();
+        expect(strategy instanceof BaseStrategy).toBeTruthy();
+        expect(strategy.config.buySignal).toBe(2);
+    });
+    
+    it('should reject unknown strategy names', () => {
+        expect(() => StrategyRegistry.create('astrology')).toThrow('Unknown strategy: astrology');
+    });
+    
+    it('should describe every registered strategy', () => {
+        StrategyRegistry.list().forEach(info => {
+            expect(info.name).toBeDefined();
+            expect(info.label).toBeDefined();
+            expect(info.description.length).toBeGreaterThan(0);
+        });
+    });
+    
+    it('should accept custom strategies', () => {
+        class AlwaysLong extends BaseStrategy {
+            generateSignal() {
+                return { action: 'BUY', reasoning: 'Always long' };
+            }
+        }
+        StrategyRegistry.register('always-long', AlwaysLong);
+        
+        const results = StrategyRegistry.create('always-long', noCosts).backtest(trendData, 10000);
+        
+        expect(results.trades[0].action).toBe('BUY');
+        delete StrategyRegistry.strategies['always-long'];
+    });
+    
+    it('should require a signal from subclasses', () => {
+        expect(() => new BaseStrategy().backtest(trendData, 10000)).toThrow('must implement generateSignal()');
+    });
+});
+
+describe('Built-in Strategies', () => {
+
+    it('should buy once and hold to the end with buy-and-hold', () => {
+        const strategy = StrategyRegistry.create('buy-and-hold', noCosts);
+        
+        const results = strategy.backtest(trendData, 10000);
+        
+        expect(strategy.tradeHistory).toHaveLength(1);
+        expect(results.trades[0].date).toBe(trendData[0].date);
+        expect(results.finalCapital).toBeCloseTo(10000 * 258 / 200, 6);
+    });
+    
+    it('should replay the same trades for the same random seed', () => {
+        const first = StrategyRegistry.create('random-entry', { ...noCosts, seed: 3 }).backtest(trendData, 10000);
+        const second = StrategyRegistry.create('random-entry', { ...noCosts, seed: 3 }).backtest(trendData, 10000);
+        const other = StrategyRegistry.create('random-entry', { ...noCosts, seed: 4 }).backtest(trendData, 10000);
+        
+        expect(first.trades.length).toBeGreaterThan(0);
+        expect(second.trades.map(t => t.date)).toEqual(first.trades.map(t => t.date));
+        expect(other.trades.map(t => t.date).join()).not.toContain(first.trades.map(t => t.date).join());
+    });
+    
+    it('should trade moving average crossovers', () => {
+        const strategy = StrategyRegistry.create('ma-crossover', { ...noCosts, fastPeriod: 5, slowPeriod: 20 });
+        
+        const results = strategy.backtest(trendData, 10000);
+        
+        expect(results.signals.filter(s => s.signal === 'BUY')).toHaveLength(1);
+        expect(results.trades[0].action).toBe('BUY');
+        expect(results.trades[0].reasoning).toContain('crossed above');
+        expect(results.finalCapital).toBeGreaterThan(10000);
+    });
+    
+    it('should reject a fast period that is not shorter than the slow period', () => {
+        expect(() => StrategyRegistry.create('ma-crossover', { fastPeriod: 50, slowPeriod: 20 })).toThrow('must be shorter');
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Test suite for Transaction Cost Model
+ * Tests fee, slippage and maker/taker fill calculations
+ */
+
+const path = require('path');
+const TransactionCostModel = require(path.join(__dirname, '../src/backtest/transaction-costs.js'));
+
+describe('TransactionCostModel', () => {
+
+    describe('Fee Rates', () => {
+        it('should use feePercent when no maker/taker rate is set', () => {
+            const model = new TransactionCostModel({ feePercent: 0.2 });
+            
+            expect(model.feeRate('maker')).toBeCloseTo(0.002, 8);
+            expect(model.feeRate('taker')).toBeCloseTo(0.002, 8);
+        });
+        
+        it('should prefer maker and taker overrides', () => {
+            const model = new TransactionCostModel({ feePercent: 0.2, makerFeePercent: 0.02, takerFeePercent: 0.05 });
+            
+            expect(model.feeRate('maker')).toBeCloseTo(0.0002, 8);
+            expect(model.feeRate('taker')).toBeCloseTo(0.0005, 8);
+        });
+        
+        it('should allow a zero maker rebate tier', () => {
+            const model = new TransactionCostModel({ feePercent: 0.2, makerFeePercent: 0 });
+            
+            expect(model.feeRate('maker')).toBe(0);
+        });
+    });
+
+    describe('Slippage', () => {
+        it('should move buys up and sells down', () => {
+            const model = new TransactionCostModel({ slippageBps: 10 });
+            
+            expect(model.fillPrice('BUY', 1000)).toBeCloseTo(1001, 8);
+            expect(model.fillPrice('SELL', 1000)).toBeCloseTo(999, 8);
+        });
+        
+        it('should not slip maker fills', () => {
+            const model = new TransactionCostModel({ slippageBps: 10 });
+            
+            expect(model.fillPrice('BUY', 1000, 'maker')).toBe(1000);
+        });
+    });
+
+    describe('Fills', () => {
+        it('should spend the whole budget on notional plus fees', () => {
+            const model = new TransactionCostModel({ feePercent: 0.1, slippageBps: 5, fixedFee: 2 });
+            const fill = model.fillBudget('BUY', 500, 10000);
+            
+            expect(fill.notional + fill.fees).toBeCloseTo(10000, 6);
+            expect(fill.quantity * fill.fillPrice).toBeCloseTo(fill.notional, 6);
+            expect(fill.slippage).toBeCloseTo(fill.quantity * 0.25, 6);
+        });
+        
+        it('should charge fees on top of a fixed-quantity fill', () => {
+            const model = new TransactionCostModel({ feePercent: 0.1, slippageBps: 0, fixedFee: 1 });
+            const fill = model.fillQuantity('SELL', 200, 10);
+            
+            expect(fill.notional).toBe(2000);
+            expect(fill.fees).toBeCloseTo(3, 8);
+        });
+        
+        it('should not charge anything for an empty fill', () => {
+            const model = new TransactionCostModel({ fixedFee: 5 });
+            const fill = model.fillBudget('BUY', 100, 3);
+            
+            expect(fill.quantity).toBe(0);
+            expect(fill.fees).toBe(0);
+        });
+    });
+});
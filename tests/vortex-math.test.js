@@ -90,13 +90,16 @@ describe('VortexMath Core Functions', () => {
             expect(analysis.base9).toBeDefined();
             expect(analysis.base10).toBeDefined();
             
-            expect(analysis.base9.digitalRoot).toBe(6);  // Standard vortex math
+            expect(analysis.base10.digitalRoot).toBe(6);  // Standard vortex math
+            expect(analysis.base9.digitalRoot).toBe(3);   // 123 = 146 in base 9
+            expect(analysis.base8.digitalRoot).toBe(4);   // 123 = 173 in base 8
         });
 
-        it('should handle base-9 specially', () => {
-            const analysis = VortexMath.crossBaseAnalysis(18, [9]);
-            expect(analysis.base9.digitalRoot).toBe(9);
-            expect(analysis.base9.note).toContain('Standard vortex math');
+        it('should treat base 10 as standard vortex math', () => {
+            const analysis = VortexMath.crossBaseAnalysis(18, [10]);
+            expect(analysis.base10.digitalRoot).toBe(9);
+            expect(analysis.base10.note).toContain('Standard vortex math');
+            expect(analysis.base10.teslaNumbers).toEqual([3, 6, 9]);
         });
     });
 
@@ -121,6 +124,21 @@ describe('VortexMath Core Functions', () => {
             expect(stats.totalSamples).toBe(6);
             expect(stats.entropy).toBeGreaterThan(0);
         });
+
+        it('should count zero roots apart from the distribution', () => {
+            // return-bps gives root 0 on the first bar and on the flat day
+            const analysis = VortexMath.analyzePriceData([100, 101, 101, 102.5], 'return-bps');
+            const { statistics } = analysis;
+            
+            expect(analysis.digitalRoots[0]).toBe(0);
+            expect(analysis.digitalRoots[2]).toBe(0);
+            expect(statistics.zeroRoots).toBe(2);
+            expect(statistics.totalSamples).toBe(4);
+            expect(Object.keys(statistics.frequency)).toEqual(['1', '2', '3', '4', '5', '6', '7', '8', '9']);
+            expect(Object.values(statistics.frequency).reduce((sum, count) => sum + count, 0)).toBe(2);
+            expect(Object.values(statistics.distribution).every(percent => !percent.includes('NaN'))).toBeTruthy();
+            expect(statistics.entropy).toBe(1);
+        });
     });
 
     describe('Trading Signal Generation', () => {
@@ -160,6 +178,99 @@ describe('VortexMath Core Functions', () => {
             
             expect(matches.partialMatches.length).toBeGreaterThan(0);
         });
+
+        it('should report positions of full, reversed and partial runs', () => {
+            const matches = VortexMath.findSequenceMatches([5, 7, 8, 4, 2, 1, 2, 4, 8, 7, 5, 9, 8, 7, 5]);
+
+            expect(matches.doublingMatches).toEqual([{ start: 5, end: 10 }]);
+            expect(matches.reverseMatches).toEqual([{ start: 0, end: 5 }]);
+            expect(matches.partialMatches[0]).toEqual({ start: 5, end: 7, length: 3, sequence: [1, 2, 4] });
+            expect(matches.partialMatches.filter(m => m.start === 12)).toEqual([{ start: 12, end: 14, length: 3, sequence: [8, 7, 5] }]);
+            expect(matches.partialMatches.every((m, i, all) => i === 0 || all[i - 1].length <= m.length)).toBe(true);
+        });
+
+        it('should match extra patterns in the same pass', () => {
+            const matches = VortexMath.findSequenceMatches([3, 6, 9, 3, 1, 9], 10, ['3,*,9', { name: 'tesla-cycle', sequence: [3, 6, 9], rotations: true }]);
+
+            expect(matches.patternMatches.map(m => [m.pattern, m.start])).toEqual([
+                ['3,*,9', 0],
+                ['tesla-cycle', 0],
+                ['tesla-cycle', 1],
+                ['3,*,9', 3]
+            ]);
+            expect(matches.doublingMatches).toHaveLength(0);
+        });
+    });
+
+    describe('Root Sources', () => {
+        it('should turn a price into the integer for each source', () => {
+            expect(VortexMath.rootInteger(13.0307, null, 'dollars')).toBe(13);
+            expect(VortexMath.rootInteger(13.0307, null, 'cents')).toBe(1303);
+            expect(VortexMath.rootInteger(13.0307, null, { source: 'significant', digits: 3 })).toBe(130);
+            expect(VortexMath.rootInteger(0.00012345, null, 'significant')).toBe(1235);
+            expect(VortexMath.rootInteger(13.0307, null, 'satoshis')).toBe(1303070000);
+            expect(VortexMath.rootInteger(101.5, 100, 'return-bps')).toBe(150);
+            expect(VortexMath.rootInteger(101.5, null, 'return-bps')).toBe(0);
+            expect(VortexMath.rootInteger(Math.E, null, 'log-price')).toBe(100);
+        });
+
+        it('should default to whole dollars everywhere', () => {
+            expect(VortexMath.analyzePriceData([13.03, 14.4]).digitalRoots).toEqual([4, 5]);
+            expect(VortexMath.analyzePriceData([13.03, 14.4], 'cents').digitalRoots).toEqual([7, 9]);
+        });
+
+        it('should reject unknown sources and volume for plain price lists', () => {
+            expect(() => VortexMath.normalizeRootSource('pennies')).toThrow('Unknown root source: pennies');
+            expect(() => VortexMath.normalizeRootSource({ source: 'significant', digits: 0 })).toThrow('Significant digits must be a positive integer');
+            expect(() => VortexMath.priceRoots([1, 2], 'volume')).toThrow('needs OHLCV records');
+        });
+    });
+
+    describe('Number Bases', () => {
+        it('should take digital roots and vortex sets in the given base', () => {
+            expect(VortexMath.digitalRoot(123, 8)).toBe(4);
+            expect(VortexMath.digitalRootIterative(123, 8)).toBe(4);
+            expect(VortexMath.isTeslaNumber(7, 8)).toBeTruthy();
+            expect(VortexMath.isTeslaNumber(3, 8)).toBeFalsy();
+            expect(VortexMath.isInDoublingSequence(3, 12)).toBeTruthy();
+        });
+
+        it('should analyze prices against the base\'s own cycle', () => {
+            // Base 8 roots of 8, 9 and 11 are 1, 2 and 4: the whole base-8 doubling cycle
+            const analysis = VortexMath.analyzePriceData([8, 9, 11, 7], 'dollars', 8);
+
+            expect(analysis.digitalRoots).toEqual([1, 2, 4, 7]);
+            expect(analysis.sequenceMatches.doublingMatches).toEqual([{ start: 0, end: 2 }]);
+            expect(analysis.teslaPatterns.balancePoints).toBe(1);
+            expect(Object.keys(analysis.statistics.frequency)).toHaveLength(7);
+        });
+
+        it('should place price levels by the base\'s roots', () => {
+            expect(VortexMath.nearestPriceWithRoot(100, 1, 'below', 1, 8)).toBe(99);
+            expect(() => VortexMath.nearestPriceWithRoot(100, 9, 'below', 1, 8)).toThrow('from 1 to 7');
+        });
+    });
+
+    describe('Digital Root Price Levels', () => {
+        it('should find the nearest whole price below or above with a given root', () => {
+            expect(VortexMath.nearestPriceWithRoot(1000, 1, 'below')).toBe(991);
+            expect(VortexMath.nearestPriceWithRoot(1000, 1, 'above')).toBe(1009);
+            expect(VortexMath.nearestPriceWithRoot(100.4, 1)).toBe(100);
+            expect(VortexMath.nearestPriceWithRoot(100.4, 1, 'above')).toBe(109);
+        });
+
+        it('should step in the given price unit', () => {
+            expect(VortexMath.nearestPriceWithRoot(13.03, 1, 'below', 0.01)).toBe(12.97);
+            expect(VortexMath.nearestPriceWithRoot(10, 1, 'below', 0.01)).toBe(9.91);
+        });
+
+        it('should return null when no positive level exists below', () => {
+            expect(VortexMath.nearestPriceWithRoot(5, 7, 'below')).toBe(null);
+        });
+
+        it('should reject roots outside 1-9', () => {
+            expect(() => VortexMath.nearestPriceWithRoot(100, 0)).toThrow('Target digital root must be an integer from 1 to 9');
+        });
     });
 
     describe('Mathematical Validation', () => {
@@ -207,4 +318,48 @@ describe('VortexMath Core Functions', () => {
             expect(entropy).toBe(0);  // Minimum entropy (no randomness)
         });
     });
+
+    describe('Temporal Structure', () => {
+        // Each root three days running, cycling 1-9
+        const streaky = Array.from({ length: 270 }, (_, i) => Math.floor(i / 3) % 9 + 1);
+        // Roots 1-9 in a shuffled order, repeated: no streaks, but strongly periodic
+        const alternating = Array.from({ length: 270 }, (_, i) => [1, 5, 9, 2, 6, 3, 7, 4, 8][i % 9]);
+
+        it('should find streaks with a runs test per root', () => {
+            const runs = VortexMath.runsTest(streaky);
+
+            expect(runs).toHaveLength(9);
+            expect(runs[0].root).toBe(1);
+            expect(runs[0].occurrences).toBe(30);
+            expect(runs[0].runs).toBe(20);
+            expect(runs[0].zScore).toBeLessThan(-5);
+            expect(runs[0].pValue).toBeLessThan(0.001);
+
+            const spread = VortexMath.runsTest(alternating);
+            expect(spread[0].zScore).toBeGreaterThan(0);
+            expect(VortexMath.runsTest(streaky, 8)).toHaveLength(7);
+        });
+
+        it('should detect autocorrelation in the roots and the Tesla indicator', () => {
+            const periodic = VortexMath.ljungBox(alternating, 9);
+
+            expect(periodic.roots.degreesOfFreedom).toBe(9);
+            expect(periodic.roots.autocorrelations[8]).toBeGreaterThan(0.9);
+            expect(periodic.roots.pValue).toBeLessThan(0.001);
+            expect(periodic.tesla.pValue).toBeLessThan(0.001);
+            expect(periodic.tesla.sampleSize).toBe(270);
+            expect(VortexMath.ljungBox([0, 1, 2, 0, 3], 2).roots.sampleSize).toBe(3);
+        });
+
+        it('should track entropy over a rolling window', () => {
+            const entropy = VortexMath.rollingEntropy([1, 1, 1, 1, 2, 3, 4, 5], 4);
+
+            expect(entropy).toHaveLength(8);
+            expect(entropy[2]).toBe(null);
+            expect(entropy[3]).toBe(0);
+            expect(entropy[4]).toBeCloseTo(0.8113, 4);
+            expect(entropy[7]).toBe(2);
+            expect(VortexMath.rollingEntropy(alternating, 9)[8]).toBeCloseTo(Math.log2(9), 3);
+        });
+    });
 });
\ No newline at end of file
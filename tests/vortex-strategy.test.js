@@ -11,7 +11,8 @@ describe('VortexStrategy', () => {
     let strategy;
     
     beforeEach(() => {
-        strategy = new VortexStrategy();
+        // Cost-free so the P&L assertions stay exact; costs are covered in 'Trading Costs'
+        strategy = new VortexStrategy({ feePercent: 0, slippageBps: 0 });
     });
 
     describe('Constructor and Configuration', () => {
@@ -240,6 +241,739 @@ describe('VortexStrategy', () => {
         });
     });
 
+    describe('Trading Costs', () => {
+        it('should apply default fees and slippage', () => {
+            const costedStrategy = new VortexStrategy();
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-03', price: 1200, digitalRoot: 5 }
+            ];
+            
+            const results = costedStrategy.backtest(priceData, 10000);
+            
+            expect(results.finalCapital).toBeLessThan(12000);
+            expect(results.performance.fees).toBeGreaterThan(0);
+            expect(results.performance.slippage).toBeGreaterThan(0);
+        });
+        
+        it('should charge percentage fees on both sides', () => {
+            const costedStrategy = new VortexStrategy({ feePercent: 1, slippageBps: 0 });
+            const position = costedStrategy.openPosition('BUY', { date: '2020-01-01', price: 100, digitalRoot: 1 }, 10100);
+            
+            expect(position.shares).toBeCloseTo(100, 6);
+            expect(position.fees).toBeCloseTo(100, 6);
+            
+            const trade = costedStrategy.closePosition(position, { date: '2020-01-02', price: 100, digitalRoot: 5 });
+            
+            expect(trade.exitCapital).toBeCloseTo(9900, 6);
+            expect(trade.fees).toBeCloseTo(200, 6);
+            expect(trade.profit).toBeCloseTo(-200, 6);
+        });
+        
+        it('should fill buys above and sells below the quote by the slippage', () => {
+            const costedStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 50 });
+            const position = costedStrategy.openPosition('BUY', { date: '2020-01-01', price: 100, digitalRoot: 1 }, 10000);
+            const trade = costedStrategy.closePosition(position, { date: '2020-01-02', price: 100, digitalRoot: 5 });
+            
+            expect(trade.entryPrice).toBeCloseTo(100.5, 6);
+            expect(trade.exitPrice).toBeCloseTo(99.5, 6);
+            expect(trade.slippage).toBeCloseTo(99.5025, 3);
+            expect(trade.fees).toBe(0);
+        });
+        
+        it('should charge the fixed fee once per fill', () => {
+            const costedStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, fixedFee: 5 });
+            const position = costedStrategy.openPosition('BUY', { date: '2020-01-01', price: 100, digitalRoot: 1 }, 1005);
+            const trade = costedStrategy.closePosition(position, { date: '2020-01-02', price: 100, digitalRoot: 5 });
+            
+            expect(position.shares).toBeCloseTo(10, 6);
+            expect(trade.fees).toBe(10);
+            expect(trade.exitCapital).toBeCloseTo(995, 6);
+        });
+        
+        it('should report net profit percent on the committed capital', () => {
+            const costedStrategy = new VortexStrategy({ feePercent: 0.5, slippageBps: 0 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-02', price: 1000, digitalRoot: 5 }
+            ];
+            
+            const results = costedStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].profitPercent).toBeLessThan(0);
+            expect(results.trades[1].fees).toBeGreaterThan(0);
+            expect(results.totalReturn).toBeCloseTo(results.trades[1].profitPercent, 6);
+        });
+    });
+
+    describe('Short Selling', () => {
+        const shortConfig = { feePercent: 0, slippageBps: 0, borrowRatePercent: 0, allowShort: true };
+        
+        it('should ignore sell signals when flat by default', () => {
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 5 },
+                { date: '2020-01-02', price: 800, digitalRoot: 1 }
+            ];
+            
+            const results = strategy.backtest(priceData, 10000);
+            
+            // Only the long opened on day 2 (closed at end of data)
+            expect(results.trades[0].action).toBe('BUY');
+            expect(results.trades[0].side).toBe('LONG');
+        });
+        
+        it('should open a short on sell and cover on buy', () => {
+            const shortStrategy = new VortexStrategy(shortConfig);
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 5 }, // Short
+                { date: '2020-01-02', price: 900, digitalRoot: 2 },
+                { date: '2020-01-03', price: 800, digitalRoot: 1 }  // Cover
+            ];
+            
+            const results = shortStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades).toHaveLength(2);
+            expect(results.trades[0].action).toBe('SELL');
+            expect(results.trades[0].side).toBe('SHORT');
+            expect(results.trades[1].action).toBe('BUY');
+            expect(results.finalCapital).toBeCloseTo(12000, 6);
+            expect(results.dailyPortfolio[1].portfolioValue).toBeCloseTo(11000, 6);
+            expect(results.dailyPortfolio[1].position).toBe('SHORT');
+            expect(results.performance.shortTrades).toBe(1);
+        });
+        
+        it('should register drawdown when a short moves against the position', () => {
+            const shortStrategy = new VortexStrategy(shortConfig);
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 5 },
+                { date: '2020-01-02', price: 1250, digitalRoot: 2 },
+                { date: '2020-01-03', price: 1100, digitalRoot: 1 }
+            ];
+            
+            const results = shortStrategy.backtest(priceData, 10000);
+            
+            expect(results.dailyPortfolio[1].drawdown).toBeCloseTo(25, 6);
+            expect(results.performance.maxDrawdown).toBeCloseTo(25, 6);
+            expect(results.finalCapital).toBeCloseTo(9000, 6);
+        });
+        
+        it('should force-cover a short once its losses wipe out the account', () => {
+            const shortStrategy = new VortexStrategy(shortConfig);
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 5 }, // Short
+                { date: '2020-01-02', price: 2500, digitalRoot: 2 }, // Equity -5,000 before the cover
+                { date: '2020-01-03', price: 2000, digitalRoot: 5 },
+                { date: '2020-01-04', price: 1000, digitalRoot: 2 }
+            ];
+            
+            const results = shortStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades.map(t => `${t.type}-${t.side}`)).toEqual(['OPEN-SHORT', 'CLOSE-SHORT']);
+            expect(results.trades[1].exitType).toBe('liquidation');
+            expect(results.dailyPortfolio.map(d => d.portfolioValue)).toEqual([10000, 0, 0, 0]);
+            expect(results.finalCapital).toBe(0);
+            expect(results.performance.maxDrawdown).toBeCloseTo(100, 6);
+            expect(Number.isFinite(results.performance.sharpeRatio)).toBe(true);
+        });
+        
+        it('should cover at the maintenance margin', () => {
+            const shortStrategy = new VortexStrategy({ ...shortConfig, maintenanceMarginPercent: 25 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 5 },
+                { date: '2020-01-02', price: 1500, digitalRoot: 2 }, // Equity 5,000 above 25% of 15,000
+                { date: '2020-01-03', price: 1600, digitalRoot: 2 }, // Equity 4,000 = 25% of 16,000
+                { date: '2020-01-04', price: 1000, digitalRoot: 2 }
+            ];
+            
+            const results = shortStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].exitType).toBe('liquidation');
+            expect(results.trades[1].date).toBe('2020-01-03');
+            expect(results.finalCapital).toBeCloseTo(4000, 6);
+        });
+        
+        it('should charge borrow cost on the short notional', () => {
+            const shortStrategy = new VortexStrategy({ ...shortConfig, borrowRatePercent: 36.5 });
+            const position = shortStrategy.openPosition('SELL', { date: '2020-01-01', price: 100, digitalRoot: 5 }, 10000);
+            const trade = shortStrategy.closePosition(position, { date: '2020-01-11', price: 100, digitalRoot: 1 });
+            
+            // 36.5% a year on $10,000 for 10 days
+            expect(trade.borrowCost).toBeCloseTo(100, 6);
+            expect(trade.profit).toBeCloseTo(-100, 6);
+        });
+        
+        it('should flip straight from long to short when configured', () => {
+            const flipStrategy = new VortexStrategy({ ...shortConfig, flipPosition: true });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 }, // Long
+                { date: '2020-01-02', price: 1100, digitalRoot: 5 }, // Close long, open short
+                { date: '2020-01-03', price: 990, digitalRoot: 1 }   // Cover, open long
+            ];
+            
+            const results = flipStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades.map(t => `${t.type}-${t.side}`)).toEqual([
+                'OPEN-LONG', 'CLOSE-LONG', 'OPEN-SHORT', 'CLOSE-SHORT', 'OPEN-LONG', 'CLOSE-LONG'
+            ]);
+            expect(results.trades[3].profit).toBeCloseTo(1100, 6);
+        });
+    });
+
+    describe('Position Sizing', () => {
+        const priceData = [
+            { date: '2020-01-01', price: 1000, digitalRoot: 1 }, // Buy
+            { date: '2020-01-02', price: 1100, digitalRoot: 2 },
+            { date: '2020-01-03', price: 1200, digitalRoot: 5 }  // Sell
+        ];
+        
+        it('should keep the remainder in cash with fixed-fraction sizing', () => {
+            const sizedStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, sizingMethod: 'fixed-fraction', sizingFraction: 0.25 });
+            
+            const results = sizedStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[0].allocation).toBe(2500);
+            expect(results.trades[0].size).toBe(0.25);
+            expect(results.dailyPortfolio[1].cash).toBe(7500);
+            expect(results.dailyPortfolio[1].portfolioValue).toBeCloseTo(10250, 6);
+            expect(results.finalCapital).toBeCloseTo(10500, 6);
+        });
+        
+        it('should keep trading after Kelly sizing finds no edge, so the estimate can recover', () => {
+            // Three losing round trips, then three winning ones
+            const cycle = (entry, exit, start) => [
+                { date: new Date(Date.UTC(2020, 0, start)).toISOString().split('T')[0], price: entry, digitalRoot: 1 },
+                { date: new Date(Date.UTC(2020, 0, start + 1)).toISOString().split('T')[0], price: exit, digitalRoot: 5 }
+            ];
+            const cycles = [[1000, 900], [1000, 900], [1000, 900], [1000, 1200], [1000, 1200], [1000, 1200]];
+            const series = cycles.flatMap(([entry, exit], i) => cycle(entry, exit, 1 + i * 2));
+            const kellyStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, sizingMethod: 'kelly', kellyMinTrades: 2, kellyLookback: 2 });
+            
+            const results = kellyStrategy.backtest(series, 10000);
+            const opens = results.trades.filter(t => t.type === 'OPEN');
+            
+            expect(opens).toHaveLength(6);
+            expect(opens[2].size).toBeCloseTo(0.01, 8);
+            // Two winners in the lookback restore full-size positions
+            expect(opens[5].size).toBeCloseTo(1, 8);
+        });
+        
+        it('should cap fixed-notional sizing at available cash', () => {
+            const sizedStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, sizingMethod: 'fixed-notional', sizingNotional: 50000 });
+            
+            const results = sizedStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[0].allocation).toBe(10000);
+        });
+        
+        it('should value the portfolio from shares held', () => {
+            const costedStrategy = new VortexStrategy({ feePercent: 1, slippageBps: 0 });
+            
+            const results = costedStrategy.backtest(priceData, 10100);
+            
+            // $100 entry fee leaves 10 shares, worth $11,000 at $1,100
+            expect(results.dailyPortfolio[1].positionValue).toBeCloseTo(11000, 6);
+            expect(results.dailyPortfolio[1].portfolioValue).toBeCloseTo(11000, 6);
+        });
+        
+        it('should reject unknown sizing methods', () => {
+            const badStrategy = new VortexStrategy({ sizingMethod: 'martingale' });
+            
+            expect(() => badStrategy.backtest(priceData, 10000)).toThrow('Unknown sizing method');
+        });
+    });
+
+    describe('Risk Exits', () => {
+        const crash = [
+            { date: '2020-01-01', price: 1000, digitalRoot: 1 }, // Buy
+            { date: '2020-01-02', price: 950, digitalRoot: 2 },
+            { date: '2020-01-03', price: 880, digitalRoot: 4 },  // -12%
+            { date: '2020-01-04', price: 200, digitalRoot: 5 }   // Sell signal
+        ];
+        
+        it('should exit on stop-loss before the sell signal', () => {
+            const stopStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, stopLossPercent: 10 });
+            
+            const results = stopStrategy.backtest(crash, 10000);
+            
+            expect(results.trades[1].date).toBe('2020-01-03');
+            expect(results.trades[1].exitType).toBe('stop-loss');
+            expect(results.trades[1].reasoning).toBe('Stop-loss hit at -12.0%');
+            expect(results.finalCapital).toBeCloseTo(8800, 6);
+        });
+        
+        it('should exit on take-profit', () => {
+            const tpStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, takeProfitPercent: 15 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-02', price: 1100, digitalRoot: 2 },
+                { date: '2020-01-03', price: 1200, digitalRoot: 4 },
+                { date: '2020-01-04', price: 1300, digitalRoot: 5 }
+            ];
+            
+            const results = tpStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].date).toBe('2020-01-03');
+            expect(results.trades[1].reasoning).toContain('Take-profit hit at +20.0%');
+        });
+        
+        it('should trail the stop behind the best price', () => {
+            const trailStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, trailingStopPercent: 10 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-02', price: 1500, digitalRoot: 2 },
+                { date: '2020-01-03', price: 1400, digitalRoot: 4 },  // -6.7% off best
+                { date: '2020-01-04', price: 1300, digitalRoot: 8 },  // -13.3% off best
+                { date: '2020-01-05', price: 1400, digitalRoot: 5 }
+            ];
+            
+            const results = trailStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].date).toBe('2020-01-04');
+            expect(results.trades[1].exitType).toBe('trailing-stop');
+            expect(results.trades[1].reasoning).toContain('off best price 1500.00');
+        });
+        
+        it('should place ATR stops from the entry ATR', () => {
+            const atrStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, atrStopMultiplier: 2, atrPeriod: 2 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 2 },
+                { date: '2020-01-02', price: 1010, digitalRoot: 2 },
+                { date: '2020-01-03', price: 1000, digitalRoot: 1 },  // Buy, ATR = 10
+                { date: '2020-01-04', price: 985, digitalRoot: 2 },
+                { date: '2020-01-05', price: 975, digitalRoot: 4 },   // 2.5 ATR down
+                { date: '2020-01-06', price: 990, digitalRoot: 5 }
+            ];
+            
+            const results = atrStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].date).toBe('2020-01-05');
+            expect(results.trades[1].exitType).toBe('atr-stop');
+        });
+        
+        it('should apply stops to shorts in the opposite direction', () => {
+            const shortStop = new VortexStrategy({ feePercent: 0, slippageBps: 0, borrowRatePercent: 0, allowShort: true, stopLossPercent: 10 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 5 },  // Short
+                { date: '2020-01-02', price: 1150, digitalRoot: 2 },  // +15% against
+                { date: '2020-01-03', price: 900, digitalRoot: 1 }
+            ];
+            
+            const results = shortStop.backtest(priceData, 10000);
+            
+            expect(results.trades[1].exitType).toBe('stop-loss');
+            expect(results.trades[1].reasoning).toBe('Stop-loss hit at -15.0%');
+        });
+        
+        it('should label signal and end-of-data exits', () => {
+            const results = strategy.backtest(crash, 10000);
+            
+            expect(results.trades[1].exitType).toBe('signal');
+        });
+    });
+
+    describe('Holding Periods', () => {
+        const choppy = [
+            { date: '2020-01-01', price: 1000, digitalRoot: 1 }, // Buy
+            { date: '2020-01-02', price: 1010, digitalRoot: 5 }, // Sell (held 1 bar)
+            { date: '2020-01-03', price: 1020, digitalRoot: 1 }, // Buy
+            { date: '2020-01-04', price: 1030, digitalRoot: 2 },
+            { date: '2020-01-05', price: 1040, digitalRoot: 5 }, // Sell
+            { date: '2020-01-06', price: 1050, digitalRoot: 2 }
+        ];
+        
+        it('should suppress signal exits before the minimum hold period', () => {
+            const holdStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, minimumHoldPeriod: 3 });
+            
+            const results = holdStrategy.backtest(choppy, 10000);
+            
+            expect(results.trades[1].date).toBe('2020-01-05');
+            expect(results.signals[1].suppressedBy).toBe('minimum-hold');
+            expect(results.signals[1].suppressionReason).toContain('held 1 of 3 bars');
+        });
+        
+        it('should measure hold periods in calendar days when configured', () => {
+            const holdStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, minimumHoldPeriod: 7, holdPeriodUnit: 'days' });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-05', price: 1010, digitalRoot: 5 }, // 4 days
+                { date: '2020-01-09', price: 1020, digitalRoot: 5 }  // 8 days
+            ];
+            
+            const results = holdStrategy.backtest(priceData, 10000);
+            
+            expect(results.signals[1].suppressionReason).toContain('held 4 of 7 days');
+            expect(results.trades[1].date).toBe('2020-01-09');
+            expect(results.trades[1].exitType).toBe('signal');
+        });
+        
+        it('should force an exit at the maximum hold period', () => {
+            const holdStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, maximumHoldPeriod: 2 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-02', price: 1010, digitalRoot: 2 },
+                { date: '2020-01-03', price: 1020, digitalRoot: 4 },
+                { date: '2020-01-04', price: 1030, digitalRoot: 5 }
+            ];
+            
+            const results = holdStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].date).toBe('2020-01-03');
+            expect(results.trades[1].exitType).toBe('max-hold');
+            expect(results.trades[1].reasoning).toContain('Maximum hold period reached (2 bars)');
+        });
+        
+        it('should wait out the cooldown before re-entering', () => {
+            const coolStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, cooldownPeriod: 2 });
+            
+            const results = coolStrategy.backtest(choppy, 10000);
+            
+            // Re-entry on 2020-01-03 is one bar after the exit
+            expect(results.trades).toHaveLength(2);
+            expect(results.signals[2].suppressedBy).toBe('cooldown');
+            expect(results.signals[2].suppressionReason).toContain('1 of 2 bars cooldown');
+        });
+        
+        it('should count suppressed signals in the signal analysis', () => {
+            const coolStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, cooldownPeriod: 2 });
+            
+            const results = coolStrategy.backtest(choppy, 10000);
+            const analysis = coolStrategy.analyzeSignals(results.signals);
+            
+            expect(analysis.suppressedSignals.cooldown).toBe(1);
+        });
+        
+        it('should let stop-losses exit inside the minimum hold period', () => {
+            const stopStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, minimumHoldPeriod: 5, stopLossPercent: 5 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-02', price: 900, digitalRoot: 2 }
+            ];
+            
+            const results = stopStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].exitType).toBe('stop-loss');
+        });
+    });
+
+    describe('Execution Timing', () => {
+        const bars = [
+            { date: '2020-01-01', price: 1000, open: 990, digitalRoot: 1 },  // Buy signal
+            { date: '2020-01-02', price: 1100, open: 1050, digitalRoot: 2 },
+            { date: '2020-01-03', price: 1200, open: 1150, digitalRoot: 5 }, // Sell signal
+            { date: '2020-01-04', price: 1300, open: 1250, digitalRoot: 2 }
+        ];
+        
+        it('should fill on the signal bar close by default', () => {
+            const results = strategy.backtest(bars, 10000);
+            
+            expect(results.trades[0].fillDate).toBe('2020-01-01');
+            expect(results.trades[0].price).toBe(1000);
+        });
+        
+        it('should fill at the next close when configured', () => {
+            const nextStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, executionTiming: 'next-close' });
+            
+            const results = nextStrategy.backtest(bars, 10000);
+            
+            expect(results.trades[0].signalDate).toBe('2020-01-01');
+            expect(results.trades[0].fillDate).toBe('2020-01-02');
+            expect(results.trades[0].price).toBe(1100);
+            expect(results.trades[1].signalDate).toBe('2020-01-03');
+            expect(results.trades[1].fillDate).toBe('2020-01-04');
+            expect(results.trades[1].price).toBe(1300);
+        });
+        
+        it('should fill at the next open when the data has opens', () => {
+            const openStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, executionTiming: 'next-open' });
+            
+            const results = openStrategy.backtest(bars, 10000);
+            
+            expect(results.trades[0].price).toBe(1050);
+            expect(results.trades[1].price).toBe(1250);
+            expect(openStrategy.tradeHistory[0].entrySignalDate).toBe('2020-01-01');
+            expect(openStrategy.tradeHistory[0].exitSignalDate).toBe('2020-01-03');
+        });
+        
+        it('should fall back to the close for next-open without open prices', () => {
+            const openStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, executionTiming: 'next-open' });
+            const closesOnly = bars.map(({ open, ...bar }) => bar);
+            
+            const results = openStrategy.backtest(closesOnly, 10000);
+            
+            expect(results.trades[0].price).toBe(1100);
+        });
+        
+        it('should drop an entry signalled on the last bar', () => {
+            const nextStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, executionTiming: 'next-close' });
+            
+            const results = nextStrategy.backtest([bars[1], bars[3], bars[0]], 10000);
+            
+            expect(results.trades).toHaveLength(0);
+            expect(results.finalCapital).toBe(10000);
+        });
+        
+        it('should delay risk exits to the next bar', () => {
+            const stopStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, executionTiming: 'next-close', stopLossPercent: 5 });
+            const priceData = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-02', price: 1000, digitalRoot: 2 },
+                { date: '2020-01-03', price: 900, digitalRoot: 2 },  // Stop triggered
+                { date: '2020-01-04', price: 850, digitalRoot: 2 }   // Filled here
+            ];
+            
+            const results = stopStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].exitType).toBe('stop-loss');
+            expect(results.trades[1].signalDate).toBe('2020-01-03');
+            expect(results.trades[1].price).toBe(850);
+        });
+    });
+    
+    describe('Orders', () => {
+        // Buy signal at 1000 places a limit at 991, the nearest level below with root 1
+        const bars = [
+            { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+            { date: '2020-01-02', price: 990, open: 995, high: 995, low: 987, digitalRoot: 2 },  // Half fills at 991
+            { date: '2020-01-03', price: 989, digitalRoot: 2 },  // Rest fills at 989
+            { date: '2020-01-04', price: 1000, digitalRoot: 5 }, // Sell limit at 1004 (root 5)
+            { date: '2020-01-05', price: 1010, digitalRoot: 2 }
+        ];
+        
+        it('should work limit orders at digital-root price levels', () => {
+            const limitStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, orderType: 'limit', timeInForce: 'gtc' });
+            
+            const results = limitStrategy.backtest(bars, 10000);
+            
+            expect(results.orders[0].limitPrice).toBe(991);
+            expect(results.orders[1].limitPrice).toBe(1004);
+            expect(results.trades.map(t => t.type)).toEqual(['OPEN', 'OPEN', 'CLOSE']);
+            expect(results.trades[0].price).toBe(991);
+            expect(results.trades[1].price).toBe(989);
+            expect(results.trades[2].price).toBe(1010);
+            expect(results.trades[2].orderType).toBe('limit');
+            expect(limitStrategy.tradeHistory).toHaveLength(1);
+            expect(results.finalCapital).toBeCloseTo((5000 / 991 + 5000 / 989) * 1010, 6);
+        });
+        
+        it('should let unfilled day orders expire', () => {
+            const limitStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, orderType: 'limit' });
+            
+            const results = limitStrategy.backtest([bars[0], { date: '2020-01-02', price: 995, digitalRoot: 2 }], 10000);
+            
+            expect(results.orders[0].status).toBe('expired');
+            expect(results.trades).toHaveLength(0);
+        });
+        
+        describe('Stop-limit orders', () => {
+            // Buy stop 1009 with limit 1036 (root 1 at 2% past it); sell stop 1094 with limit 1067 (root 5)
+            const stopBars = [
+                { date: '2020-01-01', price: 1000, digitalRoot: 1 },
+                { date: '2020-01-02', price: 1020, digitalRoot: 2 },
+                { date: '2020-01-03', price: 1100, digitalRoot: 5 },
+                { date: '2020-01-04', price: 1080, digitalRoot: 2 },
+                { date: '2020-01-05', price: 1090, digitalRoot: 2 }
+            ];
+            
+            it('should place the limit a band past the stop so a signal exit closes the position', () => {
+                const stopLimit = new VortexStrategy({ feePercent: 0, slippageBps: 0, orderType: 'stop-limit' });
+                
+                const results = stopLimit.backtest(stopBars, 10000);
+                const close = results.trades.find(t => t.type === 'CLOSE');
+                
+                expect(results.orders[1].stopPrice).toBe(1094);
+                expect(results.orders[1].limitPrice).toBe(1067);
+                expect(close.exitType).toBe('signal');
+                expect(close.orderType).toBe('stop-limit');
+                expect(close.price).toBe(1080);
+                expect(results.dailyPortfolio[3].position).toBe('CASH');
+            });
+            
+            it('should send an exit that expires unfilled to market when asked', () => {
+                const rallied = stopBars.map((bar, i) => (i === 3 ? { ...bar, price: 1120 } : bar));
+                const held = new VortexStrategy({ feePercent: 0, slippageBps: 0, orderType: 'stop-limit' }).backtest(rallied, 10000);
+                const fallback = new VortexStrategy({ feePercent: 0, slippageBps: 0, orderType: 'stop-limit', expiredExitsToMarket: true }).backtest(rallied, 10000);
+                
+                expect(held.orders[1].status).toBe('expired');
+                expect(held.trades.find(t => t.type === 'CLOSE').exitType).toBe('end-of-data');
+                const close = fallback.trades.find(t => t.type === 'CLOSE');
+                expect(close.exitType).toBe('signal');
+                expect(close.orderType).toBe('market');
+                expect(close.price).toBe(1120);
+                expect(close.reasoning).toContain('stop-limit exit expired unfilled');
+            });
+        });
+        
+        it('should close a partially filled exit in pieces', () => {
+            const limitStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, orderType: 'limit', timeInForce: 'gtc' });
+            const priceData = [
+                { date: '2020-01-01', price: 980, digitalRoot: 1 },
+                { date: '2020-01-02', price: 970, digitalRoot: 2 },   // Buys at 970 (limit 973)
+                { date: '2020-01-03', price: 1000, digitalRoot: 5 },  // Sell limit at 1004
+                { date: '2020-01-04', price: 1002, open: 1000, high: 1008, low: 1000, digitalRoot: 2 }, // Half sells at 1004
+                { date: '2020-01-05', price: 1010, digitalRoot: 2 }
+            ];
+            
+            const results = limitStrategy.backtest(priceData, 10000);
+            const closes = results.trades.filter(t => t.type === 'CLOSE');
+            
+            expect(closes).toHaveLength(2);
+            expect(closes[0].price).toBe(1004);
+            expect(closes[1].price).toBe(1010);
+            expect(closes[1].exitType).toBe('signal');
+            expect(results.finalCapital).toBeCloseTo((10000 / 970) * (1004 + 1010) / 2, 6);
+        });
+        
+        it('should send risk exits to market ahead of a resting exit', () => {
+            const limitStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, orderType: 'limit', timeInForce: 'gtc', stopLossPercent: 5 });
+            const priceData = [
+                { date: '2020-01-01', price: 980, digitalRoot: 1 },
+                { date: '2020-01-02', price: 970, digitalRoot: 2 },
+                { date: '2020-01-03', price: 960, digitalRoot: 5 },  // Sell limit rests at 967
+                { date: '2020-01-04', price: 900, digitalRoot: 2 }   // Stop-loss at market
+            ];
+            
+            const results = limitStrategy.backtest(priceData, 10000);
+            
+            expect(results.trades[1].exitType).toBe('stop-loss');
+            expect(results.trades[1].price).toBe(900);
+            expect(results.orders[1].status).toBe('cancelled');
+        });
+    });
+    
+    describe('Root Source', () => {
+        it('should trade roots re-derived from the configured source', () => {
+            // Whole-dollar roots are 4 (13) and 5 (14); in cents 1303 -> 7 and 1450 -> 1
+            const bars = [
+                { date: '2020-01-01', price: 13.03, digitalRoot: 4 },
+                { date: '2020-01-02', price: 14.5, digitalRoot: 5 },
+                { date: '2020-01-03', price: 15, digitalRoot: 6 }
+            ];
+            const centsStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, rootSource: 'cents' });
+            
+            const results = centsStrategy.backtest(bars, 10000);
+            
+            expect(results.signals[1].digitalRoot).toBe(1);
+            expect(results.trades[0].date).toBe('2020-01-02');
+            expect(centsStrategy.describe().parameters.rootSource).toBe('cents');
+            expect(strategy.backtest(bars, 10000).trades).toHaveLength(0);
+        });
+    });
+    
+    describe('Pattern Confirmation', () => {
+        const priceData = Array.from({ length: 40 }, (_, i) => ({
+            date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+            price: 1000 + i,
+            digitalRoot: i < 20 ? [1, 5][i % 2] : [4, 8, 7, 5, 1, 2][(i - 20) % 6]
+        }));
+        
+        it('should hold buys and sells until a pattern completes', () => {
+            const confirmed = new VortexStrategy({ patterns: ['8,7,5'], feePercent: 0, slippageBps: 0 });
+            const results = confirmed.backtest(priceData, 10000);
+            const unconfirmed = results.signals.find(s => s.digitalRoot === 1 && s.reasoning.includes('not confirmed'));
+            
+            expect(unconfirmed).toBeDefined();
+            expect(results.trades.filter(t => t.type === 'OPEN')).toHaveLength(0);
+            
+            // Sells land on the 5 that completes 8, 7, 5; the next bar is outside the window
+            const sells = results.signals.filter(s => s.reasoning.includes('confirmed by pattern 8,7,5'));
+            expect(sells.length).toBeGreaterThan(0);
+            expect(sells.every(s => s.digitalRoot === 5)).toBe(true);
+        });
+        
+        it('should keep a completed pattern valid for patternWindow bars', () => {
+            const confirmed = new VortexStrategy({ patterns: ['8,7,5'], patternWindow: 2, feePercent: 0, slippageBps: 0 });
+            const results = confirmed.backtest(priceData, 10000);
+            
+            expect(results.trades.filter(t => t.type === 'OPEN').length).toBeGreaterThan(0);
+            expect(results.signals.some(s => s.digitalRoot === 1 && s.reasoning.includes('confirmed by pattern 8,7,5'))).toBe(true);
+            expect(confirmed.describe().parameters.patterns).toEqual(['8,7,5']);
+        });
+        
+        it('should leave signals alone without patterns', () => {
+            const plain = new VortexStrategy({ feePercent: 0, slippageBps: 0 });
+            const results = plain.backtest(priceData, 10000);
+            
+            expect(results.signals.some(s => s.reasoning.includes('confirmed'))).toBe(false);
+            expect(results.trades.filter(t => t.type === 'OPEN').length).toBeGreaterThan(0);
+        });
+    });
+    
+    describe('Signal Rules', () => {
+        it('should give the same actions with the built-in vortex rule set in every base and filter setting', () => {
+            [10, 9, 12, 16].forEach(base => {
+                [[true, true], [true, false], [false, true], [false, false]].forEach(([tesla, sequence]) => {
+                    const config = { base, useTeslaFilter: tesla, useSequenceFilter: sequence };
+                    const plain = new VortexStrategy(config);
+                    const ruled = new VortexStrategy({ ...config, rules: 'vortex' });
+                    for (let root = 1; root < base; root++) {
+                        expect(ruled.generateSignal({ digitalRoot: root }, null).action)
+                            .toBe(plain.generateSignal({ digitalRoot: root }, null).action);
+                    }
+                });
+            });
+        });
+        
+        it('should trade custom rules through the usual backtest', () => {
+            const priceData = Array.from({ length: 30 }, (_, i) => ({
+                date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+                price: 1000 + i,
+                digitalRoot: [8, 1, 2, 4, 9, 3][i % 6]
+            }));
+            const ruled = new VortexStrategy({
+                rules: 'BUY when root == 1 and prev.root == 8\nSELL when sequence(1,2,4) within 2 and root == 9',
+                feePercent: 0,
+                slippageBps: 0
+            });
+            const results = ruled.backtest(priceData, 10000);
+            const opens = results.trades.filter(t => t.type === 'OPEN');
+            
+            expect(opens.length).toBe(5);
+            expect(opens.every(t => t.digitalRoot === 1)).toBe(true);
+            expect(results.trades.filter(t => t.type === 'CLOSE').every(t => t.digitalRoot === 9)).toBe(true);
+            expect(ruled.describe().description).toBe('Signals from declarative rules');
+            
+            // A second run starts the sequence tracking again
+            expect(ruled.backtest(priceData, 10000).trades.filter(t => t.type === 'OPEN').length).toBe(5);
+        });
+        
+        it('should reject invalid rules when the strategy is created', () => {
+            expect(() => new VortexStrategy({ rules: 'BUY when root = 1' })).toThrow('Line 1, column 15');
+        });
+    });
+    
+    describe('Number Base', () => {
+        it('should default to the base\'s equivalents of 1, 5 and 9', () => {
+            const base12 = new VortexStrategy({ base: 12 });
+            
+            expect(base12.config.buySignal).toBe(1);
+            expect(base12.config.sellSignal).toBe(6);
+            expect(base12.config.holdSignal).toBe(11);
+            expect(base12.describe().parameters.base).toBe(12);
+        });
+        
+        it('should re-derive base-10 roots in the configured base', () => {
+            // Base-10 roots 3 and 8 are off-cycle; in base 12 they are 1 and 6
+            const bars = [
+                { date: '2020-01-01', price: 12, digitalRoot: 3 },
+                { date: '2020-01-02', price: 17, digitalRoot: 8 }
+            ];
+            const base12 = new VortexStrategy({ feePercent: 0, slippageBps: 0, base: 12 });
+            
+            const results = base12.backtest(bars, 10000);
+            
+            expect(results.trades.map(t => t.type)).toEqual(['OPEN', 'CLOSE']);
+            expect(strategy.backtest(bars, 10000).trades).toHaveLength(0);
+        });
+        
+        it('should read Tesla polarity from mirrored analogues', () => {
+            const base16 = new VortexStrategy({ base: 16, useSequenceFilter: false });
+            
+            expect(base16.generateSignal({ digitalRoot: 5 }).action).toBe('BUY');
+            expect(base16.generateSignal({ digitalRoot: 10 }).action).toBe('SELL');
+            expect(base16.generateSignal({ digitalRoot: 15 }).reasoning).toContain('Tesla balance number (15)');
+        });
+    });
+    
     describe('Performance Metrics', () => {
         it('should calculate win rate correctly', () => {
             // Simulate completed trades
@@ -316,6 +1050,26 @@ describe('VortexStrategy', () => {
             expect(performance.avgWin).toBe(0);
             expect(performance.avgLoss).toBe(0);
         });
+        
+        it('should track buy-and-hold exactly when always invested without costs', () => {
+            const holdStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0 });
+            const priceData = Array.from({ length: 30 }, (_, i) => ({
+                date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+                price: 1000 + 100 * Math.sin(i / 4) + 5 * i,
+                digitalRoot: i === 0 ? 1 : 2
+            }));
+            
+            const performance = holdStrategy.backtest(priceData, 10000).performance;
+            
+            expect(performance.exposure).toBe(100);
+            expect(performance.beta).toBeCloseTo(1, 8);
+            expect(performance.correlation).toBeCloseTo(1, 8);
+            expect(performance.alpha).toBeCloseTo(0, 6);
+            expect(performance.benchmarkReturn).toBeCloseTo(performance.totalReturn, 6);
+            expect(performance.turnover).toBeGreaterThan(0);
+            expect(performance.ulcerIndex).toBeGreaterThan(0);
+            expect(performance.calmarRatio).toBeCloseTo(performance.cagr / performance.maxDrawdown, 10);
+        });
     });
 
     describe('Signal Analysis', () => {
@@ -379,9 +1133,84 @@ describe('VortexStrategy', () => {
             expect(report.critique).toBeDefined();
             expect(report.critique.recommendation).toContain('experimental');
         });
+        
+        it('should include bootstrap confidence intervals at the configured level', () => {
+            const ciStrategy = new VortexStrategy({ feePercent: 0, slippageBps: 0, confidenceLevel: 0.9, bootstrapSamples: 200 });
+            const priceData = Array.from({ length: 60 }, (_, i) => ({
+                date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+                price: 1000 + 50 * Math.sin(i / 3),
+                digitalRoot: [1, 2, 4, 5, 8, 7][i % 6]
+            }));
+            
+            const results = ciStrategy.backtest(priceData, 10000);
+            const report = ciStrategy.generateReport(results);
+            
+            expect(report.confidenceIntervals.level).toBe(0.9);
+            expect(report.confidenceIntervals.samples).toBe(200);
+            expect(report.confidenceIntervals.sharpeRatio.lower).toBeLessThanOrEqual(report.confidenceIntervals.sharpeRatio.upper);
+            expect(report.confidenceIntervals.winRate.estimate).toBeCloseTo(results.performance.winRate, 10);
+        });
+        
+        it('should include drawdown episodes consistent with the max drawdown', () => {
+            const ddStrategy = new VortexStrategy({ drawdownEpisodes: 3, bootstrapSamples: 50 });
+            const priceData = Array.from({ length: 60 }, (_, i) => ({
+                date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+                price: 1000 + 80 * Math.sin(i / 3),
+                digitalRoot: [1, 2, 4, 5, 8, 7][i % 6]
+            }));
+            
+            const results = ddStrategy.backtest(priceData, 10000);
+            const report = ddStrategy.generateReport(results);
+            
+            expect(report.drawdowns.worst.length).toBeLessThanOrEqual(3);
+            expect(report.drawdowns.worst[0].depth).toBeCloseTo(results.performance.maxDrawdown, 8);
+            expect(report.drawdowns.underwater).toHaveLength(priceData.length);
+        });
+        
+        it('should annualize daily data at 365 periods and report the rate assumptions', () => {
+            const priceData = Array.from({ length: 60 }, (_, i) => ({
+                date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+                price: 1000 + 80 * Math.sin(i / 3) + 3 * i,
+                digitalRoot: [1, 2, 4, 5, 8, 7][i % 6]
+            }));
+            const plain = new VortexStrategy({ bootstrapSamples: 50 });
+            const withRate = new VortexStrategy({ bootstrapSamples: 50, riskFreeRate: { label: 'Test bills', rates: [{ date: '2020-01-01', rate: 10 }] } });
+            
+            const plainResults = plain.backtest(priceData, 10000);
+            const rateResults = withRate.backtest(priceData, 10000);
+            const report = withRate.generateReport(rateResults);
+            
+            expect(plainResults.performance.periodsPerYear).toBe(365);
+            expect(rateResults.performance.sharpeRatio).toBeLessThan(plainResults.performance.sharpeRatio);
+            expect(report.assumptions.periodsPerYearSource).toBe('detected from bar interval');
+            expect(report.assumptions.riskFreeRate).toBe(10);
+            expect(report.assumptions.riskFreeRateSource).toBe('Test bills');
+            expect(report.assumptions.minimumAcceptableReturnSource).toBe('risk-free rate');
+            expect(report.confidenceIntervals.sharpeRatio.estimate).toBeCloseTo(rateResults.performance.sharpeRatio, 10);
+        });
     });
 
     describe('Pattern Analysis', () => {
+        it('should measure pattern returns as next-day asset returns from the event study', () => {
+            const patternStrategy = new VortexStrategy({ bootstrapSamples: 50, eventHorizons: [1, 7], eventPermutations: 100 });
+            const priceData = Array.from({ length: 60 }, (_, i) => ({
+                date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+                price: 1000 * (i % 3 === 0 ? 1.02 : 1),
+                digitalRoot: [3, 1, 2][i % 3]
+            }));
+            
+            const results = patternStrategy.backtest(priceData, 10000);
+            const report = patternStrategy.generateReport(results);
+            
+            // Tesla (root 3) days sit at 1020 and fall back to 1000 the next day
+            expect(report.eventStudy.horizons).toEqual([1, 7]);
+            expect(report.eventStudy.roots[3][1].count).toBe(20);
+            expect(report.vortexAnalysis.teslaNumbers.averageReturn).toBeCloseTo((1000 / 1020 - 1) * 100, 8);
+            expect(report.vortexAnalysis.teslaNumbers.pValue).toBeLessThan(0.05);
+            // Root 2 days rise 2% and root 1 days are flat; the last bar has no next day
+            expect(report.vortexAnalysis.doublingSequence.averageReturn).toBeCloseTo((19 * 2) / 39, 8);
+        });
+        
         it('should calculate pattern returns correctly', () => {
             const patternDays = [
                 { portfolioValue: 10000 },
@@ -0,0 +1,107 @@
+/**
+ * Test suite for walk-forward validation
+ */
+
+const path = require('path');
+const WalkForward = require(path.join(__dirname, '../src/backtest/walk-forward.js'));
+
+const priceData = Array.from({ length: 120 }, (_, i) => {
+    const price = 1000 + 80 * Math.sin(i / 4) + i * 3;
+    return {
+        date: new Date(Date.UTC(2020, 0, 1 + i)).toISOString().split('T')[0],
+        price: price,
+        digitalRoot: (Math.floor(price) % 9) || 9
+    };
+});
+
+const quickSweep = { buySignals: [1, 2, 4], sellSignals: [5, 7, 8], teslaFilter: [false], sequenceFilter: [false] };
+
+describe('WalkForward', () => {
+
+    describe('Splits', () => {
+        it('should roll a fixed in-sample window forward', () => {
+            const folds = WalkForward.splits(100, { inSampleSize: 40, outOfSampleSize: 20 });
+            
+            expect(folds).toHaveLength(3);
+            expect(folds[1].inSample).toEqual({ start: 20, end: 60 });
+            expect(folds[1].outOfSample).toEqual({ start: 60, end: 80 });
+        });
+        
+        it('should anchor every in-sample window at the first bar', () => {
+            const folds = WalkForward.splits(100, { inSampleSize: 40, outOfSampleSize: 20, mode: 'anchored' });
+            
+            expect(folds[2].inSample).toEqual({ start: 0, end: 80 });
+            expect(folds[2].outOfSample).toEqual({ start: 80, end: 100 });
+        });
+        
+        it('should never let out-of-sample windows overlap', () => {
+            const folds = WalkForward.splits(200, { inSampleSize: 50, outOfSampleSize: 30 });
+            for (let i = 1; i < folds.length; i++) {
+                expect(folds[i].outOfSample.start).toBeGreaterThanOrEqual(folds[i - 1].outOfSample.end);
+            }
+        });
+        
+        it('should reject unknown modes', () => {
+            expect(() => WalkForward.splits(100, { mode: 'sideways' })).toThrow('Unknown walk-forward mode');
+        });
+    });
+    
+    describe('Runs', () => {
+        const report = WalkForward.run(priceData, {
+            inSampleSize: 60,
+            outOfSampleSize: 30,
+            sweep: quickSweep,
+            baseConfig: { feePercent: 0, slippageBps: 0 }
+        });
+        
+        it('should report every fold with its chosen parameters', () => {
+            expect(report.folds).toHaveLength(2);
+            expect(report.folds[0].outOfSample.start).toBe(priceData[60].date);
+            expect([1, 2, 4]).toContain(report.folds[0].params.buySignal);
+        });
+        
+        it('should stitch the out-of-sample equity curves', () => {
+            expect(report.equityCurve).toHaveLength(60);
+            expect(report.equityCurve[0].date).toBe(priceData[60].date);
+            expect(report.summary.finalCapital).toBe(report.equityCurve[59].portfolioValue);
+        });
+        
+        it('should carry capital from one fold into the next', () => {
+            const secondFoldStart = report.equityCurve[30].portfolioValue;
+            expect(Math.abs(secondFoldStart - report.folds[0].outOfSample.finalCapital) / secondFoldStart).toBeLessThan(0.2);
+        });
+        
+        it('should compute the efficiency ratio per fold', () => {
+            report.folds.forEach(fold => {
+                if (fold.inSample.annualizedReturn > 0) {
+                    expect(fold.efficiency).toBeCloseTo(fold.outOfSample.annualizedReturn / fold.inSample.annualizedReturn, 10);
+                } else {
+                    expect(fold.efficiency).toBe(null);
+                }
+            });
+        });
+        
+        it('should trade the fitted roots out of sample even when the base config carries signal rules', () => {
+            const ruled = WalkForward.run(priceData, {
+                inSampleSize: 60,
+                outOfSampleSize: 30,
+                sweep: quickSweep,
+                baseConfig: { feePercent: 0, slippageBps: 0, rules: 'HOLD when root >= 1' }
+            });
+            
+            expect(ruled.folds.map(fold => fold.params)).toEqual(report.folds.map(fold => fold.params));
+            expect(ruled.equityCurve.map(point => point.portfolioValue)).toEqual(report.equityCurve.map(point => point.portfolioValue));
+        });
+        
+        it('should refuse series too short for one fold', () => {
+            expect(() => WalkForward.run(priceData.slice(0, 50), { inSampleSize: 60, outOfSampleSize: 30 })).toThrow('Not enough data');
+        });
+    });
+    
+    describe('Efficiency Ratio', () => {
+        it('should be undefined when the in-sample return was not positive', () => {
+            expect(WalkForward.efficiencyRatio(20, 10)).toBe(0.5);
+            expect(WalkForward.efficiencyRatio(-5, 10)).toBe(null);
+        });
+    });
+});